@@ -9,6 +9,26 @@ const MULTISEND_CONTRACT_ABI = [
       "stateMutability": "payable",
       "type": "function"
     },
+    {
+      "inputs": [
+        {"internalType": "address[]", "name": "ethRecipients", "type": "address[]"},
+        {"internalType": "uint256[]", "name": "ethAmounts", "type": "uint256[]"},
+        {
+          "components": [
+            {"internalType": "address", "name": "token", "type": "address"},
+            {"internalType": "address[]", "name": "recipients", "type": "address[]"},
+            {"internalType": "uint256[]", "name": "amounts", "type": "uint256[]"}
+          ],
+          "internalType": "struct BatchTransfer.TokenBatch[]",
+          "name": "tokenBatches",
+          "type": "tuple[]"
+        }
+      ],
+      "name": "multiSendMixed",
+      "outputs": [],
+      "stateMutability": "payable",
+      "type": "function"
+    },
     {
       "inputs": [
         {"internalType": "address", "name": "token", "type": "address"},
@@ -20,6 +40,76 @@ const MULTISEND_CONTRACT_ABI = [
       "stateMutability": "nonpayable",
       "type": "function"
     },
+    {
+      "inputs": [
+        {"internalType": "address[]", "name": "recipients", "type": "address[]"},
+        {"internalType": "uint256", "name": "amount", "type": "uint256"}
+      ],
+      "name": "multiSendETHEqual",
+      "outputs": [],
+      "stateMutability": "payable",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {"internalType": "address", "name": "token", "type": "address"},
+        {"internalType": "address[]", "name": "recipients", "type": "address[]"},
+        {"internalType": "uint256", "name": "amount", "type": "uint256"}
+      ],
+      "name": "multiSendTokenEqual",
+      "outputs": [],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {"internalType": "address", "name": "token", "type": "address"},
+        {"internalType": "address[]", "name": "recipients", "type": "address[]"},
+        {"internalType": "uint256[]", "name": "amounts", "type": "uint256[]"},
+        {"internalType": "uint256", "name": "permitValue", "type": "uint256"},
+        {"internalType": "uint256", "name": "deadline", "type": "uint256"},
+        {"internalType": "uint8", "name": "v", "type": "uint8"},
+        {"internalType": "bytes32", "name": "r", "type": "bytes32"},
+        {"internalType": "bytes32", "name": "s", "type": "bytes32"}
+      ],
+      "name": "multiSendTokenWithPermit",
+      "outputs": [],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {"internalType": "address[]", "name": "recipients", "type": "address[]"},
+        {"internalType": "uint256[]", "name": "amounts", "type": "uint256[]"}
+      ],
+      "name": "multiSendETHBestEffort",
+      "outputs": [],
+      "stateMutability": "payable",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {"internalType": "address", "name": "token", "type": "address"},
+        {"internalType": "address[]", "name": "recipients", "type": "address[]"},
+        {"internalType": "uint256[]", "name": "amounts", "type": "uint256[]"}
+      ],
+      "name": "multiSendTokenBestEffort",
+      "outputs": [],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {"internalType": "address", "name": "token", "type": "address"},
+        {"internalType": "address[]", "name": "recipients", "type": "address[]"},
+        {"internalType": "uint256[]", "name": "amounts", "type": "uint256[]"},
+        {"internalType": "bool", "name": "requireExact", "type": "bool"}
+      ],
+      "name": "multiSendTokenChecked",
+      "outputs": [{"internalType": "uint256[]", "name": "delivered", "type": "uint256[]"}],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    },
     {
       "inputs": [
         {"internalType": "address[]", "name": "tokens", "type": "address[]"},
@@ -31,6 +121,37 @@ const MULTISEND_CONTRACT_ABI = [
       "stateMutability": "nonpayable",
       "type": "function"
     },
+    {
+      "inputs": [
+        {"internalType": "address", "name": "token", "type": "address"},
+        {"internalType": "address[]", "name": "recipients", "type": "address[]"},
+        {"internalType": "uint256[]", "name": "tokenIds", "type": "uint256[]"}
+      ],
+      "name": "multiSendERC721",
+      "outputs": [],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {"internalType": "address", "name": "token", "type": "address"},
+        {"internalType": "address[]", "name": "recipients", "type": "address[]"},
+        {"internalType": "uint256[][]", "name": "ids", "type": "uint256[][]"},
+        {"internalType": "uint256[][]", "name": "amounts", "type": "uint256[][]"},
+        {"internalType": "bytes", "name": "data", "type": "bytes"}
+      ],
+      "name": "multiSendERC1155",
+      "outputs": [],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    },
+    {
+      "inputs": [],
+      "name": "BEST_EFFORT_ETH_GAS",
+      "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+      "stateMutability": "view",
+      "type": "function"
+    },
     {
       "anonymous": false,
       "inputs": [
@@ -41,6 +162,42 @@ const MULTISEND_CONTRACT_ABI = [
       ],
       "name": "MultiSendExecuted",
       "type": "event"
+    },
+    {
+      "anonymous": false,
+      "inputs": [
+        {"indexed": true, "internalType": "address", "name": "sender", "type": "address"},
+        {"indexed": true, "internalType": "address", "name": "tokenAddress", "type": "address"},
+        {"indexed": true, "internalType": "address", "name": "recipient", "type": "address"},
+        {"indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256"},
+        {"indexed": false, "internalType": "bool", "name": "success", "type": "bool"}
+      ],
+      "name": "RecipientTransfer",
+      "type": "event"
+    },
+    {
+      "anonymous": false,
+      "inputs": [
+        {"indexed": true, "internalType": "address", "name": "sender", "type": "address"},
+        {"indexed": true, "internalType": "address", "name": "tokenAddress", "type": "address"},
+        {"indexed": true, "internalType": "address", "name": "recipient", "type": "address"},
+        {"indexed": false, "internalType": "uint256", "name": "tokenId", "type": "uint256"},
+        {"indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256"}
+      ],
+      "name": "NftTransfer",
+      "type": "event"
+    },
+    {
+      "anonymous": false,
+      "inputs": [
+        {"indexed": true, "internalType": "address", "name": "sender", "type": "address"},
+        {"indexed": true, "internalType": "address", "name": "tokenAddress", "type": "address"},
+        {"indexed": true, "internalType": "address", "name": "recipient", "type": "address"},
+        {"indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256"},
+        {"indexed": false, "internalType": "uint256", "name": "delivered", "type": "uint256"}
+      ],
+      "name": "TransferDelivered",
+      "type": "event"
     }
   ];
   
@@ -84,10 +241,556 @@ const MULTISEND_CONTRACT_ABI = [
       "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
       "stateMutability": "view",
       "type": "function"
+    },
+    {
+      "inputs": [],
+      "name": "decimals",
+      "outputs": [{"internalType": "uint8", "name": "", "type": "uint8"}],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [],
+      "name": "symbol",
+      "outputs": [{"internalType": "string", "name": "", "type": "string"}],
+      "stateMutability": "view",
+      "type": "function"
+    }
+  ];
+  
+  // ERC-721 and ERC-1155 functions used to check, approve and simulate NFT transfers
+  // (safeTransferFrom is overloaded, since its ERC-721 and ERC-1155 forms differ)
+  const NFT_ABI = [
+    {
+      "inputs": [
+        {"internalType": "address", "name": "owner", "type": "address"},
+        {"internalType": "address", "name": "operator", "type": "address"}
+      ],
+      "name": "isApprovedForAll",
+      "outputs": [{"internalType": "bool", "name": "", "type": "bool"}],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {"internalType": "address", "name": "operator", "type": "address"},
+        {"internalType": "bool", "name": "approved", "type": "bool"}
+      ],
+      "name": "setApprovalForAll",
+      "outputs": [],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {"internalType": "bytes4", "name": "interfaceId", "type": "bytes4"}
+      ],
+      "name": "supportsInterface",
+      "outputs": [{"internalType": "bool", "name": "", "type": "bool"}],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {"internalType": "address", "name": "from", "type": "address"},
+        {"internalType": "address", "name": "to", "type": "address"},
+        {"internalType": "uint256", "name": "tokenId", "type": "uint256"}
+      ],
+      "name": "safeTransferFrom",
+      "outputs": [],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {"internalType": "address", "name": "from", "type": "address"},
+        {"internalType": "address", "name": "to", "type": "address"},
+        {"internalType": "uint256", "name": "id", "type": "uint256"},
+        {"internalType": "uint256", "name": "value", "type": "uint256"},
+        {"internalType": "bytes", "name": "data", "type": "bytes"}
+      ],
+      "name": "safeTransferFrom",
+      "outputs": [],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {"internalType": "uint256", "name": "tokenId", "type": "uint256"}
+      ],
+      "name": "ownerOf",
+      "outputs": [{"internalType": "address", "name": "", "type": "address"}],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {"internalType": "address", "name": "account", "type": "address"},
+        {"internalType": "uint256", "name": "id", "type": "uint256"}
+      ],
+      "name": "balanceOf",
+      "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [],
+      "name": "symbol",
+      "outputs": [{"internalType": "string", "name": "", "type": "string"}],
+      "stateMutability": "view",
+      "type": "function"
+    }
+  ];
+  
+  // EIP-2612 permit functions, plus the EIP-5267 domain description some tokens expose
+  const ERC20_PERMIT_ABI = [
+    {
+      "inputs": [
+        {"internalType": "address", "name": "owner", "type": "address"}
+      ],
+      "name": "nonces",
+      "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [],
+      "name": "DOMAIN_SEPARATOR",
+      "outputs": [{"internalType": "bytes32", "name": "", "type": "bytes32"}],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [],
+      "name": "name",
+      "outputs": [{"internalType": "string", "name": "", "type": "string"}],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [],
+      "name": "version",
+      "outputs": [{"internalType": "string", "name": "", "type": "string"}],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [],
+      "name": "eip712Domain",
+      "outputs": [
+        {"internalType": "bytes1", "name": "fields", "type": "bytes1"},
+        {"internalType": "string", "name": "name", "type": "string"},
+        {"internalType": "string", "name": "version", "type": "string"},
+        {"internalType": "uint256", "name": "chainId", "type": "uint256"},
+        {"internalType": "address", "name": "verifyingContract", "type": "address"},
+        {"internalType": "bytes32", "name": "salt", "type": "bytes32"},
+        {"internalType": "uint256[]", "name": "extensions", "type": "uint256[]"}
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    }
+  ];
+  
+  // MerkleDistributor contract, which holds claim airdrops
+  const MERKLE_DISTRIBUTOR_ABI = [
+    {
+      "anonymous": false,
+      "inputs": [
+        {"indexed": true, "internalType": "uint256", "name": "distributionId", "type": "uint256"},
+        {"indexed": false, "internalType": "uint256", "name": "index", "type": "uint256"},
+        {"indexed": true, "internalType": "address", "name": "account", "type": "address"},
+        {"indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256"}
+      ],
+      "name": "Claimed",
+      "type": "event"
+    },
+    {
+      "anonymous": false,
+      "inputs": [
+        {"indexed": true, "internalType": "uint256", "name": "distributionId", "type": "uint256"},
+        {"indexed": true, "internalType": "address", "name": "creator", "type": "address"},
+        {"indexed": true, "internalType": "address", "name": "tokenAddress", "type": "address"},
+        {"indexed": false, "internalType": "bytes32", "name": "merkleRoot", "type": "bytes32"},
+        {"indexed": false, "internalType": "uint256", "name": "totalAmount", "type": "uint256"},
+        {"indexed": false, "internalType": "uint256", "name": "deadline", "type": "uint256"}
+      ],
+      "name": "DistributionCreated",
+      "type": "event"
+    },
+    {
+      "anonymous": false,
+      "inputs": [
+        {"indexed": true, "internalType": "uint256", "name": "distributionId", "type": "uint256"},
+        {"indexed": true, "internalType": "address", "name": "creator", "type": "address"},
+        {"indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256"}
+      ],
+      "name": "Swept",
+      "type": "event"
+    },
+    {
+      "inputs": [
+        {"internalType": "uint256", "name": "distributionId", "type": "uint256"},
+        {"internalType": "uint256", "name": "index", "type": "uint256"},
+        {"internalType": "address", "name": "account", "type": "address"},
+        {"internalType": "uint256", "name": "amount", "type": "uint256"},
+        {"internalType": "bytes32[]", "name": "merkleProof", "type": "bytes32[]"}
+      ],
+      "name": "claim",
+      "outputs": [],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {"internalType": "uint256", "name": "", "type": "uint256"},
+        {"internalType": "uint256", "name": "", "type": "uint256"}
+      ],
+      "name": "claimedBitMap",
+      "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {"internalType": "address", "name": "token", "type": "address"},
+        {"internalType": "bytes32", "name": "merkleRoot", "type": "bytes32"},
+        {"internalType": "uint256", "name": "totalAmount", "type": "uint256"},
+        {"internalType": "uint256", "name": "deadline", "type": "uint256"}
+      ],
+      "name": "createDistribution",
+      "outputs": [{"internalType": "uint256", "name": "distributionId", "type": "uint256"}],
+      "stateMutability": "payable",
+      "type": "function"
+    },
+    {
+      "inputs": [],
+      "name": "distributionCount",
+      "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {"internalType": "uint256", "name": "", "type": "uint256"}
+      ],
+      "name": "distributions",
+      "outputs": [
+        {"internalType": "address", "name": "creator", "type": "address"},
+        {"internalType": "address", "name": "token", "type": "address"},
+        {"internalType": "bytes32", "name": "merkleRoot", "type": "bytes32"},
+        {"internalType": "uint256", "name": "total", "type": "uint256"},
+        {"internalType": "uint256", "name": "claimed", "type": "uint256"},
+        {"internalType": "uint256", "name": "deadline", "type": "uint256"},
+        {"internalType": "bool", "name": "swept", "type": "bool"}
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {"internalType": "uint256", "name": "distributionId", "type": "uint256"},
+        {"internalType": "uint256", "name": "index", "type": "uint256"}
+      ],
+      "name": "isClaimed",
+      "outputs": [{"internalType": "bool", "name": "", "type": "bool"}],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {"internalType": "uint256", "name": "distributionId", "type": "uint256"}
+      ],
+      "name": "sweep",
+      "outputs": [],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    }
+  ];
+  
+  // PayoutEscrow contract, which holds scheduled payouts until their release times
+  const PAYOUT_ESCROW_ABI = [
+    {
+      "anonymous": false,
+      "inputs": [
+        {"indexed": true, "internalType": "uint256", "name": "releaseId", "type": "uint256"},
+        {"indexed": true, "internalType": "address", "name": "depositor", "type": "address"},
+        {"indexed": true, "internalType": "address", "name": "tokenAddress", "type": "address"},
+        {"indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256"}
+      ],
+      "name": "Cancelled",
+      "type": "event"
+    },
+    {
+      "anonymous": false,
+      "inputs": [
+        {"indexed": true, "internalType": "uint256", "name": "releaseId", "type": "uint256"},
+        {"indexed": true, "internalType": "address", "name": "depositor", "type": "address"},
+        {"indexed": true, "internalType": "address", "name": "tokenAddress", "type": "address"},
+        {"indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256"}
+      ],
+      "name": "Reclaimed",
+      "type": "event"
+    },
+    {
+      "anonymous": false,
+      "inputs": [
+        {"indexed": true, "internalType": "uint256", "name": "releaseId", "type": "uint256"},
+        {"indexed": true, "internalType": "address", "name": "recipient", "type": "address"},
+        {"indexed": true, "internalType": "address", "name": "tokenAddress", "type": "address"},
+        {"indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256"}
+      ],
+      "name": "Released",
+      "type": "event"
+    },
+    {
+      "anonymous": false,
+      "inputs": [
+        {"indexed": true, "internalType": "uint256", "name": "releaseId", "type": "uint256"},
+        {"indexed": true, "internalType": "address", "name": "depositor", "type": "address"},
+        {"indexed": true, "internalType": "address", "name": "recipient", "type": "address"},
+        {"indexed": false, "internalType": "address", "name": "tokenAddress", "type": "address"},
+        {"indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256"},
+        {"indexed": false, "internalType": "uint256", "name": "releaseTime", "type": "uint256"}
+      ],
+      "name": "Scheduled",
+      "type": "event"
+    },
+    {
+      "inputs": [],
+      "name": "RECLAIM_DELAY",
+      "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {"internalType": "uint256[]", "name": "releaseIds", "type": "uint256[]"}
+      ],
+      "name": "cancel",
+      "outputs": [],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {"internalType": "uint256", "name": "fromId", "type": "uint256"},
+        {"internalType": "uint256", "name": "count", "type": "uint256"}
+      ],
+      "name": "getReleases",
+      "outputs": [
+        {
+          "components": [
+            {"internalType": "address", "name": "depositor", "type": "address"},
+            {"internalType": "uint64", "name": "releaseTime", "type": "uint64"},
+            {"internalType": "address", "name": "token", "type": "address"},
+            {"internalType": "enum PayoutEscrow.Status", "name": "status", "type": "uint8"},
+            {"internalType": "address", "name": "recipient", "type": "address"},
+            {"internalType": "uint256", "name": "amount", "type": "uint256"}
+          ],
+          "internalType": "struct PayoutEscrow.Release[]",
+          "name": "page",
+          "type": "tuple[]"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {"internalType": "uint256[]", "name": "releaseIds", "type": "uint256[]"}
+      ],
+      "name": "reclaim",
+      "outputs": [],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {"internalType": "uint256[]", "name": "releaseIds", "type": "uint256[]"}
+      ],
+      "name": "release",
+      "outputs": [],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    },
+    {
+      "inputs": [],
+      "name": "releaseCount",
+      "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {"internalType": "uint256", "name": "", "type": "uint256"}
+      ],
+      "name": "releases",
+      "outputs": [
+        {"internalType": "address", "name": "depositor", "type": "address"},
+        {"internalType": "uint64", "name": "releaseTime", "type": "uint64"},
+        {"internalType": "address", "name": "token", "type": "address"},
+        {"internalType": "enum PayoutEscrow.Status", "name": "status", "type": "uint8"},
+        {"internalType": "address", "name": "recipient", "type": "address"},
+        {"internalType": "uint256", "name": "amount", "type": "uint256"}
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {"internalType": "address[]", "name": "recipients", "type": "address[]"},
+        {"internalType": "uint256[]", "name": "amounts", "type": "uint256[]"},
+        {"internalType": "uint256[]", "name": "releaseTimes", "type": "uint256[]"}
+      ],
+      "name": "scheduleETH",
+      "outputs": [{"internalType": "uint256", "name": "firstReleaseId", "type": "uint256"}],
+      "stateMutability": "payable",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {"internalType": "address", "name": "token", "type": "address"},
+        {"internalType": "address[]", "name": "recipients", "type": "address[]"},
+        {"internalType": "uint256[]", "name": "amounts", "type": "uint256[]"},
+        {"internalType": "uint256[]", "name": "releaseTimes", "type": "uint256[]"}
+      ],
+      "name": "scheduleToken",
+      "outputs": [{"internalType": "uint256", "name": "firstReleaseId", "type": "uint256"}],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    }
+  ];
+  
+  // Share accounting functions of common rebasing tokens (stETH-style sharesOf, aToken and AMPL-style scaledBalanceOf)
+  // A token answering either one has balances that can change without transfers
+  const REBASING_TOKEN_ABI = [
+    {
+      "inputs": [
+        {"internalType": "address", "name": "account", "type": "address"}
+      ],
+      "name": "sharesOf",
+      "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {"internalType": "address", "name": "user", "type": "address"}
+      ],
+      "name": "scaledBalanceOf",
+      "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+      "stateMutability": "view",
+      "type": "function"
+    }
+  ];
+  
+  // Custom errors commonly raised during a multisend (OpenZeppelin token, NFT and SafeERC20 errors)
+  // Used to decode revert data into a readable reason
+  const KNOWN_ERRORS_ABI = [
+    {
+      "inputs": [
+        {"internalType": "address", "name": "sender", "type": "address"},
+        {"internalType": "uint256", "name": "balance", "type": "uint256"},
+        {"internalType": "uint256", "name": "needed", "type": "uint256"}
+      ],
+      "name": "ERC20InsufficientBalance",
+      "type": "error"
+    },
+    {
+      "inputs": [
+        {"internalType": "address", "name": "spender", "type": "address"},
+        {"internalType": "uint256", "name": "allowance", "type": "uint256"},
+        {"internalType": "uint256", "name": "needed", "type": "uint256"}
+      ],
+      "name": "ERC20InsufficientAllowance",
+      "type": "error"
+    },
+    {
+      "inputs": [
+        {"internalType": "address", "name": "sender", "type": "address"}
+      ],
+      "name": "ERC20InvalidSender",
+      "type": "error"
+    },
+    {
+      "inputs": [
+        {"internalType": "address", "name": "receiver", "type": "address"}
+      ],
+      "name": "ERC20InvalidReceiver",
+      "type": "error"
+    },
+    {
+      "inputs": [
+        {"internalType": "address", "name": "token", "type": "address"}
+      ],
+      "name": "SafeERC20FailedOperation",
+      "type": "error"
+    },
+    {
+      "inputs": [
+        {"internalType": "address", "name": "sender", "type": "address"},
+        {"internalType": "uint256", "name": "tokenId", "type": "uint256"},
+        {"internalType": "address", "name": "owner", "type": "address"}
+      ],
+      "name": "ERC721IncorrectOwner",
+      "type": "error"
+    },
+    {
+      "inputs": [
+        {"internalType": "address", "name": "operator", "type": "address"},
+        {"internalType": "uint256", "name": "tokenId", "type": "uint256"}
+      ],
+      "name": "ERC721InsufficientApproval",
+      "type": "error"
+    },
+    {
+      "inputs": [
+        {"internalType": "uint256", "name": "tokenId", "type": "uint256"}
+      ],
+      "name": "ERC721NonexistentToken",
+      "type": "error"
+    },
+    {
+      "inputs": [
+        {"internalType": "address", "name": "receiver", "type": "address"}
+      ],
+      "name": "ERC721InvalidReceiver",
+      "type": "error"
+    },
+    {
+      "inputs": [
+        {"internalType": "address", "name": "sender", "type": "address"},
+        {"internalType": "uint256", "name": "balance", "type": "uint256"},
+        {"internalType": "uint256", "name": "needed", "type": "uint256"},
+        {"internalType": "uint256", "name": "tokenId", "type": "uint256"}
+      ],
+      "name": "ERC1155InsufficientBalance",
+      "type": "error"
+    },
+    {
+      "inputs": [
+        {"internalType": "address", "name": "operator", "type": "address"},
+        {"internalType": "address", "name": "owner", "type": "address"}
+      ],
+      "name": "ERC1155MissingApprovalForAll",
+      "type": "error"
+    },
+    {
+      "inputs": [
+        {"internalType": "address", "name": "receiver", "type": "address"}
+      ],
+      "name": "ERC1155InvalidReceiver",
+      "type": "error"
     }
   ];
   
   module.exports = {
     MULTISEND_CONTRACT_ABI,
-    ERC20_ABI
+    ERC20_ABI,
+    ERC20_PERMIT_ABI,
+    NFT_ABI,
+    MERKLE_DISTRIBUTOR_ABI,
+    PAYOUT_ESCROW_ABI,
+    REBASING_TOKEN_ABI,
+    KNOWN_ERRORS_ABI
   };
\ No newline at end of file
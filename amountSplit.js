@@ -0,0 +1,76 @@
+// amountSplit.js
+// Splits a total into per-recipient amounts in integer base units, so the shares always add up to the total
+// Remainders are handed out by the largest remainder method, ties going to the earlier recipient
+
+const ethers = require('ethers');
+
+// Read a total given in base units (bigint, integer number or integer string)
+const toBaseUnits = (total) => {
+  const text = typeof total === 'bigint' ? total.toString() : String(total);
+  if (!/^\d+$/.test(text)) {
+    throw new Error(`Invalid total: ${text} (expected an integer amount in base units)`);
+  }
+  return BigInt(text);
+};
+
+// Turn weights (numbers, bigints or decimal strings) into integers of the same scale
+// Decimal weights such as '12.5' are scaled by the largest number of decimal places among them
+const scaleWeights = (weights) => {
+  const texts = weights.map((weight) => {
+    const text = typeof weight === 'bigint' ? weight.toString() : String(weight);
+    if (!/^(\d+(\.\d*)?|\.\d+)$/.test(text)) {
+      throw new Error(`Invalid weight: ${text}`);
+    }
+    return text;
+  });
+
+  const places = Math.max(...texts.map(text => (text.split('.')[1] || '').length));
+  return texts.map(text => ethers.parseUnits(text, places));
+};
+
+// Split `total` base units in proportion to integer weights
+// Each share is rounded down, then the units left over go one each to the shares with the largest
+// remainders, ties going to the earlier weight, so the result is deterministic and sums to `total`
+const allocate = (total, weights) => {
+  const weightSum = weights.reduce((sum, weight) => sum + weight, BigInt(0));
+  if (weightSum === BigInt(0)) {
+    throw new Error('Weights must not all be zero');
+  }
+
+  const shares = weights.map(weight => (total * weight) / weightSum);
+  const remainders = weights.map((weight, i) => ({ index: i, remainder: (total * weight) % weightSum }));
+
+  let leftover = total - shares.reduce((sum, share) => sum + share, BigInt(0));
+  remainders.sort((a, b) => (a.remainder === b.remainder ? a.index - b.index : a.remainder > b.remainder ? -1 : 1));
+  for (const { index } of remainders) {
+    if (leftover === BigInt(0)) {
+      break;
+    }
+    shares[index] += BigInt(1);
+    leftover -= BigInt(1);
+  }
+
+  return shares;
+};
+
+// Split a total in base units evenly across `count` recipients
+// The first (total % count) recipients get one unit more than the others
+const splitEvenly = (total, count) => {
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error(`Invalid recipient count: ${count}`);
+  }
+  return allocate(toBaseUnits(total), Array(count).fill(BigInt(1)));
+};
+
+// Split a total in base units in proportion to the given weights
+const splitByWeights = (total, weights) => {
+  if (!Array.isArray(weights) || weights.length === 0) {
+    throw new Error('At least one weight is required');
+  }
+  return allocate(toBaseUnits(total), scaleWeights(weights));
+};
+
+module.exports = {
+  splitEvenly,
+  splitByWeights
+};
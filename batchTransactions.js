@@ -1,17 +1,427 @@
 // batchTransactions.js
 // A simple program for batching Ethereum transactions using ethers.js v6
-// Supports ETH and ERC-20 tokens with gas estimation
+// Supports ETH, ERC-20 tokens and NFTs (ERC-721 and ERC-1155) with gas estimation
 // Modified to work with SimpleMultiSend contract
 
+const { EventEmitter } = require('events');
 const ethers = require('ethers');
-const { MULTISEND_CONTRACT_ABI, ERC20_ABI } = require('./abis');
+const {
+  MULTISEND_CONTRACT_ABI,
+  ERC20_ABI,
+  ERC20_PERMIT_ABI,
+  NFT_ABI,
+  REBASING_TOKEN_ABI
+} = require('./abis');
+const {
+  detectFormat,
+  parseRecipientRows,
+  validateRecipientRow
+} = require('./recipientImport');
+const { createMemoryJournal, createFileJournal } = require('./sendJournal');
+const { decodeTransferLogs, reconcileTransfers } = require('./receiptDecoder');
+const { buildSafeTransactionBatch } = require('./safeExport');
+const { createTokenRegistry, tokenLabel } = require('./tokenRegistry');
+const { loadDeployment, loadArtifactCodeHash, verifyContractCode } = require('./deploymentRegistry');
+const { splitEvenly, splitByWeights } = require('./amountSplit');
+const { buildMerkleTree, verifyProof, saveMerkleProofs, loadMerkleProofs } = require('./merkleTree');
+const { buildFeeOptions, decodeRevertReason, sumValues, splitIntoChunks } = require('./transactionHelpers');
+const { createClaimAirdrops } = require('./claimAirdrops');
+const { createScheduledPayouts } = require('./scheduledPayouts');
 
-// Initialize Ethereum provider, signer, and batch contract
-const initializeConnection = async (config) => {
-  if (!config.multiSendContractAddress) {
-    throw new Error('MultiSend contract address is required');
+// Gas assumed per recipient when a sample estimate is not possible
+const DEFAULT_GAS_PER_RECIPIENT = {
+  eth: BigInt(12000),
+  erc20: BigInt(40000),
+  erc721: BigInt(60000),
+  erc1155: BigInt(60000)
+};
+
+// Supported NFT standards: their labels and the ERC-165 interface IDs their contracts must report
+const NFT_STANDARDS = {
+  erc721: { label: 'ERC-721', interfaceId: '0x80ac58cd' },
+  erc1155: { label: 'ERC-1155', interfaceId: '0xd9b67a26' }
+};
+
+// Gas of a multisend transaction besides its transfers, assumed along with DEFAULT_GAS_PER_RECIPIENT:
+// the 21000 of every transaction, plus the function dispatch, argument decoding and calldata
+const DEFAULT_BASE_GAS = BigInt(35000);
+
+// Heuristic gas of one multisend transaction, for when it cannot be estimated on-chain
+const heuristicGas = (kind, recipients) => DEFAULT_BASE_GAS + DEFAULT_GAS_PER_RECIPIENT[kind] * BigInt(recipients);
+
+// Share of the block gas limit a single batch transaction may use by default
+const DEFAULT_BLOCK_GAS_LIMIT_PERCENT = 50;
+
+// Number of transfers estimated to derive the gas cost per recipient
+const GAS_SAMPLE_SIZE = 10;
+
+// Smallest fee bump most nodes accept for a replacement transaction
+const MIN_REPLACEMENT_BUMP_PERCENT = 10;
+
+// Supported approval strategies: approve the exact total, approve once without limit,
+// or approve the exact total and reset the allowance to zero after the run
+const APPROVAL_STRATEGIES = ['exact', 'unlimited', 'revokeAfter'];
+
+// Supported delivery checks for token sends: revert a chunk in which any recipient receives a different
+// amount than was sent, or send it anyway and report the amounts delivered
+const DELIVERY_CHECKS = ['revert', 'report'];
+
+// Largest shortfall (in base units) that rebasing tokens lose to share rounding on a transfer
+const REBASING_ROUNDING_TOLERANCE = BigInt(2);
+
+// Storage slots a token's allowances mapping may sit at, tried in turn to probe a token that is not approved yet:
+// the first plain slots (OpenZeppelin's ERC20 uses 1), and the ERC-7201 ERC20Storage of OpenZeppelin's
+// upgradeable ERC20, whose allowances come right after its balances
+const ALLOWANCE_SLOTS = [
+  ...Array.from({ length: 10 }, (unused, slot) => BigInt(slot)),
+  BigInt('0x52c63247e1f47db19d5ce0460030c497f067ca4cebf71ba98eeadabe20bace00') + BigInt(1)
+];
+
+// Supported duplicate recipient policies: refuse the duplicate, queue it with a warning,
+// add its amount to the transfer already queued, or queue it without a word
+const DUPLICATE_POLICIES = ['reject', 'warn', 'merge', 'allow'];
+
+// Gas assumed for an approval that cannot be estimated yet (after a reset to zero)
+const DEFAULT_APPROVAL_GAS = BigInt(50000);
+
+// How long a permit signature stays valid by default (seconds)
+const DEFAULT_PERMIT_DEADLINE_SECONDS = 3600;
+
+// Extra gas the permit call adds to the first chunk of a token group
+const PERMIT_GAS = BigInt(60000);
+
+// EIP-2612 typed data for a permit
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+// Raise a fee by a whole percentage, rounding up
+const bumpFee = (fee, percent) => (BigInt(fee) * BigInt(100 + percent) + BigInt(99)) / BigInt(100);
+
+// Pack transfers into the arguments of multiSendMixed: the ETH transfers, then one batch per token
+const packMixedBatch = (txs) => {
+  const ethTxs = txs.filter(tx => !tx.token);
+  const tokenBatches = [];
+
+  for (const tx of txs.filter(tx => tx.token)) {
+    let batch = tokenBatches.find(candidate => candidate.token.toLowerCase() === tx.token.toLowerCase());
+    if (!batch) {
+      batch = { token: tx.token, recipients: [], amounts: [] };
+      tokenBatches.push(batch);
+    }
+    batch.recipients.push(tx.to);
+    batch.amounts.push(tx.value);
+  }
+
+  return {
+    ethRecipients: ethTxs.map(tx => tx.to),
+    ethAmounts: ethTxs.map(tx => tx.value),
+    tokenBatches,
+    value: sumValues(ethTxs)
+  };
+};
+
+// The amount every transfer of a list sends, or null when the amounts differ
+// Chunks of equal amounts are sent through the equal-amount entry points, which take one amount instead of an array
+const equalAmount = (txs) => {
+  const amount = BigInt(txs[0].value.toString());
+  return txs.every(tx => BigInt(tx.value.toString()) === amount) ? amount : null;
+};
+
+// Whether a group or send entry kind is an NFT standard ('erc721' or 'erc1155')
+const isNftKind = (kind) => Object.prototype.hasOwnProperty.call(NFT_STANDARDS, kind);
+
+// The multisend method and arguments that send NFT transfers of one contract
+// ERC-1155 transfers are packed into one row of token IDs and amounts per recipient,
+// so each recipient gets a single safeBatchTransferFrom
+const packNftBatch = (kind, tokenAddress, txs) => {
+  if (kind === 'erc721') {
+    return { method: 'multiSendERC721', args: [tokenAddress, txs.map(tx => tx.to), txs.map(tx => tx.tokenId)] };
+  }
+
+  const rows = [];
+  for (const tx of txs) {
+    let row = rows.find(candidate => candidate.to.toLowerCase() === tx.to.toLowerCase());
+    if (!row) {
+      row = { to: tx.to, ids: [], amounts: [] };
+      rows.push(row);
+    }
+    row.ids.push(tx.tokenId);
+    row.amounts.push(tx.value);
+  }
+
+  return {
+    method: 'multiSendERC1155',
+    args: [tokenAddress, rows.map(row => row.to), rows.map(row => row.ids), rows.map(row => row.amounts), '0x']
+  };
+};
+
+// Create a send entry for one chunk of a group
+// Entries are what the send journal records, so they only hold JSON-safe values
+// Multi-token and mixed entries record the token of every transfer in `tokens` (null for ETH)
+// Entries with recipients given by name record them in `names` (null for recipients given by address)
+// NFT entries record the token ID of every transfer in `tokenIds`, with its amount (always 1 for ERC-721) in `amounts`
+// Token entries sent with a delivery check record it in `deliveryCheck` ('revert' or 'report')
+const createSendEntry = (kind, tokenAddress, chunk, chunkIndex, chunkCount, bestEffort = false, deliveryCheck = null) => ({
+  id: `${kind === 'erc20' ? tokenAddress : isNftKind(kind) ? `${kind}:${tokenAddress}` : kind}:${chunkIndex}`,
+  kind,
+  token: tokenAddress,
+  chunkIndex,
+  chunkCount,
+  bestEffort,
+  recipients: chunk.map(tx => tx.to),
+  amounts: chunk.map(tx => tx.value.toString()),
+  ...(kind === 'multiToken' || kind === 'mixed' ? { tokens: chunk.map(tx => tx.token || null) } : {}),
+  ...(isNftKind(kind) ? { tokenIds: chunk.map(tx => tx.tokenId.toString()) } : {}),
+  ...(chunk.some(tx => tx.name) ? { names: chunk.map(tx => tx.name || null) } : {}),
+  ...(deliveryCheck ? { deliveryCheck } : {}),
+  status: 'pending',
+  nonce: null,
+  transactionHash: null,
+  replacedTransactionHashes: [],
+  cancelTransactionHash: null,
+  blockNumber: null,
+  gasUsed: null,
+  failedTransfers: [],
+  error: null
+});
+
+// Turn a send entry back into the transfers it covers
+const entryTransfers = (entry) => entry.recipients.map((to, i) => ({
+  to,
+  value: BigInt(entry.amounts[i]),
+  ...(entry.tokens ? { token: entry.tokens[i] } : {}),
+  ...(entry.tokenIds ? { tokenId: BigInt(entry.tokenIds[i]) } : {})
+}));
+
+// The ERC-20 token of every transfer in a send entry
+// (none for ETH and NFT entries, null for the ETH transfers of a mixed entry)
+const entryTokens = (entry) => {
+  if (entry.kind === 'eth' || isNftKind(entry.kind)) {
+    return [];
+  }
+  return entry.tokens || entry.recipients.map(() => entry.token);
+};
+
+// The transfers of a send entry that spend the given token
+const entryTokenTransfers = (entry, tokenAddress) => {
+  const tokens = entryTokens(entry);
+  return entryTransfers(entry).filter((tx, i) => tokens[i] && tokens[i].toLowerCase() === tokenAddress.toLowerCase());
+};
+
+// Describe a send entry in error messages
+const describeEntry = (entry) => {
+  if (entry.kind === 'mixed') {
+    return 'Atomic batch';
+  }
+  if (entry.kind === 'multiToken') {
+    return `Multi-token transfer ${entry.chunkIndex + 1}/${entry.chunkCount} to ${entry.recipients[0]}`;
+  }
+  let label = `Token ${entry.token} batch`;
+  if (entry.kind === 'eth') {
+    label = 'ETH batch';
+  } else if (isNftKind(entry.kind)) {
+    label = `${NFT_STANDARDS[entry.kind].label} ${entry.token} batch`;
+  }
+  return `${label} chunk ${entry.chunkIndex + 1}/${entry.chunkCount}`;
+};
+
+// The multisend method, arguments and ETH value that send a (non-permit) entry
+// With `equalAmounts`, ETH and token chunks whose transfers all send the same amount use the equal-amount entry points
+// Token chunks with a delivery check always go through multiSendTokenChecked
+const entryCall = (entry, equalAmounts = false) => {
+  const amounts = entry.amounts.map(amount => BigInt(amount));
+  const amount = equalAmounts && !entry.bestEffort && !entry.deliveryCheck ? equalAmount(entryTransfers(entry)) : null;
+
+  if (entry.kind === 'erc20' && entry.deliveryCheck) {
+    return {
+      method: 'multiSendTokenChecked',
+      args: [entry.token, entry.recipients, amounts, entry.deliveryCheck === 'revert'],
+      value: BigInt(0)
+    };
+  }
+
+  if (entry.kind === 'eth' && amount !== null) {
+    return { method: 'multiSendETHEqual', args: [entry.recipients, amount], value: sumValues(entryTransfers(entry)) };
+  }
+
+  if (entry.kind === 'erc20' && amount !== null) {
+    return { method: 'multiSendTokenEqual', args: [entry.token, entry.recipients, amount], value: BigInt(0) };
+  }
+
+  if (entry.kind === 'eth') {
+    return {
+      method: entry.bestEffort ? 'multiSendETHBestEffort' : 'multiSendETH',
+      args: [entry.recipients, amounts],
+      value: sumValues(entryTransfers(entry))
+    };
+  }
+
+  if (entry.kind === 'mixed') {
+    const mixed = packMixedBatch(entryTransfers(entry));
+    return {
+      method: 'multiSendMixed',
+      args: [mixed.ethRecipients, mixed.ethAmounts, mixed.tokenBatches],
+      value: mixed.value
+    };
+  }
+
+  if (entry.kind === 'multiToken') {
+    return { method: 'multiTokenTransfer', args: [entry.tokens, entry.recipients[0], amounts], value: BigInt(0) };
+  }
+
+  if (isNftKind(entry.kind)) {
+    return { ...packNftBatch(entry.kind, entry.token, entryTransfers(entry)), value: BigInt(0) };
+  }
+
+  return {
+    method: entry.bestEffort ? 'multiSendTokenBestEffort' : 'multiSendToken',
+    args: [entry.token, entry.recipients, amounts],
+    value: BigInt(0)
+  };
+};
+
+// Describe a send entry as a chunk result
+const entryChunkResult = (entry) => {
+  const chunkResult = {
+    index: entry.chunkIndex,
+    recipients: entry.recipients.length,
+    transactionHash: entry.transactionHash,
+    blockNumber: entry.blockNumber,
+    gasUsed: entry.gasUsed || '0',
+    ...(entry.names ? { names: entry.names } : {}),
+    status: entry.status === 'confirmed' ? 'success' : entry.status === 'failed' ? 'failed' : 'pending'
+  };
+
+  if (entry.status === 'cancelled') {
+    chunkResult.status = 'cancelled';
+    chunkResult.cancelTransactionHash = entry.cancelTransactionHash;
+  }
+
+  if (entry.replacedTransactionHashes && entry.replacedTransactionHashes.length > 0) {
+    chunkResult.replacedTransactionHashes = entry.replacedTransactionHashes;
+  }
+
+  if (entry.bestEffort) {
+    chunkResult.failedRecipients = entry.failedTransfers || [];
+  }
+
+  if (entry.error) {
+    chunkResult.error = entry.error;
+  }
+
+  return chunkResult;
+};
+
+// Summarize the chunk results of a group into a single result object
+const summarizeChunks = (chunkResults) => {
+  const sentChunks = chunkResults.filter(chunk => chunk.transactionHash);
+  const lastChunk = sentChunks[sentChunks.length - 1] || {};
+
+  let status = 'pending';
+  if (chunkResults.every(chunk => chunk.status === 'success')) {
+    status = 'success';
+  } else if (chunkResults.some(chunk => chunk.status === 'failed' || chunk.status === 'cancelled')) {
+    status = 'failed';
+  }
+
+  return {
+    transactionHash: lastChunk.transactionHash || null,
+    blockNumber: lastChunk.blockNumber || null,
+    gasUsed: chunkResults
+      .reduce((sum, chunk) => sum + BigInt(chunk.gasUsed || 0), BigInt(0))
+      .toString(),
+    status,
+    recipients: chunkResults.reduce((sum, chunk) => sum + chunk.recipients, 0),
+    chunks: chunkResults
+  };
+};
+
+// Build the send results object from the entries of a batch
+// `symbolOf` labels tokens with their symbols where known
+const buildSendResults = (entries, replacements = [], approvals = [], symbolOf = () => null) => {
+  const results = {
+    ethTransaction: null,
+    erc20Transactions: {},
+    multiTokenTransactions: [],
+    nftTransactions: {},
+    atomicTransaction: null,
+    totalTransactions: 0,
+    approvals,
+    replacements,
+    failedRecipients: []
+  };
+
+  // Transfers skipped by best-effort sends, so they can be retried on their own
+  for (const entry of entries) {
+    for (const failed of entry.failedTransfers || []) {
+      results.failedRecipients.push({
+        kind: entry.kind,
+        token: entry.token,
+        chunkIndex: entry.chunkIndex,
+        ...failed
+      });
+    }
+  }
+
+  const ethEntries = entries.filter(entry => entry.kind === 'eth');
+  if (ethEntries.length > 0) {
+    results.ethTransaction = summarizeChunks(ethEntries.map(entryChunkResult));
+  }
+
+  for (const entry of entries) {
+    results.totalTransactions += entry.recipients.length;
+  }
+
+  const tokenAddresses = [...new Set(
+    entries.filter(entry => entry.kind === 'erc20').map(entry => entry.token)
+  )];
+  for (const tokenAddress of tokenAddresses) {
+    const tokenEntries = entries.filter(entry => entry.kind === 'erc20' && entry.token === tokenAddress);
+    results.erc20Transactions[tokenAddress] = {
+      symbol: symbolOf(tokenAddress),
+      ...summarizeChunks(tokenEntries.map(entryChunkResult))
+    };
+  }
+
+  // An atomic send packs everything into a single mixed transaction
+  const mixedEntry = entries.find(entry => entry.kind === 'mixed');
+  if (mixedEntry) {
+    results.atomicTransaction = entryChunkResult(mixedEntry);
+  }
+
+  // One result per multi-token bundle
+  results.multiTokenTransactions = entries
+    .filter(entry => entry.kind === 'multiToken')
+    .map(entry => ({
+      recipient: entry.recipients[0],
+      tokens: entry.tokens,
+      symbols: entry.tokens.map(symbolOf),
+      ...entryChunkResult(entry)
+    }));
+
+  // One result per NFT contract, covering all of its chunks
+  const nftEntries = entries.filter(entry => isNftKind(entry.kind));
+  for (const tokenAddress of new Set(nftEntries.map(entry => entry.token))) {
+    const tokenEntries = nftEntries.filter(entry => entry.token === tokenAddress);
+    results.nftTransactions[tokenAddress] = {
+      standard: tokenEntries[0].kind,
+      symbol: symbolOf(tokenAddress),
+      ...summarizeChunks(tokenEntries.map(entryChunkResult))
+    };
   }
 
+  return results;
+};
+
+// Initialize Ethereum provider, signer, and batch contract
+const initializeConnection = async (config) => {
   let provider;
   let signer;
   
@@ -30,24 +440,65 @@ const initializeConnection = async (config) => {
       throw new Error('Provider URL is required when window.ethereum is not available');
     }
     
-    provider = new ethers.JsonRpcProvider(config.providerUrl);
+    // No request cache: on chains that mine instantly, a cached nonce or estimate from just before the
+    // previous transaction would be stale
+    provider = new ethers.JsonRpcProvider(config.providerUrl, undefined, { cacheTimeout: -1 });
     
-    // In this case, we need a private key to sign transactions
-    if (!config.privateKey) {
-      throw new Error('Private key is required when window.ethereum is not available');
+    // In this case, we need a private key to sign transactions, or the address of the account
+    // (such as a Safe) that will execute exported transactions
+    if (config.privateKey) {
+      signer = new ethers.Wallet(config.privateKey, provider);
+    } else if (config.senderAddress) {
+      if (!ethers.isAddress(config.senderAddress)) {
+        throw new Error(`Invalid sender address: ${config.senderAddress}`);
+      }
+      // Can estimate and call as the sender, but never signs
+      signer = new ethers.VoidSigner(ethers.getAddress(config.senderAddress), provider);
+    } else {
+      throw new Error('Private key or sender address is required when window.ethereum is not available');
     }
-    
-    signer = new ethers.Wallet(config.privateKey, provider);
   }
 
+  // Find the deployment recorded for the connected chain: config.deployments (keyed by chain ID) in browsers,
+  // otherwise the deployments/<chainId>.json file written by the deploy script
+  const chainId = (await provider.getNetwork()).chainId.toString();
+  let deployment = null;
+  if (config.deployments) {
+    deployment = config.deployments[chainId] || null;
+  } else if (!hasWindowEthereum) {
+    deployment = await loadDeployment(chainId, config.deploymentsDir);
+  }
+  
+  const contractAddress = config.multiSendContractAddress || (deployment && deployment.address);
+  if (!contractAddress) {
+    throw new Error(
+      `No BatchTransfer deployment is recorded for chain ${chainId}; ` +
+      'deploy one with scripts/BatchTrasnfer.js or set multiSendContractAddress'
+    );
+  }
+  if (!ethers.isAddress(contractAddress)) {
+    throw new Error(`Invalid BatchTransfer address: ${contractAddress}`);
+  }
+  
+  // Refuse an address with no code, or with code other than the recorded deployment's, or without a
+  // recorded deployment, other than the compiled artifact's (when compiled);
+  // config.contractCodeHash overrides the recorded hash, and null skips the bytecode check
+  let expectedCodeHash = deployment && deployment.codeHash;
+  if (config.contractCodeHash !== undefined) {
+    expectedCodeHash = config.contractCodeHash;
+  } else if (!deployment && !config.deployments && !hasWindowEthereum) {
+    expectedCodeHash = await loadArtifactCodeHash('BatchTransfer', config.artifactsDir);
+  }
+  await verifyContractCode(provider, ethers.getAddress(contractAddress), chainId, expectedCodeHash);
+
   // Create the contract instance
   const multiSendContract = new ethers.Contract(
-    config.multiSendContractAddress,
+    ethers.getAddress(contractAddress),
     config.multiSendContractAbi || MULTISEND_CONTRACT_ABI,
     signer
   );
 
-  return { provider, signer, multiSendContract };
+  return { provider, signer, multiSendContract, chainId };
 };
 
 // Create a transaction batch manager
@@ -58,8 +509,113 @@ const createBatchManager = (config) => {
   
   // Group by type (eth/erc20) and token
   const transactionGroups = {
-    eth: [], // Array of {to, value} objects
-    erc20: {} // Mapping of tokenAddress -> [{to, value, decimals}]
+    eth: [], // Array of {id, to, value} objects
+    erc20: {}, // Mapping of checksummed tokenAddress -> [{id, to, value, amount, decimals}]
+    multiToken: [], // Array of {id, to, transfers: [{token, value, amount, decimals}]} bundles
+    erc721: {}, // Mapping of checksummed collection address -> [{id, to, tokenId, value}], value always 1
+    erc1155: {} // Mapping of checksummed contract address -> [{id, to, tokenId, value}]
+  };
+  // Token transfers queued without decimals keep value null until resolveTokens() reads the token's decimals
+
+  // Every queued transfer (or bundle) gets an ID, unique for the life of the manager, to list, update or remove it by
+  let lastTransactionId = 0;
+  const nextTransactionId = () => `tx-${++lastTransactionId}`;
+
+  // Decimals and symbols read from the chain, shared with other managers when config.tokenRegistry is given
+  const tokenRegistry = config.tokenRegistry || createTokenRegistry();
+
+  // The send or resume currently in progress, so speedUp and cancel can update its entries
+  let activeRun = null;
+
+  // EIP-712 permit domain of each token (null when the token has no usable permit)
+  const permitDomains = new Map();
+
+  // Transfer behavior probed for each token (see probeTransferBehavior); inconclusive probes are not kept
+  const transferBehaviors = new Map();
+
+  // Address each recipient name resolved to; once resolved, a name keeps its address for the life of the manager
+  const resolvedNames = new Map();
+  let ensProvider = null;
+
+  // Lifecycle events for progress UIs and services; every event is also emitted as 'event'
+  const events = new EventEmitter();
+
+  // Progress messages go to config.logger (an object with info and warn functions), console by default, or nowhere when null
+  const logger = config.logger === undefined ? console : config.logger;
+
+  // Call an observer (a listener or the logger), ignoring anything it throws or rejects with,
+  // so a failing progress UI or log transport cannot change the outcome of a send
+  const callObserver = (observer, thisArg, argument) => {
+    try {
+      const result = observer.call(thisArg, argument);
+      if (result && typeof result.catch === 'function') {
+        result.catch(() => {});
+      }
+    } catch (error) {
+      // Observers only watch the run
+    }
+  };
+
+  // Log a progress message and emit the matching lifecycle event
+  // Listeners are called one by one, so one that throws neither stops the others nor the send
+  const notify = (event, payload, message, level = 'info') => {
+    if (logger && message) {
+      const log = logger[level] || logger.info || logger.log;
+      if (log) {
+        callObserver(log, logger, message);
+      }
+    }
+    
+    const eventPayload = { event, ...payload };
+    for (const name of [event, 'event']) {
+      for (const listener of events.listeners(name)) {
+        callObserver(listener, events, eventPayload);
+      }
+    }
+  };
+
+  // Progress of the send or resume in progress: entries (transactions) and transfers confirmed so far
+  const runProgress = () => {
+    if (!activeRun) {
+      return null;
+    }
+    
+    const confirmed = activeRun.entries.filter(entry => entry.status === 'confirmed');
+    return {
+      confirmed: confirmed.length,
+      total: activeRun.entries.length,
+      confirmedTransfers: confirmed.reduce((count, entry) => count + entry.recipients.length, 0),
+      totalTransfers: activeRun.entries.reduce((count, entry) => count + entry.recipients.length, 0)
+    };
+  };
+
+  // Payload of a group (send entry) event
+  const groupEvent = (entry) => ({
+    id: entry.id,
+    kind: entry.kind,
+    token: entry.token,
+    symbol: tokenSymbol(entry.token),
+    chunkIndex: entry.chunkIndex,
+    chunkCount: entry.chunkCount,
+    recipients: entry.recipients.length,
+    transactionHash: entry.transactionHash,
+    blockNumber: entry.blockNumber,
+    gasUsed: entry.gasUsed,
+    status: entry.status,
+    ...(entry.bestEffort ? { failedTransfers: entry.failedTransfers.length } : {}),
+    ...(entry.error ? { error: entry.error } : {}),
+    progress: runProgress()
+  });
+
+  // Listen for a lifecycle event ('event' receives all of them); returns a function that removes the listener
+  const on = (event, listener) => {
+    events.on(event, listener);
+    return () => events.off(event, listener);
+  };
+
+  // Stop listening for a lifecycle event
+  const off = (event, listener) => {
+    events.off(event, listener);
   };
 
   // Initialize connection asynchronously
@@ -70,418 +626,3631 @@ const createBatchManager = (config) => {
     return connection;
   };
 
-  // Add an ETH transfer transaction to the batch
-  const addEthTransaction = (to, value, data = '0x') => {
-    if (!ethers.isAddress(to)) {
-      throw new Error(`Invalid recipient address: ${to}`);
+  // Check a recipient given as an address or as an ENS name (including Basenames such as name.base.eth)
+  // A name keeps its text in `to` until resolveRecipients() pins it to an address; returns { to, name? }
+  const queuedRecipient = (to) => {
+    if (ethers.isAddress(to)) {
+      return { to };
+    }
+    
+    if (typeof to === 'string' && to.includes('.') && !ethers.isHexString(to)) {
+      let name;
+      try {
+        name = ethers.ensNormalize(to);
+      } catch (error) {
+        throw new Error(`Invalid recipient name: ${to}`);
+      }
+      return { to: resolvedNames.get(name) || name, name };
+    }
+    
+    throw new Error(`Invalid recipient address: ${to}`);
+  };
+
+  // The policy for recipients queued twice in the ETH group or in one token's group
+  // ('reject', 'warn', 'merge' or 'allow')
+  const getDuplicatePolicy = () => {
+    const policy = config.duplicatePolicy || 'warn';
+    if (!DUPLICATE_POLICIES.includes(policy)) {
+      throw new Error(`Invalid duplicate policy: ${policy} (expected ${DUPLICATE_POLICIES.join(', ')})`);
+    }
+    return policy;
+  };
+
+  // Duplicates already warned about, so repeated checks of one queue warn once
+  const warnedDuplicates = new Set();
+
+  // Warn about a recipient queued more than once, unless already warned about the same transfers
+  const warnDuplicate = (tokenAddress, recipient, ids) => {
+    const key = `${tokenAddress}:${ids.join(',')}`;
+    if (warnedDuplicates.has(key)) {
+      return;
+    }
+    warnedDuplicates.add(key);
+    
+    notify(
+      'duplicate:queued',
+      { token: tokenAddress, symbol: tokenSymbol(tokenAddress), to: recipient.to, name: recipient.name || null, ids },
+      `Duplicate recipient: ${recipient.name || recipient.to} is queued ${ids.length} times for ` +
+      `${tokenAddress ? tokenLabel(tokenRegistry.peekToken(tokenAddress), tokenAddress) : 'ETH'} (${ids.join(', ')})`,
+      'warn'
+    );
+  };
+
+  // Add a duplicate's amount to the queued transfer it duplicates
+  // Token amounts are added as written, so amounts still waiting for the token's decimals can merge too
+  const mergeTransfer = (target, duplicate, tokenAddress) => {
+    if (!tokenAddress) {
+      target.value = BigInt(target.value) + BigInt(duplicate.value);
+      return;
+    }
+    
+    if (target.decimals !== null && duplicate.decimals !== null && target.decimals !== duplicate.decimals) {
+      throw new Error(`Cannot merge amounts queued with ${target.decimals} and ${duplicate.decimals} decimals`);
+    }
+    const decimals = target.decimals !== null ? target.decimals : duplicate.decimals;
+    
+    const places = Math.max(...[target.amount, duplicate.amount].map(amount => (amount.split('.')[1] || '').length));
+    const sum = ethers.parseUnits(target.amount, places) + ethers.parseUnits(duplicate.amount, places);
+    Object.assign(target, queuedTokenValue(ethers.formatUnits(sum, places), decimals));
+  };
+
+  // Apply the 'reject' or 'merge' duplicate policy to a transfer about to join a group (the ETH group,
+  // or one token's group). Returns the queued transfer it was merged into, or null when it should be queued itself.
+  // `replacing` is the transfer being updated, which never counts as its own duplicate and is never merged
+  const checkDuplicate = (group, tokenAddress, transfer, replacing = null) => {
+    const policy = getDuplicatePolicy();
+    const existing = group.find(item => item !== replacing && item.to.toLowerCase() === transfer.to.toLowerCase());
+    
+    if (!existing || policy === 'allow' || policy === 'warn') {
+      return null;
+    }
+    
+    if (policy === 'reject') {
+      throw new Error(
+        `Duplicate recipient: ${transfer.name || existing.to} is already queued for ` +
+        `${tokenAddress ? tokenLabel(tokenRegistry.peekToken(tokenAddress), tokenAddress) : 'ETH'} (${existing.id})`
+      );
+    }
+    
+    // An update that creates a duplicate is merged when the batch is next used
+    if (replacing) {
+      return null;
+    }
+    
+    mergeTransfer(existing, transfer, tokenAddress);
+    notify(
+      'duplicate:merged',
+      { token: tokenAddress, symbol: tokenSymbol(tokenAddress), to: existing.to, name: existing.name || null, id: existing.id },
+      `Merged a duplicate transfer to ${existing.name || existing.to} into ${existing.id}`
+    );
+    return existing;
+  };
+
+  // Warn once a queued transfer shares its recipient with others in its group
+  // (under 'merge', only an update can cause this; the transfers are merged when the batch is next used)
+  const warnIfDuplicated = (group, tokenAddress, transfer) => {
+    const policy = getDuplicatePolicy();
+    const items = group.filter(item => item.to.toLowerCase() === transfer.to.toLowerCase());
+    
+    if (items.length > 1 && (policy === 'warn' || policy === 'merge')) {
+      warnDuplicate(tokenAddress, { to: items[0].to, name: transfer.name }, items.map(item => item.id));
     }
+  };
+
+  // Add an ETH transfer transaction to the batch; returns its ID
+  // Under the 'merge' duplicate policy, a repeat recipient's amount is added to its queued transfer, whose ID is returned
+  const addEthTransaction = (to, value, data = '0x') => {
+    const recipient = queuedRecipient(to);
 
     try {
       const valueInWei = ethers.parseEther(value.toString());
       
+      const merged = checkDuplicate(transactionGroups.eth, null, { ...recipient, value: valueInWei });
+      if (merged) {
+        return merged.id;
+      }
+      
+      const id = nextTransactionId();
+      
       transactionGroups.eth.push({
-        to,
+        id,
+        ...recipient,
         value: valueInWei
       });
+      warnIfDuplicated(transactionGroups.eth, null, recipient);
       
-      return true;
+      return id;
     } catch (error) {
       throw new Error(`Error adding ETH transaction: ${error.message}`);
     }
   };
 
-  // Add an ERC-20 token transfer transaction to the batch
-  const addErc20Transaction = (tokenAddress, to, value, decimals = 18) => {
+  // Queue-time form of a token amount: parsed now when the decimals are given,
+  // otherwise kept as text until resolveTokens() reads the token's decimals
+  const queuedTokenValue = (value, decimals) => {
+    const amount = value.toString();
+    
+    if (decimals === undefined || decimals === null) {
+      if (!/^(\d+(\.\d*)?|\.\d+)$/.test(amount)) {
+        throw new Error(`Invalid amount: ${amount}`);
+      }
+      return { value: null, amount, decimals: null };
+    }
+    
+    return { value: ethers.parseUnits(amount, Number(decimals)), amount, decimals: Number(decimals) };
+  };
+
+  // Add an ERC-20 token transfer transaction to the batch; returns its ID
+  // Without decimals, the token's own decimals are read from the chain before the batch is used
+  const addErc20Transaction = (tokenAddress, to, value, decimals) => {
     if (!ethers.isAddress(tokenAddress)) {
       throw new Error(`Invalid token address: ${tokenAddress}`);
     }
 
-    if (!ethers.isAddress(to)) {
-      throw new Error(`Invalid recipient address: ${to}`);
-    }
+    const recipient = queuedRecipient(to);
 
     try {
-      // Initialize token group if it doesn't exist
-      if (!transactionGroups.erc20[tokenAddress]) {
-        transactionGroups.erc20[tokenAddress] = [];
+      // Group by checksummed address, so differently-cased addresses share a group
+      const token = ethers.getAddress(tokenAddress);
+      const queued = queuedTokenValue(value, decimals);
+      
+      const merged = checkDuplicate(transactionGroups.erc20[token] || [], token, { ...recipient, ...queued });
+      if (merged) {
+        return merged.id;
       }
       
-      // Convert value to correct decimal places
-      const valueWithDecimals = ethers.parseUnits(value.toString(), decimals);
+      const id = nextTransactionId();
       
-      // Add to the appropriate token group
-      transactionGroups.erc20[tokenAddress].push({
-        to,
-        value: valueWithDecimals,
-        decimals
+      if (!transactionGroups.erc20[token]) {
+        transactionGroups.erc20[token] = [];
+      }
+      
+      transactionGroups.erc20[token].push({
+        id,
+        ...recipient,
+        ...queued
       });
+      warnIfDuplicated(transactionGroups.erc20[token], token, recipient);
       
-      return true;
+      return id;
     } catch (error) {
       throw new Error(`Error adding ERC-20 transaction: ${error.message}`);
     }
   };
 
-  // Clear all pending transactions from the batch
-  const clearTransactions = () => {
-    transactionGroups.eth = [];
-    transactionGroups.erc20 = {};
-    return true;
-  };
-
-  // Get the current status of the batch
-  const getBatchStatus = () => {
-    // Count ETH transactions
-    const ethCount = transactionGroups.eth.length;
-    
-    // Count ERC20 transactions and recipients
-    let erc20Count = 0;
-    let uniqueRecipients = new Set();
-    let totalEthValue = BigInt(0);
+  // Decimals a split total is given in: 18 for ETH, otherwise those given or the token's own
+  const splitDecimals = async (tokenAddress, decimals) => {
+    if (!tokenAddress) {
+      return 18;
+    }
+    if (decimals !== undefined && decimals !== null) {
+      return Number(decimals);
+    }
     
-    // Add ETH recipients to the set
-    for (const tx of transactionGroups.eth) {
-      uniqueRecipients.add(tx.to);
-      totalEthValue += BigInt(tx.value.toString());
+    const { provider } = await getConnection();
+    let token;
+    try {
+      token = await tokenRegistry.getToken(provider, tokenAddress);
+    } catch (error) {
+      throw new Error(`Unable to read token ${tokenAddress}: ${error.message}`);
     }
+    if (token.decimals === null) {
+      throw new Error(`Token ${tokenLabel(token, tokenAddress)} has no decimals() function; give its decimals with the split`);
+    }
+    return token.decimals;
+  };
+
+  // Check the shares of a split against the duplicate policy before any of them is queued,
+  // so a share that would be rejected (or could not be merged) leaves the queue untouched
+  const checkSplitShares = (tokenAddress, shares, places) => {
+    const policy = getDuplicatePolicy();
+    const group = [...(tokenAddress ? transactionGroups.erc20[tokenAddress] || [] : transactionGroups.eth)];
     
-    // Add ERC20 recipients to the set and count transactions
-    for (const tokenAddress in transactionGroups.erc20) {
-      const tokenTxs = transactionGroups.erc20[tokenAddress];
-      erc20Count += tokenTxs.length;
+    shares.forEach((share, i) => {
+      if (policy === 'reject') {
+        checkDuplicate(group, tokenAddress, share);
+      }
       
-      for (const tx of tokenTxs) {
-        uniqueRecipients.add(tx.to);
+      const existing = group.find(item => item.to.toLowerCase() === share.to.toLowerCase());
+      if (policy === 'merge' && tokenAddress && existing && existing.decimals !== null && existing.decimals !== places) {
+        throw new Error(`Cannot merge amounts queued with ${existing.decimals} and ${places} decimals`);
       }
+      
+      group.push({ id: `share ${i + 1} of this split`, ...share, decimals: places });
+    });
+  };
+
+  // Split a total in base units with `split` and queue one ETH (tokenAddress null) or token transfer per share
+  // Each share is queued like addEthTransaction or addErc20Transaction, so the duplicate policy applies to it;
+  // every share is checked first, so the split is queued whole or not at all
+  const addSplit = async (tokenAddress, recipients, total, decimals, split) => {
+    if (tokenAddress && !ethers.isAddress(tokenAddress)) {
+      throw new Error(`Invalid token address: ${tokenAddress}`);
     }
     
-    return {
-      totalTransactions: ethCount + erc20Count,
-      ethTransactions: ethCount,
-      erc20Transactions: erc20Count,
-      erc20TokenCount: Object.keys(transactionGroups.erc20).length,
+    try {
+      // Check every recipient before anything is queued
+      recipients.forEach(queuedRecipient);
+      
+      const places = await splitDecimals(tokenAddress, decimals);
+      const values = split(ethers.parseUnits(total.toString(), places));
+      
+      const zeroShare = values.findIndex(value => value === BigInt(0));
+      if (zeroShare !== -1) {
+        throw new Error(`The share of ${recipients[zeroShare]} is zero; raise the total or leave the recipient out`);
+      }
+      
+      const amounts = values.map(value => ethers.formatUnits(value, places));
+      checkSplitShares(tokenAddress && ethers.getAddress(tokenAddress), recipients.map(queuedRecipient), places);
+      
+      const ids = recipients.map((to, i) => (tokenAddress
+        ? addErc20Transaction(tokenAddress, to, amounts[i], places)
+        : addEthTransaction(to, amounts[i])));
+      
+      return { ids, values: values.map(value => value.toString()), amounts };
+    } catch (error) {
+      throw new Error(`Error adding split: ${error.message}`);
+    }
+  };
+
+  // Split `total` (in ETH or token units) evenly across recipients and queue a transfer to each; tokenAddress null for ETH
+  // Works in base units: the first (remainder) recipients get one base unit more, so the shares sum exactly to the total
+  // Returns { ids, values, amounts }, with values in base units
+  const addEvenSplit = async (tokenAddress, recipients, total, decimals) => {
+    if (!Array.isArray(recipients) || recipients.length === 0) {
+      throw new Error('Error adding split: at least one recipient is required');
+    }
+    return addSplit(tokenAddress, recipients, total, decimals, units => splitEvenly(units, recipients.length));
+  };
+
+  // Split `total` in proportion to weights and queue a transfer to each recipient; shares: [{ to, weight }]
+  // Base units left over after rounding down go to the largest remainders, ties to the earlier recipient
+  const addWeightedSplit = async (tokenAddress, shares, total, decimals) => {
+    if (!Array.isArray(shares) || shares.length === 0) {
+      throw new Error('Error adding split: at least one recipient is required');
+    }
+    return addSplit(
+      tokenAddress,
+      shares.map(share => share.to),
+      total,
+      decimals,
+      units => splitByWeights(units, shares.map(share => share.weight))
+    );
+  };
+
+  // Check the transfers of a multi-token bundle: [{ tokenAddress, value, decimals }]
+  const checkBundleTransfers = (transfers) => {
+    if (!Array.isArray(transfers) || transfers.length === 0) {
+      throw new Error('A multi-token transaction needs at least one token transfer');
+    }
+
+    for (const transfer of transfers) {
+      if (!ethers.isAddress(transfer.tokenAddress)) {
+        throw new Error(`Invalid token address: ${transfer.tokenAddress}`);
+      }
+    }
+  };
+
+  // Queue-time form of a bundle's transfers, each converted to its token's decimal places
+  const queuedBundleTransfers = (transfers) => transfers.map(transfer => ({
+    token: ethers.getAddress(transfer.tokenAddress),
+    ...queuedTokenValue(transfer.value, transfer.decimals)
+  }));
+
+  // Add a bundle of different ERC-20 tokens sent to a single recipient in one transaction; returns the bundle's ID
+  // transfers: [{ tokenAddress, value, decimals }]
+  const addMultiTokenTransaction = (to, transfers) => {
+    const recipient = queuedRecipient(to);
+    checkBundleTransfers(transfers);
+
+    try {
+      // Convert every value before queueing anything
+      const bundleTransfers = queuedBundleTransfers(transfers);
+      const id = nextTransactionId();
+
+      transactionGroups.multiToken.push({
+        id,
+        ...recipient,
+        transfers: bundleTransfers
+      });
+
+      return id;
+    } catch (error) {
+      throw new Error(`Error adding multi-token transaction: ${error.message}`);
+    }
+  };
+
+  // Queue-time form of an NFT transfer: the token ID, and the amount (always 1 for ERC-721)
+  const queuedNftValue = (kind, tokenId, amount) => {
+    const parseWhole = (value, label) => {
+      const text = value === undefined || value === null ? '' : value.toString();
+      if (!/^(\d+|0x[0-9a-fA-F]+)$/.test(text)) {
+        throw new Error(`Invalid ${label}: ${text}`);
+      }
+      return BigInt(text);
+    };
+    
+    const value = kind === 'erc721' ? BigInt(1) : parseWhole(amount, 'amount');
+    if (value === BigInt(0)) {
+      throw new Error('Amount must be greater than 0');
+    }
+    return { tokenId: parseWhole(tokenId, 'token ID'), value };
+  };
+
+  // Refuse an ERC-721 token that is already queued, since it can only be sent once
+  // `replacing` is the transfer being updated, which never conflicts with itself
+  const checkNftTransfer = (kind, tokenAddress, transfer, replacing = null) => {
+    if (kind !== 'erc721') {
+      return;
+    }
+    
+    const existing = (transactionGroups.erc721[tokenAddress] || [])
+      .find(item => item !== replacing && item.tokenId === transfer.tokenId);
+    if (existing) {
+      throw new Error(
+        `Token ID ${transfer.tokenId} of ${tokenLabel(tokenRegistry.peekToken(tokenAddress), tokenAddress)} ` +
+        `is already queued (${existing.id})`
+      );
+    }
+  };
+
+  // Queue an NFT transfer in the group of its contract; returns its ID
+  const addNftTransaction = (kind, tokenAddress, to, tokenId, amount) => {
+    if (!ethers.isAddress(tokenAddress)) {
+      throw new Error(`Invalid token address: ${tokenAddress}`);
+    }
+    
+    const recipient = queuedRecipient(to);
+    
+    try {
+      const token = ethers.getAddress(tokenAddress);
+      const queued = queuedNftValue(kind, tokenId, amount);
+      checkNftTransfer(kind, token, queued);
+      
+      const id = nextTransactionId();
+      
+      if (!transactionGroups[kind][token]) {
+        transactionGroups[kind][token] = [];
+      }
+      
+      transactionGroups[kind][token].push({
+        id,
+        ...recipient,
+        ...queued
+      });
+      
+      return id;
+    } catch (error) {
+      throw new Error(`Error adding ${NFT_STANDARDS[kind].label} transaction: ${error.message}`);
+    }
+  };
+
+  // Add an ERC-721 token transfer to the batch; returns its ID
+  // The batch is sent with safeTransferFrom, so contract recipients must implement onERC721Received
+  const addErc721Transaction = (tokenAddress, to, tokenId) => addNftTransaction('erc721', tokenAddress, to, tokenId);
+
+  // Add a transfer of `amount` ERC-1155 tokens of one ID to the batch; returns its ID
+  // Transfers to the same recipient are sent together in one safeBatchTransferFrom
+  const addErc1155Transaction = (tokenAddress, to, tokenId, amount = 1) => (
+    addNftTransaction('erc1155', tokenAddress, to, tokenId, amount)
+  );
+
+  // Every queued NFT group as { kind, token, txs }: ERC-721 collections, then ERC-1155 contracts
+  const queuedNftGroups = () => Object.keys(NFT_STANDARDS).flatMap(kind => Object.keys(transactionGroups[kind]).map(
+    tokenAddress => ({ kind, token: tokenAddress, txs: transactionGroups[kind][tokenAddress] })
+  ));
+
+  // Number of queued NFT transfers
+  const countNftTransfers = () => queuedNftGroups().reduce((count, group) => count + group.txs.length, 0);
+
+  // Every queued bundle transfer that spends the given token
+  const bundleTransfersOf = (tokenAddress) => transactionGroups.multiToken.flatMap(
+    bundle => bundle.transfers
+      .filter(transfer => transfer.token.toLowerCase() === tokenAddress.toLowerCase())
+      .map(transfer => ({ to: bundle.to, value: transfer.value, decimals: transfer.decimals }))
+  );
+
+  // Number of individual transfers queued in multi-token bundles
+  const countBundleTransfers = () => transactionGroups.multiToken.reduce(
+    (count, bundle) => count + bundle.transfers.length,
+    0
+  );
+
+  // Import a recipient list (CSV or JSON content) into the batch
+  // Valid rows are queued; rejected rows are reported with their line numbers and reasons
+  const importTransactions = (content, options = {}) => {
+    const format = options.format || detectFormat(content, options.fileName);
+    const rows = parseRecipientRows(content, format);
+
+    const report = {
+      format,
+      totalRows: rows.length,
+      added: 0,
+      ethAdded: 0,
+      erc20Added: 0,
+      ids: [],
+      rejected: []
+    };
+
+    for (const row of rows) {
+      const { transfer, reason } = validateRecipientRow(row, {
+        token: options.token,
+        decimals: options.decimals
+      });
+
+      if (!transfer) {
+        report.rejected.push({ line: row.line, address: row.address, amount: row.amount, token: row.token, reason });
+        continue;
+      }
+
+      try {
+        if (transfer.token) {
+          report.ids.push(addErc20Transaction(transfer.token, transfer.to, transfer.amount, transfer.decimals));
+          report.erc20Added++;
+        } else {
+          report.ids.push(addEthTransaction(transfer.to, transfer.amount));
+          report.ethAdded++;
+        }
+        report.added++;
+      } catch (error) {
+        report.rejected.push({ line: row.line, address: row.address, amount: row.amount, token: row.token, reason: error.message });
+      }
+    }
+
+    return report;
+  };
+
+  // Read a recipient list file from disk and import it into the batch
+  const importTransactionsFromFile = async (filePath, options = {}) => {
+    // Required lazily so the module still loads in browser bundles
+    const fs = require('fs');
+
+    let content;
+    try {
+      content = await fs.promises.readFile(filePath, 'utf8');
+    } catch (error) {
+      throw new Error(`Unable to read recipient list ${filePath}: ${error.message}`);
+    }
+
+    return importTransactions(content, { fileName: filePath, ...options });
+  };
+
+  // Clear all pending transactions from the batch
+  const clearTransactions = () => {
+    transactionGroups.eth = [];
+    transactionGroups.erc20 = {};
+    transactionGroups.multiToken = [];
+    transactionGroups.erc721 = {};
+    transactionGroups.erc1155 = {};
+    return true;
+  };
+
+  // A queued transfer or bundle as returned by listTransactions and getTransaction
+  // Token values are in base units, and null while the amount waits for resolveTokens()
+  const describeQueued = (type, item, tokenAddress) => {
+    const described = { id: item.id, type, to: item.to, name: item.name || null };
+    
+    if (type === 'eth') {
+      return { ...described, value: item.value.toString(), amount: ethers.formatEther(item.value) };
+    }
+    
+    const describeTransfer = (transfer, token) => ({
+      token,
+      symbol: tokenSymbol(token),
+      value: transfer.value === null ? null : transfer.value.toString(),
+      amount: transfer.amount,
+      decimals: transfer.decimals
+    });
+    
+    if (type === 'erc20') {
+      return { ...described, ...describeTransfer(item, tokenAddress) };
+    }
+    
+    if (isNftKind(type)) {
+      return {
+        ...described,
+        token: tokenAddress,
+        symbol: tokenSymbol(tokenAddress),
+        tokenId: item.tokenId.toString(),
+        amount: item.value.toString()
+      };
+    }
+    
+    return { ...described, transfers: item.transfers.map(transfer => describeTransfer(transfer, transfer.token)) };
+  };
+
+  // Every queued item in queue order, with its type and the array that holds it
+  const queuedItems = () => [
+    ...transactionGroups.eth.map(item => ({ type: 'eth', item, token: null, group: transactionGroups.eth })),
+    ...Object.keys(transactionGroups.erc20).flatMap(tokenAddress => transactionGroups.erc20[tokenAddress].map(
+      item => ({ type: 'erc20', item, token: tokenAddress, group: transactionGroups.erc20[tokenAddress] })
+    )),
+    ...transactionGroups.multiToken.map(item => ({ type: 'multiToken', item, token: null, group: transactionGroups.multiToken })),
+    ...queuedNftGroups().flatMap(({ kind, token, txs }) => txs.map(item => ({ type: kind, item, token, group: txs })))
+  ];
+
+  // Find a queued item by ID, or throw
+  const findQueued = (id) => {
+    const found = queuedItems().find(queued => queued.item.id === id);
+    if (!found) {
+      throw new Error(`No queued transaction with ID ${id}`);
+    }
+    return found;
+  };
+
+  // Take an item out of its group, dropping a token or NFT group once it is empty
+  const unqueue = ({ type, item, token, group }) => {
+    group.splice(group.indexOf(item), 1);
+    if (token && group.length === 0) {
+      delete transactionGroups[type][token];
+    }
+  };
+
+  // List the queued transfers and bundles, optionally only those of one type ('eth', 'erc20', 'multiToken',
+  // 'erc721' or 'erc1155') or one token (token and NFT transfers, and bundles that include it)
+  const listTransactions = (filter = {}) => queuedItems()
+    .filter(({ type }) => !filter.type || type === filter.type)
+    .filter(({ type, item, token }) => !filter.token || (type === 'multiToken'
+      ? item.transfers.some(transfer => transfer.token.toLowerCase() === filter.token.toLowerCase())
+      : token !== null && token.toLowerCase() === filter.token.toLowerCase()))
+    .map(({ type, item, token }) => describeQueued(type, item, token));
+
+  // Get one queued transfer or bundle by ID, or null when there is none
+  const getTransaction = (id) => {
+    const found = queuedItems().find(queued => queued.item.id === id);
+    return found ? describeQueued(found.type, found.item, found.token) : null;
+  };
+
+  // Change a queued transfer or bundle in place, keeping its ID
+  // ETH transfers take { to, value }; token transfers { to, value, tokenAddress, decimals }; bundles { to, transfers };
+  // NFT transfers { to, tokenId, amount } (amount for ERC-1155 only)
+  // Nothing changes when any of the new values is invalid. Returns the updated transfer or bundle
+  const updateTransaction = (id, changes = {}) => {
+    const found = findQueued(id);
+    const { type, item, token } = found;
+    
+    if (isNftKind(type) && (changes.tokenAddress !== undefined || changes.decimals !== undefined || changes.value !== undefined)) {
+      throw new Error(`Transaction ${id} is an NFT transfer; give its new tokenId or amount instead`);
+    }
+    if (!isNftKind(type) && (changes.tokenId !== undefined || changes.amount !== undefined)) {
+      throw new Error(`Transaction ${id} is not an NFT transfer; remove it and add a new one instead`);
+    }
+    if (type === 'erc721' && changes.amount !== undefined) {
+      throw new Error(`Transaction ${id} is an ERC-721 transfer, which always sends one token`);
+    }
+    if (type !== 'erc20' && (changes.tokenAddress !== undefined || changes.decimals !== undefined)) {
+      throw new Error(`Transaction ${id} is not a token transfer; remove it and add a new one instead`);
+    }
+    if (type !== 'multiToken' && changes.transfers !== undefined) {
+      throw new Error(`Transaction ${id} is not a multi-token bundle; remove it and add a new one instead`);
+    }
+    if (type === 'multiToken' && changes.value !== undefined) {
+      throw new Error(`Transaction ${id} is a multi-token bundle; give its new transfers instead of a value`);
+    }
+    
+    // Keep a recipient name unless the recipient changes
+    const recipient = changes.to !== undefined ? queuedRecipient(changes.to) : { to: item.to, name: item.name };
+    
+    try {
+      if (type === 'eth') {
+        const value = changes.value !== undefined ? ethers.parseEther(changes.value.toString()) : item.value;
+        checkDuplicate(transactionGroups.eth, null, recipient, item);
+        Object.assign(item, recipient, { value });
+        warnIfDuplicated(transactionGroups.eth, null, item);
+      } else if (type === 'erc20') {
+        if (changes.tokenAddress !== undefined && !ethers.isAddress(changes.tokenAddress)) {
+          throw new Error(`Invalid token address: ${changes.tokenAddress}`);
+        }
+        const newToken = changes.tokenAddress !== undefined ? ethers.getAddress(changes.tokenAddress) : token;
+        
+        // A new token's decimals are read from the chain unless given with the change
+        let queued = { value: item.value, amount: item.amount, decimals: item.decimals };
+        if (changes.value !== undefined || changes.decimals !== undefined || newToken !== token) {
+          const decimals = changes.decimals !== undefined ? changes.decimals : newToken === token ? item.decimals : null;
+          queued = queuedTokenValue(changes.value !== undefined ? changes.value : item.amount, decimals);
+        }
+        
+        checkDuplicate(transactionGroups.erc20[newToken] || [], newToken, recipient, item);
+        Object.assign(item, recipient, queued);
+        if (newToken !== token) {
+          unqueue(found);
+          if (!transactionGroups.erc20[newToken]) {
+            transactionGroups.erc20[newToken] = [];
+          }
+          transactionGroups.erc20[newToken].push(item);
+        }
+        warnIfDuplicated(transactionGroups.erc20[newToken], newToken, item);
+      } else if (isNftKind(type)) {
+        const queued = queuedNftValue(
+          type,
+          changes.tokenId !== undefined ? changes.tokenId : item.tokenId,
+          changes.amount !== undefined ? changes.amount : item.value
+        );
+        checkNftTransfer(type, token, queued, item);
+        Object.assign(item, recipient, queued);
+      } else {
+        let transfers = item.transfers;
+        if (changes.transfers !== undefined) {
+          checkBundleTransfers(changes.transfers);
+          transfers = queuedBundleTransfers(changes.transfers);
+        }
+        Object.assign(item, recipient, { transfers });
+      }
+    } catch (error) {
+      throw new Error(`Error updating transaction ${id}: ${error.message}`);
+    }
+    
+    // A name that was dropped from the recipient must not linger on the item
+    if (!recipient.name) {
+      delete item.name;
+    }
+    
+    return getTransaction(id);
+  };
+
+  // Remove a queued transfer or bundle; returns what was removed
+  const removeTransaction = (id) => {
+    const found = findQueued(id);
+    const removed = describeQueued(found.type, found.item, found.token);
+    unqueue(found);
+    return removed;
+  };
+
+  // Recipients queued more than once in the ETH group or in one token's group, whatever the duplicate policy
+  // Names compare by name until resolveRecipients() pins them, and by address after
+  // Each duplicate lists the IDs of its transfers and their total (null while a token amount waits for its decimals)
+  const getDuplicates = () => {
+    const groups = [
+      [null, transactionGroups.eth],
+      ...Object.keys(transactionGroups.erc20).map(tokenAddress => [tokenAddress, transactionGroups.erc20[tokenAddress]])
+    ];
+    const duplicates = [];
+    
+    for (const [tokenAddress, group] of groups) {
+      const byRecipient = new Map();
+      for (const item of group) {
+        const key = item.to.toLowerCase();
+        if (!byRecipient.has(key)) {
+          byRecipient.set(key, []);
+        }
+        byRecipient.get(key).push(item);
+      }
+      
+      for (const items of byRecipient.values()) {
+        if (items.length < 2) {
+          continue;
+        }
+        
+        const total = items.every(item => item.value !== null) ? sumValues(items) : null;
+        let totalFormatted = null;
+        if (total !== null) {
+          totalFormatted = tokenAddress ? ethers.formatUnits(total, items[0].decimals) : ethers.formatEther(total);
+        }
+        
+        duplicates.push({
+          token: tokenAddress,
+          symbol: tokenSymbol(tokenAddress),
+          to: items[0].to,
+          name: items.find(item => item.name)?.name || null,
+          ids: items.map(item => item.id),
+          count: items.length,
+          total: total === null ? null : total.toString(),
+          totalFormatted
+        });
+      }
+    }
+    
+    return duplicates;
+  };
+
+  // Apply the duplicate policy to the whole queue before it is used, once names are resolved, since a name
+  // and an address can turn out to be the same recipient: 'reject' refuses the batch, 'warn' warns once,
+  // and 'merge' folds each duplicate into the first of its transfers
+  const settleDuplicates = () => {
+    const policy = getDuplicatePolicy();
+    const duplicates = getDuplicates();
+    
+    if (duplicates.length === 0 || policy === 'allow') {
+      return;
+    }
+    
+    if (policy === 'reject') {
+      throw new Error(
+        `Duplicate recipients queued: ${duplicates.map(duplicate => `${duplicate.name || duplicate.to} ` +
+        `for ${duplicate.symbol || duplicate.token || 'ETH'} (${duplicate.ids.join(', ')})`).join('; ')}`
+      );
+    }
+    
+    for (const duplicate of duplicates) {
+      if (policy === 'warn') {
+        warnDuplicate(duplicate.token, duplicate, duplicate.ids);
+        continue;
+      }
+      
+      const group = duplicate.token ? transactionGroups.erc20[duplicate.token] : transactionGroups.eth;
+      const [target, ...rest] = duplicate.ids.map(id => group.find(item => item.id === id));
+      for (const item of rest) {
+        mergeTransfer(target, item, duplicate.token);
+        group.splice(group.indexOf(item), 1);
+      }
+      notify(
+        'duplicate:merged',
+        { token: duplicate.token, symbol: duplicate.symbol, to: target.to, name: target.name || null, id: target.id },
+        `Merged ${rest.length} duplicate ${rest.length === 1 ? 'transfer' : 'transfers'} to ${target.name || target.to} into ${target.id}`
+      );
+    }
+  };
+
+  // Get the current status of the batch
+  const getBatchStatus = () => {
+    // Count ETH transactions
+    const ethCount = transactionGroups.eth.length;
+    
+    // Count ERC20 transactions and recipients
+    let erc20Count = 0;
+    let uniqueRecipients = new Set();
+    let totalEthValue = BigInt(0);
+    
+    // Add ETH recipients to the set
+    for (const tx of transactionGroups.eth) {
+      uniqueRecipients.add(tx.to);
+      totalEthValue += BigInt(tx.value.toString());
+    }
+    
+    // Add ERC20 recipients to the set and collect the transfers of each token
+    const tokens = new Map();
+    const addTokenTransfer = (tokenAddress, transfer) => {
+      if (!tokens.has(tokenAddress)) {
+        tokens.set(tokenAddress, []);
+      }
+      tokens.get(tokenAddress).push(transfer);
+    };
+    
+    for (const tokenAddress in transactionGroups.erc20) {
+      const tokenTxs = transactionGroups.erc20[tokenAddress];
+      erc20Count += tokenTxs.length;
+      
+      for (const tx of tokenTxs) {
+        uniqueRecipients.add(tx.to);
+        addTokenTransfer(tokenAddress, tx);
+      }
+    }
+    
+    // Add multi-token bundle recipients and their tokens
+    const multiTokenCount = countBundleTransfers();
+    for (const bundle of transactionGroups.multiToken) {
+      uniqueRecipients.add(bundle.to);
+      for (const transfer of bundle.transfers) {
+        addTokenTransfer(transfer.token, transfer);
+      }
+    }
+    
+    // Add NFT recipients
+    const nftGroups = queuedNftGroups();
+    for (const group of nftGroups) {
+      for (const tx of group.txs) {
+        uniqueRecipients.add(tx.to);
+      }
+    }
+    
+    return {
+      totalTransactions: ethCount + erc20Count + multiTokenCount + countNftTransfers(),
+      ethTransactions: ethCount,
+      erc20Transactions: erc20Count,
+      multiTokenTransactions: multiTokenCount,
+      multiTokenBundles: transactionGroups.multiToken.length,
+      erc721Transactions: nftGroups.filter(group => group.kind === 'erc721').reduce((count, group) => count + group.txs.length, 0),
+      erc1155Transactions: nftGroups.filter(group => group.kind === 'erc1155').reduce((count, group) => count + group.txs.length, 0),
+      erc20TokenCount: tokens.size,
       totalEthValue: ethers.formatEther(totalEthValue),
-      uniqueRecipients: uniqueRecipients.size
+      uniqueRecipients: uniqueRecipients.size,
+      // Recipients queued more than once for ETH or for one token; see getDuplicates()
+      duplicateRecipients: getDuplicates().length,
+      // Recipients given by name; address is null until resolveRecipients() has resolved them
+      recipientNames: [...new Set(
+        queuedItems()
+          .map(queued => queued.item)
+          .filter(item => item.name)
+          .map(item => item.name)
+      )].map(name => ({ name, address: resolvedNames.get(name) || null })),
+      // Symbol and decimals are null until resolveTokens() has read them, and the total (in base units)
+      // is null while any of the token's amounts was queued without decimals
+      tokens: [...tokens].map(([address, transfers]) => {
+        const token = tokenRegistry.peekToken(address);
+        const total = transfers.every(tx => tx.value !== null) ? sumValues(transfers) : null;
+        const decimals = token && token.decimals !== null ? token.decimals : transfers[0].decimals;
+        return {
+          address,
+          symbol: token ? token.symbol : null,
+          decimals: token ? token.decimals : null,
+          transfers: transfers.length,
+          total: total === null ? null : total.toString(),
+          totalFormatted: total === null ? null : ethers.formatUnits(total, decimals)
+        };
+      }),
+      // One entry per NFT contract; amount counts the tokens sent (the transfers, for ERC-721)
+      nfts: nftGroups.map(group => ({
+        address: group.token,
+        standard: group.kind,
+        symbol: tokenSymbol(group.token),
+        transfers: group.txs.length,
+        amount: sumValues(group.txs).toString()
+      }))
+    };
+  };
+
+  // Every queued token transfer as the object it is stored in, with its token: group transfers, then bundle transfers
+  const queuedTokenTransfers = () => [
+    ...Object.keys(transactionGroups.erc20).flatMap(tokenAddress => transactionGroups.erc20[tokenAddress].map(
+      tx => ({ token: tokenAddress, transfer: tx })
+    )),
+    ...transactionGroups.multiToken.flatMap(bundle => bundle.transfers.map(
+      transfer => ({ token: transfer.token, transfer })
+    ))
+  ];
+
+  // Provider used to resolve recipient names: config.ensProviderUrl (such as an Ethereum mainnet RPC,
+  // which also resolves Basenames), or the batch's own provider
+  const getEnsProvider = async () => {
+    if (!config.ensProviderUrl) {
+      return (await getConnection()).provider;
+    }
+    if (!ensProvider) {
+      ensProvider = new ethers.JsonRpcProvider(config.ensProviderUrl);
+    }
+    return ensProvider;
+  };
+
+  // Resolve every queued recipient name to an address
+  // Each name is resolved once and then pinned, so simulations, estimates and the send all pay the same
+  // address even if the name's record changes in between. Returns { name: address } for the queued names
+  const resolveRecipients = async () => {
+    const named = queuedItems().map(queued => queued.item).filter(item => item.name);
+    const resolutions = {};
+    
+    for (const item of named) {
+      if (!resolvedNames.has(item.name)) {
+        const provider = await getEnsProvider();
+        
+        let address;
+        try {
+          address = await provider.resolveName(item.name);
+        } catch (error) {
+          throw new Error(`Unable to resolve ${item.name}: ${error.shortMessage || error.message}`);
+        }
+        
+        if (!address || address === ethers.ZeroAddress) {
+          throw new Error(`Name ${item.name} does not resolve to an address`);
+        }
+        resolvedNames.set(item.name, address);
+      }
+      
+      item.to = resolvedNames.get(item.name);
+      resolutions[item.name] = item.to;
+    }
+    
+    return resolutions;
+  };
+
+  // Read the decimals and symbol of every queued token, and check the queued transfers against them
+  // Transfers queued without decimals are converted with the token's own decimals. Refuses to continue
+  // when a caller-supplied decimals value disagrees with the token, since the amounts would be off by
+  // orders of magnitude. Returns the metadata of every queued token
+  const resolveTokens = async () => {
+    const queued = queuedTokenTransfers();
+    if (queued.length === 0 && queuedNftGroups().length === 0) {
+      return {};
+    }
+    
+    const { provider } = await getConnection();
+    const tokenAddresses = [...new Set(queued.map(item => item.token))];
+    const tokens = {};
+    
+    for (const tokenAddress of tokenAddresses) {
+      let token;
+      try {
+        token = await tokenRegistry.getToken(provider, tokenAddress);
+      } catch (error) {
+        throw new Error(`Unable to read token ${tokenAddress}: ${error.message}`);
+      }
+      tokens[tokenAddress] = token;
+      
+      const transfers = queued.filter(item => item.token === tokenAddress).map(item => item.transfer);
+      
+      const supplied = [...new Set(transfers.filter(tx => tx.decimals !== null).map(tx => tx.decimals))];
+      const mismatched = token.decimals === null ? [] : supplied.filter(decimals => decimals !== token.decimals);
+      if (mismatched.length > 0) {
+        throw new Error(
+          `Token ${tokenLabel(token, tokenAddress)} has ${token.decimals} decimals, ` +
+          `but transfers were queued with ${mismatched.join(', ')}; fix the decimals before sending`
+        );
+      }
+      
+      // Without on-chain decimals, every transfer must say how many it uses, and agree
+      if (token.decimals === null && (supplied.length > 1 || transfers.some(tx => tx.decimals === null))) {
+        throw new Error(`Token ${tokenLabel(token, tokenAddress)} has no decimals() function; give its decimals with every transfer`);
+      }
+      
+      for (const tx of transfers.filter(item => item.value === null)) {
+        try {
+          tx.value = ethers.parseUnits(tx.amount, token.decimals);
+        } catch (error) {
+          throw new Error(`Invalid amount ${tx.amount} for token ${tokenLabel(token, tokenAddress)}: ${error.shortMessage || error.message}`);
+        }
+        tx.decimals = token.decimals;
+      }
+    }
+    
+    // NFT contracts are read for their symbols and must implement the standard they were queued under;
+    // they are left out of the returned tokens, which only lists ERC-20 tokens
+    for (const { kind, token: tokenAddress } of queuedNftGroups()) {
+      let token;
+      try {
+        token = await tokenRegistry.getToken(provider, tokenAddress);
+      } catch (error) {
+        throw new Error(`Unable to read token ${tokenAddress}: ${error.message}`);
+      }
+      
+      const nftContract = new ethers.Contract(tokenAddress, NFT_ABI, provider);
+      let supported = false;
+      try {
+        supported = await nftContract.supportsInterface(NFT_STANDARDS[kind].interfaceId);
+      } catch (error) {
+        // No ERC-165 support, so the standard cannot be confirmed
+      }
+      if (!supported) {
+        throw new Error(`Token ${tokenLabel(token, tokenAddress)} is not an ${NFT_STANDARDS[kind].label} contract`);
+      }
+    }
+    
+    return tokens;
+  };
+
+  // Symbol of a token already read by resolveTokens(), or null
+  const tokenSymbol = (tokenAddress) => {
+    const token = tokenAddress ? tokenRegistry.peekToken(tokenAddress) : null;
+    return token ? token.symbol : null;
+  };
+
+  // Whether token approvals are signed as EIP-2612 permits where the token supports them
+  const usesPermit = (options = {}) => (
+    options.usePermit !== undefined ? Boolean(options.usePermit) : Boolean(config.usePermit)
+  );
+
+  // Work out the EIP-712 domain a token signs permits with, or null if it does not support EIP-2612
+  // A candidate domain is only trusted if it hashes to the token's own DOMAIN_SEPARATOR
+  const getPermitDomain = async (tokenAddress) => {
+    if (permitDomains.has(tokenAddress)) {
+      return permitDomains.get(tokenAddress);
+    }
+    
+    const { provider, signer } = await getConnection();
+    const tokenContract = new ethers.Contract(tokenAddress, ERC20_PERMIT_ABI, provider);
+    
+    let domain = null;
+    try {
+      const [domainSeparator] = await Promise.all([
+        tokenContract.DOMAIN_SEPARATOR(),
+        tokenContract.nonces(await signer.getAddress())
+      ]);
+      const { chainId } = await provider.getNetwork();
+      const candidates = [];
+      
+      // Tokens implementing EIP-5267 describe their domain directly
+      try {
+        const described = await tokenContract.eip712Domain();
+        candidates.push({
+          name: described.name,
+          version: described.version,
+          chainId: described.chainId,
+          verifyingContract: described.verifyingContract
+        });
+      } catch (error) {
+        // Not EIP-5267; build the domain from name() and version() instead
+      }
+      
+      // version() is optional and most tokens without it use "1"
+      const name = await tokenContract.name();
+      const versions = ['1', '2'];
+      try {
+        versions.unshift(await tokenContract.version());
+      } catch (error) {
+        // No version() function
+      }
+      
+      for (const version of versions) {
+        candidates.push({ name, version, chainId, verifyingContract: tokenAddress });
+      }
+      
+      domain = candidates.find(
+        candidate => ethers.TypedDataEncoder.hashDomain(candidate) === domainSeparator
+      ) || null;
+    } catch (error) {
+      // Missing nonces() or DOMAIN_SEPARATOR(): no permit support
+      domain = null;
+    }
+    
+    permitDomains.set(tokenAddress, domain);
+    return domain;
+  };
+
+  // Sign an EIP-2612 permit letting the multisend contract spend `value` of a token
+  const signPermit = async (tokenAddress, domain, value, options = {}) => {
+    const { provider, signer, multiSendContract } = await getConnection();
+    
+    const tokenContract = new ethers.Contract(tokenAddress, ERC20_PERMIT_ABI, provider);
+    const owner = await signer.getAddress();
+    const nonce = await tokenContract.nonces(owner);
+    
+    // Measure the deadline from chain time rather than the local clock
+    const block = await provider.getBlock('latest');
+    const lifetime = options.permitDeadline || config.permitDeadline || DEFAULT_PERMIT_DEADLINE_SECONDS;
+    const deadline = BigInt(block.timestamp) + BigInt(lifetime);
+    
+    const signature = ethers.Signature.from(await signer.signTypedData(domain, PERMIT_TYPES, {
+      owner,
+      spender: await multiSendContract.getAddress(),
+      value,
+      nonce,
+      deadline
+    }));
+    
+    return {
+      value,
+      deadline,
+      v: signature.v,
+      r: signature.r,
+      s: signature.s
+    };
+  };
+
+  // The approval strategy for a send ('exact', 'unlimited' or 'revokeAfter')
+  const getApprovalStrategy = (options = {}) => {
+    const strategy = options.approvalStrategy || config.approvalStrategy || 'exact';
+    if (!APPROVAL_STRATEGIES.includes(strategy)) {
+      throw new Error(`Invalid approval strategy: ${strategy} (expected ${APPROVAL_STRATEGIES.join(', ')})`);
+    }
+    return strategy;
+  };
+
+  // Record an approval, reset, revocation or permit in the active run
+  const recordApproval = (approval) => {
+    approval.symbol = tokenSymbol(approval.token);
+    if (activeRun) {
+      activeRun.approvals.push(approval);
+    }
+    return approval;
+  };
+
+  // Send an approve transaction for a token and wait for it to confirm
+  // `type` is 'approve', 'reset' (to zero before a new approval) or 'revoke' (to zero after the run);
+  // for NFT contracts, 'approveAll' or 'revokeAll' sets or clears the operator approval, without an amount
+  const sendApproval = async (tokenContract, spender, amount, type, options = {}) => {
+    const { signer } = await getConnection();
+    const tokenAddress = await tokenContract.getAddress();
+    const operatorApproval = type === 'approveAll' || type === 'revokeAll';
+    
+    const approval = recordApproval({
+      token: tokenAddress,
+      type,
+      amount: operatorApproval ? null : amount.toString(),
+      transactionHash: null,
+      blockNumber: null,
+      gasUsed: null,
+      status: 'pending'
+    });
+    
+    const label = {
+      approve: 'Approval',
+      reset: 'Allowance reset',
+      revoke: 'Allowance revocation',
+      approveAll: 'Operator approval',
+      revokeAll: 'Operator revocation'
+    }[type];
+    const tokenName = tokenLabel(tokenRegistry.peekToken(tokenAddress), tokenAddress);
+    
+    try {
+      const startBlock = await signer.provider.getBlockNumber();
+      const approveTx = operatorApproval
+        ? await tokenContract.setApprovalForAll(spender, type === 'approveAll', buildFeeOptions(options))
+        : await tokenContract.approve(spender, amount, buildFeeOptions(options));
+      approval.transactionHash = approveTx.hash;
+      approval.status = 'submitted';
+      notify('approval:submitted', { ...approval }, `${label} of ${tokenName} submitted: ${approveTx.hash}`);
+      
+      const receipt = await waitForTransaction(approveTx, options, startBlock);
+      approval.transactionHash = receipt.hash;
+      approval.blockNumber = receipt.blockNumber;
+      approval.gasUsed = receipt.gasUsed.toString();
+      approval.status = 'success';
+      notify('approval:confirmed', { ...approval }, `${label} of ${tokenName} confirmed in block ${receipt.blockNumber}`);
+    } catch (error) {
+      approval.status = 'failed';
+      approval.error = error.shortMessage || error.message;
+      notify('approval:failed', { ...approval }, `${label} of ${tokenName} failed: ${approval.error}`, 'warn');
+      throw error;
+    }
+    
+    return approval;
+  };
+
+  // Whether a token refuses to change a non-zero allowance without resetting it to zero first (like USDT)
+  // Detected by the approval itself failing to estimate
+  const requiresAllowanceReset = async (tokenContract, spender, allowance, amount) => {
+    if (allowance === BigInt(0)) {
+      return false;
+    }
+    
+    try {
+      await tokenContract.approve.estimateGas(spender, amount);
+      return false;
+    } catch (error) {
+      return true;
+    }
+  };
+
+  // Helper function to check token balance and approve spending if needed
+  // When permits are allowed and the token supports them, a signed permit is returned instead of
+  // sending an approval; it must be passed to the first multisend of the token. Otherwise returns null
+  const checkAndApproveToken = async (tokenAddress, tokenTxs, options = {}, allowPermit = false) => {
+    const { signer, multiSendContract } = await getConnection();
+    
+    const tokenContract = new ethers.Contract(
+      tokenAddress,
+      ERC20_ABI,
+      signer
+    );
+    
+    // Calculate total amount needed
+    const totalAmount = tokenTxs.reduce(
+      (sum, tx) => sum + BigInt(tx.value.toString()),
+      BigInt(0)
+    );
+    
+    // Get signer address
+    const signerAddress = await signer.getAddress();
+    
+    // Check balance
+    const balance = await tokenContract.balanceOf(signerAddress);
+    if (balance < totalAmount) {
+      throw new Error(`Insufficient ${tokenAddress} token balance`);
+    }
+    
+    // Check allowance
+    const spender = await multiSendContract.getAddress();
+    const allowance = await tokenContract.allowance(signerAddress, spender);
+    
+    if (allowance >= totalAmount) {
+      return null;
+    }
+    
+    const approvalAmount = getApprovalStrategy(options) === 'unlimited' ? ethers.MaxUint256 : totalAmount;
+    
+    // Sign a permit instead of sending an approval where possible
+    if (allowPermit && usesPermit(options)) {
+      const domain = await getPermitDomain(tokenAddress);
+      if (domain) {
+        const permit = await signPermit(tokenAddress, domain, approvalAmount, options);
+        const approval = recordApproval({
+          token: tokenAddress,
+          type: 'permit',
+          amount: approvalAmount.toString(),
+          deadline: permit.deadline.toString(),
+          transactionHash: null,
+          blockNumber: null,
+          gasUsed: null,
+          status: 'signed'
+        });
+        notify('permit:signed', { ...approval }, `Signed permit for ${tokenLabel(tokenRegistry.peekToken(tokenAddress), tokenAddress)}`);
+        return permit;
+      }
+      notify(
+        'permit:unsupported',
+        { token: tokenAddress, symbol: tokenSymbol(tokenAddress) },
+        `${tokenLabel(tokenRegistry.peekToken(tokenAddress), tokenAddress)} does not support permit; falling back to approve`
+      );
+    }
+    
+    if (await requiresAllowanceReset(tokenContract, spender, allowance, approvalAmount)) {
+      await sendApproval(tokenContract, spender, BigInt(0), 'reset', options);
+    }
+    
+    await sendApproval(tokenContract, spender, approvalAmount, 'approve', options);
+    return null;
+  };
+
+  // Reset a token's allowance on the multisend contract to zero, if any is left
+  const revokeAllowance = async (tokenAddress, options = {}) => {
+    const { signer, multiSendContract } = await getConnection();
+    
+    const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, signer);
+    const spender = await multiSendContract.getAddress();
+    const allowance = await tokenContract.allowance(await signer.getAddress(), spender);
+    
+    if (allowance > BigInt(0)) {
+      await sendApproval(tokenContract, spender, BigInt(0), 'revoke', options);
+    }
+  };
+
+  // Check that the sender holds the NFTs to be sent, and make the multisend contract an operator of
+  // their contract with setApprovalForAll unless it already is
+  const checkAndApproveCollection = async (kind, tokenAddress, nftTxs, options = {}) => {
+    const { signer, multiSendContract } = await getConnection();
+    
+    const nftContract = new ethers.Contract(tokenAddress, NFT_ABI, signer);
+    const signerAddress = await signer.getAddress();
+    const tokenName = tokenLabel(tokenRegistry.peekToken(tokenAddress), tokenAddress);
+    
+    // Check ownership: every ERC-721 token, and the total of each ERC-1155 token ID
+    const needed = new Map();
+    for (const tx of nftTxs) {
+      needed.set(tx.tokenId, (needed.get(tx.tokenId) || BigInt(0)) + tx.value);
+    }
+    
+    for (const [tokenId, amount] of needed) {
+      if (kind === 'erc721') {
+        const owner = await nftContract.ownerOf(tokenId);
+        if (owner.toLowerCase() !== signerAddress.toLowerCase()) {
+          throw new Error(`Token ID ${tokenId} of ${tokenName} is owned by ${owner}, not by the sender`);
+        }
+      } else {
+        const balance = await nftContract.balanceOf(signerAddress, tokenId);
+        if (balance < amount) {
+          throw new Error(`Insufficient balance of token ID ${tokenId} of ${tokenName}: ${balance} held, ${amount} needed`);
+        }
+      }
+    }
+    
+    const operator = await multiSendContract.getAddress();
+    if (await nftContract.isApprovedForAll(signerAddress, operator)) {
+      return false;
+    }
+    await sendApproval(nftContract, operator, null, 'approveAll', options);
+    return true;
+  };
+
+  // Whether a run clears the multisend contract's operator approval of an NFT contract once it ends
+  // An operator approval has no amount, so only 'unlimited' leaves one in place; 'exact' clears the approvals
+  // the run granted itself, and 'revokeAfter' every approval the run relied on
+  const revokesOperatorApproval = (strategy, grantedByRun) => (
+    strategy === 'revokeAfter' || (strategy === 'exact' && grantedByRun)
+  );
+
+  // Clear the multisend contract's operator approval for an NFT contract, if it has one
+  const revokeOperatorApproval = async (tokenAddress, options = {}) => {
+    const { signer, multiSendContract } = await getConnection();
+    
+    const nftContract = new ethers.Contract(tokenAddress, NFT_ABI, signer);
+    const operator = await multiSendContract.getAddress();
+    
+    if (await nftContract.isApprovedForAll(await signer.getAddress(), operator)) {
+      await sendApproval(nftContract, operator, null, 'revokeAll', options);
+    }
+  };
+
+  // Whether sends skip failing recipients instead of reverting the whole chunk
+  const isBestEffort = (options = {}) => (
+    options.bestEffort !== undefined ? Boolean(options.bestEffort) : Boolean(config.bestEffort)
+  );
+
+  // Whether sends pack every queued transfer into one multiSendMixed transaction
+  const isAtomic = (options = {}) => (
+    options.atomic !== undefined ? Boolean(options.atomic) : Boolean(config.atomic)
+  );
+
+  // Whether chunks of equal amounts go through multiSendETHEqual and multiSendTokenEqual
+  // Opt-in (config.equalAmountCalls: true), since contracts deployed before those entry points do not have them
+  const usesEqualAmountCalls = () => config.equalAmountCalls === true;
+
+  // The delivery check token sends run with ('revert', 'report' or null for none)
+  // Checked sends measure every recipient's balance change through multiSendTokenChecked, which has no
+  // best-effort, permit or mixed variant
+  const getDeliveryCheck = (options = {}) => {
+    const check = options.verifyDelivery !== undefined ? options.verifyDelivery : config.verifyDelivery;
+    if (!check) {
+      return null;
+    }
+    if (!DELIVERY_CHECKS.includes(check)) {
+      throw new Error(`Invalid delivery check: ${check} (expected ${DELIVERY_CHECKS.join(', ')})`);
+    }
+    if (isBestEffort(options)) {
+      throw new Error('Delivery checks and best-effort mode cannot be combined');
+    }
+    if (isAtomic(options)) {
+      throw new Error('Delivery checks and atomic mode cannot be combined');
+    }
+    return check;
+  };
+
+  // multiSendMixed only carries ETH and ERC-20 transfers, so an atomic send cannot include NFTs
+  const checkAtomicBatch = () => {
+    if (queuedNftGroups().length > 0) {
+      throw new Error('Atomic mode cannot include NFT transfers; send them without atomic mode');
+    }
+  };
+
+  // Every queued ETH and ERC-20 transfer as { to, name, value, token }, with token null for ETH
+  // NFT transfers are kept apart (see queuedNftGroups), since they only travel in their own multisends
+  const allQueuedTransfers = () => [
+    ...transactionGroups.eth.map(tx => ({ to: tx.to, name: tx.name, value: tx.value, token: null })),
+    ...Object.keys(transactionGroups.erc20).flatMap(tokenAddress => transactionGroups.erc20[tokenAddress].map(
+      tx => ({ to: tx.to, name: tx.name, value: tx.value, token: tokenAddress })
+    )),
+    ...transactionGroups.multiToken.flatMap(bundle => bundle.transfers.map(
+      transfer => ({ to: bundle.to, name: bundle.name, value: transfer.value, token: transfer.token })
+    ))
+  ];
+
+  // Estimate gas for a single multisend call over the given transfers
+  // A token chunk carrying a permit is estimated through multiSendTokenWithPermit,
+  // and one with a delivery check through multiSendTokenChecked
+  const estimateChunkGas = async (kind, tokenAddress, chunk, bestEffort = false, permit = null, deliveryCheck = null) => {
+    const { multiSendContract } = await getConnection();
+
+    const recipients = chunk.map(tx => tx.to);
+    const amounts = chunk.map(tx => tx.value);
+
+    // Chunks that send one amount to everyone carry it once instead of as an array
+    const amount = (kind === 'eth' || kind === 'erc20') && !bestEffort && !permit && !deliveryCheck && usesEqualAmountCalls()
+      ? equalAmount(chunk)
+      : null;
+    if (kind === 'eth' && amount !== null) {
+      return multiSendContract.multiSendETHEqual.estimateGas(recipients, amount, { value: sumValues(chunk) });
+    }
+    if (kind === 'erc20' && amount !== null) {
+      return multiSendContract.multiSendTokenEqual.estimateGas(tokenAddress, recipients, amount);
+    }
+
+    if (kind === 'eth') {
+      const ethMethod = bestEffort ? 'multiSendETHBestEffort' : 'multiSendETH';
+      return multiSendContract[ethMethod].estimateGas(
+        recipients,
+        amounts,
+        { value: sumValues(chunk) }
+      );
+    }
+
+    // A mixed batch carries ETH and tokens together in one call
+    if (kind === 'mixed') {
+      const mixed = packMixedBatch(chunk);
+      return multiSendContract.multiSendMixed.estimateGas(
+        mixed.ethRecipients,
+        mixed.ethAmounts,
+        mixed.tokenBatches,
+        { value: mixed.value }
+      );
+    }
+
+    // A multi-token bundle goes to a single recipient, with one token per transfer
+    if (kind === 'multiToken') {
+      return multiSendContract.multiTokenTransfer.estimateGas(
+        chunk.map(tx => tx.token),
+        chunk[0].to,
+        amounts
+      );
+    }
+
+    if (isNftKind(kind)) {
+      const nftBatch = packNftBatch(kind, tokenAddress, chunk);
+      return multiSendContract[nftBatch.method].estimateGas(...nftBatch.args);
+    }
+
+    if (permit) {
+      return multiSendContract.multiSendTokenWithPermit.estimateGas(
+        tokenAddress,
+        recipients,
+        amounts,
+        permit.value,
+        permit.deadline,
+        permit.v,
+        permit.r,
+        permit.s
+      );
+    }
+
+    if (deliveryCheck) {
+      return multiSendContract.multiSendTokenChecked.estimateGas(
+        tokenAddress,
+        recipients,
+        amounts,
+        deliveryCheck === 'revert'
+      );
+    }
+
+    const tokenMethod = bestEffort ? 'multiSendTokenBestEffort' : 'multiSendToken';
+    return multiSendContract[tokenMethod].estimateGas(
+      tokenAddress,
+      recipients,
+      amounts
+    );
+  };
+
+  // The most gas a single multisend transaction may use
+  // An explicit gas ceiling, or a share of the current block gas limit
+  const getGasCeiling = async (options = {}) => {
+    const { provider } = await getConnection();
+
+    if (options.gasCeiling || config.gasCeiling) {
+      return BigInt(options.gasCeiling || config.gasCeiling);
+    }
+
+    const block = await provider.getBlock('latest');
+    const percent = BigInt(config.blockGasLimitPercent || DEFAULT_BLOCK_GAS_LIMIT_PERCENT);
+    return (block.gasLimit * percent) / BigInt(100);
+  };
+
+  // Work out how many recipients of a group fit into one transaction
+  // Limited by maxRecipientsPerTx and by a gas ceiling derived from the block gas limit
+  const getChunkSize = async (kind, tokenAddress, txs, options = {}) => {
+    const maxRecipients = Number(options.maxRecipientsPerTx || config.maxRecipientsPerTx || txs.length);
+    const gasCeiling = await getGasCeiling(options);
+
+    // Derive the gas per recipient from a small sample, falling back to a conservative default
+    let gasPerRecipient = config.gasPerRecipient ? BigInt(config.gasPerRecipient) : null;
+    if (!gasPerRecipient) {
+      const sample = txs.slice(0, GAS_SAMPLE_SIZE);
+      try {
+        const sampleGas = await estimateChunkGas(
+          kind,
+          tokenAddress,
+          sample,
+          isBestEffort(options),
+          null,
+          kind === 'erc20' ? getDeliveryCheck(options) : null
+        );
+        gasPerRecipient = (sampleGas + BigInt(sample.length - 1)) / BigInt(sample.length);
+      } catch (error) {
+        gasPerRecipient = DEFAULT_GAS_PER_RECIPIENT[kind];
+      }
+    }
+
+    // Leave room for the 10% buffer added to every gas limit
+    const bufferedGasPerRecipient = (gasPerRecipient * BigInt(110)) / BigInt(100);
+    const recipientsWithinGas = Number(gasCeiling / bufferedGasPerRecipient);
+
+    return Math.max(1, Math.min(maxRecipients, recipientsWithinGas));
+  };
+
+  // Split a group of transfers into chunks that each fit into one transaction
+  const planChunks = async (kind, tokenAddress, txs, options = {}) => {
+    const chunkSize = await getChunkSize(kind, tokenAddress, txs, options);
+    return splitIntoChunks(txs, chunkSize);
+  };
+
+  // Get the fee parameters used to price the batch
+  // Uses EIP-1559 fee data (base fee plus priority fee) when the network supports it
+  const getFeeEstimate = async (options = {}) => {
+    const { provider } = await getConnection();
+    
+    if (options.gasPrice && !options.maxFeePerGas && !options.maxPriorityFeePerGas) {
+      const gasPrice = BigInt(options.gasPrice);
+      return { type: 'legacy', gasPrice, effectiveGasPrice: gasPrice, maxGasPrice: gasPrice };
+    }
+    
+    const [feeData, block] = await Promise.all([
+      provider.getFeeData(),
+      provider.getBlock('latest')
+    ]);
+    
+    if (block.baseFeePerGas !== null && block.baseFeePerGas !== undefined && feeData.maxFeePerGas !== null) {
+      const baseFeePerGas = block.baseFeePerGas;
+      
+      // Caller-supplied EIP-1559 fees override the network suggestion
+      const maxPriorityFeePerGas = options.maxPriorityFeePerGas
+        ? BigInt(options.maxPriorityFeePerGas)
+        : feeData.maxPriorityFeePerGas || BigInt(0);
+      const maxFeePerGas = options.maxFeePerGas
+        ? BigInt(options.maxFeePerGas)
+        : feeData.maxFeePerGas;
+      
+      // The priority fee actually paid is capped by the max fee
+      const effectiveGasPrice = baseFeePerGas + maxPriorityFeePerGas < maxFeePerGas
+        ? baseFeePerGas + maxPriorityFeePerGas
+        : maxFeePerGas;
+      
+      return {
+        type: 'eip1559',
+        baseFeePerGas,
+        maxPriorityFeePerGas,
+        maxFeePerGas,
+        effectiveGasPrice,
+        maxGasPrice: maxFeePerGas
+      };
+    }
+    
+    const gasPrice = feeData.gasPrice || BigInt(0);
+    return { type: 'legacy', gasPrice, effectiveGasPrice: gasPrice, maxGasPrice: gasPrice };
+  };
+
+  // Estimate every chunk of a group; `estimate` returns the gas for one chunk
+  const estimateChunks = async (chunks, estimate) => {
+    const chunkEstimates = [];
+    let gasEstimate = BigInt(0);
+    let gasWithBuffer = BigInt(0);
+    
+    for (let i = 0; i < chunks.length; i++) {
+      const chunkGasEstimate = await estimate(chunks[i]);
+      
+      // Add buffer (10%)
+      const chunkGasWithBuffer = (chunkGasEstimate * BigInt(110)) / BigInt(100);
+      
+      chunkEstimates.push({
+        index: i,
+        recipients: chunks[i].length,
+        gasEstimate: chunkGasEstimate.toString(),
+        gasWithBuffer: chunkGasWithBuffer.toString()
+      });
+      
+      gasEstimate += chunkGasEstimate;
+      gasWithBuffer += chunkGasWithBuffer;
+    }
+    
+    return { gasEstimate, gasWithBuffer, chunks: chunkEstimates };
+  };
+
+  // Estimate the approval a token needs before `totalAmount` of it can be sent
+  // Permits are only considered when the token has a multisend group to carry them
+  const estimateApproval = async (tokenAddress, totalAmount, options, allowPermit) => {
+    const { signer, multiSendContract } = await getConnection();
+    
+    const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, signer);
+    const spender = await multiSendContract.getAddress();
+    
+    const allowance = await tokenContract.allowance(await signer.getAddress(), spender);
+    const approvalRequired = allowance < totalAmount;
+    
+    const strategy = getApprovalStrategy(options);
+    const approvalAmount = strategy === 'unlimited' ? ethers.MaxUint256 : totalAmount;
+    
+    // Best-effort and checked sends have no permit entry point, so they always approve
+    const permitDomain = approvalRequired && allowPermit && usesPermit(options) && !isBestEffort(options) && !getDeliveryCheck(options)
+      ? await getPermitDomain(tokenAddress)
+      : null;
+    
+    const approval = {
+      required: approvalRequired,
+      method: approvalRequired ? (permitDomain ? 'permit' : 'approve') : null,
+      strategy,
+      amount: approvalRequired ? approvalAmount.toString() : null,
+      currentAllowance: allowance.toString(),
+      resetRequired: false,
+      gasEstimate: '0',
+      gasWithBuffer: '0'
+    };
+    
+    let approvalGas = BigInt(0);
+    if (permitDomain) {
+      // The permit is verified inside the first multisend rather than in its own transaction
+      approvalGas = PERMIT_GAS;
+    } else if (approvalRequired) {
+      approval.resetRequired = await requiresAllowanceReset(tokenContract, spender, allowance, approvalAmount);
+      
+      // After a reset the approval cannot be estimated yet, so a typical approval cost is assumed
+      approvalGas = approval.resetRequired
+        ? await tokenContract.approve.estimateGas(spender, BigInt(0)) + DEFAULT_APPROVAL_GAS
+        : await tokenContract.approve.estimateGas(spender, approvalAmount);
+    }
+    
+    // revokeAfter resets the allowance with one more approval once the group is sent
+    if (strategy === 'revokeAfter') {
+      approvalGas += approvalRequired ? DEFAULT_APPROVAL_GAS : await tokenContract.approve.estimateGas(spender, BigInt(0));
+    }
+    
+    approval.gasEstimate = approvalGas.toString();
+    approval.gasWithBuffer = ((approvalGas * BigInt(110)) / BigInt(100)).toString();
+    
+    return approval;
+  };
+
+  // Estimate a token group, including the approval it may need first
+  // The approval also covers the token's transfers in multi-token bundles
+  // Without enough allowance the multisend cannot be estimated on-chain, so a per-recipient heuristic is used
+  const estimateTokenGroup = async (tokenAddress, tokenTxs, options) => {
+    const totalAmount = sumValues(tokenTxs);
+    const approval = await estimateApproval(
+      tokenAddress,
+      totalAmount + sumValues(bundleTransfersOf(tokenAddress)),
+      options,
+      true
+    );
+    
+    const chunks = await planChunks('erc20', tokenAddress, tokenTxs, options);
+    const estimate = approval.required
+      ? async (chunk) => heuristicGas('erc20', chunk.length)
+      : (chunk) => estimateChunkGas('erc20', tokenAddress, chunk, isBestEffort(options), null, getDeliveryCheck(options));
+    const chunkEstimates = await estimateChunks(chunks, estimate);
+    
+    return {
+      gasEstimate: chunkEstimates.gasEstimate,
+      gasWithBuffer: chunkEstimates.gasWithBuffer,
+      approvalGas: BigInt(approval.gasEstimate),
+      approvalGasWithBuffer: BigInt(approval.gasWithBuffer),
+      summary: {
+        gasEstimate: chunkEstimates.gasEstimate.toString(),
+        gasWithBuffer: chunkEstimates.gasWithBuffer.toString(),
+        totalAmount: totalAmount.toString(),
+        estimateMethod: approval.required ? 'heuristic' : 'onchain',
+        approval,
+        chunks: chunkEstimates.chunks
+      }
+    };
+  };
+
+  // Estimate every multi-token bundle, plus approvals for tokens that only appear in bundles
+  // `approvalRequired` maps lower-cased token addresses already estimated to whether they need an approval
+  const estimateBundles = async (options, approvalRequired) => {
+    const approvals = {};
+    let approvalGas = BigInt(0);
+    let approvalGasWithBuffer = BigInt(0);
+    
+    for (const bundle of transactionGroups.multiToken) {
+      for (const transfer of bundle.transfers) {
+        const key = transfer.token.toLowerCase();
+        if (approvalRequired.has(key)) {
+          continue;
+        }
+        
+        const approval = await estimateApproval(transfer.token, sumValues(bundleTransfersOf(transfer.token)), options, false);
+        approvals[transfer.token] = approval;
+        approvalRequired.set(key, approval.required);
+        approvalGas += BigInt(approval.gasEstimate);
+        approvalGasWithBuffer += BigInt(approval.gasWithBuffer);
+      }
+    }
+    
+    // Bundles spending a token that is not approved yet cannot be estimated on-chain
+    const bundleTxs = transactionGroups.multiToken.map(bundle => bundle.transfers.map(
+      transfer => ({ to: bundle.to, token: transfer.token, value: transfer.value })
+    ));
+    const bundleEstimates = await estimateChunks(bundleTxs, async (txs) => (
+      txs.some(tx => approvalRequired.get(tx.token.toLowerCase()))
+        ? heuristicGas('erc20', txs.length)
+        : estimateChunkGas('multiToken', null, txs)
+    ));
+    
+    return {
+      gasEstimate: bundleEstimates.gasEstimate,
+      gasWithBuffer: bundleEstimates.gasWithBuffer,
+      approvalGas,
+      approvalGasWithBuffer,
+      summary: {
+        gasEstimate: bundleEstimates.gasEstimate.toString(),
+        gasWithBuffer: bundleEstimates.gasWithBuffer.toString(),
+        bundles: bundleEstimates.chunks.map((bundleEstimate, i) => ({
+          index: bundleEstimate.index,
+          recipient: transactionGroups.multiToken[i].to,
+          tokens: bundleEstimate.recipients,
+          gasEstimate: bundleEstimate.gasEstimate,
+          gasWithBuffer: bundleEstimate.gasWithBuffer,
+          estimateMethod: bundleTxs[i].some(tx => approvalRequired.get(tx.token.toLowerCase())) ? 'heuristic' : 'onchain'
+        })),
+        approvals
+      }
+    };
+  };
+
+  // Estimate an NFT contract's group, including the operator approval it may need first
+  // Until the multisend contract is an operator the transfers would revert, so a per-recipient heuristic is used
+  const estimateNftGroup = async (kind, tokenAddress, nftTxs, options) => {
+    const { signer, multiSendContract } = await getConnection();
+    
+    const nftContract = new ethers.Contract(tokenAddress, NFT_ABI, signer);
+    const operator = await multiSendContract.getAddress();
+    const approved = await nftContract.isApprovedForAll(await signer.getAddress(), operator);
+    const strategy = getApprovalStrategy(options);
+    
+    let approvalGas = approved ? BigInt(0) : await nftContract.setApprovalForAll.estimateGas(operator, true);
+    
+    // The operator approval is cleared once the group is sent, unless the strategy is 'unlimited'
+    if (revokesOperatorApproval(strategy, !approved)) {
+      approvalGas += approved ? await nftContract.setApprovalForAll.estimateGas(operator, false) : DEFAULT_APPROVAL_GAS;
+    }
+    
+    const approval = {
+      required: !approved,
+      method: approved ? null : 'setApprovalForAll',
+      strategy,
+      gasEstimate: approvalGas.toString(),
+      gasWithBuffer: ((approvalGas * BigInt(110)) / BigInt(100)).toString()
+    };
+    
+    const chunks = await planChunks(kind, tokenAddress, nftTxs, options);
+    const estimate = approved
+      ? (chunk) => estimateChunkGas(kind, tokenAddress, chunk)
+      : async (chunk) => heuristicGas(kind, chunk.length);
+    const chunkEstimates = await estimateChunks(chunks, estimate);
+    
+    return {
+      gasEstimate: chunkEstimates.gasEstimate,
+      gasWithBuffer: chunkEstimates.gasWithBuffer,
+      approvalGas,
+      approvalGasWithBuffer: BigInt(approval.gasWithBuffer),
+      summary: {
+        standard: kind,
+        gasEstimate: chunkEstimates.gasEstimate.toString(),
+        gasWithBuffer: chunkEstimates.gasWithBuffer.toString(),
+        totalAmount: sumValues(nftTxs).toString(),
+        estimateMethod: approved ? 'onchain' : 'heuristic',
+        approval,
+        chunks: chunkEstimates.chunks
+      }
+    };
+  };
+
+  // Estimate an atomic send: the approval of every token, then one multiSendMixed call over everything
+  const estimateAtomicBatch = async (options) => {
+    const txs = allQueuedTransfers();
+    const { tokenBatches } = packMixedBatch(txs);
+    
+    const approvals = {};
+    let approvalGas = BigInt(0);
+    let approvalGasWithBuffer = BigInt(0);
+    let approvalRequired = false;
+    
+    for (const batch of tokenBatches) {
+      const approval = await estimateApproval(batch.token, batch.amounts.reduce((sum, amount) => sum + amount, BigInt(0)), options, false);
+      approvals[batch.token] = approval;
+      approvalGas += BigInt(approval.gasEstimate);
+      approvalGasWithBuffer += BigInt(approval.gasWithBuffer);
+      approvalRequired = approvalRequired || approval.required;
+    }
+    
+    // Until every token is approved the call would revert, so the per-recipient heuristic is used
+    const ethCount = txs.length - tokenBatches.reduce((count, batch) => count + batch.recipients.length, 0);
+    const gasEstimate = approvalRequired
+      ? heuristicGas('erc20', txs.length - ethCount) + DEFAULT_GAS_PER_RECIPIENT.eth * BigInt(ethCount)
+      : await estimateChunkGas('mixed', null, txs);
+    const gasWithBuffer = (gasEstimate * BigInt(110)) / BigInt(100);
+    const gasCeiling = await getGasCeiling(options);
+    
+    return {
+      gasEstimate,
+      gasWithBuffer,
+      approvalGas,
+      approvalGasWithBuffer,
+      summary: {
+        gasEstimate: gasEstimate.toString(),
+        gasWithBuffer: gasWithBuffer.toString(),
+        recipients: txs.length,
+        estimateMethod: approvalRequired ? 'heuristic' : 'onchain',
+        gasCeiling: gasCeiling.toString(),
+        withinGasCeiling: gasWithBuffer <= gasCeiling,
+        approvals
+      }
+    };
+  };
+
+  // Estimate the gas and cost of the batch transactions
+  // Covers every ETH and token chunk plus required approvals, priced with current fee data
+  const estimateGas = async (options = {}) => {
+    const { provider, signer } = await getConnection();
+    
+    const results = {
+      ethTransactions: 0,
+      erc20Transactions: 0,
+      multiTokenTransactions: 0,
+      nftTransactions: 0,
+      totalTransactions: 0,
+      gasEstimates: {}
+    };
+    
+    // Get total transaction count
+    results.ethTransactions = transactionGroups.eth.length;
+    
+    let erc20Count = 0;
+    for (const tokenAddress in transactionGroups.erc20) {
+      erc20Count += transactionGroups.erc20[tokenAddress].length;
+    }
+    results.erc20Transactions = erc20Count;
+    results.multiTokenTransactions = countBundleTransfers();
+    results.nftTransactions = countNftTransfers();
+    results.totalTransactions = results.ethTransactions + results.erc20Transactions +
+      results.multiTokenTransactions + results.nftTransactions;
+    
+    if (results.totalTransactions === 0) {
+      throw new Error('No transactions to estimate gas for');
+    }
+    
+    try {
+      await resolveRecipients();
+      await resolveTokens();
+      settleDuplicates();
+      
+      const fees = await getFeeEstimate(options);
+      
+      // Kept for callers that read a single gas price
+      results.gasPrice = fees.effectiveGasPrice.toString();
+      results.fees = {
+        type: fees.type,
+        effectiveGasPrice: fees.effectiveGasPrice.toString(),
+        maxGasPrice: fees.maxGasPrice.toString()
+      };
+      if (fees.type === 'eip1559') {
+        results.fees.baseFeePerGas = fees.baseFeePerGas.toString();
+        results.fees.maxPriorityFeePerGas = fees.maxPriorityFeePerGas.toString();
+        results.fees.maxFeePerGas = fees.maxFeePerGas.toString();
+      }
+      
+      let totalGas = BigInt(0);
+      let totalGasWithBuffer = BigInt(0);
+      const totalEthValue = sumValues(transactionGroups.eth);
+      
+      if (isAtomic(options)) {
+        // An atomic send is a single multiSendMixed transaction after the approvals
+        checkAtomicBatch();
+        const atomicEstimate = await estimateAtomicBatch(options);
+        results.gasEstimates.atomic = atomicEstimate.summary;
+        
+        totalGas += atomicEstimate.gasEstimate + atomicEstimate.approvalGas;
+        totalGasWithBuffer += atomicEstimate.gasWithBuffer + atomicEstimate.approvalGasWithBuffer;
+      } else {
+        // Estimate gas for ETH transactions if any, one estimate per chunk
+        if (transactionGroups.eth.length > 0) {
+          const chunks = await planChunks('eth', null, transactionGroups.eth, options);
+          const ethEstimates = await estimateChunks(chunks, chunk => estimateChunkGas('eth', null, chunk, isBestEffort(options)));
+        
+          results.gasEstimates.eth = {
+            gasEstimate: ethEstimates.gasEstimate.toString(),
+            gasWithBuffer: ethEstimates.gasWithBuffer.toString(),
+            totalValue: ethers.formatEther(totalEthValue),
+            chunks: ethEstimates.chunks.map((chunkEstimate, i) => ({
+              ...chunkEstimate,
+              totalValue: ethers.formatEther(sumValues(chunks[i]))
+            }))
+          };
+        
+          totalGas += ethEstimates.gasEstimate;
+          totalGasWithBuffer += ethEstimates.gasWithBuffer;
+        }
+      
+        // Estimate each token group and its approval
+        results.gasEstimates.erc20 = {};
+        const approvalRequired = new Map();
+        for (const tokenAddress in transactionGroups.erc20) {
+          const tokenTxs = transactionGroups.erc20[tokenAddress];
+        
+          if (tokenTxs.length > 0) {
+            const tokenEstimate = await estimateTokenGroup(tokenAddress, tokenTxs, options);
+            results.gasEstimates.erc20[tokenAddress] = { symbol: tokenSymbol(tokenAddress), ...tokenEstimate.summary };
+            approvalRequired.set(tokenAddress.toLowerCase(), tokenEstimate.summary.approval.required);
+          
+            totalGas += tokenEstimate.gasEstimate + tokenEstimate.approvalGas;
+            totalGasWithBuffer += tokenEstimate.gasWithBuffer + tokenEstimate.approvalGasWithBuffer;
+          }
+        }
+      
+        // Estimate each multi-token bundle, one transaction per bundle
+        if (transactionGroups.multiToken.length > 0) {
+          const bundleEstimate = await estimateBundles(options, approvalRequired);
+          results.gasEstimates.multiToken = bundleEstimate.summary;
+        
+          totalGas += bundleEstimate.gasEstimate + bundleEstimate.approvalGas;
+          totalGasWithBuffer += bundleEstimate.gasWithBuffer + bundleEstimate.approvalGasWithBuffer;
+        }
+      
+        // Estimate each NFT contract's group and its operator approval
+        results.gasEstimates.nft = {};
+        for (const { kind, token: tokenAddress, txs } of queuedNftGroups()) {
+          const nftEstimate = await estimateNftGroup(kind, tokenAddress, txs, options);
+          results.gasEstimates.nft[tokenAddress] = { symbol: tokenSymbol(tokenAddress), ...nftEstimate.summary };
+          
+          totalGas += nftEstimate.gasEstimate + nftEstimate.approvalGas;
+          totalGasWithBuffer += nftEstimate.gasWithBuffer + nftEstimate.approvalGasWithBuffer;
+        }
+      }
+      
+      // Expected cost at the current fees, and the most the batch could cost at the fee cap
+      const totalCost = totalGas * fees.effectiveGasPrice;
+      const maxCost = totalGasWithBuffer * fees.maxGasPrice;
+      
+      results.totalGas = totalGas.toString();
+      results.totalGasWithBuffer = totalGasWithBuffer.toString();
+      results.totalCost = {
+        wei: totalCost.toString(),
+        eth: ethers.formatEther(totalCost)
+      };
+      results.maxCost = {
+        wei: maxCost.toString(),
+        eth: ethers.formatEther(maxCost)
+      };
+      
+      // Check that the native balance covers the ETH being sent plus the fees
+      const balance = await provider.getBalance(await signer.getAddress());
+      const required = totalEthValue + maxCost;
+      
+      results.nativeBalance = {
+        balance: balance.toString(),
+        balanceFormatted: ethers.formatEther(balance),
+        required: required.toString(),
+        requiredFormatted: ethers.formatEther(required),
+        sufficient: balance >= required
+      };
+      
+      return results;
+    } catch (error) {
+      throw new Error(`Gas estimation failed: ${error.message}`);
+    }
+  };
+
+  // Whether a token exposes the share accounting of common rebasing tokens (sharesOf or scaledBalanceOf)
+  const hasRebasingInterface = async (tokenAddress, account, blockTag) => {
+    const { provider } = await getConnection();
+    const tokenContract = new ethers.Contract(tokenAddress, REBASING_TOKEN_ABI, provider);
+    
+    for (const method of ['sharesOf', 'scaledBalanceOf']) {
+      try {
+        await tokenContract[method](account, { blockTag });
+        return true;
+      } catch (error) {
+        // Not implemented by this token
+      }
+    }
+    return false;
+  };
+
+  // A state override (for eth_call) that gives `spender` an allowance of `amount` from `owner`, found by writing it
+  // to each of ALLOWANCE_SLOTS until allowance() reads it back; null for a token with another storage layout,
+  // or when the node does not support state overrides
+  const findAllowanceOverride = async (tokenAddress, owner, spender, amount, blockTag) => {
+    const { provider } = await getConnection();
+    const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+    const tokenInterface = new ethers.Interface(ERC20_ABI);
+    const data = tokenInterface.encodeFunctionData('allowance', [owner, spender]);
+    const tag = typeof blockTag === 'number' ? ethers.toQuantity(blockTag) : blockTag;
+    
+    for (const slot of ALLOWANCE_SLOTS) {
+      // Solidity's slot of allowances[owner][spender], for a mapping at `slot`
+      const ownerSlot = ethers.keccak256(abiCoder.encode(['address', 'uint256'], [owner, slot]));
+      const allowanceSlot = ethers.keccak256(abiCoder.encode(['address', 'bytes32'], [spender, ownerSlot]));
+      const stateOverride = { [tokenAddress]: { stateDiff: { [allowanceSlot]: ethers.toBeHex(amount, 32) } } };
+      
+      try {
+        const result = await provider.send('eth_call', [{ to: tokenAddress, data }, tag, stateOverride]);
+        if (tokenInterface.decodeFunctionResult('allowance', result)[0] === amount) {
+          return stateOverride;
+        }
+      } catch (error) {
+        return null;
+      }
+    }
+    
+    return null;
+  };
+
+  // Find out how a token behaves on transfer by running one queued transfer through multiSendTokenChecked
+  // with eth_call and comparing the amount the recipient received with the amount sent; before the token is
+  // approved, the call runs with an allowance set through a state override
+  // Returns { type, sent, delivered, feeBasisPoints, reason }, where type is 'standard', 'fee-on-transfer',
+  // 'rebasing' (balances follow shares, so a transfer can be off by rounding and balances move without
+  // transfers) or 'unknown' when no transfer could be probed (no allowance yet and none could be
+  // simulated, or a contract deployed before multiSendTokenChecked); reason says why
+  const probeTransferBehavior = async (tokenAddress, tx, blockTag = 'latest') => {
+    const key = tokenAddress.toLowerCase();
+    if (transferBehaviors.has(key)) {
+      return transferBehaviors.get(key);
+    }
+    
+    const { provider, signer, multiSendContract } = await getConnection();
+    const signerAddress = await signer.getAddress();
+    const spender = await multiSendContract.getAddress();
+    const rebasingInterface = await hasRebasingInterface(tokenAddress, signerAddress, blockTag);
+    
+    const behavior = {
+      type: 'unknown',
+      sent: tx.value.toString(),
+      delivered: null,
+      feeBasisPoints: null,
+      reason: null
+    };
+    
+    // Without an allowance yet, the probe runs with one set through a state override
+    const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, signer);
+    const allowance = await tokenContract.allowance(signerAddress, spender, { blockTag });
+    let stateOverride = null;
+    if (allowance < tx.value) {
+      stateOverride = await findAllowanceOverride(tokenAddress, signerAddress, spender, tx.value, blockTag);
+      if (!stateOverride) {
+        behavior.type = rebasingInterface ? 'rebasing' : 'unknown';
+        behavior.reason = 'the multisend contract is not approved for a transfer yet, and the node cannot simulate an approval';
+        return behavior;
+      }
+    }
+    
+    let delivered;
+    try {
+      const args = [tokenAddress, [tx.to], [tx.value], false];
+      if (stateOverride) {
+        const data = multiSendContract.interface.encodeFunctionData('multiSendTokenChecked', args);
+        const result = await provider.send('eth_call', [
+          { from: signerAddress, to: spender, data },
+          typeof blockTag === 'number' ? ethers.toQuantity(blockTag) : blockTag,
+          stateOverride
+        ]);
+        [delivered] = multiSendContract.interface.decodeFunctionResult('multiSendTokenChecked', result)[0];
+      } else {
+        [delivered] = await multiSendContract.multiSendTokenChecked.staticCall(...args, { blockTag });
+      }
+    } catch (error) {
+      behavior.type = rebasingInterface ? 'rebasing' : 'unknown';
+      behavior.reason = decodeRevertReason(error);
+      return behavior;
+    }
+    
+    behavior.delivered = delivered.toString();
+    if (delivered < tx.value) {
+      const shortfall = tx.value - delivered;
+      behavior.feeBasisPoints = Number((shortfall * BigInt(10000)) / tx.value);
+      // Rebasing tokens can lose a unit or two to share rounding, which is not a fee
+      behavior.type = rebasingInterface && shortfall <= REBASING_ROUNDING_TOLERANCE ? 'rebasing' : 'fee-on-transfer';
+    } else if (delivered > tx.value) {
+      behavior.type = 'rebasing';
+    } else {
+      behavior.type = rebasingInterface ? 'rebasing' : 'standard';
+    }
+    
+    transferBehaviors.set(key, behavior);
+    return behavior;
+  };
+
+  // Log and emit a warning for a token that does not deliver exactly the amounts sent
+  const flagTransferBehavior = (tokenAddress, behavior) => {
+    if (behavior.type !== 'fee-on-transfer' && behavior.type !== 'rebasing') {
+      return;
+    }
+    
+    const tokenName = tokenLabel(tokenRegistry.peekToken(tokenAddress), tokenAddress);
+    const detail = behavior.type === 'fee-on-transfer'
+      ? `is a fee-on-transfer token: recipients receive ${behavior.feeBasisPoints / 100}% less than is sent`
+      : 'is a rebasing token: amounts received can differ from the amounts sent and change over time';
+    notify('token:flagged', { token: tokenAddress, ...behavior }, `Token ${tokenName} ${detail}`, 'warn');
+  };
+
+  // Check ERC20 balances
+  // Each token also reports its probed transferBehavior, since a sufficient balance still delivers less
+  // than was sent with fee-on-transfer tokens
+  const checkErc20Balances = async () => {
+    const { signer } = await getConnection();
+    const signerAddress = await signer.getAddress();
+    
+    const results = {};
+    
+    // Tokens sent in groups, then tokens that only appear in multi-token bundles
+    const tokens = await resolveTokens();
+    
+    for (const tokenAddress in tokens) {
+      const tokenTxs = [...(transactionGroups.erc20[tokenAddress] || []), ...bundleTransfersOf(tokenAddress)];
+      
+      if (tokenTxs.length > 0) {
+        const tokenContract = new ethers.Contract(
+          tokenAddress,
+          ERC20_ABI,
+          signer
+        );
+        
+        // Calculate total amount needed
+        const totalAmount = tokenTxs.reduce(
+          (sum, tx) => sum + BigInt(tx.value.toString()),
+          BigInt(0)
+        );
+        
+        // Decimals come from the token, or from the transfers when it has no decimals()
+        const decimals = tokens[tokenAddress].decimals !== null ? tokens[tokenAddress].decimals : tokenTxs[0].decimals;
+        
+        // Check balance
+        const balance = await tokenContract.balanceOf(signerAddress);
+        
+        // Probe with a transfer to an address; a name keeps its text in `to` until resolveRecipients() pins it
+        const probeTx = tokenTxs.find(tx => ethers.isAddress(tx.to));
+        const transferBehavior = probeTx
+          ? await probeTransferBehavior(tokenAddress, probeTx)
+          : { type: 'unknown', sent: null, delivered: null, feeBasisPoints: null, reason: 'no resolved recipient to probe a transfer with' };
+        
+        results[tokenAddress] = {
+          address: tokenAddress,
+          symbol: tokens[tokenAddress].symbol,
+          decimals,
+          balance: balance.toString(),
+          balanceFormatted: ethers.formatUnits(balance, decimals),
+          required: totalAmount.toString(),
+          requiredFormatted: ethers.formatUnits(totalAmount, decimals),
+          sufficient: balance >= totalAmount,
+          recipients: tokenTxs.length,
+          transferBehavior
+        };
+      }
+    }
+    
+    return results;
+  };
+
+  // Narrow a failing list of transfers down to the individual transfers that fail
+  // `call` runs a static call over a sub-list and throws if it would revert; `failure` is the error of a call
+  // over this very list already made by the caller, so it is not repeated
+  const findFailingTransfers = async (txs, offset, call, failure = null) => {
+    let error = failure;
+    if (!error) {
+      try {
+        await call(txs);
+        return [];
+      } catch (callError) {
+        error = callError;
+      }
+    }
+    
+    if (txs.length === 1) {
+      return [{
+        index: offset,
+        to: txs[0].to,
+        ...(txs[0].token ? { token: txs[0].token } : {}),
+        ...(txs[0].tokenId !== undefined ? { tokenId: txs[0].tokenId.toString() } : {}),
+        amount: txs[0].value.toString(),
+        reason: decodeRevertReason(error)
+      }];
+    }
+    
+    const middle = Math.ceil(txs.length / 2);
+    const left = await findFailingTransfers(txs.slice(0, middle), offset, call);
+    const right = await findFailingTransfers(txs.slice(middle), offset + middle, call);
+    return [...left, ...right];
+  };
+
+  // Simulate one chunk with eth_call and, if it would revert, bisect to the offending transfers
+  // With `bestEffort`, `call` still runs the strict entry point: the transfers it bisects to are the ones a
+  // best-effort send would skip, so they are moved to `skipped`, and the chunk only fails if the rest still reverts
+  const simulateChunk = async (chunk, offset, call, bestEffort = false) => {
+    const chunkResult = {
+      recipients: chunk.length,
+      success: true,
+      reason: null,
+      failures: [],
+      ...(bestEffort ? { skipped: [] } : {})
+    };
+    
+    let chunkError;
+    try {
+      await call(chunk);
+      return chunkResult;
+    } catch (error) {
+      chunkError = error;
+      chunkResult.success = false;
+      chunkResult.reason = decodeRevertReason(error);
+    }
+    
+    // Bisect from the two halves; the call over the whole chunk has just failed
+    chunkResult.failures = await findFailingTransfers(chunk, offset, call, chunkError);
+    
+    if (bestEffort && chunkResult.failures.length > 0) {
+      const skippedIndexes = new Set(chunkResult.failures.map(failure => failure.index - offset));
+      const rest = chunk.filter((tx, i) => !skippedIndexes.has(i));
+      chunkResult.skipped = chunkResult.failures;
+      chunkResult.failures = [];
+      
+      try {
+        if (rest.length > 0) {
+          await call(rest);
+        }
+        chunkResult.success = true;
+        chunkResult.reason = null;
+      } catch (error) {
+        chunkResult.reason = `${decodeRevertReason(error)} (even without the skipped transfers)`;
+      }
+      
+      return chunkResult;
+    }
+    
+    // Every transfer passes on its own, so the chunk only fails as a whole (e.g. total balance)
+    if (chunkResult.failures.length === 0) {
+      chunkResult.reason = `${chunkResult.reason} (no single transfer fails on its own)`;
+    }
+    
+    return chunkResult;
+  };
+
+  // Simulate the batch against current chain state without sending anything
+  // Each chunk is run with eth_call; failing chunks are bisected down to the recipients that cause the revert
+  // The transfer behavior of every token group is probed into `tokens`, and fee-on-transfer and rebasing
+  // tokens are flagged with a token:flagged event
+  const simulateBatch = async (options = {}) => {
+    const { provider, signer, multiSendContract } = await getConnection();
+    
+    if (transactionGroups.eth.length === 0 &&
+      Object.keys(transactionGroups.erc20).length === 0 &&
+      transactionGroups.multiToken.length === 0 &&
+      queuedNftGroups().length === 0) {
+      throw new Error('No transactions to simulate');
+    }
+    
+    try {
+      if (isAtomic(options) && isBestEffort(options)) {
+        throw new Error('Atomic and best-effort modes cannot be combined');
+      }
+      
+      await resolveRecipients();
+      await resolveTokens();
+      settleDuplicates();
+      
+      // Pin every call to the same block so the results are consistent
+      const blockTag = await provider.getBlockNumber();
+      const signerAddress = await signer.getAddress();
+      const spender = await multiSendContract.getAddress();
+      
+      const results = {
+        success: true,
+        blockNumber: blockTag,
+        groups: [],
+        tokens: {}
+      };
+      
+      // Static call of the multisend transaction that would send these transfers, built by entryCall as a send builds it
+      // Best-effort chunks go through the strict entry points instead, which revert on exactly the transfers a
+      // best-effort send would skip, so simulateChunk can report them
+      const simulateEntry = (kind, tokenAddress, txs, deliveryCheck = null) => {
+        const entry = createSendEntry(kind, tokenAddress, txs, 0, 1, false, deliveryCheck);
+        const call = entryCall(entry, usesEqualAmountCalls() && !isBestEffort(options));
+        return multiSendContract[call.method].staticCall(
+          ...call.args,
+          call.value > BigInt(0) ? { value: call.value, blockTag } : { blockTag }
+        );
+      };
+      
+      // An atomic send is one multiSendMixed call, which can only be simulated once every token is approved;
+      // otherwise the groups are simulated separately below
+      if (isAtomic(options)) {
+        checkAtomicBatch();
+        const txs = allQueuedTransfers();
+        let allowed = true;
+        
+        for (const batch of packMixedBatch(txs).tokenBatches) {
+          const tokenContract = new ethers.Contract(batch.token, ERC20_ABI, signer);
+          const allowance = await tokenContract.allowance(signerAddress, spender, { blockTag });
+          if (allowance < batch.amounts.reduce((sum, amount) => sum + amount, BigInt(0))) {
+            allowed = false;
+          }
+        }
+        
+        if (allowed) {
+          const atomicResult = await simulateChunk(txs, 0, subset => simulateEntry('mixed', null, subset));
+          
+          results.groups.push({ kind: 'mixed', token: null, chunkIndex: 0, mode: 'multisend', ...atomicResult });
+          results.success = atomicResult.success;
+          return results;
+        }
+      }
+      
+      const simulateGroup = async (kind, tokenAddress, txs, mode, call, bestEffort = false) => {
+        const chunks = await planChunks(kind, tokenAddress, txs, options);
+        let offset = 0;
+        
+        for (let i = 0; i < chunks.length; i++) {
+          const chunkResult = await simulateChunk(chunks[i], offset, call, bestEffort);
+          offset += chunks[i].length;
+          
+          results.groups.push({
+            kind,
+            token: tokenAddress,
+            symbol: tokenSymbol(tokenAddress),
+            chunkIndex: i,
+            mode,
+            ...chunkResult
+          });
+          
+          if (!chunkResult.success) {
+            results.success = false;
+          }
+        }
+      };
+      
+      if (transactionGroups.eth.length > 0) {
+        const call = txs => simulateEntry('eth', null, txs);
+        await simulateGroup('eth', null, transactionGroups.eth, 'multisend', call, isBestEffort(options));
+      }
+      
+      for (const tokenAddress in transactionGroups.erc20) {
+        const tokenTxs = transactionGroups.erc20[tokenAddress];
+        if (tokenTxs.length === 0) {
+          continue;
+        }
+        
+        results.tokens[tokenAddress] = await probeTransferBehavior(tokenAddress, tokenTxs[0], blockTag);
+        flagTransferBehavior(tokenAddress, results.tokens[tokenAddress]);
+        
+        const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, signer);
+        const allowance = await tokenContract.allowance(signerAddress, spender, { blockTag });
+        const deliveryCheck = getDeliveryCheck(options);
+        
+        if (allowance >= sumValues(tokenTxs)) {
+          // A 'revert' delivery check makes every chunk with a fee-on-transfer recipient fail here, as it would on-chain
+          const call = txs => simulateEntry('erc20', tokenAddress, txs, deliveryCheck);
+          await simulateGroup('erc20', tokenAddress, tokenTxs, 'multisend', call, isBestEffort(options));
+        } else {
+          // Without an allowance the multisend itself would revert, so each transfer is
+          // simulated as a direct transfer from the sender instead
+          await simulateGroup('erc20', tokenAddress, tokenTxs, 'direct-transfer', async (txs) => {
+            for (const tx of txs) {
+              await tokenContract.transfer.staticCall(tx.to, tx.value, { blockTag });
+            }
+            
+            const balance = await tokenContract.balanceOf(signerAddress, { blockTag });
+            if (balance < sumValues(txs)) {
+              throw new Error(`Insufficient ${tokenAddress} token balance`);
+            }
+          }, isBestEffort(options));
+        }
+      }
+      
+      // Each multi-token bundle is one multiTokenTransfer call; `index` is the position within the bundle
+      for (let i = 0; i < transactionGroups.multiToken.length; i++) {
+        const bundle = transactionGroups.multiToken[i];
+        const bundleTxs = bundle.transfers.map(transfer => ({ to: bundle.to, token: transfer.token, value: transfer.value }));
+        
+        let allowed = true;
+        for (const tx of bundleTxs) {
+          const tokenContract = new ethers.Contract(tx.token, ERC20_ABI, signer);
+          const allowance = await tokenContract.allowance(signerAddress, spender, { blockTag });
+          if (allowance < tx.value) {
+            allowed = false;
+          }
+        }
+        
+        const call = allowed
+          ? txs => simulateEntry('multiToken', null, txs)
+          : async (txs) => {
+            for (const tx of txs) {
+              const tokenContract = new ethers.Contract(tx.token, ERC20_ABI, signer);
+              await tokenContract.transfer.staticCall(tx.to, tx.value, { blockTag });
+              
+              const balance = await tokenContract.balanceOf(signerAddress, { blockTag });
+              if (balance < tx.value) {
+                throw new Error(`Insufficient ${tx.token} token balance`);
+              }
+            }
+          };
+        
+        const bundleResult = await simulateChunk(bundleTxs, 0, call);
+        results.groups.push({
+          kind: 'multiToken',
+          token: null,
+          recipient: bundle.to,
+          chunkIndex: i,
+          mode: allowed ? 'multisend' : 'direct-transfer',
+          ...bundleResult
+        });
+        
+        if (!bundleResult.success) {
+          results.success = false;
+        }
+      }
+      
+      for (const { kind, token: tokenAddress, txs: nftTxs } of queuedNftGroups()) {
+        const nftContract = new ethers.Contract(tokenAddress, NFT_ABI, signer);
+        
+        if (await nftContract.isApprovedForAll(signerAddress, spender, { blockTag })) {
+          await simulateGroup(kind, tokenAddress, nftTxs, 'multisend', txs => simulateEntry(kind, tokenAddress, txs));
+        } else {
+          // Without an operator approval the multisend itself would revert, so each transfer is
+          // simulated as a direct safeTransferFrom by the sender instead, which also runs the receiver hooks
+          await simulateGroup(kind, tokenAddress, nftTxs, 'direct-transfer', async (txs) => {
+            for (const tx of txs) {
+              if (kind === 'erc721') {
+                await nftContract['safeTransferFrom(address,address,uint256)'].staticCall(
+                  signerAddress, tx.to, tx.tokenId, { blockTag }
+                );
+              } else {
+                await nftContract['safeTransferFrom(address,address,uint256,uint256,bytes)'].staticCall(
+                  signerAddress, tx.to, tx.tokenId, tx.value, '0x', { blockTag }
+                );
+              }
+            }
+            
+            // Transfers that pass one by one can still add up to more than an ERC-1155 balance
+            if (kind === 'erc1155') {
+              for (const tokenId of new Set(txs.map(tx => tx.tokenId))) {
+                const needed = sumValues(txs.filter(tx => tx.tokenId === tokenId));
+                const balance = await nftContract.balanceOf(signerAddress, tokenId, { blockTag });
+                if (balance < needed) {
+                  throw new Error(`Insufficient balance of token ID ${tokenId} of ${tokenAddress}`);
+                }
+              }
+            }
+          });
+        }
+      }
+      
+      return results;
+    } catch (error) {
+      throw new Error(`Simulation failed: ${error.message}`);
+    }
+  };
+
+  // Send the chunk described by a send entry and wait for confirmation
+  // The entry is updated (and persisted) as it moves from pending to submitted to confirmed
+  // A permit, if given, is submitted together with the chunk through multiSendTokenWithPermit
+  const sendEntry = async (entry, options, persist, permit = null) => {
+    const { signer, multiSendContract } = await getConnection();
+    
+    const chunk = entryTransfers(entry);
+    const tokenAddress = entry.token;
+    const recipients = entry.recipients;
+    const amounts = chunk.map(tx => tx.value);
+    const totalValue = sumValues(chunk);
+    
+    // Estimate gas if not provided
+    let gasLimitOverride;
+    if (entry.kind === 'eth') {
+      gasLimitOverride = options.ethGasLimit;
+    } else if (entry.kind === 'mixed') {
+      gasLimitOverride = options.atomicGasLimit;
+    } else if (entry.kind === 'multiToken') {
+      gasLimitOverride = options.multiTokenGasLimit;
+    } else if (isNftKind(entry.kind)) {
+      gasLimitOverride = options.nftGasLimits && options.nftGasLimits[tokenAddress];
+    } else {
+      gasLimitOverride = options.tokenGasLimits && options.tokenGasLimits[tokenAddress];
+    }
+    
+    let gasLimit;
+    if (gasLimitOverride) {
+      gasLimit = BigInt(gasLimitOverride);
+    } else {
+      const gasEstimate = await estimateChunkGas(
+        entry.kind,
+        tokenAddress,
+        chunk,
+        entry.bestEffort,
+        permit,
+        entry.deliveryCheck || null
+      );
+      gasLimit = (gasEstimate * BigInt(110)) / BigInt(100); // 10% buffer
+      
+      // An atomic batch cannot be split, so it must fit the gas ceiling as a whole
+      if (entry.kind === 'mixed') {
+        const gasCeiling = await getGasCeiling(options);
+        if (gasLimit > gasCeiling) {
+          throw new Error(
+            `Atomic batch needs ${gasLimit} gas, more than the gas ceiling of ${gasCeiling}; ` +
+            'send it without atomic mode or split the batch'
+          );
+        }
+      }
+    }
+    
+    // Prepare transaction options, including EIP-1559 or legacy fees if provided
+    const txOptions = {
+      gasLimit,
+      ...buildFeeOptions(options)
+    };
+    
+    const mixed = entry.kind === 'mixed' ? packMixedBatch(chunk) : null;
+    
+    if (entry.kind === 'eth') {
+      txOptions.value = totalValue;
+    } else if (mixed) {
+      txOptions.value = mixed.value;
+    }
+    
+    // When journaling, pin the nonce before broadcasting so a crash can be reconciled later
+    if (persist.enabled) {
+      txOptions.nonce = await signer.getNonce('pending');
+      entry.nonce = txOptions.nonce;
+      await persist();
+    }
+    
+    const startBlock = await signer.provider.getBlockNumber();
+    const chunkLabel = entry.chunkCount > 1 ? ` (chunk ${entry.chunkIndex + 1}/${entry.chunkCount})` : '';
+    
+    // Send transaction (best-effort entries use the entry points that skip failing recipients,
+    // checked entries the one that measures delivered amounts, and chunks of equal amounts the entry
+    // points that take a single amount)
+    const tokenName = tokenAddress ? tokenLabel(tokenRegistry.peekToken(tokenAddress), tokenAddress) : null;
+    const amount = !entry.bestEffort && !entry.deliveryCheck && !permit && usesEqualAmountCalls() ? equalAmount(chunk) : null;
+    let description;
+    let tx;
+    if (entry.kind === 'eth') {
+      description = `ETH batch transaction${chunkLabel} to ${recipients.length} recipients with total value ${ethers.formatEther(totalValue)} ETH`;
+      if (amount !== null) {
+        tx = await multiSendContract.multiSendETHEqual(recipients, amount, txOptions);
+      } else {
+        const ethMethod = entry.bestEffort ? 'multiSendETHBestEffort' : 'multiSendETH';
+        tx = await multiSendContract[ethMethod](recipients, amounts, txOptions);
+      }
+    } else if (mixed) {
+      description = `Atomic batch transaction to ${recipients.length} recipients with ${mixed.tokenBatches.length} tokens and ${ethers.formatEther(mixed.value)} ETH`;
+      tx = await multiSendContract.multiSendMixed(mixed.ethRecipients, mixed.ethAmounts, mixed.tokenBatches, txOptions);
+    } else if (entry.kind === 'multiToken') {
+      description = `Multi-token transaction of ${entry.tokens.length} tokens to ${recipients[0]}`;
+      tx = await multiSendContract.multiTokenTransfer(entry.tokens, recipients[0], amounts, txOptions);
+    } else if (isNftKind(entry.kind)) {
+      const nftBatch = packNftBatch(entry.kind, tokenAddress, chunk);
+      description = `${NFT_STANDARDS[entry.kind].label} ${tokenName} batch transaction${chunkLabel} of ${recipients.length} transfers`;
+      tx = await multiSendContract[nftBatch.method](...nftBatch.args, txOptions);
+    } else if (permit) {
+      description = `Token ${tokenName} batch transaction${chunkLabel} to ${recipients.length} recipients with permit`;
+      tx = await multiSendContract.multiSendTokenWithPermit(
+        tokenAddress,
+        recipients,
+        amounts,
+        permit.value,
+        permit.deadline,
+        permit.v,
+        permit.r,
+        permit.s,
+        txOptions
+      );
+    } else if (entry.deliveryCheck) {
+      description = `Token ${tokenName} batch transaction${chunkLabel} to ${recipients.length} recipients with delivery check`;
+      tx = await multiSendContract.multiSendTokenChecked(
+        tokenAddress,
+        recipients,
+        amounts,
+        entry.deliveryCheck === 'revert',
+        txOptions
+      );
+    } else if (amount !== null) {
+      description = `Token ${tokenName} batch transaction${chunkLabel} to ${recipients.length} recipients`;
+      tx = await multiSendContract.multiSendTokenEqual(tokenAddress, recipients, amount, txOptions);
+    } else {
+      const tokenMethod = entry.bestEffort ? 'multiSendTokenBestEffort' : 'multiSendToken';
+      description = `Token ${tokenName} batch transaction${chunkLabel} to ${recipients.length} recipients`;
+      tx = await multiSendContract[tokenMethod](tokenAddress, recipients, amounts, txOptions);
+    }
+    
+    entry.status = 'submitted';
+    entry.nonce = tx.nonce;
+    entry.transactionHash = tx.hash;
+    await persist();
+    notify('group:submitted', groupEvent(entry), `${description} submitted: ${tx.hash}`);
+    
+    // Wait for confirmation, following a speed-up to its replacement
+    const receipt = await waitForTransaction(tx, options, startBlock);
+    await recordReceipt(entry, receipt);
+    await persist();
+    
+    const progress = runProgress();
+    notify(
+      'group:confirmed',
+      groupEvent(entry),
+      `${description} confirmed in block ${entry.blockNumber}` +
+        (progress ? ` (${progress.confirmed}/${progress.total} transactions)` : '')
+    );
+  };
+
+  // Wait for a transaction to confirm, within the configured confirmation timeout
+  // A sped-up replacement resolves to the replacement's receipt; a cancellation throws
+  const waitForTransaction = async (tx, options = {}, startBlock) => {
+    const timeout = options.confirmationTimeout || config.confirmationTimeout;
+    
+    // Contract call responses drop the block they were sent at, which ethers needs to detect replacements
+    const waitable = startBlock !== undefined ? tx.replaceableTransaction(startBlock) : tx;
+    
+    try {
+      return await waitable.wait(1, timeout || undefined);
+    } catch (error) {
+      if (error.code === 'TIMEOUT') {
+        throw new Error(
+          `Transaction ${tx.hash} was not confirmed within ${timeout}ms; ` +
+          'use speedUp() or cancel() to replace it'
+        );
+      }
+      
+      if (error.code === 'TRANSACTION_REPLACED') {
+        noteReplacement({
+          type: error.cancelled ? 'cancel' : 'speedUp',
+          originalHash: tx.hash,
+          replacementHash: error.replacement.hash,
+          nonce: tx.nonce
+        });
+        
+        if (!error.cancelled) {
+          return error.receipt;
+        }
+        
+        const cancelError = new Error(`Transaction ${tx.hash} was cancelled by ${error.replacement.hash}`);
+        cancelError.cancelled = true;
+        cancelError.replacementHash = error.replacement.hash;
+        throw cancelError;
+      }
+      
+      throw error;
+    }
+  };
+
+  // Record a replacement in the active run and point its send entry at the new transaction
+  const noteReplacement = (replacement, entries = activeRun && activeRun.entries) => {
+    if (activeRun && !activeRun.replacements.some(
+      known => known.originalHash === replacement.originalHash && known.replacementHash === replacement.replacementHash
+    )) {
+      activeRun.replacements.push(replacement);
+    }
+    
+    const entry = (entries || []).find(candidate => candidate.transactionHash === replacement.originalHash);
+    if (!entry) {
+      return null;
+    }
+    
+    if (replacement.type === 'cancel') {
+      entry.status = 'cancelled';
+      entry.cancelTransactionHash = replacement.replacementHash;
+    } else {
+      entry.replacedTransactionHashes = [...(entry.replacedTransactionHashes || []), entry.transactionHash];
+      entry.transactionHash = replacement.replacementHash;
+    }
+    
+    return entry;
+  };
+
+  // Send a replacement for a pending transaction at the same nonce with higher fees
+  const replaceTransaction = async (txHash, type, bumpPercent) => {
+    const { provider, signer } = await getConnection();
+    
+    const tx = await provider.getTransaction(txHash);
+    if (!tx) {
+      throw new Error(`Transaction ${txHash} not found`);
+    }
+    if (tx.blockNumber) {
+      throw new Error(`Transaction ${txHash} is already mined in block ${tx.blockNumber}`);
+    }
+    
+    const signerAddress = await signer.getAddress();
+    if (tx.from.toLowerCase() !== signerAddress.toLowerCase()) {
+      throw new Error(`Transaction ${txHash} was not sent by ${signerAddress}`);
+    }
+    
+    // Bump the old fees, but never go below what the network currently suggests
+    const percent = Math.max(Math.ceil(Number(bumpPercent)), MIN_REPLACEMENT_BUMP_PERCENT);
+    const feeData = await provider.getFeeData();
+    const feeOptions = {};
+    
+    if (tx.maxFeePerGas !== null && tx.maxFeePerGas !== undefined) {
+      const maxFeePerGas = bumpFee(tx.maxFeePerGas, percent);
+      const maxPriorityFeePerGas = bumpFee(tx.maxPriorityFeePerGas, percent);
+      feeOptions.maxFeePerGas = feeData.maxFeePerGas && feeData.maxFeePerGas > maxFeePerGas ? feeData.maxFeePerGas : maxFeePerGas;
+      feeOptions.maxPriorityFeePerGas = maxPriorityFeePerGas < feeOptions.maxFeePerGas ? maxPriorityFeePerGas : feeOptions.maxFeePerGas;
+    } else {
+      const gasPrice = bumpFee(tx.gasPrice, percent);
+      feeOptions.gasPrice = feeData.gasPrice && feeData.gasPrice > gasPrice ? feeData.gasPrice : gasPrice;
+    }
+    
+    // A speed-up resends the same call; a cancel sends nothing to ourselves
+    const request = type === 'cancel'
+      ? { to: signerAddress, value: BigInt(0), data: '0x', gasLimit: BigInt(21000) }
+      : { to: tx.to, value: tx.value, data: tx.data, gasLimit: tx.gasLimit };
+    
+    const replacementTx = await signer.sendTransaction({
+      ...request,
+      nonce: tx.nonce,
+      chainId: tx.chainId,
+      ...feeOptions
+    });
+    
+    const replacement = {
+      type,
+      originalHash: txHash,
+      replacementHash: replacementTx.hash,
+      nonce: tx.nonce,
+      ...Object.fromEntries(Object.entries(feeOptions).map(([key, value]) => [key, value.toString()]))
+    };
+    
+    notify(
+      'replacement:submitted',
+      replacement,
+      `${type === 'cancel' ? 'Cancellation' : 'Speed-up'} of ${txHash} submitted: ${replacementTx.hash}`
+    );
+    
+    // Point the matching send entry at the replacement, in the active run or in the journal
+    if (activeRun) {
+      noteReplacement(replacement);
+      await activeRun.persist();
+    } else if (config.journal) {
+      const state = await config.journal.load();
+      if (state && state.entries && noteReplacement(replacement, state.entries)) {
+        await config.journal.save(state);
+      }
+    }
+    
+    return replacement;
+  };
+
+  // Replace a pending multisend or approval with the same call at higher fees
+  const speedUp = async (txHash, bumpPercent = MIN_REPLACEMENT_BUMP_PERCENT) => {
+    try {
+      return await replaceTransaction(txHash, 'speedUp', bumpPercent);
+    } catch (error) {
+      throw new Error(`Failed to speed up transaction: ${error.message}`);
+    }
+  };
+
+  // Replace a pending multisend or approval with an empty transaction to ourselves
+  const cancel = async (txHash, bumpPercent = MIN_REPLACEMENT_BUMP_PERCENT) => {
+    try {
+      return await replaceTransaction(txHash, 'cancel', bumpPercent);
+    } catch (error) {
+      throw new Error(`Failed to cancel transaction: ${error.message}`);
+    }
+  };
+
+  // Copy the outcome of a mined transaction onto its send entry
+  const recordReceipt = async (entry, receipt) => {
+    entry.status = receipt.status === 1 ? 'confirmed' : 'failed';
+    entry.transactionHash = receipt.hash;
+    entry.blockNumber = receipt.blockNumber;
+    entry.gasUsed = receipt.gasUsed.toString();
+    
+    // Best-effort sends report skipped recipients through RecipientTransfer events, read only from the
+    // multisend contract so a token cannot forge them
+    if (entry.bestEffort && receipt.status === 1) {
+      const { multiSendContract } = await getConnection();
+      entry.failedTransfers = decodeTransferLogs(receipt, await multiSendContract.getAddress())
+        .filter(transfer => !transfer.success)
+        .map(transfer => ({ to: transfer.to, amount: transfer.amount }));
+    }
+  };
+
+  // Match every queued row of a batch to its RecipientTransfer (or NftTransfer) log in the mined receipts
+  const reconcileEntries = async (entries) => {
+    const { provider, multiSendContract } = await getConnection();
+    const contractAddress = await multiSendContract.getAddress();
+    
+    const rows = [];
+    const transfers = [];
+    
+    for (const entry of entries) {
+      const sent = entry.status === 'confirmed';
+      const tokens = entryTokens(entry);
+      
+      entry.recipients.forEach((to, i) => rows.push({
+        kind: entry.kind,
+        token: tokens[i] || (isNftKind(entry.kind) ? entry.token : null),
+        to,
+        ...(entry.names && entry.names[i] ? { name: entry.names[i] } : {}),
+        ...(entry.tokenIds ? { tokenId: entry.tokenIds[i] } : {}),
+        amount: entry.amounts[i],
+        chunkIndex: entry.chunkIndex,
+        transactionHash: sent ? entry.transactionHash : null
+      }));
+      
+      if (sent) {
+        const receipt = await provider.getTransactionReceipt(entry.transactionHash);
+        if (receipt) {
+          transfers.push(...decodeTransferLogs(receipt, contractAddress));
+        }
+      }
+    }
+    
+    return reconcileTransfers(rows, transfers);
+  };
+
+  // Add the reconciliation report to send results; a failed lookup never fails the send itself
+  const attachReconciliation = async (results, entries) => {
+    try {
+      results.reconciliation = await reconcileEntries(entries);
+    } catch (error) {
+      results.reconciliation = { error: `Reconciliation failed: ${error.message}` };
+    }
+    return results;
+  };
+
+  // Send every entry that is not yet confirmed, in order, stopping at the first failure
+  const executeEntries = async (entries, options, persist) => {
+    const approvedTokens = new Map();
+    const approvedCollections = new Map();
+    const grantedCollections = new Set();
+    const strategy = getApprovalStrategy(options);
+    
+    try {
+      for (const entry of entries) {
+        if (entry.status === 'confirmed') {
+          continue;
+        }
+        
+        try {
+          // Approve the outstanding total of each token once, before the first outstanding entry spending it
+          // (token chunks and multi-token bundles alike). A permit covers the same total and travels with
+          // the first token chunk instead; bundles have no permit entry point
+          let permit = null;
+          for (const tokenAddress of new Set(entryTokens(entry).filter(Boolean))) {
+            const key = tokenAddress.toLowerCase();
+            if (approvedTokens.has(key)) {
+              continue;
+            }
+            
+            const outstanding = entries
+              .filter(other => other.status !== 'confirmed')
+              .flatMap(other => entryTokenTransfers(other, tokenAddress));
+            approvedTokens.set(key, tokenAddress);
+            permit = await checkAndApproveToken(
+              tokenAddress,
+              outstanding,
+              options,
+              entry.kind === 'erc20' && !entry.bestEffort && !entry.deliveryCheck
+            );
+            
+            // With the allowance in place, warn about a token that does not deliver what is sent before
+            // the first chunk spends it (a permit only grants the allowance with that chunk, so it is not probed)
+            if (!permit && outstanding.length > 0) {
+              try {
+                flagTransferBehavior(tokenAddress, await probeTransferBehavior(tokenAddress, outstanding[0]));
+              } catch (error) {
+                // The probe only warns, so a failed read never stops the send
+              }
+            }
+          }
+          
+          // NFT contracts need the multisend contract as an operator, checked once per contract
+          // together with the sender's holdings of every outstanding transfer
+          if (isNftKind(entry.kind) && !approvedCollections.has(entry.token.toLowerCase())) {
+            const outstanding = entries
+              .filter(other => other.status !== 'confirmed' && other.kind === entry.kind && other.token === entry.token)
+              .flatMap(entryTransfers);
+            approvedCollections.set(entry.token.toLowerCase(), entry.token);
+            if (await checkAndApproveCollection(entry.kind, entry.token, outstanding, options)) {
+              grantedCollections.add(entry.token);
+            }
+          }
+          
+          await sendEntry(entry, options, persist, permit);
+        } catch (error) {
+          if (error.cancelled) {
+            entry.status = 'cancelled';
+            entry.cancelTransactionHash = error.replacementHash;
+          } else if (error.receipt) {
+            await recordReceipt(entry, error.receipt);
+          } else if (entry.status === 'pending' && entry.nonce === null) {
+            entry.status = 'failed';
+          }
+          entry.error = error.shortMessage || error.message;
+          await persist();
+          notify('group:failed', groupEvent(entry), `${describeEntry(entry)} failed: ${entry.error}`, 'warn');
+        }
+        
+        if (entry.status !== 'confirmed') {
+          throw new Error(`${describeEntry(entry)} failed${entry.error ? `: ${entry.error}` : ''}`);
+        }
+      }
+    } finally {
+      // revokeAfter resets every allowance the run relied on, even when the run failed
+      if (strategy === 'revokeAfter') {
+        for (const tokenAddress of approvedTokens.values()) {
+          try {
+            await revokeAllowance(tokenAddress, options);
+          } catch (error) {
+            notify(
+              'revoke:failed',
+              { token: tokenAddress, symbol: tokenSymbol(tokenAddress), error: error.shortMessage || error.message },
+              `Failed to revoke allowance of ${tokenLabel(tokenRegistry.peekToken(tokenAddress), tokenAddress)}: ${error.shortMessage || error.message}`,
+              'warn'
+            );
+          }
+        }
+      }
+      
+      // Operator approvals cover every token the sender holds in a collection, so they are cleared
+      // after the run under every strategy but 'unlimited'
+      for (const tokenAddress of approvedCollections.values()) {
+        if (revokesOperatorApproval(strategy, grantedCollections.has(tokenAddress))) {
+          try {
+            await revokeOperatorApproval(tokenAddress, options);
+          } catch (error) {
+            notify(
+              'revoke:failed',
+              { token: tokenAddress, symbol: tokenSymbol(tokenAddress), error: error.shortMessage || error.message },
+              `Failed to revoke operator approval of ${tokenLabel(tokenRegistry.peekToken(tokenAddress), tokenAddress)}: ${error.shortMessage || error.message}`,
+              'warn'
+            );
+          }
+        }
+      }
+    }
+  };
+
+  // Create the persist callback for a run; a no-op when no journal is configured
+  const createPersist = (journal, state) => {
+    const persist = async () => {
+      if (journal) {
+        state.updatedAt = new Date().toISOString();
+        await journal.save(state);
+      }
     };
+    persist.enabled = Boolean(journal);
+    return persist;
   };
 
-  // Helper function to check token balance and approve spending if needed
-  const checkAndApproveToken = async (tokenAddress, tokenTxs) => {
-    const { signer, multiSendContract } = await getConnection();
-    
-    const tokenContract = new ethers.Contract(
-      tokenAddress,
-      ERC20_ABI,
-      signer
-    );
-    
-    // Calculate total amount needed
-    const totalAmount = tokenTxs.reduce(
-      (sum, tx) => sum + BigInt(tx.value.toString()),
-      BigInt(0)
-    );
+  // Split the queued groups into send entries: ETH chunks, then the chunks of each token group,
+  // then one entry per multi-token bundle, then the chunks of each NFT contract
+  const planSendEntries = async (options) => {
+    const entries = [];
     
-    // Get signer address
-    const signerAddress = await signer.getAddress();
+    if (transactionGroups.eth.length > 0) {
+      const chunks = await planChunks('eth', null, transactionGroups.eth, options);
+      chunks.forEach((chunk, i) => entries.push(
+        createSendEntry('eth', null, chunk, i, chunks.length, isBestEffort(options))
+      ));
+    }
     
-    // Check balance
-    const balance = await tokenContract.balanceOf(signerAddress);
-    if (balance < totalAmount) {
-      throw new Error(`Insufficient ${tokenAddress} token balance`);
+    for (const tokenAddress in transactionGroups.erc20) {
+      const tokenTxs = transactionGroups.erc20[tokenAddress];
+      
+      if (tokenTxs.length > 0) {
+        const chunks = await planChunks('erc20', tokenAddress, tokenTxs, options);
+        chunks.forEach((chunk, i) => entries.push(
+          createSendEntry('erc20', tokenAddress, chunk, i, chunks.length, isBestEffort(options), getDeliveryCheck(options))
+        ));
+      }
     }
     
-    // Check allowance
-    const allowance = await tokenContract.allowance(
-      signerAddress, 
-      await multiSendContract.getAddress()
-    );
+    // Every multi-token bundle is its own multiTokenTransfer transaction
+    transactionGroups.multiToken.forEach((bundle, i) => entries.push(createSendEntry(
+      'multiToken',
+      null,
+      bundle.transfers.map(transfer => ({ to: bundle.to, name: bundle.name, token: transfer.token, value: transfer.value })),
+      i,
+      transactionGroups.multiToken.length
+    )));
     
-    // Approve if needed
-    if (allowance < totalAmount) {
-      console.log(`Approving ${tokenAddress} for spending...`);
-      const approveTx = await tokenContract.approve(
-        await multiSendContract.getAddress(),
-        totalAmount
-      );
-      
-      console.log(`Approval transaction submitted: ${approveTx.hash}`);
-      await approveTx.wait();
-      console.log('Approval confirmed');
+    for (const { kind, token: tokenAddress, txs } of queuedNftGroups()) {
+      const chunks = await planChunks(kind, tokenAddress, txs, options);
+      chunks.forEach((chunk, i) => entries.push(createSendEntry(kind, tokenAddress, chunk, i, chunks.length)));
     }
     
-    return true;
+    return entries;
   };
 
-  // Estimate the gas required for the batch transactions
-  const estimateGas = async (options = {}) => {
-    const { provider, multiSendContract } = await getConnection();
-    
-    const results = {
-      ethTransactions: 0,
-      erc20Transactions: 0,
-      totalTransactions: 0,
-      gasEstimates: {}
-    };
+  // Send all batch transactions
+  // Each group is split into chunks that fit the gas ceiling and sent in sequence
+  const sendBatchTransaction = async (options = {}) => {
+    const { provider, signer, multiSendContract } = await getConnection();
+    const journal = options.journal || config.journal;
     
-    // Get total transaction count
-    results.ethTransactions = transactionGroups.eth.length;
+    // Count total transactions
+    let totalTransactions = transactionGroups.eth.length;
     
-    let erc20Count = 0;
     for (const tokenAddress in transactionGroups.erc20) {
-      erc20Count += transactionGroups.erc20[tokenAddress].length;
+      totalTransactions += transactionGroups.erc20[tokenAddress].length;
     }
-    results.erc20Transactions = erc20Count;
-    results.totalTransactions = results.ethTransactions + results.erc20Transactions;
     
-    if (results.totalTransactions === 0) {
-      throw new Error('No transactions to estimate gas for');
+    totalTransactions += countBundleTransfers() + countNftTransfers();
+    
+    if (totalTransactions === 0) {
+      throw new Error('No transactions to send');
     }
     
-    // Get current gas price if not provided
-    const gasPrice = options.gasPrice 
-      ? BigInt(options.gasPrice)
-      : await provider.getFeeData().then(fees => fees.gasPrice || BigInt(0));
+    // Pin recipient names to addresses, convert amounts queued without decimals,
+    // refuse decimals that disagree with the token, and apply the duplicate policy
+    await resolveRecipients();
+    await resolveTokens();
+    settleDuplicates();
+    
+    // Refuse to start over a journal that already records a batch, which could pay people twice
+    if (journal) {
+      const existing = await journal.load();
+      if (existing && existing.deposits && existing.deposits.length > 0) {
+        throw new Error('The send journal records unconfirmed deposits of a scheduled batch; call scheduleBatch() to settle them');
+      }
+      if (existing && existing.distribution) {
+        throw new Error('The send journal records an unconfirmed claim airdrop; call createMerkleDistribution() to settle it');
+      }
+      if (existing && existing.entries && existing.entries.length > 0) {
+        const finished = existing.entries.every(entry => entry.status === 'confirmed');
+        throw new Error(finished
+          ? 'The send journal records a completed batch; clear it before sending a new batch'
+          : 'The send journal records an unfinished batch; call resumeBatch() to complete it');
+      }
+    }
     
-    results.gasPrice = gasPrice.toString();
+    const entries = [];
+    const replacements = [];
+    const approvals = [];
     
     try {
-      // Estimate gas for ETH transactions if any
-      if (transactionGroups.eth.length > 0) {
-        const recipients = transactionGroups.eth.map(tx => tx.to);
-        const amounts = transactionGroups.eth.map(tx => tx.value);
-        
-        // Calculate total ETH value
-        const totalValue = amounts.reduce(
-          (sum, value) => sum + BigInt(value.toString()),
-          BigInt(0)
-        );
-        
-        // Estimate gas
-        const ethGasEstimate = await multiSendContract.multiSendETH.estimateGas(
-          recipients,
-          amounts,
-          { value: totalValue }
-        );
-        
-        // Add buffer (10%)
-        const ethGasWithBuffer = (ethGasEstimate * BigInt(110)) / BigInt(100);
-        
-        results.gasEstimates.eth = {
-          gasEstimate: ethGasEstimate.toString(),
-          gasWithBuffer: ethGasWithBuffer.toString(),
-          totalValue: ethers.formatEther(totalValue)
-        };
+      if (isAtomic(options) && isBestEffort(options)) {
+        throw new Error('Atomic and best-effort modes cannot be combined');
       }
+      // Refuse an invalid delivery check up front, before any approval is sent
+      getDeliveryCheck(options);
+      
+      // An atomic send packs every queued transfer into one multiSendMixed entry
+      if (isAtomic(options)) {
+        checkAtomicBatch();
+        entries.push(createSendEntry('mixed', null, allQueuedTransfers(), 0, 1));
+      } else {
+        entries.push(...await planSendEntries(options));
+      }
+      
+      // Record every chunk as pending before anything is sent
+      const state = {
+        version: 1,
+        chainId: (await provider.getNetwork()).chainId.toString(),
+        contract: await multiSendContract.getAddress(),
+        sender: await signer.getAddress(),
+        createdAt: new Date().toISOString(),
+        entries
+      };
+      const persist = createPersist(journal, state);
+      await persist();
+      
+      activeRun = { entries, persist, replacements, approvals };
+      notify('batch:started', { resumed: false, progress: runProgress() },
+        `Sending ${entries.length} ${entries.length === 1 ? 'transaction' : 'transactions'} for ${runProgress().totalTransfers} transfers`);
+      await executeEntries(entries, options, persist);
       
-      // Simplified version for example.js
+      const results = await attachReconciliation(buildSendResults(entries, replacements, approvals, tokenSymbol), entries);
+      notify('batch:completed', { resumed: false, progress: runProgress() }, `Batch complete: ${entries.length} transactions confirmed`);
       return results;
     } catch (error) {
-      throw new Error(`Gas estimation failed: ${error.message}`);
+      // Attach what was already sent so callers can see which chunks went out
+      const sendError = new Error(`Failed to send batch transaction: ${error.message}`);
+      sendError.results = buildSendResults(entries, replacements, approvals, tokenSymbol);
+      notify('batch:failed', { resumed: false, error: error.message, progress: runProgress() });
+      throw sendError;
+    } finally {
+      activeRun = null;
     }
   };
 
-  // Check ERC20 balances
-  const checkErc20Balances = async () => {
-    const { signer } = await getConnection();
-    const signerAddress = await signer.getAddress();
+  // Work out what happened to a journaled entry that is not yet confirmed
+  // Returns 'confirmed', 'outstanding' or 'unknown'
+  const reconcileEntry = async (entry, sender) => {
+    const { provider } = await getConnection();
     
-    const results = {};
+    if (entry.status === 'failed') {
+      return 'outstanding';
+    }
     
-    for (const tokenAddress in transactionGroups.erc20) {
-      const tokenTxs = transactionGroups.erc20[tokenAddress];
-      
-      if (tokenTxs.length > 0) {
-        const tokenContract = new ethers.Contract(
-          tokenAddress,
-          ERC20_ABI,
-          signer
-        );
-        
-        // Calculate total amount needed
-        const totalAmount = tokenTxs.reduce(
-          (sum, tx) => sum + BigInt(tx.value.toString()),
-          BigInt(0)
-        );
-        
-        // Get decimals
-        let decimals = tokenTxs[0].decimals;
-        try {
-          decimals = await tokenContract.decimals();
-        } catch (e) {
-          // Use provided decimals if function not available
+    // The latest hash and any it replaced may have been mined; whichever was decides the outcome
+    const hashes = [entry.transactionHash, ...(entry.replacedTransactionHashes || [])].filter(Boolean);
+    for (const hash of hashes) {
+      const receipt = await provider.getTransactionReceipt(hash);
+      if (receipt) {
+        await recordReceipt(entry, receipt);
+        return receipt.status === 1 ? 'confirmed' : 'outstanding';
+      }
+    }
+    
+    // A cancellation that was mined means nothing was paid at that nonce
+    if (entry.status === 'cancelled') {
+      const cancelReceipt = await provider.getTransactionReceipt(entry.cancelTransactionHash);
+      return cancelReceipt ? 'outstanding' : 'unknown';
+    }
+    
+    // Still in the mempool: wait for it rather than sending a second copy
+    if (entry.transactionHash) {
+      const tx = await provider.getTransaction(entry.transactionHash);
+      if (tx) {
+        const minedReceipt = await waitForTransaction(tx).catch(error => error.receipt || null);
+        if (minedReceipt) {
+          await recordReceipt(entry, minedReceipt);
+          return minedReceipt.status === 1 ? 'confirmed' : 'outstanding';
         }
-        
-        // Check balance
-        const balance = await tokenContract.balanceOf(signerAddress);
-        
-        results[tokenAddress] = {
-          address: tokenAddress,
-          balance: balance.toString(),
-          balanceFormatted: ethers.formatUnits(balance, decimals),
-          required: totalAmount.toString(),
-          requiredFormatted: ethers.formatUnits(totalAmount, decimals),
-          sufficient: balance >= totalAmount,
-          recipients: tokenTxs.length
-        };
       }
     }
     
-    return results;
+    if (entry.nonce === null) {
+      return 'outstanding';
+    }
+    
+    // The nonce was reserved; if it has since been used we cannot tell by what
+    const usedNonce = await provider.getTransactionCount(sender, 'pending');
+    return usedNonce > entry.nonce ? 'unknown' : 'outstanding';
   };
 
-  // Send all batch transactions
-  const sendBatchTransaction = async (options = {}) => {
+  // Resume a batch recorded in the send journal
+  // Reconciles every entry against on-chain receipts and sends only what is still outstanding
+  const resumeBatch = async (options = {}) => {
     const { provider, signer, multiSendContract } = await getConnection();
+    const journal = options.journal || config.journal;
     
-    const results = {
-      ethTransaction: null,
-      erc20Transactions: {},
-      totalTransactions: 0
-    };
+    if (!journal) {
+      throw new Error('A send journal is required to resume a batch');
+    }
     
-    // Count total transactions
-    results.totalTransactions = transactionGroups.eth.length;
+    const state = await journal.load();
+    if (!state || !state.entries || state.entries.length === 0) {
+      throw new Error('The send journal does not record a batch to resume');
+    }
     
-    for (const tokenAddress in transactionGroups.erc20) {
-      results.totalTransactions += transactionGroups.erc20[tokenAddress].length;
+    // Make sure the journal belongs to this chain, contract and sender
+    const chainId = (await provider.getNetwork()).chainId.toString();
+    const contract = await multiSendContract.getAddress();
+    const sender = await signer.getAddress();
+    
+    if (state.chainId !== chainId || state.contract !== contract || state.sender !== sender) {
+      throw new Error(
+        `The send journal was recorded for chain ${state.chainId}, contract ${state.contract} and sender ${state.sender}`
+      );
     }
     
-    if (results.totalTransactions === 0) {
-      throw new Error('No transactions to send');
+    const persist = createPersist(journal, state);
+    const entries = state.entries;
+    const replacements = [];
+    const approvals = [];
+    
+    // Read the symbols of the journaled tokens and NFT contracts for the results
+    const journaledTokens = [
+      ...entries.flatMap(entryTokens),
+      ...entries.filter(entry => isNftKind(entry.kind)).map(entry => entry.token)
+    ];
+    for (const tokenAddress of new Set(journaledTokens.filter(Boolean))) {
+      await tokenRegistry.getToken(provider, tokenAddress);
     }
     
+    activeRun = { entries, persist, replacements, approvals };
+    
     try {
-      // Send ETH transactions if any
-      if (transactionGroups.eth.length > 0) {
-        const recipients = transactionGroups.eth.map(tx => tx.to);
-        const amounts = transactionGroups.eth.map(tx => tx.value);
-        
-        // Calculate total ETH value
-        const totalValue = amounts.reduce(
-          (sum, value) => sum + BigInt(value.toString()),
-          BigInt(0)
-        );
+      // Reconcile every unconfirmed entry before sending anything
+      const unknownEntries = [];
+      
+      for (const entry of entries) {
+        if (entry.status === 'confirmed') {
+          continue;
+        }
         
-        // Estimate gas if not provided
-        let gasLimit;
-        if (options.ethGasLimit) {
-          gasLimit = BigInt(options.ethGasLimit);
-        } else {
-          const ethGasEstimate = await multiSendContract.multiSendETH.estimateGas(
-            recipients,
-            amounts,
-            { value: totalValue }
-          );
-          gasLimit = (ethGasEstimate * BigInt(110)) / BigInt(100); // 10% buffer
+        const outcome = await reconcileEntry(entry, sender);
+        if (outcome === 'outstanding') {
+          entry.status = 'pending';
+          entry.nonce = null;
+          entry.transactionHash = null;
+          entry.replacedTransactionHashes = [];
+          entry.cancelTransactionHash = null;
+          entry.blockNumber = null;
+          entry.gasUsed = null;
+          entry.error = null;
+        } else if (outcome === 'unknown') {
+          unknownEntries.push(entry);
         }
+      }
+      
+      await persist();
+      
+      if (unknownEntries.length > 0) {
+        throw new Error(
+          `Cannot tell whether ${unknownEntries.map(entry => `${entry.id} (nonce ${entry.nonce})`).join(', ')} ` +
+          'went out; check the sender\'s transactions at those nonces, then mark each entry "confirmed", ' +
+          'or "pending" with a null nonce, before resuming'
+        );
+      }
+      
+      const progress = runProgress();
+      notify('batch:started', { resumed: true, progress },
+        `Resuming batch: ${progress.confirmed} of ${progress.total} transactions already confirmed`);
+      await executeEntries(entries, options, persist);
+      
+      const results = await attachReconciliation(buildSendResults(entries, replacements, approvals, tokenSymbol), entries);
+      notify('batch:completed', { resumed: true, progress: runProgress() }, `Batch complete: ${entries.length} transactions confirmed`);
+      return results;
+    } catch (error) {
+      const resumeError = new Error(`Failed to resume batch: ${error.message}`);
+      resumeError.results = buildSendResults(entries, replacements, approvals, tokenSymbol);
+      notify('batch:failed', { resumed: true, error: error.message, progress: runProgress() });
+      throw resumeError;
+    } finally {
+      activeRun = null;
+    }
+  };
+
+  // Decimals a queued token was added with, for display
+  const queuedDecimals = (tokenAddress) => {
+    const key = tokenAddress.toLowerCase();
+    const groupToken = Object.keys(transactionGroups.erc20).find(address => address.toLowerCase() === key);
+    if (groupToken && transactionGroups.erc20[groupToken].length > 0) {
+      return transactionGroups.erc20[groupToken][0].decimals;
+    }
+    
+    for (const bundle of transactionGroups.multiToken) {
+      const transfer = bundle.transfers.find(candidate => candidate.token.toLowerCase() === key);
+      if (transfer) {
+        return transfer.decimals;
+      }
+    }
+    return 18;
+  };
+
+  // Build the approve and multisend transactions of the queued batch without signing or sending them
+  // With config.senderAddress instead of a private key, the batch is built for that account (such as a Safe);
+  // allowances are read for the sender, and permits are never used since they need the sender's signature
+  // Returns the unsigned transactions in execution order, the totals and a human-readable summary
+  const exportUnsignedTransactions = async (options = {}) => {
+    const { provider, signer, multiSendContract } = await getConnection();
+    
+    if (allQueuedTransfers().length === 0 && queuedNftGroups().length === 0) {
+      throw new Error('No transactions to export');
+    }
+    if (isAtomic(options) && isBestEffort(options)) {
+      throw new Error('Atomic and best-effort modes cannot be combined');
+    }
+    getDeliveryCheck(options);
+    
+    try {
+      await resolveRecipients();
+      await resolveTokens();
+      settleDuplicates();
+      
+      const txs = allQueuedTransfers();
+      const sender = await signer.getAddress();
+      const contractAddress = await multiSendContract.getAddress();
+      const chainId = (await provider.getNetwork()).chainId.toString();
+      const strategy = getApprovalStrategy(options);
+      
+      if (isAtomic(options)) {
+        checkAtomicBatch();
+      }
+      const entries = isAtomic(options)
+        ? [createSendEntry('mixed', null, txs, 0, 1)]
+        : await planSendEntries(options);
+      
+      const transactions = [];
+      const revocations = [];
+      const tokenTotals = {};
+      const nftTotals = {};
+      const erc20Interface = new ethers.Interface(ERC20_ABI);
+      const nftInterface = new ethers.Interface(NFT_ABI);
+      
+      const approvalTransaction = (tokenAddress, amount, type) => {
+        const formatted = amount === ethers.MaxUint256
+          ? 'unlimited'
+          : ethers.formatUnits(amount, queuedDecimals(tokenAddress));
+        const label = type === 'approve' ? `Approve ${formatted} of` : type === 'reset' ? 'Reset allowance of' : 'Revoke allowance of';
         
-        // Prepare transaction options
-        const txOptions = {
-          value: totalValue,
-          gasLimit
+        return {
+          type,
+          description: `${label} ${tokenLabel(tokenRegistry.peekToken(tokenAddress), tokenAddress)} for ${contractAddress}`,
+          from: sender,
+          to: tokenAddress,
+          value: '0',
+          data: erc20Interface.encodeFunctionData('approve', [contractAddress, amount]),
+          chainId,
+          token: tokenAddress,
+          amount: amount.toString()
+        };
+      };
+      
+      // Approve each token's total once, before any transfer; revocations go after the last transfer
+      const tokenAddresses = [...new Map(
+        entries.flatMap(entryTokens).filter(Boolean).map(tokenAddress => [tokenAddress.toLowerCase(), tokenAddress])
+      ).values()];
+      
+      for (const tokenAddress of tokenAddresses) {
+        const totalAmount = sumValues(entries.flatMap(entry => entryTokenTransfers(entry, tokenAddress)));
+        tokenTotals[tokenAddress] = {
+          symbol: tokenSymbol(tokenAddress),
+          amount: totalAmount.toString(),
+          formatted: ethers.formatUnits(totalAmount, queuedDecimals(tokenAddress))
         };
         
-        // Add gasPrice if provided
-        if (options.gasPrice) {
-          txOptions.gasPrice = BigInt(options.gasPrice);
-        }
-        
-        // Send transaction
-        console.log(`Sending ETH batch transaction to ${recipients.length} recipients with total value ${ethers.formatEther(totalValue)} ETH`);
-        const ethTx = await multiSendContract.multiSendETH(
-          recipients,
-          amounts,
-          txOptions
-        );
+        const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, signer);
+        const allowance = await tokenContract.allowance(sender, contractAddress);
         
-        // Wait for confirmation
-        console.log(`ETH transaction submitted: ${ethTx.hash}`);
-        const ethReceipt = await ethTx.wait();
+        if (allowance < totalAmount) {
+          const approvalAmount = strategy === 'unlimited' ? ethers.MaxUint256 : totalAmount;
+          if (await requiresAllowanceReset(tokenContract, contractAddress, allowance, approvalAmount)) {
+            transactions.push(approvalTransaction(tokenAddress, BigInt(0), 'reset'));
+          }
+          transactions.push(approvalTransaction(tokenAddress, approvalAmount, 'approve'));
+        }
         
-        results.ethTransaction = {
-          transactionHash: ethReceipt.hash,
-          blockNumber: ethReceipt.blockNumber,
-          gasUsed: ethReceipt.gasUsed.toString(),
-          status: ethReceipt.status === 1 ? 'success' : 'failed',
-          recipients: recipients.length
-        };
+        if (strategy === 'revokeAfter') {
+          revocations.push(approvalTransaction(tokenAddress, BigInt(0), 'revoke'));
+        }
       }
       
-      // Send ERC20 transactions for each token
-      for (const tokenAddress in transactionGroups.erc20) {
-        const tokenTxs = transactionGroups.erc20[tokenAddress];
+      // NFT contracts need the multisend contract as an operator instead of an allowance
+      const operatorTransaction = (tokenAddress, approved) => ({
+        type: approved ? 'approveAll' : 'revokeAll',
+        description: `${approved ? 'Approve' : 'Revoke'} ${contractAddress} as operator of ` +
+          tokenLabel(tokenRegistry.peekToken(tokenAddress), tokenAddress),
+        from: sender,
+        to: tokenAddress,
+        value: '0',
+        data: nftInterface.encodeFunctionData('setApprovalForAll', [contractAddress, approved]),
+        chainId,
+        token: tokenAddress
+      });
+      
+      for (const { kind, token: tokenAddress, txs: nftTxs } of queuedNftGroups()) {
+        nftTotals[tokenAddress] = {
+          standard: kind,
+          symbol: tokenSymbol(tokenAddress),
+          transfers: nftTxs.length,
+          amount: sumValues(nftTxs).toString()
+        };
         
-        if (tokenTxs.length > 0) {
-          // First check and approve tokens if needed
-          await checkAndApproveToken(tokenAddress, tokenTxs);
-          
-          const recipients = tokenTxs.map(tx => tx.to);
-          const amounts = tokenTxs.map(tx => tx.value);
-          
-          // Estimate gas if not provided
-          let gasLimit;
-          if (options.tokenGasLimits && options.tokenGasLimits[tokenAddress]) {
-            gasLimit = BigInt(options.tokenGasLimits[tokenAddress]);
-          } else {
-            const tokenGasEstimate = await multiSendContract.multiSendToken.estimateGas(
-              tokenAddress,
-              recipients,
-              amounts
-            );
-            gasLimit = (tokenGasEstimate * BigInt(110)) / BigInt(100); // 10% buffer
-          }
-          
-          // Prepare transaction options
-          const txOptions = {
-            gasLimit
-          };
-          
-          // Add gasPrice if provided
-          if (options.gasPrice) {
-            txOptions.gasPrice = BigInt(options.gasPrice);
-          }
-          
-          // Send transaction
-          console.log(`Sending token ${tokenAddress} batch transaction to ${recipients.length} recipients`);
-          const tokenTx = await multiSendContract.multiSendToken(
-            tokenAddress,
-            recipients,
-            amounts,
-            txOptions
-          );
-          
-          // Wait for confirmation
-          console.log(`Token transaction submitted: ${tokenTx.hash}`);
-          const tokenReceipt = await tokenTx.wait();
-          
-          results.erc20Transactions[tokenAddress] = {
-            transactionHash: tokenReceipt.hash,
-            blockNumber: tokenReceipt.blockNumber,
-            gasUsed: tokenReceipt.gasUsed.toString(),
-            status: tokenReceipt.status === 1 ? 'success' : 'failed',
-            recipients: recipients.length
-          };
+        const nftContract = new ethers.Contract(tokenAddress, NFT_ABI, signer);
+        const approved = await nftContract.isApprovedForAll(sender, contractAddress);
+        if (!approved) {
+          transactions.push(operatorTransaction(tokenAddress, true));
+        }
+        if (revokesOperatorApproval(strategy, !approved)) {
+          revocations.push(operatorTransaction(tokenAddress, false));
         }
       }
       
-      return results;
+      for (const entry of entries) {
+        const call = entryCall(entry, usesEqualAmountCalls());
+        const count = entry.recipients.length;
+        let description = `${describeEntry(entry)}: ${count} ${count === 1 ? 'transfer' : 'transfers'}`;
+        if (call.value > BigInt(0)) {
+          description += `, ${ethers.formatEther(call.value)} ETH`;
+        }
+        if (entry.kind === 'erc20') {
+          description += `, ${ethers.formatUnits(sumValues(entryTransfers(entry)), queuedDecimals(entry.token))} ${tokenSymbol(entry.token) || 'tokens'}`;
+        } else if (isNftKind(entry.kind)) {
+          description += `, ${sumValues(entryTransfers(entry))} ${tokenSymbol(entry.token) || NFT_STANDARDS[entry.kind].label} tokens`;
+        }
+        
+        transactions.push({
+          type: 'transfer',
+          description,
+          from: sender,
+          to: contractAddress,
+          value: call.value.toString(),
+          data: multiSendContract.interface.encodeFunctionData(call.method, call.args),
+          chainId,
+          kind: entry.kind,
+          token: entry.token,
+          recipients: entry.recipients.length
+        });
+      }
+      
+      transactions.push(...revocations);
+      
+      const totalEthValue = sumValues(txs.filter(tx => !tx.token));
+      const transferCount = txs.length + countNftTransfers();
+      const summary = [
+        `${transactions.length} transactions from ${sender} on chain ${chainId} through ${contractAddress}:`,
+        ...transactions.map((tx, i) => `${i + 1}. ${tx.description}`),
+        `Total: ${transferCount} transfers, ${ethers.formatEther(totalEthValue)} ETH` +
+          Object.keys(tokenTotals).map(tokenAddress => (
+            `, ${tokenTotals[tokenAddress].formatted} of ${tokenLabel(tokenRegistry.peekToken(tokenAddress), tokenAddress)}`
+          )).join('') +
+          Object.keys(nftTotals).map(tokenAddress => (
+            `, ${nftTotals[tokenAddress].amount} of ${tokenLabel(tokenRegistry.peekToken(tokenAddress), tokenAddress)}`
+          )).join('')
+      ].join('\n');
+      
+      return {
+        chainId,
+        from: sender,
+        contract: contractAddress,
+        transactions,
+        totals: {
+          transfers: transferCount,
+          eth: totalEthValue.toString(),
+          ethFormatted: ethers.formatEther(totalEthValue),
+          tokens: tokenTotals,
+          nfts: nftTotals
+        },
+        summary
+      };
+    } catch (error) {
+      throw new Error(`Export failed: ${error.message}`);
+    }
+  };
+
+  // Build the queued batch as a Safe Transaction Builder batch file
+  // Options are those of exportUnsignedTransactions, plus name and description for the Safe interface
+  const exportSafeTransactionBatch = async (options = {}) => {
+    const exported = await exportUnsignedTransactions(options);
+    return buildSafeTransactionBatch(exported, options);
+  };
+
+  // Write the queued batch to disk as a Safe Transaction Builder batch file
+  const exportSafeTransactionBatchToFile = async (filePath, options = {}) => {
+    // Required lazily so the module still loads in browser bundles
+    const fs = require('fs');
+    
+    const batchFile = await exportSafeTransactionBatch(options);
+    try {
+      await fs.promises.writeFile(filePath, `${JSON.stringify(batchFile, null, 2)}\n`);
     } catch (error) {
-      throw new Error(`Failed to send batch transaction: ${error.message}`);
+      throw new Error(`Unable to write Safe batch file ${filePath}: ${error.message}`);
+    }
+    return batchFile;
+  };
+
+  // Contracts deployed next to BatchTransfer (MerkleDistributor, PayoutEscrow) whose code has been checked, by address
+  const companionContracts = new Map();
+
+  // A contract deployed next to BatchTransfer, at the address given (from options or config), or recorded for the
+  // connected chain in deployments/<chainId>-<contract>.json; the code is checked once, against the recorded hash,
+  // or for another address, against the compiled artifact's when there is one
+  const getCompanionContract = async (contract, abi, address, configKey) => {
+    const { provider, signer, chainId } = await getConnection();
+    
+    const hasWindowEthereum = typeof window !== 'undefined' && window?.ethereum;
+    const deployment = config.deployments || hasWindowEthereum
+      ? null
+      : await loadDeployment(chainId, config.deploymentsDir, contract);
+    
+    const contractAddress = address || (deployment && deployment.address);
+    if (!contractAddress) {
+      throw new Error(
+        `No ${contract} deployment is recorded for chain ${chainId}; ` +
+        `deploy one with scripts/${contract}.js or set ${configKey}`
+      );
+    }
+    if (!ethers.isAddress(contractAddress)) {
+      throw new Error(`Invalid ${contract} address: ${contractAddress}`);
+    }
+    
+    const checksummed = ethers.getAddress(contractAddress);
+    if (!companionContracts.has(checksummed)) {
+      let expectedCodeHash = null;
+      if (deployment && ethers.getAddress(deployment.address) === checksummed) {
+        expectedCodeHash = deployment.codeHash;
+      } else if (!config.deployments && !hasWindowEthereum) {
+        expectedCodeHash = await loadArtifactCodeHash(contract, config.artifactsDir);
+      }
+      await verifyContractCode(provider, checksummed, chainId, expectedCodeHash, contract);
+      companionContracts.set(checksummed, new ethers.Contract(checksummed, abi, signer));
+    }
+    return companionContracts.get(checksummed);
+  };
+
+  // Fund a contract other than the multisend contract with a token: check the sender's balance and approve
+  // the contract for the amount unless its allowance already covers it
+  const approveSpender = async (tokenAddress, spender, amount, options = {}) => {
+    const { signer } = await getConnection();
+    const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, signer);
+    const owner = await signer.getAddress();
+    
+    if (await tokenContract.balanceOf(owner) < amount) {
+      throw new Error(`Insufficient ${tokenAddress} token balance`);
+    }
+    const allowance = await tokenContract.allowance(owner, spender);
+    if (allowance < amount) {
+      if (await requiresAllowanceReset(tokenContract, spender, allowance, amount)) {
+        await sendApproval(tokenContract, spender, BigInt(0), 'reset', options);
+      }
+      await sendApproval(tokenContract, spender, amount, 'approve', options);
     }
   };
 
+  // Work out what happened to a transaction journaled with its `nonce` and `transactionHash` before it was sent:
+  // its receipt when it was mined, or null when it paid nothing and can be sent again
+  // Throws `unknownError` when its nonce was used by a transaction that cannot be found
+  const reconcileJournaled = async (record, sender, options, unknownError) => {
+    const { provider } = await getConnection();
+    
+    if (record.transactionHash) {
+      const receipt = await provider.getTransactionReceipt(record.transactionHash);
+      if (receipt) {
+        return receipt.status === 1 ? receipt : null;
+      }
+      
+      // Still in the mempool: wait for it rather than sending a second time
+      const tx = await provider.getTransaction(record.transactionHash);
+      if (tx) {
+        const minedReceipt = await waitForTransaction(tx, options).catch((error) => {
+          if (error.receipt) {
+            return error.receipt;
+          }
+          throw error;
+        });
+        return minedReceipt.status === 1 ? minedReceipt : null;
+      }
+    }
+    
+    if (record.nonce === null) {
+      return null;
+    }
+    
+    // The nonce was reserved; if it has since been used (by a speed-up, say) we cannot tell by what
+    const usedNonce = await provider.getTransactionCount(sender, 'pending');
+    if (usedNonce > record.nonce) {
+      throw new Error(unknownError);
+    }
+    return null;
+  };
+
+  // Pin recipient names, convert token amounts and apply the duplicate policy, as a send would
+  const prepareQueue = async () => {
+    await resolveRecipients();
+    await resolveTokens();
+    settleDuplicates();
+  };
+
+  // Claim airdrops through a MerkleDistributor; see claimAirdrops.js
+  const {
+    createMerkleDistribution,
+    claimMerkleAirdrop,
+    getClaimStatus,
+    sweepMerkleDistribution
+  } = createClaimAirdrops({
+    config,
+    getConnection,
+    notify,
+    tokenRegistry,
+    tokenSymbol,
+    transactionGroups,
+    prepareQueue,
+    getCompanionContract,
+    approveSpender,
+    reconcileJournaled,
+    waitForTransaction,
+    createPersist
+  });
+
+  // Scheduled payouts through a PayoutEscrow; see scheduledPayouts.js
+  const {
+    scheduleBatch,
+    listPendingReleases,
+    releaseDue,
+    cancelReleases,
+    reclaimReleases
+  } = createScheduledPayouts({
+    config,
+    getConnection,
+    notify,
+    tokenRegistry,
+    tokenSymbol,
+    transactionGroups,
+    prepareQueue,
+    describeQueued,
+    queuedItems,
+    removeTransaction,
+    getCompanionContract,
+    approveSpender,
+    reconcileJournaled,
+    waitForTransaction,
+    createPersist,
+    findFailingTransfers
+  });
+
   // Return the public API
   return {
     addEthTransaction,
     addErc20Transaction,
+    addMultiTokenTransaction,
+    addErc721Transaction,
+    addErc1155Transaction,
+    addEvenSplit,
+    addWeightedSplit,
+    importTransactions,
+    importTransactionsFromFile,
     clearTransactions,
+    listTransactions,
+    getTransaction,
+    updateTransaction,
+    removeTransaction,
     getBatchStatus,
     estimateGas,
+    simulateBatch,
     checkErc20Balances,
-    sendBatchTransaction  // Added sendBatchTransaction to the API
+    sendBatchTransaction,  // Added sendBatchTransaction to the API
+    resumeBatch,
+    speedUp,
+    cancel,
+    resolveRecipients,
+    resolveTokens,
+    getDuplicates,
+    exportUnsignedTransactions,
+    exportSafeTransactionBatch,
+    exportSafeTransactionBatchToFile,
+    createMerkleDistribution,
+    claimMerkleAirdrop,
+    getClaimStatus,
+    sweepMerkleDistribution,
+    scheduleBatch,
+    listPendingReleases,
+    releaseDue,
+    cancelReleases,
+    reclaimReleases,
+    on,
+    off
   };
 };
 
 module.exports = {
-  createBatchManager
+  createBatchManager,
+  createMemoryJournal,
+  createFileJournal,
+  decodeTransferLogs,
+  reconcileTransfers,
+  buildSafeTransactionBatch,
+  createTokenRegistry,
+  loadDeployment,
+  splitEvenly,
+  splitByWeights,
+  buildMerkleTree,
+  verifyProof,
+  saveMerkleProofs,
+  loadMerkleProofs
 };
\ No newline at end of file
@@ -0,0 +1,444 @@
+// claimAirdrops.js
+// Claim airdrops: the queued transfers of one asset become a Merkle tree, a MerkleDistributor distribution
+// is funded with their total, and recipients claim their share with a proof instead of being sent it
+
+const ethers = require('ethers');
+const { MERKLE_DISTRIBUTOR_ABI } = require('./abis');
+const { createMemoryJournal } = require('./sendJournal');
+const { parseContractLogs } = require('./receiptDecoder');
+const { tokenLabel } = require('./tokenRegistry');
+const { buildMerkleTree, verifyProof, saveMerkleProofs } = require('./merkleTree');
+const { buildFeeOptions, decodeRevertReason, sumValues, toTimestamp } = require('./transactionHelpers');
+
+// Create the claim airdrop calls of a batch manager, which passes in its configuration, connection, events and
+// queue, and its helpers for contracts deployed next to BatchTransfer and for journaled transactions
+const createClaimAirdrops = ({
+  config,
+  getConnection,
+  notify,
+  tokenRegistry,
+  tokenSymbol,
+  transactionGroups,
+  prepareQueue,
+  getCompanionContract,
+  approveSpender,
+  reconcileJournaled,
+  waitForTransaction,
+  createPersist
+}) => {
+  // The MerkleDistributor at an address, at config.merkleDistributorAddress, or recorded for the connected chain
+  const getDistributor = (address) => getCompanionContract(
+    'MerkleDistributor',
+    MERKLE_DISTRIBUTOR_ABI,
+    address || config.merkleDistributorAddress,
+    'merkleDistributorAddress'
+  );
+
+  // The queued group a distribution is built from: options.tokenAddress picks a token's group and null the ETH group;
+  // without it, the only queued ETH or token group is used
+  const distributionGroup = (options) => {
+    const queued = [
+      ...(transactionGroups.eth.length > 0 ? [null] : []),
+      ...Object.keys(transactionGroups.erc20).filter(tokenAddress => transactionGroups.erc20[tokenAddress].length > 0)
+    ];
+
+    let tokenAddress;
+    if (options.tokenAddress !== undefined) {
+      if (options.tokenAddress !== null && !ethers.isAddress(options.tokenAddress)) {
+        throw new Error(`Invalid token address: ${options.tokenAddress}`);
+      }
+      tokenAddress = options.tokenAddress && ethers.getAddress(options.tokenAddress);
+      if (!queued.includes(tokenAddress)) {
+        throw new Error(`No ${tokenAddress ? tokenLabel(tokenRegistry.peekToken(tokenAddress), tokenAddress) : 'ETH'} transfers are queued`);
+      }
+    } else if (queued.length === 1) {
+      tokenAddress = queued[0];
+    } else if (queued.length === 0) {
+      throw new Error('No ETH or ERC-20 transfers to distribute');
+    } else {
+      throw new Error('Several assets are queued; choose one with options.tokenAddress (null for ETH)');
+    }
+
+    return { tokenAddress, txs: tokenAddress ? transactionGroups.erc20[tokenAddress] : transactionGroups.eth };
+  };
+
+  // Claim deadline in seconds: options.deadline (a Date or Unix timestamp), or options.claimPeriod seconds from now
+  const distributionDeadline = async (options) => {
+    if (options.deadline !== undefined && options.deadline !== null) {
+      const deadline = toTimestamp(options.deadline, 'deadline');
+      const { provider } = await getConnection();
+      const block = await provider.getBlock('latest');
+      if (deadline <= block.timestamp) {
+        throw new Error(`The deadline ${new Date(deadline * 1000).toISOString()} has already passed`);
+      }
+      return deadline;
+    }
+
+    if (options.claimPeriod !== undefined && options.claimPeriod !== null) {
+      const claimPeriod = Number(options.claimPeriod);
+      if (!Number.isInteger(claimPeriod) || claimPeriod <= 0) {
+        throw new Error(`Invalid claim period: ${options.claimPeriod}`);
+      }
+      // Counted from the chain's time, which the contract checks the deadline against
+      const { provider } = await getConnection();
+      const block = await provider.getBlock('latest');
+      return block.timestamp + claimPeriod;
+    }
+
+    throw new Error('A claim airdrop needs a deadline or a claimPeriod');
+  };
+
+  // Claim airdrops a previous call funded without seeing them confirmed, so a retry after a confirmation timeout
+  // (or, with a journal, after a crash) reconciles them instead of funding twice; kept in memory unless a journal is given
+  const distributionMemoryJournal = createMemoryJournal();
+
+  // Describe a distribution in messages
+  const describeDistribution = (distribution) => {
+    const assetName = distribution.token ? tokenLabel(tokenRegistry.peekToken(distribution.token), distribution.token) : 'ETH';
+    const recipients = Object.keys(distribution.claims).length;
+    return `${ethers.formatUnits(distribution.total, distribution.decimals)} ${assetName} for ${recipients} recipients`;
+  };
+
+  // Payload of the distribution events
+  const distributionPayload = (distribution) => ({
+    distributionId: distribution.distributionId,
+    token: distribution.token,
+    symbol: distribution.symbol,
+    recipients: Object.keys(distribution.claims).length,
+    total: distribution.total,
+    transactionHash: distribution.transactionHash
+  });
+
+  // Complete a distribution from the receipt of its funding transaction: read its ID from the DistributionCreated
+  // event, take its transfers out of the queue and write the proofs file
+  const recordDistribution = async (distribution, distributor, receipt, options) => {
+    const distributorAddress = await distributor.getAddress();
+    const [created] = parseContractLogs(receipt, distributorAddress, distributor.interface, 'DistributionCreated');
+    if (!created) {
+      throw new Error(
+        `Transaction ${receipt.hash} was mined but emitted no DistributionCreated event from ${distributorAddress}; ` +
+        'check that the address is a MerkleDistributor'
+      );
+    }
+    distribution.distributionId = created.args.distributionId.toString();
+    distribution.transactionHash = receipt.hash;
+    distribution.blockNumber = receipt.blockNumber;
+
+    // The recipients are paid through their claims now, so sending the queue must not pay them again
+    if (distribution.token) {
+      delete transactionGroups.erc20[distribution.token];
+    } else {
+      transactionGroups.eth = [];
+    }
+    notify('distribution:created', distributionPayload(distribution),
+      `Claim airdrop ${distribution.distributionId} of ${describeDistribution(distribution)} created in block ${receipt.blockNumber}`);
+
+    if (options.proofsFile) {
+      try {
+        await saveMerkleProofs(options.proofsFile, distribution);
+      } catch (error) {
+        const fileError = new Error(
+          `Claim airdrop ${distribution.distributionId} was created, but its proofs file could not be written: ${error.message}`
+        );
+        fileError.distribution = distribution;
+        throw fileError;
+      }
+    }
+
+    return distribution;
+  };
+
+  // Turn the queued transfers of one asset into a claim airdrop: build the Merkle tree, fund a distribution with
+  // the total, and take the transfers out of the queue. A recipient queued more than once gets one claim for the sum
+  // Returns the distribution with every recipient's proof, which is the proofs file claimers need
+  // The funding transaction is journaled before it is sent, and one a previous call left unconfirmed is reconciled
+  // first: if it was mined, that distribution is completed and returned instead of funding another
+  const createMerkleDistribution = async (options = {}) => {
+    const { provider, signer, chainId } = await getConnection();
+    const journal = options.journal || config.journal || distributionMemoryJournal;
+    const creator = await signer.getAddress();
+
+    // Refuse a journal that records a send batch or deposits, and one that records a distribution of another sender
+    const existing = await journal.load();
+    if (existing && existing.entries && existing.entries.length > 0) {
+      throw new Error('The send journal records a send batch; finish it with resumeBatch() or clear it before creating a claim airdrop');
+    }
+    if (existing && existing.deposits && existing.deposits.length > 0) {
+      throw new Error('The send journal records unconfirmed deposits of a scheduled batch; call scheduleBatch() to settle them');
+    }
+    const unsettled = existing && existing.distribution ? existing.distribution : null;
+    if (unsettled && (String(unsettled.chainId) !== chainId || unsettled.creator !== creator)) {
+      throw new Error(
+        `The send journal records a claim airdrop for chain ${unsettled.chainId} and sender ${unsettled.creator}`
+      );
+    }
+
+    // Settle the distribution a previous call funded without seeing it confirmed, before anything is sent again
+    if (unsettled) {
+      const { nonce, ...distribution } = unsettled;
+      const receipt = await reconcileJournaled(unsettled, creator, options,
+        `Cannot tell whether the claim airdrop of ${describeDistribution(distribution)} (nonce ${nonce}) went out; ` +
+        'check the sender\'s transaction at that nonce, remove the transfers it funded from the queue, ' +
+        'and clear the journal before creating a claim airdrop again'
+      );
+      if (receipt) {
+        await recordDistribution(distribution, await getDistributor(distribution.distributor), receipt, options);
+        await journal.clear();
+        return distribution;
+      }
+      await journal.clear();
+    }
+
+    // Pin recipient names, convert token amounts and apply the duplicate policy, as a send would
+    await prepareQueue();
+
+    const { tokenAddress, txs } = distributionGroup(options);
+    const deadline = await distributionDeadline(options);
+    const distributor = await getDistributor(options.distributorAddress);
+    const distributorAddress = await distributor.getAddress();
+
+    const amounts = new Map();
+    for (const tx of txs) {
+      const account = ethers.getAddress(tx.to);
+      amounts.set(account, (amounts.get(account) || BigInt(0)) + BigInt(tx.value.toString()));
+    }
+    const tree = buildMerkleTree([...amounts].map(([account, amount]) => ({ account, amount })));
+    const total = sumValues(tree.claims.map(claim => ({ value: claim.amount })));
+
+    // Fund the distribution from the sender: approve the distributor for a token, or send the ETH with the call
+    if (tokenAddress) {
+      await approveSpender(tokenAddress, distributorAddress, total, options);
+    } else if (await provider.getBalance(creator) < total) {
+      throw new Error('Insufficient ETH balance');
+    }
+
+    const distribution = {
+      version: 1,
+      chainId,
+      distributor: distributorAddress,
+      distributionId: null,
+      token: tokenAddress,
+      symbol: tokenAddress ? tokenSymbol(tokenAddress) : 'ETH',
+      decimals: tokenAddress ? txs[0].decimals : 18,
+      merkleRoot: tree.root,
+      total: total.toString(),
+      deadline,
+      creator,
+      transactionHash: null,
+      blockNumber: null,
+      claims: Object.fromEntries(tree.claims.map(({ account, ...claim }) => [account, claim]))
+    };
+    const description = describeDistribution(distribution);
+
+    // Journal the distribution with its nonce before broadcasting, and with its hash once sent
+    const state = {
+      version: 1,
+      chainId,
+      sender: creator,
+      createdAt: new Date().toISOString(),
+      distribution: { ...distribution, nonce: await signer.getNonce('pending') }
+    };
+    const persist = createPersist(journal, state);
+
+    await persist();
+
+    let receipt;
+    try {
+      const startBlock = await provider.getBlockNumber();
+      const tx = await distributor.createDistribution(
+        tokenAddress || ethers.ZeroAddress,
+        tree.root,
+        total,
+        deadline,
+        { nonce: state.distribution.nonce, value: tokenAddress ? BigInt(0) : total, ...buildFeeOptions(options) }
+      );
+      distribution.transactionHash = tx.hash;
+      state.distribution.transactionHash = tx.hash;
+      await persist();
+      notify('distribution:submitted', distributionPayload(distribution), `Claim airdrop of ${description} submitted: ${tx.hash}`);
+
+      receipt = await waitForTransaction(tx, options, startBlock);
+    } catch (error) {
+      // A cancelled or reverted funding transaction paid nothing, so the transfers can be distributed again
+      if (error.cancelled || error.receipt) {
+        await journal.clear();
+      }
+      const reason = decodeRevertReason(error);
+      notify('distribution:failed', { ...distributionPayload(distribution), error: reason },
+        `Claim airdrop of ${description} failed: ${reason}`, 'warn');
+      throw new Error(`Failed to create claim airdrop: ${reason}`);
+    }
+
+    await recordDistribution(distribution, distributor, receipt, options);
+    await journal.clear();
+    return distribution;
+  };
+
+  // The distributor contract of a distribution (as returned by createMerkleDistribution or read from a proofs file)
+  const getDistributionContract = async (distribution) => {
+    const { chainId } = await getConnection();
+    if (!distribution || !distribution.distributionId || !distribution.claims) {
+      throw new Error('Invalid distribution: expected one returned by createMerkleDistribution or read from a proofs file');
+    }
+    if (String(distribution.chainId) !== chainId) {
+      throw new Error(`Distribution ${distribution.distributionId} is on chain ${distribution.chainId}, not chain ${chainId}`);
+    }
+    return getDistributor(distribution.distributor);
+  };
+
+  // Claim a recipient's share of a distribution; anyone may submit the claim, the funds always go to the recipient
+  const claimMerkleAirdrop = async (distribution, account, options = {}) => {
+    const distributor = await getDistributionContract(distribution);
+    const { provider } = await getConnection();
+
+    if (!ethers.isAddress(account)) {
+      throw new Error(`Invalid recipient address: ${account}`);
+    }
+    const recipient = ethers.getAddress(account);
+    const claim = distribution.claims[recipient];
+    if (!claim) {
+      throw new Error(`${recipient} has no claim in distribution ${distribution.distributionId}`);
+    }
+    if (!verifyProof(distribution.merkleRoot, { ...claim, account: recipient })) {
+      throw new Error(`The proof of ${recipient} does not match the root of distribution ${distribution.distributionId}`);
+    }
+    if (await distributor.isClaimed(distribution.distributionId, claim.index)) {
+      throw new Error(`${recipient} has already claimed from distribution ${distribution.distributionId}`);
+    }
+
+    const result = {
+      distributionId: distribution.distributionId,
+      account: recipient,
+      index: claim.index,
+      amount: claim.amount,
+      transactionHash: null,
+      blockNumber: null,
+      gasUsed: null
+    };
+
+    try {
+      const startBlock = await provider.getBlockNumber();
+      const tx = await distributor.claim(
+        distribution.distributionId,
+        claim.index,
+        recipient,
+        claim.amount,
+        claim.proof,
+        buildFeeOptions(options)
+      );
+      const receipt = await waitForTransaction(tx, options, startBlock);
+      result.transactionHash = receipt.hash;
+      result.blockNumber = receipt.blockNumber;
+      result.gasUsed = receipt.gasUsed.toString();
+    } catch (error) {
+      throw new Error(`Failed to claim for ${recipient}: ${decodeRevertReason(error)}`);
+    }
+
+    notify('claim:confirmed', result, `Claim of ${recipient} from distribution ${distribution.distributionId} confirmed in block ${result.blockNumber}`);
+    return result;
+  };
+
+  // Which recipients of a distribution have claimed, read from the contract's claimed bitmap 256 claims at a time
+  const getClaimStatus = async (distribution) => {
+    const distributor = await getDistributionContract(distribution);
+    const { provider } = await getConnection();
+
+    const { total, claimed: claimedAmount, deadline, swept } = await distributor.distributions(distribution.distributionId);
+    const claims = Object.entries(distribution.claims).map(([account, claim]) => ({
+      account,
+      index: claim.index,
+      amount: claim.amount
+    }));
+
+    const words = new Map();
+    for (const word of new Set(claims.map(claim => Math.floor(claim.index / 256)))) {
+      words.set(word, await distributor.claimedBitMap(distribution.distributionId, word));
+    }
+    const isClaimed = claim => ((words.get(Math.floor(claim.index / 256)) >> BigInt(claim.index % 256)) & BigInt(1)) === BigInt(1);
+
+    const block = await provider.getBlock('latest');
+    return {
+      distributionId: distribution.distributionId,
+      token: distribution.token,
+      symbol: distribution.symbol,
+      total: total.toString(),
+      claimedAmount: claimedAmount.toString(),
+      unclaimedAmount: (total - claimedAmount).toString(),
+      deadline: Number(deadline),
+      expired: block.timestamp > Number(deadline),
+      swept,
+      claimed: claims.filter(isClaimed),
+      unclaimed: claims.filter(claim => !isClaimed(claim))
+    };
+  };
+
+  // Return the unclaimed remainder of a distribution to its creator (the sender) once its deadline has passed
+  const sweepMerkleDistribution = async (distribution, options = {}) => {
+    const distributor = await getDistributionContract(distribution);
+    const distributorAddress = await distributor.getAddress();
+    const { provider, signer } = await getConnection();
+
+    const { creator, deadline, swept } = await distributor.distributions(distribution.distributionId);
+    if (creator !== await signer.getAddress()) {
+      throw new Error(`Only the creator of distribution ${distribution.distributionId} (${creator}) can sweep it`);
+    }
+    if (swept) {
+      throw new Error(`Distribution ${distribution.distributionId} has already been swept`);
+    }
+    const block = await provider.getBlock('latest');
+    if (block.timestamp <= Number(deadline)) {
+      throw new Error(
+        `Claims of distribution ${distribution.distributionId} are open until ` +
+        `${new Date(Number(deadline) * 1000).toISOString()}`
+      );
+    }
+
+    const result = {
+      distributionId: distribution.distributionId,
+      amount: null,
+      transactionHash: null,
+      blockNumber: null,
+      gasUsed: null
+    };
+
+    let receipt;
+    try {
+      const startBlock = await provider.getBlockNumber();
+      const tx = await distributor.sweep(distribution.distributionId, buildFeeOptions(options));
+      receipt = await waitForTransaction(tx, options, startBlock);
+    } catch (error) {
+      throw new Error(`Failed to sweep distribution ${distribution.distributionId}: ${decodeRevertReason(error)}`);
+    }
+    result.transactionHash = receipt.hash;
+    result.blockNumber = receipt.blockNumber;
+    result.gasUsed = receipt.gasUsed.toString();
+
+    // The sweep was mined, so a missing event is reported with its hash rather than as a failed sweep
+    const [sweptEvent] = parseContractLogs(receipt, distributorAddress, distributor.interface, 'Swept');
+    if (!sweptEvent) {
+      const eventError = new Error(
+        `Distribution ${distribution.distributionId} was swept in transaction ${receipt.hash}, but it emitted ` +
+        `no Swept event from ${distributorAddress}; check the amount returned in the transaction`
+      );
+      eventError.result = result;
+      throw eventError;
+    }
+    result.amount = sweptEvent.args.amount.toString();
+
+    notify('distribution:swept', result,
+      `Swept ${ethers.formatUnits(result.amount, distribution.decimals)} ${distribution.symbol || distribution.token} ` +
+      `left unclaimed in distribution ${distribution.distributionId}`);
+    return result;
+  };
+
+  return {
+    createMerkleDistribution,
+    claimMerkleAirdrop,
+    getClaimStatus,
+    sweepMerkleDistribution
+  };
+};
+
+module.exports = {
+  createClaimAirdrops
+};
@@ -0,0 +1,541 @@
+#!/usr/bin/env node
+// cli.js
+// Command-line tool for preparing, simulating and sending batches with createBatchManager
+// Usage: batch-tx <status|estimate|simulate|send|resume|export> --recipients <file> [options]
+
+require('dotenv').config(); // Load environment variables from .env file
+const fs = require('fs');
+const { parseArgs } = require('util');
+const readline = require('readline');
+const ethers = require('ethers');
+const { createBatchManager, createFileJournal, buildSafeTransactionBatch } = require('./batchTransactions');
+
+// RPC URLs for the networks in hardhat.config.js; any other value is used as an RPC URL
+const NETWORKS = {
+  localhost: 'http://127.0.0.1:8545',
+  base: 'https://mainnet.base.org',
+  'base-sepolia': 'https://sepolia.base.org'
+};
+
+const COMMANDS = ['status', 'estimate', 'simulate', 'send', 'resume', 'export'];
+
+// Output formats of the export command
+const EXPORT_FORMATS = ['safe', 'unsigned'];
+
+const USAGE = `Usage: batch-tx <command> --recipients <file> [options]
+
+Commands:
+  status     Import the recipient list and show what would be sent
+  estimate   Estimate gas and fees for the batch
+  simulate   Simulate the batch against the current chain state
+  send       Send the batch after confirmation
+  resume     Finish an interrupted send recorded in --journal (no --recipients needed)
+  export     Write the batch as unsigned transactions for a Safe or another signer
+
+Options:
+  --recipients <file>       CSV or JSON recipient list (required)
+  --token <address>         Token for rows without a token column
+  --decimals <n>            Decimals for rows without a decimals column (default: read from the token)
+  --network <name|url>      localhost, base, base-sepolia or an RPC URL (default: $ETHEREUM_RPC_URL)
+  --contract <address>      BatchTransfer contract (default: $MULTISEND_CONTRACT_ADDRESS or deployments/<chainId>.json)
+  --ens-rpc <url>           RPC URL used to resolve ENS names and Basenames (default: $ENS_RPC_URL or --network)
+  --max-recipients <n>      Maximum recipients per transaction
+  --atomic                  Send everything in one all-or-nothing transaction
+  --best-effort             Skip failing recipients instead of reverting
+  --verify-delivery <mode>  Check what each token recipient received: revert or report
+  --approval-strategy <s>   exact, unlimited or revokeAfter (default: exact)
+  --duplicates <policy>     Repeat recipients: reject, warn, merge or allow (default: warn)
+  --permit                  Approve with EIP-2612 permits where the token supports them
+  --journal <file>          Send journal, so an interrupted send can be resumed
+  --from <address>          Export for this sender (such as a Safe) instead of $PRIVATE_KEY
+  --format <safe|unsigned>  Export a Safe Transaction Builder file or plain transactions (default: safe)
+  --out <file>              Write the export to a file instead of stdout
+  --name <name>             Batch name shown in the Safe interface
+  --yes                     Send without asking for confirmation
+  --json                    Print machine-readable JSON
+  --help                    Show this help
+
+The sender's private key is read from $PRIVATE_KEY.`;
+
+// Parse the command line into a command and its options
+const parseCommandLine = (argv) => {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      recipients: { type: 'string' },
+      token: { type: 'string' },
+      decimals: { type: 'string' },
+      network: { type: 'string' },
+      contract: { type: 'string' },
+      'ens-rpc': { type: 'string' },
+      'max-recipients': { type: 'string' },
+      atomic: { type: 'boolean', default: false },
+      'best-effort': { type: 'boolean', default: false },
+      'verify-delivery': { type: 'string' },
+      'approval-strategy': { type: 'string' },
+      duplicates: { type: 'string' },
+      permit: { type: 'boolean', default: false },
+      journal: { type: 'string' },
+      from: { type: 'string' },
+      format: { type: 'string', default: 'safe' },
+      out: { type: 'string' },
+      name: { type: 'string' },
+      yes: { type: 'boolean', default: false },
+      json: { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false }
+    }
+  });
+
+  return { command: positionals[0], extra: positionals.slice(1), flags: values };
+};
+
+// Serialize results for --json, turning BigInt values into strings
+const toJson = (value) => JSON.stringify(
+  value,
+  (key, item) => (typeof item === 'bigint' ? item.toString() : item),
+  2
+);
+
+// Print rows as a plain-text table with aligned columns
+const printTable = (columns, rows) => {
+  const widths = columns.map((column, i) => Math.max(
+    column.length,
+    ...rows.map(row => String(row[i] === null || row[i] === undefined ? '' : row[i]).length)
+  ));
+  const formatRow = (cells) => cells
+    .map((cell, i) => String(cell === null || cell === undefined ? '' : cell).padEnd(widths[i]))
+    .join('  ')
+    .trimEnd();
+
+  console.log(formatRow(columns));
+  console.log(widths.map(width => '-'.repeat(width)).join('  '));
+  for (const row of rows) {
+    console.log(formatRow(row));
+  }
+};
+
+// Shorten an address or hash for table output
+const shorten = (value) => (value && value.length > 14 ? `${value.slice(0, 8)}...${value.slice(-4)}` : value);
+
+// Name a token by its symbol, or by its shortened address when the symbol is unknown
+const tokenName = (tokenAddress, symbol) => symbol || shorten(tokenAddress);
+
+// Build the batch manager configuration from flags and environment variables
+// An export with --from builds the batch for that address and never uses the private key
+const buildConfig = (command, flags) => {
+  const network = flags.network || process.env.ETHEREUM_RPC_URL;
+  const providerUrl = NETWORKS[network] || network;
+
+  const config = {
+    providerUrl,
+    privateKey: command === 'export' && flags.from ? undefined : process.env.PRIVATE_KEY,
+    senderAddress: command === 'export' ? flags.from : undefined,
+    multiSendContractAddress: flags.contract || process.env.MULTISEND_CONTRACT_ADDRESS,
+    ensProviderUrl: flags['ens-rpc'] || process.env.ENS_RPC_URL,
+    atomic: flags.atomic,
+    bestEffort: flags['best-effort'],
+    usePermit: flags.permit
+  };
+
+  if (flags['approval-strategy']) {
+    config.approvalStrategy = flags['approval-strategy'];
+  }
+
+  if (flags.duplicates) {
+    config.duplicatePolicy = flags.duplicates;
+  }
+
+  if (flags['verify-delivery']) {
+    config.verifyDelivery = flags['verify-delivery'];
+  }
+
+  if (flags['max-recipients']) {
+    config.maxRecipientsPerTx = Number(flags['max-recipients']);
+  }
+
+  if (flags.journal) {
+    config.journal = createFileJournal(flags.journal);
+  }
+
+  // Keep stdout clean for JSON output; progress messages go to stderr
+  if (flags.json) {
+    config.logger = { info: message => console.error(message), warn: message => console.error(message) };
+  }
+
+  return config;
+};
+
+// Print the import report and batch status
+const printStatus = (report, status, duplicates = []) => {
+  console.log(`Imported ${report.added} of ${report.totalRows} rows (${report.format})`);
+
+  if (report.rejected.length > 0) {
+    console.log(`\nRejected rows:`);
+    printTable(
+      ['Line', 'Address', 'Amount', 'Reason'],
+      report.rejected.map(row => [row.line, row.address, row.amount, row.reason])
+    );
+  }
+
+  if (status.recipientNames.length > 0) {
+    console.log('');
+    printTable(['Name', 'Resolves to'], status.recipientNames.map(name => [name.name, name.address]));
+  }
+
+  if (status.tokens.length > 0) {
+    console.log('');
+    printTable(
+      ['Token', 'Address', 'Decimals', 'Transfers', 'Total'],
+      status.tokens.map(token => [token.symbol || '?', token.address, token.decimals, token.transfers, token.totalFormatted])
+    );
+  }
+
+  if (duplicates.length > 0) {
+    console.log(`\nRecipients queued more than once:`);
+    printTable(
+      ['Recipient', 'Token', 'Transfers', 'IDs', 'Total'],
+      duplicates.map(duplicate => [
+        duplicate.name || duplicate.to,
+        duplicate.token ? tokenName(duplicate.token, duplicate.symbol) : 'ETH',
+        duplicate.count,
+        duplicate.ids.join(', '),
+        duplicate.totalFormatted
+      ])
+    );
+  }
+
+  console.log('');
+  printTable(['', 'Count'], [
+    ['ETH transfers', status.ethTransactions],
+    ['Token transfers', status.erc20Transactions],
+    ['Tokens', status.erc20TokenCount],
+    ['Unique recipients', status.uniqueRecipients],
+    ['Total ETH', status.totalEthValue]
+  ]);
+};
+
+// Print a gas estimate as one row per transaction group
+const printEstimate = (estimate) => {
+  const rows = [];
+
+  if (estimate.gasEstimates.atomic) {
+    const atomic = estimate.gasEstimates.atomic;
+    rows.push(['Atomic batch', atomic.recipients, 1, atomic.gasWithBuffer, atomic.estimateMethod]);
+  }
+
+  if (estimate.gasEstimates.eth) {
+    const eth = estimate.gasEstimates.eth;
+    rows.push(['ETH', eth.chunks.reduce((sum, chunk) => sum + chunk.recipients, 0), eth.chunks.length, eth.gasWithBuffer, 'onchain']);
+  }
+
+  for (const tokenAddress in estimate.gasEstimates.erc20 || {}) {
+    const token = estimate.gasEstimates.erc20[tokenAddress];
+    const approval = token.approval.required ? ` + ${token.approval.method}` : '';
+    rows.push([
+      tokenName(tokenAddress, token.symbol),
+      token.chunks.reduce((sum, chunk) => sum + chunk.recipients, 0),
+      token.chunks.length,
+      token.gasWithBuffer,
+      `${token.estimateMethod}${approval}`
+    ]);
+  }
+
+  if (estimate.gasEstimates.multiToken) {
+    const multiToken = estimate.gasEstimates.multiToken;
+    rows.push(['Multi-token', multiToken.bundles.length, multiToken.bundles.length, multiToken.gasWithBuffer, 'bundles']);
+  }
+
+  printTable(['Group', 'Recipients', 'Transactions', 'Gas limit', 'Method'], rows);
+
+  console.log('');
+  printTable(['', 'Value'], [
+    ['Total gas', estimate.totalGas],
+    ['Gas price (gwei)', ethers.formatUnits(estimate.gasPrice, 'gwei')],
+    ['Expected cost (ETH)', estimate.totalCost.eth],
+    ['Maximum cost (ETH)', estimate.maxCost.eth],
+    ['ETH balance', estimate.nativeBalance.balanceFormatted],
+    ['ETH required', estimate.nativeBalance.requiredFormatted],
+    ['Balance sufficient', estimate.nativeBalance.sufficient ? 'yes' : 'NO']
+  ]);
+};
+
+// Print simulation results, with the failing transfers of each chunk
+const printSimulation = (simulation) => {
+  printTable(
+    ['Group', 'Chunk', 'Mode', 'Recipients', 'Result'],
+    simulation.groups.map(group => [
+      group.kind === 'erc20' ? tokenName(group.token, group.symbol) : group.kind,
+      group.chunkIndex + 1,
+      group.mode,
+      group.recipients,
+      group.success ? 'ok' : `FAILS: ${group.reason}`
+    ])
+  );
+
+  const failures = simulation.groups.flatMap(group => group.failures.map(failure => [
+    group.kind === 'erc20' ? tokenName(group.token, group.symbol) : group.kind,
+    failure.index,
+    failure.to,
+    failure.amount,
+    failure.reason
+  ]));
+
+  if (failures.length > 0) {
+    console.log('\nFailing transfers:');
+    printTable(['Group', 'Index', 'Recipient', 'Amount', 'Reason'], failures);
+  }
+
+  const flagged = Object.entries(simulation.tokens)
+    .filter(([, behavior]) => behavior.type !== 'standard')
+    .map(([tokenAddress, behavior]) => [
+      shorten(tokenAddress),
+      behavior.type,
+      behavior.feeBasisPoints === null ? '' : `${behavior.feeBasisPoints / 100}%`,
+      behavior.reason || ''
+    ]);
+
+  if (flagged.length > 0) {
+    console.log('\nToken transfer behavior:');
+    printTable(['Token', 'Behavior', 'Fee', 'Note'], flagged);
+  }
+
+  console.log(`\nSimulated at block ${simulation.blockNumber}: ${simulation.success ? 'all transfers pass' : 'the batch would revert'}`);
+};
+
+// Print send results as one row per transaction
+const printSendResults = (results) => {
+  const rows = [];
+  const addChunks = (label, group) => {
+    for (const chunk of group.chunks) {
+      rows.push([label, chunk.index + 1, chunk.recipients, chunk.transactionHash, chunk.status]);
+    }
+  };
+
+  for (const approval of results.approvals) {
+    rows.push([`${approval.type} ${tokenName(approval.token, approval.symbol)}`, '', '', approval.transactionHash || '(signed)', approval.status]);
+  }
+
+  if (results.atomicTransaction) {
+    const atomic = results.atomicTransaction;
+    rows.push(['Atomic batch', 1, atomic.recipients, atomic.transactionHash, atomic.status]);
+  }
+
+  if (results.ethTransaction) {
+    addChunks('ETH', results.ethTransaction);
+  }
+
+  for (const tokenAddress in results.erc20Transactions) {
+    addChunks(tokenName(tokenAddress, results.erc20Transactions[tokenAddress].symbol), results.erc20Transactions[tokenAddress]);
+  }
+
+  for (const bundle of results.multiTokenTransactions) {
+    rows.push([`Multi-token ${shorten(bundle.recipient)}`, bundle.index + 1, bundle.recipients, bundle.transactionHash, bundle.status]);
+  }
+
+  printTable(['Transaction', 'Chunk', 'Recipients', 'Hash', 'Status'], rows);
+
+  if (results.failedRecipients.length > 0) {
+    console.log(`\n${results.failedRecipients.length} transfers were skipped:`);
+    printTable(
+      ['Group', 'Recipient', 'Amount'],
+      results.failedRecipients.map(failed => [failed.kind === 'erc20' ? shorten(failed.token) : failed.kind, failed.to, failed.amount])
+    );
+  }
+
+  const reconciliation = results.reconciliation;
+  if (reconciliation && !reconciliation.error) {
+    console.log(
+      `\nReconciliation: ${reconciliation.paid} paid, ${reconciliation.failed} failed, ` +
+      `${reconciliation.mismatched} mismatched, ${reconciliation.missing} missing`
+    );
+  }
+};
+
+// Ask the user to type "yes" before sending
+const confirm = async (question) => {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    const answer = await new Promise(resolve => rl.question(question, resolve));
+    return answer.trim().toLowerCase() === 'yes';
+  } finally {
+    rl.close();
+  }
+};
+
+// Run a send (or resume) and print its results; partial results are printed before a failure is rethrown
+const sendAndReport = async (send, output, context) => {
+  try {
+    const results = await send();
+    if (output) {
+      output({ ...context, results });
+    } else {
+      console.log('');
+      printSendResults(results);
+    }
+    return 0;
+  } catch (error) {
+    // Show what was already sent before reporting the failure
+    if (error.results) {
+      if (output) {
+        output({ error: error.message, results: error.results });
+        return 1;
+      }
+      printSendResults(error.results);
+    }
+    throw error;
+  }
+};
+
+// Run one command; returns the process exit code
+const run = async (argv) => {
+  const { command, extra, flags } = parseCommandLine(argv);
+
+  if (flags.help || !command) {
+    (flags.help ? console.log : console.error)(USAGE);
+    return flags.help ? 0 : 1;
+  }
+
+  if (!COMMANDS.includes(command) || extra.length > 0) {
+    throw new Error(`Unknown command: ${[command, ...extra].join(' ')} (expected ${COMMANDS.join(', ')})`);
+  }
+
+  if (command === 'resume' ? !flags.journal : !flags.recipients) {
+    throw new Error(command === 'resume' ? '--journal <file> is required' : '--recipients <file> is required');
+  }
+
+  if (command === 'export' && !EXPORT_FORMATS.includes(flags.format)) {
+    throw new Error(`Invalid export format: ${flags.format} (expected ${EXPORT_FORMATS.join(', ')})`);
+  }
+
+  const output = flags.json ? (value) => process.stdout.write(`${toJson(value)}\n`) : null;
+
+  const config = buildConfig(command, flags);
+  const batchManager = createBatchManager(config);
+
+  if (command === 'resume') {
+    if (!flags.yes) {
+      if (output || !process.stdin.isTTY) {
+        throw new Error('Resuming needs an interactive confirmation; pass --yes to resume without one');
+      }
+      if (!(await confirm(`Resume the batch recorded in ${flags.journal}? Type "yes" to continue: `))) {
+        console.log('Cancelled; nothing was sent');
+        return 1;
+      }
+    }
+    return sendAndReport(() => batchManager.resumeBatch(), output, {});
+  }
+
+  const report = await batchManager.importTransactionsFromFile(flags.recipients, {
+    token: flags.token,
+    decimals: flags.decimals
+  });
+
+  // Resolve names and read token decimals and symbols up front; fails when a name does not resolve
+  // or a given decimals value disagrees with a token. Without an RPC URL, status shows the list unresolved
+  if (command === 'status' && !config.providerUrl) {
+    console.error('No RPC URL configured; names and token metadata are shown unresolved');
+  } else {
+    await batchManager.resolveRecipients();
+    await batchManager.resolveTokens();
+  }
+  const status = batchManager.getBatchStatus();
+  const duplicates = batchManager.getDuplicates();
+
+  if (command === 'status') {
+    if (output) {
+      output({ import: report, status, duplicates });
+    } else {
+      printStatus(report, status, duplicates);
+    }
+    return report.rejected.length > 0 ? 1 : 0;
+  }
+
+  if (command === 'estimate') {
+    const estimate = await batchManager.estimateGas();
+    if (output) {
+      output({ import: report, status, estimate });
+    } else {
+      printStatus(report, status, duplicates);
+      console.log('');
+      printEstimate(estimate);
+    }
+    return 0;
+  }
+
+  if (command === 'simulate') {
+    const simulation = await batchManager.simulateBatch();
+    if (output) {
+      output({ import: report, status, simulation });
+    } else {
+      printSimulation(simulation);
+    }
+    return simulation.success ? 0 : 1;
+  }
+
+  // send and export: never use a list with rejected rows
+  if (report.rejected.length > 0) {
+    if (!output) {
+      printStatus(report, status, duplicates);
+    }
+    throw new Error(`${report.rejected.length} rows of ${flags.recipients} were rejected; fix them before sending`);
+  }
+
+  if (command === 'export') {
+    const exported = await batchManager.exportUnsignedTransactions();
+    const file = flags.format === 'safe'
+      ? buildSafeTransactionBatch(exported, { name: flags.name })
+      : exported;
+
+    if (!flags.out) {
+      process.stdout.write(`${toJson(file)}\n`);
+      return 0;
+    }
+
+    await fs.promises.writeFile(flags.out, `${toJson(file)}\n`);
+    if (output) {
+      output({ import: report, status, export: exported, file: flags.out });
+    } else {
+      console.log(exported.summary);
+      console.log(`\nWrote ${flags.format === 'safe' ? 'Safe Transaction Builder batch' : 'unsigned transactions'} to ${flags.out}`);
+    }
+    return 0;
+  }
+
+  const estimate = await batchManager.estimateGas();
+
+  if (!flags.yes) {
+    if (output || !process.stdin.isTTY) {
+      throw new Error('Sending needs an interactive confirmation; pass --yes to send without one');
+    }
+
+    printStatus(report, status, duplicates);
+    console.log('');
+    printEstimate(estimate);
+    console.log('');
+
+    if (!(await confirm(`Send ${status.totalTransactions} transfers? Type "yes" to continue: `))) {
+      console.log('Cancelled; nothing was sent');
+      return 1;
+    }
+  }
+
+  return sendAndReport(() => batchManager.sendBatchTransaction(), output, { import: report, status, estimate });
+};
+
+if (require.main === module) {
+  run(process.argv.slice(2))
+    .then((code) => {
+      process.exitCode = code;
+    })
+    .catch((error) => {
+      if (process.argv.includes('--json')) {
+        process.stdout.write(`${toJson({ error: error.message })}\n`);
+      } else {
+        console.error(`Error: ${error.message}`);
+      }
+      process.exitCode = 1;
+    });
+}
+
+module.exports = { run };
@@ -2,15 +2,29 @@
 pragma solidity ^0.8.0;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import "@openzeppelin/contracts/token/ERC1155/IERC1155.sol";
 
 /**
  * @title BatchTransfer
- * @dev A simple contract for batch sending ETH and ERC20 tokens
+ * @dev A simple contract for batch sending ETH, ERC20 tokens and NFTs (ERC721 and ERC1155)
  */
 contract BatchTransfer {
     using SafeERC20 for IERC20;
     
+    // Most gas a best-effort ETH transfer forwards to its recipient; enough for smart contract wallets
+    // that log or forward incoming ETH, while a recipient that burns gas only fails its own transfer
+    uint256 public constant BEST_EFFORT_ETH_GAS = 50000;
+    
+    // Transfers of one ERC20 token within a mixed batch
+    struct TokenBatch {
+        address token;
+        address[] recipients;
+        uint256[] amounts;
+    }
+    
     // Event emitted when a multisend operation is completed
     event MultiSendExecuted(
         address indexed sender,
@@ -19,6 +33,35 @@ contract BatchTransfer {
         uint256 recipientCount
     );
     
+    // Event emitted for every individual transfer, so each payment can be reconciled
+    // success is only false for transfers skipped in best-effort mode
+    event RecipientTransfer(
+        address indexed sender,
+        address indexed tokenAddress,
+        address indexed recipient,
+        uint256 amount,
+        bool success
+    );
+    
+    // Event emitted for every NFT transfer; amount is always 1 for ERC721 tokens
+    event NftTransfer(
+        address indexed sender,
+        address indexed tokenAddress,
+        address indexed recipient,
+        uint256 tokenId,
+        uint256 amount
+    );
+    
+    // Event emitted by checked token sends with the balance change each recipient actually saw,
+    // which differs from amount for fee-on-transfer and rebasing tokens
+    event TransferDelivered(
+        address indexed sender,
+        address indexed tokenAddress,
+        address indexed recipient,
+        uint256 amount,
+        uint256 delivered
+    );
+    
     /**
      * @dev Sends native ETH to multiple recipients in a single transaction
      * @param recipients Array of recipient addresses
@@ -27,6 +70,156 @@ contract BatchTransfer {
     function multiSendETH(
         address[] calldata recipients,
         uint256[] calldata amounts
+    ) external payable {
+        _multiSendETH(recipients, amounts);
+    }
+    
+    /**
+     * @dev Sends ETH and several ERC20 tokens to multiple recipients in one atomic transaction
+     * Either every transfer succeeds or the whole call reverts
+     * @param ethRecipients Array of ETH recipient addresses (may be empty)
+     * @param ethAmounts Array of ETH amounts; msg.value must equal their total
+     * @param tokenBatches Array of token batches, each with its own recipients and amounts
+     */
+    function multiSendMixed(
+        address[] calldata ethRecipients,
+        uint256[] calldata ethAmounts,
+        TokenBatch[] calldata tokenBatches
+    ) external payable {
+        require(ethRecipients.length > 0 || tokenBatches.length > 0, "Must provide at least one recipient");
+        
+        if (ethRecipients.length > 0) {
+            _multiSendETH(ethRecipients, ethAmounts);
+        } else {
+            require(ethAmounts.length == 0, "Recipients and amounts arrays must be the same length");
+            require(msg.value == 0, "Sent ETH value must match total amount");
+        }
+        
+        for (uint256 i = 0; i < tokenBatches.length; i++) {
+            _multiSendToken(tokenBatches[i].token, tokenBatches[i].recipients, tokenBatches[i].amounts);
+        }
+    }
+    
+    /**
+     * @dev Sends ERC20 tokens to multiple recipients in a single transaction
+     * @param token Address of the ERC20 token
+     * @param recipients Array of recipient addresses
+     * @param amounts Array of amounts to send to each recipient
+     */
+    function multiSendToken(
+        address token,
+        address[] calldata recipients,
+        uint256[] calldata amounts
+    ) external {
+        _multiSendToken(token, recipients, amounts);
+    }
+    
+    /**
+     * @dev Sends the same amount of native ETH to every recipient, without an amounts array
+     * @param recipients Array of recipient addresses
+     * @param amount Amount to send to each recipient; msg.value must equal amount times the recipient count
+     */
+    function multiSendETHEqual(
+        address[] calldata recipients,
+        uint256 amount
+    ) external payable {
+        require(recipients.length > 0, "Must provide at least one recipient");
+        require(msg.value == amount * recipients.length, "Sent ETH value must match total amount");
+        
+        // Process transfers
+        for (uint256 i = 0; i < recipients.length; i++) {
+            require(recipients[i] != address(0), "Invalid recipient address");
+            
+            (bool success, ) = recipients[i].call{value: amount}("");
+            require(success, "ETH transfer failed");
+            
+            emit RecipientTransfer(msg.sender, address(0), recipients[i], amount, true);
+        }
+        
+        emit MultiSendExecuted(msg.sender, address(0), msg.value, recipients.length);
+    }
+    
+    /**
+     * @dev Sends the same amount of an ERC20 token to every recipient, without an amounts array
+     * @param token Address of the ERC20 token
+     * @param recipients Array of recipient addresses
+     * @param amount Amount to send to each recipient
+     */
+    function multiSendTokenEqual(
+        address token,
+        address[] calldata recipients,
+        uint256 amount
+    ) external {
+        require(token != address(0), "Invalid token address");
+        require(recipients.length > 0, "Must provide at least one recipient");
+        require(amount > 0, "Amount must be greater than 0");
+        
+        IERC20 erc20 = IERC20(token);
+        uint256 totalAmount = amount * recipients.length;
+        
+        // Check if sender has sufficient allowance
+        require(
+            erc20.allowance(msg.sender, address(this)) >= totalAmount,
+            "Insufficient token allowance"
+        );
+        
+        // Process transfers
+        for (uint256 i = 0; i < recipients.length; i++) {
+            require(recipients[i] != address(0), "Invalid recipient address");
+            
+            // Transfer tokens from sender to recipient
+            erc20.safeTransferFrom(msg.sender, recipients[i], amount);
+            
+            emit RecipientTransfer(msg.sender, token, recipients[i], amount, true);
+        }
+        
+        emit MultiSendExecuted(msg.sender, token, totalAmount, recipients.length);
+    }
+    
+    /**
+     * @dev Approves this contract with an EIP-2612 permit and sends ERC20 tokens in the same transaction
+     * A permit that cannot be used (e.g. it was already submitted by someone else) is ignored,
+     * so the transfers still go through as long as the allowance is sufficient
+     * @param token Address of the ERC20 token (must implement EIP-2612)
+     * @param recipients Array of recipient addresses
+     * @param amounts Array of amounts to send to each recipient
+     * @param permitValue Allowance granted by the permit (may cover later batches too)
+     * @param deadline Timestamp after which the permit signature expires
+     * @param v Signature recovery byte
+     * @param r Signature r value
+     * @param s Signature s value
+     */
+    function multiSendTokenWithPermit(
+        address token,
+        address[] calldata recipients,
+        uint256[] calldata amounts,
+        uint256 permitValue,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        require(token != address(0), "Invalid token address");
+        
+        try IERC20Permit(token).permit(msg.sender, address(this), permitValue, deadline, v, r, s) {
+            // Allowance granted
+        } catch {
+            // Fall back to the existing allowance
+        }
+        
+        _multiSendToken(token, recipients, amounts);
+    }
+    
+    /**
+     * @dev Sends native ETH to multiple recipients, skipping recipients that cannot receive it
+     * Every transfer emits RecipientTransfer; the amounts of failed transfers are refunded to the sender
+     * Each recipient gets at most BEST_EFFORT_ETH_GAS gas, so one that runs out of it is skipped like any other failure
+     * @param recipients Array of recipient addresses
+     * @param amounts Array of amounts to send to each recipient
+     */
+    function multiSendETHBestEffort(
+        address[] calldata recipients,
+        uint256[] calldata amounts
     ) external payable {
         require(recipients.length == amounts.length, "Recipients and amounts arrays must be the same length");
         require(recipients.length > 0, "Must provide at least one recipient");
@@ -41,24 +234,39 @@ contract BatchTransfer {
         // Verify sent ETH matches total amount
         require(msg.value == totalAmount, "Sent ETH value must match total amount");
         
-        // Process transfers
+        uint256 failedAmount = 0;
+        uint256 successCount = 0;
+        
+        // Process transfers, recording failures instead of reverting
         for (uint256 i = 0; i < recipients.length; i++) {
-            require(recipients[i] != address(0), "Invalid recipient address");
+            bool success = recipients[i] != address(0) && _trySendETH(recipients[i], amounts[i]);
             
-            (bool success, ) = recipients[i].call{value: amounts[i]}("");
-            require(success, "ETH transfer failed");
+            if (success) {
+                successCount++;
+            } else {
+                failedAmount += amounts[i];
+            }
+            
+            emit RecipientTransfer(msg.sender, address(0), recipients[i], amounts[i], success);
         }
         
-        emit MultiSendExecuted(msg.sender, address(0), totalAmount, recipients.length);
+        // Refund whatever could not be delivered
+        if (failedAmount > 0) {
+            (bool refunded, ) = msg.sender.call{value: failedAmount}("");
+            require(refunded, "Refund failed");
+        }
+        
+        emit MultiSendExecuted(msg.sender, address(0), totalAmount - failedAmount, successCount);
     }
     
     /**
-     * @dev Sends ERC20 tokens to multiple recipients in a single transaction
+     * @dev Sends ERC20 tokens to multiple recipients, skipping transfers the token rejects
+     * Every transfer emits RecipientTransfer; failed transfers leave the tokens with the sender
      * @param token Address of the ERC20 token
      * @param recipients Array of recipient addresses
      * @param amounts Array of amounts to send to each recipient
      */
-    function multiSendToken(
+    function multiSendTokenBestEffort(
         address token,
         address[] calldata recipients,
         uint256[] calldata amounts
@@ -81,13 +289,64 @@ contract BatchTransfer {
             "Insufficient token allowance"
         );
         
-        // Process transfers
+        uint256 sentAmount = 0;
+        uint256 successCount = 0;
+        
+        // Process transfers, recording failures instead of reverting
         for (uint256 i = 0; i < recipients.length; i++) {
-            require(recipients[i] != address(0), "Invalid recipient address");
-            require(amounts[i] > 0, "Amount must be greater than 0");
+            bool success = recipients[i] != address(0) &&
+                amounts[i] > 0 &&
+                _tryTransferFrom(erc20, msg.sender, recipients[i], amounts[i]);
             
-            // Transfer tokens from sender to recipient
-            erc20.safeTransferFrom(msg.sender, recipients[i], amounts[i]);
+            if (success) {
+                successCount++;
+                sentAmount += amounts[i];
+            }
+            
+            emit RecipientTransfer(msg.sender, token, recipients[i], amounts[i], success);
+        }
+        
+        emit MultiSendExecuted(msg.sender, token, sentAmount, successCount);
+    }
+    
+    /**
+     * @dev Sends ERC20 tokens to multiple recipients, measuring each recipient's balance change
+     * Every transfer emits RecipientTransfer followed by TransferDelivered with the amount received
+     * @param token Address of the ERC20 token
+     * @param recipients Array of recipient addresses
+     * @param amounts Array of amounts to send to each recipient
+     * @param requireExact Revert if any recipient receives a different amount than was sent
+     * @return delivered Balance change of each recipient
+     */
+    function multiSendTokenChecked(
+        address token,
+        address[] calldata recipients,
+        uint256[] calldata amounts,
+        bool requireExact
+    ) external returns (uint256[] memory delivered) {
+        require(token != address(0), "Invalid token address");
+        require(recipients.length == amounts.length, "Recipients and amounts arrays must be the same length");
+        require(recipients.length > 0, "Must provide at least one recipient");
+        
+        IERC20 erc20 = IERC20(token);
+        uint256 totalAmount = 0;
+        
+        // Calculate total amount
+        for (uint256 i = 0; i < amounts.length; i++) {
+            totalAmount += amounts[i];
+        }
+        
+        // Check if sender has sufficient allowance
+        require(
+            erc20.allowance(msg.sender, address(this)) >= totalAmount,
+            "Insufficient token allowance"
+        );
+        
+        delivered = new uint256[](recipients.length);
+        
+        // Process transfers, comparing each recipient's balance before and after
+        for (uint256 i = 0; i < recipients.length; i++) {
+            delivered[i] = _checkedTransferFrom(erc20, recipients[i], amounts[i], requireExact);
         }
         
         emit MultiSendExecuted(msg.sender, token, totalAmount, recipients.length);
@@ -124,10 +383,233 @@ contract BatchTransfer {
             // Transfer tokens from sender to recipient
             erc20.safeTransferFrom(msg.sender, recipient, amounts[i]);
             
+            emit RecipientTransfer(msg.sender, tokens[i], recipient, amounts[i], true);
             emit MultiSendExecuted(msg.sender, tokens[i], amounts[i], 1);
         }
     }
     
+    /**
+     * @dev Sends ERC721 tokens to multiple recipients with safeTransferFrom in a single transaction
+     * The sender must have approved this contract as an operator with setApprovalForAll
+     * @param token Address of the ERC721 collection
+     * @param recipients Array of recipient addresses
+     * @param tokenIds Array of token IDs to send, one per recipient
+     */
+    function multiSendERC721(
+        address token,
+        address[] calldata recipients,
+        uint256[] calldata tokenIds
+    ) external {
+        require(token != address(0), "Invalid token address");
+        require(recipients.length == tokenIds.length, "Recipients and token IDs arrays must be the same length");
+        require(recipients.length > 0, "Must provide at least one recipient");
+        
+        IERC721 erc721 = IERC721(token);
+        
+        // Process transfers
+        for (uint256 i = 0; i < recipients.length; i++) {
+            require(recipients[i] != address(0), "Invalid recipient address");
+            
+            erc721.safeTransferFrom(msg.sender, recipients[i], tokenIds[i]);
+            
+            emit NftTransfer(msg.sender, token, recipients[i], tokenIds[i], 1);
+        }
+        
+        emit MultiSendExecuted(msg.sender, token, recipients.length, recipients.length);
+    }
+    
+    /**
+     * @dev Sends ERC1155 tokens to multiple recipients with one safeBatchTransferFrom per recipient
+     * The sender must have approved this contract as an operator with setApprovalForAll
+     * @param token Address of the ERC1155 contract
+     * @param recipients Array of recipient addresses
+     * @param ids Token IDs to send to each recipient
+     * @param amounts Amounts of each token ID to send to each recipient
+     * @param data Data passed on to the receiver hook of every recipient
+     */
+    function multiSendERC1155(
+        address token,
+        address[] calldata recipients,
+        uint256[][] calldata ids,
+        uint256[][] calldata amounts,
+        bytes calldata data
+    ) external {
+        require(token != address(0), "Invalid token address");
+        require(
+            recipients.length == ids.length && recipients.length == amounts.length,
+            "Recipients, token IDs and amounts arrays must be the same length"
+        );
+        require(recipients.length > 0, "Must provide at least one recipient");
+        
+        IERC1155 erc1155 = IERC1155(token);
+        uint256 totalAmount = 0;
+        
+        // Process transfers
+        for (uint256 i = 0; i < recipients.length; i++) {
+            require(recipients[i] != address(0), "Invalid recipient address");
+            require(ids[i].length == amounts[i].length, "Token IDs and amounts arrays must be the same length");
+            require(ids[i].length > 0, "Must provide at least one token ID");
+            
+            for (uint256 j = 0; j < ids[i].length; j++) {
+                require(amounts[i][j] > 0, "Amount must be greater than 0");
+                totalAmount += amounts[i][j];
+            }
+            
+            erc1155.safeBatchTransferFrom(msg.sender, recipients[i], ids[i], amounts[i], data);
+            
+            for (uint256 j = 0; j < ids[i].length; j++) {
+                emit NftTransfer(msg.sender, token, recipients[i], ids[i][j], amounts[i][j]);
+            }
+        }
+        
+        emit MultiSendExecuted(msg.sender, token, totalAmount, recipients.length);
+    }
+    
+    /**
+     * @dev Sends the ETH of this call to multiple recipients, reverting if any transfer fails
+     * @param recipients Array of recipient addresses
+     * @param amounts Array of amounts to send to each recipient; msg.value must equal their total
+     */
+    function _multiSendETH(
+        address[] calldata recipients,
+        uint256[] calldata amounts
+    ) private {
+        require(recipients.length == amounts.length, "Recipients and amounts arrays must be the same length");
+        require(recipients.length > 0, "Must provide at least one recipient");
+        
+        uint256 totalAmount = 0;
+        
+        // Calculate total amount
+        for (uint256 i = 0; i < amounts.length; i++) {
+            totalAmount += amounts[i];
+        }
+        
+        // Verify sent ETH matches total amount
+        require(msg.value == totalAmount, "Sent ETH value must match total amount");
+        
+        // Process transfers
+        for (uint256 i = 0; i < recipients.length; i++) {
+            require(recipients[i] != address(0), "Invalid recipient address");
+            
+            (bool success, ) = recipients[i].call{value: amounts[i]}("");
+            require(success, "ETH transfer failed");
+            
+            emit RecipientTransfer(msg.sender, address(0), recipients[i], amounts[i], true);
+        }
+        
+        emit MultiSendExecuted(msg.sender, address(0), totalAmount, recipients.length);
+    }
+    
+    /**
+     * @dev Sends ERC20 tokens from the caller to multiple recipients, reverting if any transfer fails
+     * @param token Address of the ERC20 token
+     * @param recipients Array of recipient addresses
+     * @param amounts Array of amounts to send to each recipient
+     */
+    function _multiSendToken(
+        address token,
+        address[] calldata recipients,
+        uint256[] calldata amounts
+    ) private {
+        require(token != address(0), "Invalid token address");
+        require(recipients.length == amounts.length, "Recipients and amounts arrays must be the same length");
+        require(recipients.length > 0, "Must provide at least one recipient");
+        
+        IERC20 erc20 = IERC20(token);
+        uint256 totalAmount = 0;
+        
+        // Calculate total amount
+        for (uint256 i = 0; i < amounts.length; i++) {
+            totalAmount += amounts[i];
+        }
+        
+        // Check if sender has sufficient allowance
+        require(
+            erc20.allowance(msg.sender, address(this)) >= totalAmount,
+            "Insufficient token allowance"
+        );
+        
+        // Process transfers
+        for (uint256 i = 0; i < recipients.length; i++) {
+            require(recipients[i] != address(0), "Invalid recipient address");
+            require(amounts[i] > 0, "Amount must be greater than 0");
+            
+            // Transfer tokens from sender to recipient
+            erc20.safeTransferFrom(msg.sender, recipients[i], amounts[i]);
+            
+            emit RecipientTransfer(msg.sender, token, recipients[i], amounts[i], true);
+        }
+        
+        emit MultiSendExecuted(msg.sender, token, totalAmount, recipients.length);
+    }
+    
+    /**
+     * @dev Transfers ERC20 tokens from the caller to one recipient and measures the recipient's balance change
+     * @return delivered Amount the recipient received
+     */
+    function _checkedTransferFrom(
+        IERC20 token,
+        address recipient,
+        uint256 amount,
+        bool requireExact
+    ) private returns (uint256 delivered) {
+        require(recipient != address(0), "Invalid recipient address");
+        require(amount > 0, "Amount must be greater than 0");
+        
+        uint256 balanceBefore = token.balanceOf(recipient);
+        token.safeTransferFrom(msg.sender, recipient, amount);
+        uint256 balanceAfter = token.balanceOf(recipient);
+        
+        delivered = balanceAfter > balanceBefore ? balanceAfter - balanceBefore : 0;
+        require(
+            !requireExact || delivered == amount,
+            "Recipient received a different amount than was sent"
+        );
+        
+        emit RecipientTransfer(msg.sender, address(token), recipient, amount, true);
+        emit TransferDelivered(msg.sender, address(token), recipient, amount, delivered);
+    }
+    
+    /**
+     * @dev Sends ETH with at most BEST_EFFORT_ETH_GAS gas and without copying return data, so a recipient
+     * cannot use up the gas of the batch or return data too large to copy; it can only fail its own transfer
+     * @return success Whether the recipient accepted the ETH
+     */
+    function _trySendETH(address recipient, uint256 amount) private returns (bool success) {
+        uint256 gasLimit = BEST_EFFORT_ETH_GAS;
+        // Memory-safe: the call reads and writes no memory, which keeps the stack-to-memory mover
+        // available to the compiler (viaIR needs it for multiSendERC1155)
+        assembly ("memory-safe") {
+            success := call(gasLimit, recipient, amount, 0, 0, 0, 0)
+        }
+    }
+    
+    /**
+     * @dev Calls transferFrom and reports failure instead of reverting
+     * Accepts tokens that return nothing, like SafeERC20 does
+     * @return Whether the transfer succeeded
+     */
+    function _tryTransferFrom(
+        IERC20 token,
+        address from,
+        address to,
+        uint256 amount
+    ) private returns (bool) {
+        (bool success, bytes memory returndata) = address(token).call(
+            abi.encodeCall(IERC20.transferFrom, (from, to, amount))
+        );
+        
+        if (!success) {
+            return false;
+        }
+        
+        if (returndata.length == 0) {
+            return address(token).code.length > 0;
+        }
+        
+        return returndata.length == 32 && abi.decode(returndata, (bool));
+    }
+    
     // Allow contract to receive ETH for multiSendETH function
     receive() external payable {
         // This function is called when ETH is sent with empty calldata
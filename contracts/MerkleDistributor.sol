@@ -0,0 +1,189 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+
+/**
+ * @title MerkleDistributor
+ * @dev Holds airdrops of ETH or an ERC20 token that recipients claim with a Merkle proof,
+ * instead of the sender pushing a transfer to every recipient. One deployment serves any number
+ * of distributions; after its deadline, the unclaimed remainder of a distribution can be swept
+ * back to the account that funded it
+ */
+contract MerkleDistributor {
+    using SafeERC20 for IERC20;
+
+    // A funded airdrop; token is address(0) for ETH
+    struct Distribution {
+        address creator;
+        address token;
+        bytes32 merkleRoot;
+        uint256 total;
+        uint256 claimed;
+        uint256 deadline;
+        bool swept;
+    }
+
+    // Number of distributions created; distribution IDs start at 1
+    uint256 public distributionCount;
+
+    mapping(uint256 => Distribution) public distributions;
+
+    // Claimed leaf indexes of each distribution, 256 to a word
+    mapping(uint256 => mapping(uint256 => uint256)) public claimedBitMap;
+
+    // Event emitted when a distribution is created and funded
+    event DistributionCreated(
+        uint256 indexed distributionId,
+        address indexed creator,
+        address indexed tokenAddress,
+        bytes32 merkleRoot,
+        uint256 totalAmount,
+        uint256 deadline
+    );
+
+    // Event emitted for every claim, whoever submitted it
+    event Claimed(
+        uint256 indexed distributionId,
+        uint256 index,
+        address indexed account,
+        uint256 amount
+    );
+
+    // Event emitted when the unclaimed remainder is returned to the creator
+    event Swept(
+        uint256 indexed distributionId,
+        address indexed creator,
+        uint256 amount
+    );
+
+    /**
+     * @dev Creates a distribution and funds it with its total from the sender
+     * For ERC20 tokens the contract must be approved for the total first; for ETH, msg.value must equal it
+     * @param token Address of the ERC20 token, or address(0) for ETH
+     * @param merkleRoot Root of the tree of keccak256(keccak256(abi.encode(index, account, amount))) leaves
+     * @param totalAmount Sum of the amounts in the tree
+     * @param deadline Timestamp after which claims close and the remainder can be swept
+     * @return distributionId ID of the new distribution
+     */
+    function createDistribution(
+        address token,
+        bytes32 merkleRoot,
+        uint256 totalAmount,
+        uint256 deadline
+    ) external payable returns (uint256 distributionId) {
+        require(merkleRoot != bytes32(0), "Invalid Merkle root");
+        require(totalAmount > 0, "Amount must be greater than 0");
+        require(deadline > block.timestamp, "Deadline must be in the future");
+
+        distributionId = ++distributionCount;
+        distributions[distributionId] = Distribution({
+            creator: msg.sender,
+            token: token,
+            merkleRoot: merkleRoot,
+            total: totalAmount,
+            claimed: 0,
+            deadline: deadline,
+            swept: false
+        });
+
+        if (token == address(0)) {
+            require(msg.value == totalAmount, "Sent ETH value must match total amount");
+        } else {
+            require(msg.value == 0, "ETH sent with a token distribution");
+
+            // Refuse tokens that deliver less than was sent, which would leave claims unfunded
+            uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+            IERC20(token).safeTransferFrom(msg.sender, address(this), totalAmount);
+            require(
+                IERC20(token).balanceOf(address(this)) - balanceBefore == totalAmount,
+                "Token delivered less than the total amount"
+            );
+        }
+
+        emit DistributionCreated(distributionId, msg.sender, token, merkleRoot, totalAmount, deadline);
+    }
+
+    /**
+     * @dev Whether the leaf at an index of a distribution has been claimed
+     */
+    function isClaimed(uint256 distributionId, uint256 index) public view returns (bool) {
+        uint256 word = claimedBitMap[distributionId][index / 256];
+        uint256 mask = 1 << (index % 256);
+        return word & mask == mask;
+    }
+
+    /**
+     * @dev Pays out a recipient's share of a distribution; anyone may submit the claim, the funds always go to account
+     * @param distributionId ID of the distribution
+     * @param index Index of the recipient's leaf
+     * @param account Recipient address
+     * @param amount Amount owed to the recipient
+     * @param merkleProof Proof that the leaf is in the distribution's tree
+     */
+    function claim(
+        uint256 distributionId,
+        uint256 index,
+        address account,
+        uint256 amount,
+        bytes32[] calldata merkleProof
+    ) external {
+        Distribution storage distribution = distributions[distributionId];
+        require(distribution.merkleRoot != bytes32(0), "Unknown distribution");
+        require(block.timestamp <= distribution.deadline, "Claim period has ended");
+        require(!isClaimed(distributionId, index), "Already claimed");
+
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(index, account, amount))));
+        require(MerkleProof.verifyCalldata(merkleProof, distribution.merkleRoot, leaf), "Invalid proof");
+
+        claimedBitMap[distributionId][index / 256] |= 1 << (index % 256);
+        distribution.claimed += amount;
+        require(distribution.claimed <= distribution.total, "Claims exceed the distribution total");
+
+        _pay(distribution.token, account, amount);
+
+        emit Claimed(distributionId, index, account, amount);
+    }
+
+    /**
+     * @dev Returns the unclaimed remainder of a distribution to its creator once the deadline has passed
+     * @param distributionId ID of the distribution
+     */
+    function sweep(uint256 distributionId) external {
+        Distribution storage distribution = distributions[distributionId];
+        require(distribution.merkleRoot != bytes32(0), "Unknown distribution");
+        require(msg.sender == distribution.creator, "Only the creator can sweep");
+        require(block.timestamp > distribution.deadline, "Claim period has not ended");
+        require(!distribution.swept, "Already swept");
+
+        distribution.swept = true;
+        uint256 remaining = distribution.total - distribution.claimed;
+
+        if (remaining > 0) {
+            _pay(distribution.token, distribution.creator, remaining);
+        }
+
+        emit Swept(distributionId, distribution.creator, remaining);
+    }
+
+    /**
+     * @dev Sends ETH (token address(0)) or an ERC20 token held by the contract
+     */
+    function _pay(address token, address to, uint256 amount) internal {
+        if (token == address(0)) {
+            (bool success, ) = to.call{value: amount}("");
+            require(success, "ETH transfer failed");
+        } else {
+            IERC20(token).safeTransfer(to, amount);
+        }
+    }
+
+    /**
+     * @dev Prevents accidentally sending ETH to the contract outside a distribution
+     */
+    receive() external payable {
+        revert("Direct ETH transfers not allowed");
+    }
+}
@@ -0,0 +1,246 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+/**
+ * @title PayoutEscrow
+ * @dev Holds batches of ETH and ERC20 payouts until per-recipient release times, for vesting and
+ * milestone payments. Once a release time has passed, anyone can release the payout to its recipient;
+ * before then, the depositor can cancel it and get the funds back. A payout still unreleased RECLAIM_DELAY
+ * after its release time (such as one to a recipient that rejects the payment) can be reclaimed by its depositor
+ */
+contract PayoutEscrow {
+    using SafeERC20 for IERC20;
+
+    enum Status { None, Pending, Released, Cancelled, Reclaimed }
+
+    // Time after its release time during which only a release can settle a payout; after it, the
+    // depositor can also reclaim it, so a payout that cannot be paid is not locked in the escrow
+    uint256 public constant RECLAIM_DELAY = 30 days;
+
+    // A scheduled payout; token is address(0) for ETH
+    struct Release {
+        address depositor;
+        uint64 releaseTime;
+        address token;
+        Status status;
+        address recipient;
+        uint256 amount;
+    }
+
+    // Number of payouts scheduled; release IDs start at 1
+    uint256 public releaseCount;
+
+    mapping(uint256 => Release) public releases;
+
+    // Event emitted for every payout deposited
+    event Scheduled(
+        uint256 indexed releaseId,
+        address indexed depositor,
+        address indexed recipient,
+        address tokenAddress,
+        uint256 amount,
+        uint256 releaseTime
+    );
+
+    // Event emitted when a payout is paid to its recipient
+    event Released(
+        uint256 indexed releaseId,
+        address indexed recipient,
+        address indexed tokenAddress,
+        uint256 amount
+    );
+
+    // Event emitted when a depositor takes back a payout before its release time
+    event Cancelled(
+        uint256 indexed releaseId,
+        address indexed depositor,
+        address indexed tokenAddress,
+        uint256 amount
+    );
+
+    // Event emitted when a depositor takes back a payout left unreleased RECLAIM_DELAY after its release time
+    event Reclaimed(
+        uint256 indexed releaseId,
+        address indexed depositor,
+        address indexed tokenAddress,
+        uint256 amount
+    );
+
+    /**
+     * @dev Deposits ETH payouts, each released to its recipient at its own time
+     * @param recipients Array of recipient addresses
+     * @param amounts Array of amounts; msg.value must equal their total
+     * @param releaseTimes Array of timestamps from which each payout can be released
+     * @return firstReleaseId ID of the first payout; the others follow in order
+     */
+    function scheduleETH(
+        address[] calldata recipients,
+        uint256[] calldata amounts,
+        uint256[] calldata releaseTimes
+    ) external payable returns (uint256 firstReleaseId) {
+        uint256 totalAmount;
+        (firstReleaseId, totalAmount) = _schedule(address(0), recipients, amounts, releaseTimes);
+        require(msg.value == totalAmount, "Sent ETH value must match total amount");
+    }
+
+    /**
+     * @dev Deposits ERC20 payouts, each released to its recipient at its own time
+     * The contract must be approved for the total first
+     * @param token Address of the ERC20 token
+     * @param recipients Array of recipient addresses
+     * @param amounts Array of amounts
+     * @param releaseTimes Array of timestamps from which each payout can be released
+     * @return firstReleaseId ID of the first payout; the others follow in order
+     */
+    function scheduleToken(
+        address token,
+        address[] calldata recipients,
+        uint256[] calldata amounts,
+        uint256[] calldata releaseTimes
+    ) external returns (uint256 firstReleaseId) {
+        require(token != address(0), "Invalid token address");
+
+        uint256 totalAmount;
+        (firstReleaseId, totalAmount) = _schedule(token, recipients, amounts, releaseTimes);
+
+        // Refuse tokens that deliver less than was sent, which would leave payouts unfunded
+        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+        IERC20(token).safeTransferFrom(msg.sender, address(this), totalAmount);
+        require(
+            IERC20(token).balanceOf(address(this)) - balanceBefore == totalAmount,
+            "Token delivered less than the total amount"
+        );
+    }
+
+    /**
+     * @dev Pays out payouts whose release time has passed; anyone may call it, the funds always go to the recipients
+     * @param releaseIds IDs of the payouts to release
+     */
+    function release(uint256[] calldata releaseIds) external {
+        require(releaseIds.length > 0, "Must provide at least one release");
+
+        for (uint256 i = 0; i < releaseIds.length; i++) {
+            Release storage payout = releases[releaseIds[i]];
+            require(payout.status == Status.Pending, "Release is not pending");
+            require(block.timestamp >= payout.releaseTime, "Release time has not been reached");
+
+            payout.status = Status.Released;
+            _pay(payout.token, payout.recipient, payout.amount);
+
+            emit Released(releaseIds[i], payout.recipient, payout.token, payout.amount);
+        }
+    }
+
+    /**
+     * @dev Returns payouts to their depositor before their release time
+     * @param releaseIds IDs of the payouts to cancel, all deposited by the caller
+     */
+    function cancel(uint256[] calldata releaseIds) external {
+        require(releaseIds.length > 0, "Must provide at least one release");
+
+        for (uint256 i = 0; i < releaseIds.length; i++) {
+            Release storage payout = releases[releaseIds[i]];
+            require(payout.status == Status.Pending, "Release is not pending");
+            require(payout.depositor == msg.sender, "Only the depositor can cancel");
+            require(block.timestamp < payout.releaseTime, "Release time has already been reached");
+
+            payout.status = Status.Cancelled;
+            _pay(payout.token, payout.depositor, payout.amount);
+
+            emit Cancelled(releaseIds[i], payout.depositor, payout.token, payout.amount);
+        }
+    }
+
+    /**
+     * @dev Returns payouts to their depositor once RECLAIM_DELAY has passed since their release time
+     * without a release, such as payouts whose recipient rejects ETH or is blocked by the token
+     * @param releaseIds IDs of the payouts to reclaim, all deposited by the caller
+     */
+    function reclaim(uint256[] calldata releaseIds) external {
+        require(releaseIds.length > 0, "Must provide at least one release");
+
+        for (uint256 i = 0; i < releaseIds.length; i++) {
+            Release storage payout = releases[releaseIds[i]];
+            require(payout.status == Status.Pending, "Release is not pending");
+            require(payout.depositor == msg.sender, "Only the depositor can reclaim");
+            require(block.timestamp >= payout.releaseTime + RECLAIM_DELAY, "Reclaim delay has not passed");
+
+            payout.status = Status.Reclaimed;
+            _pay(payout.token, payout.depositor, payout.amount);
+
+            emit Reclaimed(releaseIds[i], payout.depositor, payout.token, payout.amount);
+        }
+    }
+
+    /**
+     * @dev Reads a page of payouts, so callers can list them without an indexer
+     * @param fromId ID of the first payout to read
+     * @param count Largest number of payouts to read; fewer are returned past the last one
+     */
+    function getReleases(uint256 fromId, uint256 count) external view returns (Release[] memory page) {
+        require(fromId > 0, "Release IDs start at 1");
+
+        uint256 available = fromId > releaseCount ? 0 : releaseCount - fromId + 1;
+        page = new Release[](count < available ? count : available);
+        for (uint256 i = 0; i < page.length; i++) {
+            page[i] = releases[fromId + i];
+        }
+    }
+
+    /**
+     * @dev Records the payouts of a deposit and returns the first ID and their total
+     */
+    function _schedule(
+        address token,
+        address[] calldata recipients,
+        uint256[] calldata amounts,
+        uint256[] calldata releaseTimes
+    ) internal returns (uint256 firstReleaseId, uint256 totalAmount) {
+        require(recipients.length == amounts.length, "Recipients and amounts arrays must be the same length");
+        require(recipients.length == releaseTimes.length, "Recipients and release times arrays must be the same length");
+        require(recipients.length > 0, "Must provide at least one recipient");
+
+        firstReleaseId = releaseCount + 1;
+        for (uint256 i = 0; i < recipients.length; i++) {
+            require(recipients[i] != address(0), "Invalid recipient address");
+            require(amounts[i] > 0, "Amount must be greater than 0");
+            require(releaseTimes[i] <= type(uint64).max, "Invalid release time");
+
+            uint256 releaseId = firstReleaseId + i;
+            releases[releaseId] = Release({
+                depositor: msg.sender,
+                releaseTime: uint64(releaseTimes[i]),
+                token: token,
+                status: Status.Pending,
+                recipient: recipients[i],
+                amount: amounts[i]
+            });
+            totalAmount += amounts[i];
+
+            emit Scheduled(releaseId, msg.sender, recipients[i], token, amounts[i], releaseTimes[i]);
+        }
+        releaseCount = firstReleaseId + recipients.length - 1;
+    }
+
+    /**
+     * @dev Sends ETH (token address(0)) or an ERC20 token held by the contract
+     */
+    function _pay(address token, address to, uint256 amount) internal {
+        if (token == address(0)) {
+            (bool success, ) = to.call{value: amount}("");
+            require(success, "ETH transfer failed");
+        } else {
+            IERC20(token).safeTransfer(to, amount);
+        }
+    }
+
+    /**
+     * @dev Prevents accidentally sending ETH to the contract outside a deposit
+     */
+    receive() external payable {
+        revert("Direct ETH transfers not allowed");
+    }
+}
@@ -0,0 +1,124 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "@openzeppelin/contracts/token/ERC1155/ERC1155.sol";
+
+// Contracts used only by the tests in test/; never deployed
+
+/**
+ * @dev ERC20 token with EIP-2612 permits and configurable decimals, minted to the deployer;
+ * transfers to a blocked address revert, like a token with a blacklist
+ */
+contract MockToken is ERC20Permit {
+    uint8 private immutable _decimals;
+    mapping(address => bool) public blocked;
+
+    constructor(uint8 decimals_) ERC20("Mock Token", "MCK") ERC20Permit("Mock Token") {
+        _decimals = decimals_;
+        _mint(msg.sender, 1e30);
+    }
+
+    function decimals() public view override returns (uint8) {
+        return _decimals;
+    }
+
+    function setBlocked(address account, bool isBlocked) external {
+        blocked[account] = isBlocked;
+    }
+
+    function _update(address from, address to, uint256 value) internal override {
+        require(!blocked[to], "Recipient is blocked");
+        super._update(from, to, value);
+    }
+}
+
+/**
+ * @dev ERC20 token that burns 1% of every transfer, so recipients receive less than is sent
+ */
+contract FeeToken is ERC20 {
+    constructor() ERC20("Fee Token", "FEE") {
+        _mint(msg.sender, 1e30);
+    }
+
+    function _update(address from, address to, uint256 value) internal override {
+        if (from == address(0) || to == address(0)) {
+            super._update(from, to, value);
+            return;
+        }
+        uint256 fee = value / 100;
+        super._update(from, address(0xdead), fee);
+        super._update(from, to, value - fee);
+    }
+}
+
+/**
+ * @dev ERC20 token that, like USDT, refuses to change a non-zero allowance to another non-zero value
+ */
+contract ResetToken is ERC20 {
+    constructor() ERC20("Reset Token", "RST") {
+        _mint(msg.sender, 1e30);
+    }
+
+    function approve(address spender, uint256 value) public override returns (bool) {
+        require(value == 0 || allowance(msg.sender, spender) == 0, "Reset the allowance first");
+        return super.approve(spender, value);
+    }
+}
+
+/**
+ * @dev ERC721 collection with tokens 1 to 20 minted to the deployer
+ */
+contract MockNFT is ERC721 {
+    constructor() ERC721("Mock NFT", "MNFT") {
+        for (uint256 id = 1; id <= 20; id++) {
+            _mint(msg.sender, id);
+        }
+    }
+}
+
+/**
+ * @dev ERC1155 collection with 1000 of each of tokens 1 to 5 minted to the deployer
+ */
+contract MockMultiToken is ERC1155 {
+    constructor() ERC1155("") {
+        for (uint256 id = 1; id <= 5; id++) {
+            _mint(msg.sender, id, 1000, "");
+        }
+    }
+}
+
+/**
+ * @dev Recipient that refuses ETH
+ */
+contract EthRejecter {
+    receive() external payable {
+        revert("ETH not accepted");
+    }
+}
+
+/**
+ * @dev Recipient that burns all the gas it is given when it receives ETH
+ */
+contract GasBurner {
+    receive() external payable {
+        while (true) {}
+    }
+}
+
+/**
+ * @dev ENS registry that is its own resolver for every name, with the addresses set by the tests
+ */
+contract MockEns {
+    mapping(bytes32 => address) public addr;
+
+    function resolver(bytes32) external view returns (address) {
+        return address(this);
+    }
+
+    function setAddr(bytes32 node, address value) external {
+        addr[node] = value;
+    }
+}
@@ -0,0 +1,108 @@
+// deploymentRegistry.js
+// Per-network record of contract deployments: deployments/<chainId>.json for BatchTransfer,
+// deployments/<chainId>-<contract>.json for the other contracts (such as MerkleDistributor)
+// Written by the deploy scripts and read by the batch manager to find and check the contracts
+
+const ethers = require('ethers');
+
+// Directory the deploy script writes to, next to this module
+const DEFAULT_DEPLOYMENTS_DIR = `${__dirname}/deployments`;
+
+// Directory Hardhat writes compiled artifacts to, next to this module
+const DEFAULT_ARTIFACTS_DIR = `${__dirname}/artifacts`;
+
+// Path of the deployment file of a contract on a chain
+const deploymentPath = (chainId, directory = DEFAULT_DEPLOYMENTS_DIR, contract = 'BatchTransfer') => (
+  contract === 'BatchTransfer' ? `${directory}/${chainId}.json` : `${directory}/${chainId}-${contract}.json`
+);
+
+// Read the deployment of a contract recorded for a chain, or null when there is none (Node.js only)
+const loadDeployment = async (chainId, directory, contract) => {
+  // Required lazily so the module still loads in browser bundles
+  const fs = require('fs');
+  const filePath = deploymentPath(chainId, directory, contract);
+
+  let content;
+  try {
+    content = await fs.promises.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw new Error(`Failed to read deployment file ${filePath}: ${error.message}`);
+  }
+
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid deployment file ${filePath}: ${error.message}`);
+  }
+};
+
+// Write the deployment of a contract on a chain, replacing any earlier one; returns the file path (Node.js only)
+const saveDeployment = async (deployment, directory = DEFAULT_DEPLOYMENTS_DIR) => {
+  const fs = require('fs');
+  const filePath = deploymentPath(deployment.chainId, directory, deployment.contract);
+
+  await fs.promises.mkdir(directory, { recursive: true });
+  await fs.promises.writeFile(filePath, `${JSON.stringify(deployment, null, 2)}\n`);
+  return filePath;
+};
+
+// Hash of a contract's runtime bytecode, as stored in the codeHash of a deployment
+const hashCode = (code) => ethers.keccak256(code);
+
+// Hash of the runtime bytecode in a contract's compiled Hardhat artifact, or null when the contract
+// has not been compiled (Node.js only); checks an address with no recorded deployment
+const loadArtifactCodeHash = async (contract = 'BatchTransfer', directory = DEFAULT_ARTIFACTS_DIR) => {
+  const fs = require('fs');
+  const filePath = `${directory}/contracts/${contract}.sol/${contract}.json`;
+
+  let content;
+  try {
+    content = await fs.promises.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw new Error(`Failed to read artifact ${filePath}: ${error.message}`);
+  }
+
+  let artifact;
+  try {
+    artifact = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid artifact ${filePath}: ${error.message}`);
+  }
+
+  return artifact.deployedBytecode && artifact.deployedBytecode !== '0x' ? hashCode(artifact.deployedBytecode) : null;
+};
+
+// Check the code at the contract address before anything is sent to it
+// Refuses an address without code, and code whose hash differs from expectedCodeHash when one is known
+const verifyContractCode = async (provider, address, chainId, expectedCodeHash, contract = 'BatchTransfer') => {
+  const code = await provider.getCode(address);
+  if (code === '0x') {
+    throw new Error(`No contract at ${contract} address ${address} on chain ${chainId}`);
+  }
+
+  if (expectedCodeHash && hashCode(code) !== expectedCodeHash.toLowerCase()) {
+    throw new Error(
+      `The contract at ${address} on chain ${chainId} does not match the recorded or compiled ${contract} bytecode ` +
+      `(code hash ${hashCode(code)}, expected ${expectedCodeHash})`
+    );
+  }
+
+  return hashCode(code);
+};
+
+module.exports = {
+  DEFAULT_DEPLOYMENTS_DIR,
+  DEFAULT_ARTIFACTS_DIR,
+  deploymentPath,
+  loadDeployment,
+  saveDeployment,
+  hashCode,
+  loadArtifactCodeHash,
+  verifyContractCode
+};
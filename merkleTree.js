@@ -0,0 +1,103 @@
+// merkleTree.js
+// Merkle trees and proofs files for claim airdrops through MerkleDistributor.sol
+// Leaves are keccak256(keccak256(abi.encode(index, account, amount))) and pairs are hashed in sorted order,
+// as OpenZeppelin's MerkleProof verifies them
+
+const ethers = require('ethers');
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+// Leaf hash of a claim
+const hashLeaf = (index, account, amount) => ethers.keccak256(ethers.keccak256(
+  abiCoder.encode(['uint256', 'address', 'uint256'], [index, account, amount])
+));
+
+// Hash of two nodes, the smaller first
+const hashPair = (a, b) => ethers.keccak256(ethers.concat(a < b ? [a, b] : [b, a]));
+
+// Build the tree of claims [{ account, amount }], leaf i holding claim i
+// A node without a sibling moves up a level unchanged, so it adds nothing to the proofs below it
+// Returns { root, claims: [{ index, account, amount, proof }] } with amounts as strings
+const buildMerkleTree = (entries) => {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error('At least one claim is required');
+  }
+
+  const layers = [entries.map((entry, index) => hashLeaf(index, entry.account, entry.amount))];
+  while (layers[layers.length - 1].length > 1) {
+    const layer = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < layer.length; i += 2) {
+      next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+    }
+    layers.push(next);
+  }
+
+  // Siblings on the path from a leaf to the root
+  const proofOf = (index) => {
+    const proof = [];
+    let position = index;
+    for (const layer of layers.slice(0, -1)) {
+      const sibling = position ^ 1;
+      if (sibling < layer.length) {
+        proof.push(layer[sibling]);
+      }
+      position = Math.floor(position / 2);
+    }
+    return proof;
+  };
+
+  return {
+    root: layers[layers.length - 1][0],
+    claims: entries.map((entry, index) => ({
+      index,
+      account: entry.account,
+      amount: entry.amount.toString(),
+      proof: proofOf(index)
+    }))
+  };
+};
+
+// Check a claim's proof against a root, the way the contract does
+const verifyProof = (root, { index, account, amount, proof }) => (
+  proof.reduce((node, sibling) => hashPair(node, sibling), hashLeaf(index, account, amount)) === root.toLowerCase()
+);
+
+// Write a distribution (as returned by createMerkleDistribution) as a proofs file for claimers (Node.js only)
+const saveMerkleProofs = async (filePath, distribution) => {
+  // Required lazily so the module still loads in browser bundles
+  const fs = require('fs');
+  await fs.promises.writeFile(filePath, `${JSON.stringify(distribution, null, 2)}\n`);
+  return filePath;
+};
+
+// Read a proofs file written by saveMerkleProofs (Node.js only)
+const loadMerkleProofs = async (filePath) => {
+  const fs = require('fs');
+
+  let content;
+  try {
+    content = await fs.promises.readFile(filePath, 'utf8');
+  } catch (error) {
+    throw new Error(`Failed to read proofs file ${filePath}: ${error.message}`);
+  }
+
+  let distribution;
+  try {
+    distribution = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid proofs file ${filePath}: ${error.message}`);
+  }
+  if (!distribution.merkleRoot || !distribution.claims) {
+    throw new Error(`Invalid proofs file ${filePath}: missing merkleRoot or claims`);
+  }
+  return distribution;
+};
+
+module.exports = {
+  hashLeaf,
+  buildMerkleTree,
+  verifyProof,
+  saveMerkleProofs,
+  loadMerkleProofs
+};
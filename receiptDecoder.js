@@ -0,0 +1,167 @@
+// receiptDecoder.js
+// Decodes per-recipient RecipientTransfer and NftTransfer events from multisend receipts
+// and reconciles them against the transfers that were queued, including the amounts
+// recipients actually received when the batch was sent with delivery checks
+
+const ethers = require('ethers');
+const { MULTISEND_CONTRACT_ABI } = require('./abis');
+
+const multiSendInterface = new ethers.Interface(MULTISEND_CONTRACT_ABI);
+
+// Whether a log was emitted by a contract; addresses are compared in lower case, since receipts and
+// configuration may checksum them differently
+const isContractLog = (log, contractAddress) => log.address.toLowerCase() === contractAddress.toLowerCase();
+
+// The events of one name a contract emitted in a receipt, parsed with its interface, in log order
+const parseContractLogs = (receipt, contractAddress, contractInterface, eventName) => receipt.logs
+  .filter(log => isContractLog(log, contractAddress))
+  .map((log) => {
+    try {
+      return contractInterface.parseLog(log);
+    } catch (error) {
+      return null;
+    }
+  })
+  .filter(event => event && event.name === eventName);
+
+// Decode every RecipientTransfer and NftTransfer log emitted by the multisend contract in a receipt
+// ETH transfers are reported with token null; NFT transfers carry their tokenId and always succeed
+// Checked token sends also emit TransferDelivered, whose measured amount is attached to the transfer as delivered
+const decodeTransferLogs = (receipt, contractAddress) => {
+  const transfers = [];
+
+  for (const log of receipt.logs) {
+    if (contractAddress && !isContractLog(log, contractAddress)) {
+      continue;
+    }
+
+    let parsed;
+    try {
+      parsed = multiSendInterface.parseLog(log);
+    } catch (error) {
+      continue;
+    }
+
+    if (parsed && parsed.name === 'NftTransfer') {
+      transfers.push({
+        transactionHash: receipt.hash,
+        logIndex: log.index,
+        sender: parsed.args.sender,
+        token: parsed.args.tokenAddress,
+        to: parsed.args.recipient,
+        tokenId: parsed.args.tokenId.toString(),
+        amount: parsed.args.amount.toString(),
+        success: true
+      });
+      continue;
+    }
+
+    if (parsed && parsed.name === 'TransferDelivered') {
+      // Emitted right after the RecipientTransfer it measures
+      const measured = [...transfers].reverse().find(transfer => transfer.delivered === undefined &&
+        transfer.tokenId === undefined &&
+        transfer.token === parsed.args.tokenAddress &&
+        transfer.to === parsed.args.recipient &&
+        transfer.amount === parsed.args.amount.toString());
+      if (measured) {
+        measured.delivered = parsed.args.delivered.toString();
+      }
+      continue;
+    }
+
+    if (!parsed || parsed.name !== 'RecipientTransfer') {
+      continue;
+    }
+
+    transfers.push({
+      transactionHash: receipt.hash,
+      logIndex: log.index,
+      sender: parsed.args.sender,
+      token: parsed.args.tokenAddress === ethers.ZeroAddress ? null : parsed.args.tokenAddress,
+      to: parsed.args.recipient,
+      amount: parsed.args.amount.toString(),
+      success: parsed.args.success
+    });
+  }
+
+  return transfers;
+};
+
+// Compare two addresses (or two nulls) case-insensitively
+const sameAddress = (a, b) => (a || null) === (b || null) ||
+  Boolean(a && b && a.toLowerCase() === b.toLowerCase());
+
+// Whether a decoded transfer is for the same token (and NFT token ID) and recipient as an expected row
+const sameTransfer = (row, transfer) => sameAddress(row.token, transfer.token) &&
+  sameAddress(row.to, transfer.to) &&
+  (row.tokenId || null) === (transfer.tokenId || null);
+
+// Match expected rows to decoded transfers and classify each row
+// Rows: { kind, token, to, amount, tokenId (NFTs only), transactionHash, ... }; rows without a transactionHash were never sent
+// Each row gets a status of 'paid', 'failed' (skipped in best-effort mode), 'mismatched' or 'missing'
+// Paid rows of checked sends also get the deliveredAmount their recipient received; underdelivered counts
+// those that received less than was sent (fee-on-transfer tokens)
+const reconcileTransfers = (rows, transfers) => {
+  const unused = [...transfers];
+  const reconciledRows = [];
+
+  const takeTransfer = (predicate) => {
+    const index = unused.findIndex(predicate);
+    return index === -1 ? null : unused.splice(index, 1)[0];
+  };
+
+  // Exact matches first, so a mismatch cannot consume another row's log
+  const exactMatches = rows.map(row => row.transactionHash
+    ? takeTransfer(transfer => transfer.transactionHash === row.transactionHash &&
+      sameTransfer(row, transfer) &&
+      transfer.amount === row.amount)
+    : null);
+
+  rows.forEach((row, i) => {
+    const reconciled = { ...row };
+    const exact = exactMatches[i];
+
+    if (exact) {
+      reconciled.status = exact.success ? 'paid' : 'failed';
+      reconciled.logIndex = exact.logIndex;
+      if (exact.delivered !== undefined) {
+        reconciled.deliveredAmount = exact.delivered;
+      }
+    } else {
+      const partial = row.transactionHash
+        ? takeTransfer(transfer => transfer.transactionHash === row.transactionHash && sameTransfer(row, transfer))
+        : null;
+
+      if (partial) {
+        reconciled.status = 'mismatched';
+        reconciled.actualAmount = partial.amount;
+        reconciled.logIndex = partial.logIndex;
+      } else {
+        reconciled.status = 'missing';
+      }
+    }
+
+    reconciledRows.push(reconciled);
+  });
+
+  const count = (status) => reconciledRows.filter(row => row.status === status).length;
+
+  return {
+    paid: count('paid'),
+    failed: count('failed'),
+    mismatched: count('mismatched'),
+    missing: count('missing'),
+    underdelivered: reconciledRows.filter(row => row.deliveredAmount !== undefined &&
+      BigInt(row.deliveredAmount) < BigInt(row.amount)).length,
+    unexpected: unused.length,
+    complete: count('paid') === reconciledRows.length && unused.length === 0,
+    rows: reconciledRows,
+    unexpectedTransfers: unused
+  };
+};
+
+module.exports = {
+  parseContractLogs,
+  decodeTransferLogs,
+  reconcileTransfers
+};
@@ -0,0 +1,283 @@
+// recipientImport.js
+// Parses recipient lists from CSV or JSON into rows for the batch manager
+// Each row is validated up front so a bad line is reported instead of aborting the import
+
+const ethers = require('ethers');
+
+// Accepted column names for each field (case-insensitive)
+const COLUMN_ALIASES = {
+  address: ['address', 'recipient', 'to', 'wallet'],
+  amount: ['amount', 'value'],
+  token: ['token', 'tokenaddress', 'token_address'],
+  decimals: ['decimals']
+};
+
+// Column order used when a CSV file has no header row
+const DEFAULT_COLUMNS = ['address', 'amount', 'token', 'decimals'];
+
+// Work out the input format from an explicit option, the file name, or the content itself
+const detectFormat = (content, fileName) => {
+  if (fileName) {
+    const lowerName = fileName.toLowerCase();
+    if (lowerName.endsWith('.json')) return 'json';
+    if (lowerName.endsWith('.csv')) return 'csv';
+  }
+
+  const firstChar = content.trimStart().charAt(0);
+  return firstChar === '[' || firstChar === '{' ? 'json' : 'csv';
+};
+
+// Split a single CSV line into fields, honouring double-quoted values
+const splitCsvLine = (line) => {
+  const fields = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  fields.push(current.trim());
+  return fields;
+};
+
+// Map a header cell onto one of the known fields, or null if it is not recognised
+const resolveColumn = (header) => {
+  const normalized = header.toLowerCase().replace(/\s+/g, '');
+  for (const field in COLUMN_ALIASES) {
+    if (COLUMN_ALIASES[field].includes(normalized)) {
+      return field;
+    }
+  }
+  return null;
+};
+
+// Parse CSV content into rows of { line, address, amount, token, decimals }
+const parseCsv = (content) => {
+  const lines = content.split(/\r?\n/);
+  const rows = [];
+  let columns = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const text = lines[i].trim();
+
+    // Skip blank lines and comments
+    if (text === '' || text.startsWith('#')) {
+      continue;
+    }
+
+    const fields = splitCsvLine(text);
+
+    // The first non-empty line is either a header or already a data row
+    if (!columns) {
+      const headerColumns = fields.map(resolveColumn);
+      if (headerColumns.includes('address')) {
+        columns = headerColumns;
+        continue;
+      }
+      columns = DEFAULT_COLUMNS;
+    }
+
+    const row = { line: i + 1 };
+    columns.forEach((field, index) => {
+      if (field && fields[index] !== undefined && fields[index] !== '') {
+        row[field] = fields[index];
+      }
+    });
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+// Find the line number on which each object of the rows array starts
+const locateJsonRows = (content, rowDepth) => {
+  const lineNumbers = [];
+  let line = 1;
+  let depth = 0;
+  let inString = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (char === '\n') {
+      line++;
+    } else if (inString) {
+      if (char === '\\') {
+        i++;
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      if (char === '{' && depth === rowDepth) {
+        lineNumbers.push(line);
+      }
+      depth++;
+    } else if (char === '}' || char === ']') {
+      depth--;
+    }
+  }
+
+  return lineNumbers;
+};
+
+// Parse JSON content (an array of rows, or { recipients: [...] }) into rows
+const parseJson = (content) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid JSON recipient list: ${error.message}`);
+  }
+
+  const isArray = Array.isArray(parsed);
+  const entries = isArray ? parsed : parsed && parsed.recipients;
+  if (!Array.isArray(entries)) {
+    throw new Error('JSON recipient list must be an array or an object with a "recipients" array');
+  }
+
+  const lineNumbers = locateJsonRows(content, isArray ? 1 : 2);
+
+  return entries.map((entry, index) => {
+    const row = { line: lineNumbers[index] || index + 1 };
+
+    if (entry && typeof entry === 'object') {
+      for (const key in entry) {
+        const field = resolveColumn(key);
+        if (field && entry[key] !== undefined && entry[key] !== null && entry[key] !== '') {
+          row[field] = String(entry[key]).trim();
+        }
+      }
+    }
+
+    return row;
+  });
+};
+
+// Parse recipient list content in the given format ('csv' or 'json')
+const parseRecipientRows = (content, format) => {
+  if (format === 'json') {
+    return parseJson(content);
+  }
+  if (format === 'csv') {
+    return parseCsv(content);
+  }
+  throw new Error(`Unsupported recipient list format: ${format}`);
+};
+
+// Normalize an address, describing exactly why it was rejected if it is not valid
+const checkAddress = (value, label) => {
+  if (!value) {
+    return { reason: `Missing ${label}` };
+  }
+
+  if (!ethers.isHexString(value, 20)) {
+    return { reason: `Invalid ${label}: ${value}` };
+  }
+
+  try {
+    const address = ethers.getAddress(value);
+    if (address === ethers.ZeroAddress) {
+      return { reason: `${label.charAt(0).toUpperCase() + label.slice(1)} cannot be the zero address` };
+    }
+    return { address };
+  } catch (error) {
+    return { reason: `Bad checksum for ${label}: ${value}` };
+  }
+};
+
+// Normalize a recipient given as an ENS name (such as alice.eth or bob.base.eth)
+// The batch manager resolves it to an address before the batch is used
+const checkName = (value) => {
+  try {
+    return { address: ethers.ensNormalize(value) };
+  } catch (error) {
+    return { reason: `Invalid recipient name: ${value}` };
+  }
+};
+
+// Validate a parsed row and convert it into a transfer the batch manager can queue
+// Returns { transfer } for a valid row or { reason } for a rejected one
+const validateRecipientRow = (row, defaults = {}) => {
+  const isName = typeof row.address === 'string' && row.address.includes('.') && !row.address.startsWith('0x');
+  const recipient = isName ? checkName(row.address) : checkAddress(row.address, 'recipient address');
+  if (recipient.reason) {
+    return { reason: recipient.reason };
+  }
+
+  const tokenValue = row.token || defaults.token;
+  let token = null;
+  if (tokenValue) {
+    const checkedToken = checkAddress(tokenValue, 'token address');
+    if (checkedToken.reason) {
+      return { reason: checkedToken.reason };
+    }
+    token = checkedToken.address;
+  }
+
+  // ETH amounts always use 18 decimals; tokens use the row value or the default,
+  // or are left null so the batch manager reads the token's own decimals
+  let decimals = token ? null : 18;
+  if (token) {
+    const decimalsValue = row.decimals !== undefined ? row.decimals : defaults.decimals;
+    if (decimalsValue !== undefined) {
+      if (!/^\d+$/.test(String(decimalsValue)) || Number(decimalsValue) > 255) {
+        return { reason: `Invalid decimals: ${decimalsValue}` };
+      }
+      decimals = Number(decimalsValue);
+    }
+  }
+
+  if (row.amount === undefined) {
+    return { reason: 'Missing amount' };
+  }
+
+  const amount = String(row.amount).trim();
+  if (!/^(\d+(\.\d*)?|\.\d+)$/.test(amount)) {
+    return { reason: `Unparseable amount: ${row.amount}` };
+  }
+
+  const fraction = amount.includes('.') ? amount.split('.')[1].replace(/0+$/, '') : '';
+  if (decimals !== null && fraction.length > decimals) {
+    return { reason: `Too many decimals in amount ${amount} (max ${decimals})` };
+  }
+
+  if (!/[1-9]/.test(amount)) {
+    return { reason: 'Amount must be greater than zero' };
+  }
+
+  return {
+    transfer: {
+      to: recipient.address,
+      amount,
+      token,
+      decimals
+    }
+  };
+};
+
+module.exports = {
+  detectFormat,
+  parseRecipientRows,
+  validateRecipientRow
+};
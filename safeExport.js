@@ -0,0 +1,66 @@
+// safeExport.js
+// Formats unsigned batch transactions as a Safe Transaction Builder batch file,
+// so a Safe multisig can review and execute a batch built without a signer
+
+const ethers = require('ethers');
+
+// Transaction Builder version the batch file format is taken from
+const TX_BUILDER_VERSION = '1.16.5';
+
+// Serialize a value the way the Transaction Builder does before hashing (a port of its serializeJSONObject):
+// an object is the JSON array of its sorted keys followed by each value and a comma, such as {["a","b"]1,2,}
+const serializeSorted = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(serializeSorted).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).sort();
+    return `{${JSON.stringify(keys)}${keys.map(key => `${serializeSorted(value[key])},`).join('')}}`;
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+// Checksum the Transaction Builder stores in meta.checksum, taken without the checksum itself;
+// the batch name is excluded so it can be renamed
+const calculateChecksum = (batchFile) => {
+  const { checksum, ...meta } = batchFile.meta;
+  return ethers.solidityPackedKeccak256(['string'], [serializeSorted({ ...batchFile, meta: { ...meta, name: null } })]);
+};
+
+// Build a Transaction Builder batch file from the result of exportUnsignedTransactions
+// Options: name and description shown in the Safe interface, and createdAt (milliseconds) for reproducible files
+const buildSafeTransactionBatch = (exported, options = {}) => {
+  if (!exported || !exported.transactions || exported.transactions.length === 0) {
+    throw new Error('No transactions to export');
+  }
+
+  const batchFile = {
+    version: '1.0',
+    chainId: exported.chainId,
+    createdAt: options.createdAt || Date.now(),
+    meta: {
+      name: options.name || 'Batch transfer',
+      description: options.description || exported.summary,
+      txBuilderVersion: TX_BUILDER_VERSION,
+      createdFromSafeAddress: exported.from,
+      createdFromOwnerAddress: ''
+    },
+    transactions: exported.transactions.map(tx => ({
+      to: tx.to,
+      value: tx.value,
+      data: tx.data,
+      contractMethod: null,
+      contractInputsValues: null
+    }))
+  };
+
+  batchFile.meta.checksum = calculateChecksum(batchFile);
+  return batchFile;
+};
+
+module.exports = {
+  buildSafeTransactionBatch,
+  calculateChecksum
+};
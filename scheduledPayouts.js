@@ -0,0 +1,486 @@
+// scheduledPayouts.js
+// Scheduled payouts: queued ETH and token transfers are deposited in a PayoutEscrow with a release time each,
+// and paid to their recipients once released
+
+const ethers = require('ethers');
+const { PAYOUT_ESCROW_ABI } = require('./abis');
+const { createMemoryJournal } = require('./sendJournal');
+const { parseContractLogs } = require('./receiptDecoder');
+const { tokenLabel } = require('./tokenRegistry');
+const { buildFeeOptions, decodeRevertReason, sumValues, splitIntoChunks, toTimestamp } = require('./transactionHelpers');
+
+// Payouts read from the escrow per call when listing them
+const RELEASE_PAGE_SIZE = 500;
+
+// Payouts released per transaction when maxRecipientsPerTx is not set
+const DEFAULT_RELEASE_BATCH_SIZE = 100;
+
+// Status.Pending of a PayoutEscrow payout
+const RELEASE_PENDING = BigInt(1);
+
+// Create the scheduled payout calls of a batch manager; it passes in the same parts of itself as to
+// createClaimAirdrops, plus the queue lookups and the bisection the deposits and releases need
+const createScheduledPayouts = ({
+  config,
+  getConnection,
+  notify,
+  tokenRegistry,
+  tokenSymbol,
+  transactionGroups,
+  prepareQueue,
+  describeQueued,
+  queuedItems,
+  removeTransaction,
+  getCompanionContract,
+  approveSpender,
+  reconcileJournaled,
+  waitForTransaction,
+  createPersist,
+  findFailingTransfers
+}) => {
+  // The PayoutEscrow at an address, at config.escrowAddress, or recorded for the connected chain
+  const getEscrow = (address) => getCompanionContract(
+    'PayoutEscrow',
+    PAYOUT_ESCROW_ABI,
+    address || config.escrowAddress,
+    'escrowAddress'
+  );
+
+  // Release time of a queued transfer from options.releaseAt: one time for every transfer, times keyed by transfer ID,
+  // or a function that receives the transfer (as listed by listTransactions) and returns its time
+  const releaseTimeOf = (releaseAt, transfer) => {
+    let value = releaseAt;
+    if (typeof releaseAt === 'function') {
+      value = releaseAt(transfer);
+    } else if (typeof releaseAt === 'object' && !(releaseAt instanceof Date)) {
+      value = releaseAt[transfer.id];
+      if (value === undefined) {
+        throw new Error(`No release time given for ${transfer.id}`);
+      }
+    }
+    return toTimestamp(value, `release time of ${transfer.id}`);
+  };
+
+  // Deposits scheduleBatch has sent but not seen confirmed, so a retry after a confirmation timeout (or, with a
+  // journal, after a crash) reconciles them instead of depositing twice; kept in memory unless a journal is given
+  const scheduleMemoryJournal = createMemoryJournal();
+
+  // Record the payouts of a confirmed deposit, whose Scheduled events come in the order of its transfers,
+  // and take its transfers out of the queue
+  const recordDeposit = (deposit, receipt, escrow, results) => {
+    const symbol = deposit.token ? tokenSymbol(deposit.token) : 'ETH';
+    const assetName = deposit.token ? tokenLabel(tokenRegistry.peekToken(deposit.token), deposit.token) : 'ETH';
+    const scheduled = parseContractLogs(receipt, results.escrow, escrow.interface, 'Scheduled');
+
+    deposit.transfers.forEach((transfer, i) => {
+      results.releases.push({
+        releaseId: scheduled[i].args.releaseId.toString(),
+        transferId: transfer.id,
+        token: deposit.token,
+        symbol,
+        to: transfer.to,
+        ...(transfer.name ? { name: transfer.name } : {}),
+        amount: transfer.amount,
+        releaseTime: transfer.releaseTime
+      });
+      // Deposited now, so sending the queue must not pay the recipient again
+      if (queuedItems().some(queued => queued.item.id === transfer.id)) {
+        removeTransaction(transfer.id);
+      }
+    });
+
+    const confirmed = {
+      token: deposit.token,
+      symbol,
+      releases: deposit.transfers.length,
+      total: deposit.total,
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString()
+    };
+    results.transactions.push(confirmed);
+    notify(
+      'schedule:confirmed',
+      confirmed,
+      `Scheduled ${deposit.transfers.length} ${assetName} ${deposit.transfers.length === 1 ? 'payout' : 'payouts'} in block ${receipt.blockNumber}`
+    );
+  };
+
+  // Work out what happened to a journaled deposit: its receipt when it was mined, or null when nothing was paid
+  // and its transfers can be deposited again; throws when its nonce was used by a transaction that cannot be found
+  const reconcileDeposit = (deposit, sender, options) => reconcileJournaled(deposit, sender, options,
+    `Cannot tell whether the deposit of ${deposit.transfers.map(transfer => transfer.id).join(', ')} ` +
+    `(nonce ${deposit.nonce}) went out; check the sender's transaction at that nonce, remove the transfers ` +
+    'it deposited from the queue, and clear the journal before scheduling again'
+  );
+
+  // Deposit the queued ETH and ERC-20 transfers in the escrow, each released to its recipient from its release time,
+  // and take them out of the queue; bundles and NFT transfers stay queued
+  // One deposit per asset, or per chunk of maxRecipientsPerTx transfers; returns the payouts with their release IDs
+  // Every deposit is journaled before it is sent, and the deposits a previous call left unconfirmed are reconciled first
+  const scheduleBatch = async (options = {}) => {
+    const { provider, signer } = await getConnection();
+    const journal = options.journal || config.journal || scheduleMemoryJournal;
+
+    if (options.releaseAt === undefined || options.releaseAt === null) {
+      throw new Error('A scheduled batch needs release times (options.releaseAt)');
+    }
+
+    const escrow = await getEscrow(options.escrowAddress);
+    const escrowAddress = await escrow.getAddress();
+    const chainId = (await provider.getNetwork()).chainId.toString();
+    const sender = await signer.getAddress();
+    const results = { escrow: escrowAddress, releases: [], transactions: [] };
+
+    // Refuse a journal that records a send batch, and one that records deposits to another escrow
+    const existing = await journal.load();
+    if (existing && existing.entries && existing.entries.length > 0) {
+      throw new Error('The send journal records a send batch; finish it with resumeBatch() or clear it before scheduling');
+    }
+    if (existing && existing.distribution) {
+      throw new Error('The send journal records an unconfirmed claim airdrop; call createMerkleDistribution() to settle it');
+    }
+    const unsettled = existing && existing.deposits && existing.deposits.length > 0 ? existing : null;
+    if (unsettled && (unsettled.chainId !== chainId || unsettled.escrow !== escrowAddress || unsettled.sender !== sender)) {
+      throw new Error(
+        `The send journal records deposits for chain ${unsettled.chainId}, escrow ${unsettled.escrow} and sender ${unsettled.sender}`
+      );
+    }
+
+    const state = unsettled || {
+      version: 1,
+      chainId,
+      escrow: escrowAddress,
+      sender,
+      createdAt: new Date().toISOString(),
+      deposits: []
+    };
+    const persist = createPersist(journal, state);
+
+    try {
+      // Settle the deposits a previous call sent without seeing them confirmed, before anything is sent again
+      while (state.deposits.length > 0) {
+        const deposit = state.deposits[0];
+        const receipt = await reconcileDeposit(deposit, sender, options);
+        if (receipt) {
+          if (deposit.token) {
+            await tokenRegistry.getToken(provider, deposit.token);
+          }
+          recordDeposit(deposit, receipt, escrow, results);
+        }
+        state.deposits.shift();
+        await persist();
+      }
+
+      // Pin recipient names, convert token amounts and apply the duplicate policy, as a send would
+      await prepareQueue();
+
+      const groups = [
+        ...(transactionGroups.eth.length > 0 ? [{ tokenAddress: null, txs: transactionGroups.eth }] : []),
+        ...Object.keys(transactionGroups.erc20)
+          .filter(tokenAddress => transactionGroups.erc20[tokenAddress].length > 0)
+          .map(tokenAddress => ({ tokenAddress, txs: transactionGroups.erc20[tokenAddress] }))
+      ];
+      if (groups.length === 0) {
+        // Nothing is left once the reconciled deposits have taken their transfers out of the queue
+        if (results.transactions.length > 0) {
+          await journal.clear();
+          return results;
+        }
+        throw new Error('No ETH or ERC-20 transfers to schedule');
+      }
+
+      // Work out every release time before anything is sent
+      const block = await provider.getBlock('latest');
+      const planned = groups.map(({ tokenAddress, txs }) => ({
+        tokenAddress,
+        txs: txs.map((tx) => {
+          const releaseTime = releaseTimeOf(options.releaseAt, describeQueued(tokenAddress ? 'erc20' : 'eth', tx, tokenAddress));
+          if (releaseTime <= block.timestamp) {
+            throw new Error(`The release time of ${tx.id} (${new Date(releaseTime * 1000).toISOString()}) has already passed`);
+          }
+          return { ...tx, releaseTime };
+        })
+      }));
+
+      const chunkSize = options.maxRecipientsPerTx || config.maxRecipientsPerTx;
+
+      for (const { tokenAddress, txs } of planned) {
+        // Fund the deposits from the sender: approve the escrow for a token, or send the ETH with each call
+        if (tokenAddress) {
+          await approveSpender(tokenAddress, escrowAddress, sumValues(txs), options);
+        } else if (await provider.getBalance(sender) < sumValues(txs)) {
+          throw new Error('Insufficient ETH balance');
+        }
+
+        for (const chunk of chunkSize ? splitIntoChunks(txs, chunkSize) : [txs]) {
+          const total = sumValues(chunk);
+          const args = [
+            chunk.map(tx => tx.to),
+            chunk.map(tx => BigInt(tx.value.toString())),
+            chunk.map(tx => tx.releaseTime)
+          ];
+
+          // Journal the deposit with its nonce before broadcasting, and with its hash once sent
+          const deposit = {
+            token: tokenAddress,
+            transfers: chunk.map(tx => ({
+              id: tx.id,
+              to: tx.to,
+              ...(tx.name ? { name: tx.name } : {}),
+              amount: tx.value.toString(),
+              releaseTime: tx.releaseTime
+            })),
+            total: total.toString(),
+            nonce: await signer.getNonce('pending'),
+            transactionHash: null
+          };
+          state.deposits.push(deposit);
+          await persist();
+
+          const txOptions = { nonce: deposit.nonce, ...buildFeeOptions(options) };
+          const startBlock = await provider.getBlockNumber();
+          const tx = tokenAddress
+            ? await escrow.scheduleToken(tokenAddress, ...args, txOptions)
+            : await escrow.scheduleETH(...args, { value: total, ...txOptions });
+          deposit.transactionHash = tx.hash;
+          await persist();
+
+          let receipt;
+          try {
+            receipt = await waitForTransaction(tx, options, startBlock);
+          } catch (error) {
+            // A cancelled deposit paid nothing, so its transfers can be deposited again
+            if (error.cancelled) {
+              state.deposits.pop();
+              await persist();
+            }
+            throw error;
+          }
+          recordDeposit(deposit, receipt, escrow, results);
+          state.deposits.pop();
+          await persist();
+        }
+      }
+    } catch (error) {
+      // Attach the deposits already made, whose transfers have left the queue
+      const scheduleError = new Error(`Failed to schedule batch: ${decodeRevertReason(error)}`);
+      scheduleError.results = results;
+      throw scheduleError;
+    }
+
+    await journal.clear();
+    return results;
+  };
+
+  // Lowest release ID of each escrow (by address) that may still be pending; the payouts below it were released
+  // or cancelled, which is final, so later scans start there instead of at ID 1
+  const releaseWatermarks = new Map();
+
+  // Payouts in the escrow that are still pending, oldest first, read a page at a time from the escrow's watermark
+  // filter.depositor defaults to the sender (null for every depositor); filter.recipient and filter.token
+  // (null for ETH) narrow the list, and `due` marks the payouts that can be released now
+  const listPendingReleases = async (filter = {}) => {
+    const { provider, signer } = await getConnection();
+    const escrow = await getEscrow(filter.escrowAddress);
+
+    const addressFilter = (value, label) => {
+      if (value === undefined || value === null) {
+        return value;
+      }
+      if (!ethers.isAddress(value)) {
+        throw new Error(`Invalid ${label} address: ${value}`);
+      }
+      return ethers.getAddress(value);
+    };
+    const depositor = filter.depositor === undefined ? await signer.getAddress() : addressFilter(filter.depositor, 'depositor');
+    const recipient = addressFilter(filter.recipient, 'recipient');
+    const token = filter.token === null ? ethers.ZeroAddress : addressFilter(filter.token, 'token');
+
+    const escrowKey = (await escrow.getAddress()).toLowerCase();
+    const count = Number(await escrow.releaseCount());
+    const block = await provider.getBlock('latest');
+    const pending = [];
+
+    // The first payout still pending for any depositor becomes the watermark
+    let firstPendingId = null;
+    for (let fromId = releaseWatermarks.get(escrowKey) || 1; fromId <= count; fromId += RELEASE_PAGE_SIZE) {
+      const page = await escrow.getReleases(fromId, RELEASE_PAGE_SIZE);
+      page.forEach((payout, i) => {
+        if (payout.status === RELEASE_PENDING && firstPendingId === null) {
+          firstPendingId = fromId + i;
+        }
+
+        if (payout.status !== RELEASE_PENDING ||
+          (depositor && payout.depositor !== depositor) ||
+          (recipient && payout.recipient !== recipient) ||
+          (token && payout.token !== token)) {
+          return;
+        }
+
+        const payoutToken = payout.token === ethers.ZeroAddress ? null : payout.token;
+        pending.push({
+          releaseId: String(fromId + i),
+          depositor: payout.depositor,
+          to: payout.recipient,
+          token: payoutToken,
+          symbol: payoutToken ? tokenSymbol(payoutToken) : 'ETH',
+          amount: payout.amount.toString(),
+          releaseTime: Number(payout.releaseTime),
+          due: Number(payout.releaseTime) <= block.timestamp
+        });
+      });
+    }
+    releaseWatermarks.set(escrowKey, firstPendingId === null ? count + 1 : firstPendingId);
+
+    return pending;
+  };
+
+  // Release every pending payout whose time has come, in transactions of up to maxRecipientsPerTx (default 100)
+  // Takes the filters of listPendingReleases, so by default it releases the sender's own deposits
+  // Each chunk is simulated first; a chunk that would revert is bisected to the payouts that fail (such as an
+  // ETH recipient that rejects the payment), which are reported in `failed` while the others are released
+  const releaseDue = async (options = {}) => {
+    const { provider } = await getConnection();
+    const escrow = await getEscrow(options.escrowAddress);
+
+    const due = (await listPendingReleases(options)).filter(payout => payout.due);
+    const chunkSize = options.maxRecipientsPerTx || config.maxRecipientsPerTx || DEFAULT_RELEASE_BATCH_SIZE;
+    const results = { released: [], failed: [], transactions: [] };
+    const simulateRelease = txs => escrow.release.staticCall(txs.map(tx => tx.releaseId));
+
+    try {
+      for (const dueChunk of splitIntoChunks(due, chunkSize)) {
+        let failures = [];
+        try {
+          await simulateRelease(dueChunk);
+        } catch (error) {
+          const txs = dueChunk.map(payout => ({ releaseId: payout.releaseId, to: payout.to, value: BigInt(payout.amount) }));
+          failures = await findFailingTransfers(txs, 0, simulateRelease, error);
+        }
+
+        for (const failure of failures) {
+          const failed = { ...dueChunk[failure.index], reason: failure.reason };
+          results.failed.push(failed);
+          notify('release:failed', failed, `Release ${failed.releaseId} to ${failed.to} would fail: ${failed.reason}`, 'warn');
+        }
+
+        const chunk = dueChunk.filter((payout, i) => !failures.some(failure => failure.index === i));
+        if (chunk.length === 0) {
+          continue;
+        }
+
+        const releaseIds = chunk.map(payout => payout.releaseId);
+        const startBlock = await provider.getBlockNumber();
+        const tx = await escrow.release(releaseIds, buildFeeOptions(options));
+        const receipt = await waitForTransaction(tx, options, startBlock);
+
+        const transaction = {
+          releaseIds,
+          transactionHash: receipt.hash,
+          blockNumber: receipt.blockNumber,
+          gasUsed: receipt.gasUsed.toString()
+        };
+        results.released.push(...chunk.map(payout => ({ ...payout, transactionHash: receipt.hash })));
+        results.transactions.push(transaction);
+        notify('release:confirmed', transaction, `Released ${chunk.length} ${chunk.length === 1 ? 'payout' : 'payouts'} in block ${receipt.blockNumber}`);
+      }
+    } catch (error) {
+      const releaseError = new Error(`Failed to release payouts: ${decodeRevertReason(error)}`);
+      releaseError.results = results;
+      throw releaseError;
+    }
+
+    return results;
+  };
+
+  // Return pending payouts the sender deposited through the escrow's `method` ('cancel' or 'reclaim'),
+  // whose `eventName` events list the payouts returned. Every payout is checked first, and `check` returns why
+  // one cannot be returned yet (or null), so that payout is named instead of reverting the transaction
+  const returnReleases = async (releaseIds, options, { method, eventName, resultKey, check }) => {
+    if (!Array.isArray(releaseIds) || releaseIds.length === 0) {
+      throw new Error('At least one release ID is required');
+    }
+
+    const { provider, signer } = await getConnection();
+    const escrow = await getEscrow(options.escrowAddress);
+    const escrowAddress = await escrow.getAddress();
+    const sender = await signer.getAddress();
+
+    const block = await provider.getBlock('latest');
+    for (const releaseId of releaseIds) {
+      const payout = await escrow.releases(releaseId);
+      if (payout.status !== RELEASE_PENDING) {
+        throw new Error(`Release ${releaseId} is not pending`);
+      }
+      if (payout.depositor !== sender) {
+        throw new Error(`Release ${releaseId} was deposited by ${payout.depositor}, not the sender`);
+      }
+      const problem = await check(escrow, payout, block.timestamp);
+      if (problem) {
+        throw new Error(`Release ${releaseId} ${problem}`);
+      }
+    }
+
+    const results = { [resultKey]: [], transactionHash: null, blockNumber: null, gasUsed: null };
+    try {
+      const startBlock = await provider.getBlockNumber();
+      const tx = await escrow[method](releaseIds, buildFeeOptions(options));
+      const receipt = await waitForTransaction(tx, options, startBlock);
+
+      results[resultKey] = parseContractLogs(receipt, escrowAddress, escrow.interface, eventName)
+        .map(event => ({
+          releaseId: event.args.releaseId.toString(),
+          token: event.args.tokenAddress === ethers.ZeroAddress ? null : event.args.tokenAddress,
+          amount: event.args.amount.toString()
+        }));
+      results.transactionHash = receipt.hash;
+      results.blockNumber = receipt.blockNumber;
+      results.gasUsed = receipt.gasUsed.toString();
+    } catch (error) {
+      throw new Error(`Failed to ${method} payouts: ${decodeRevertReason(error)}`);
+    }
+
+    const count = results[resultKey].length;
+    notify(
+      `release:${resultKey}`,
+      results,
+      `${eventName} ${count} ${count === 1 ? 'payout' : 'payouts'} in block ${results.blockNumber}`
+    );
+    return results;
+  };
+
+  // Take back pending payouts the sender deposited, before their release times; the funds return to the sender
+  const cancelReleases = (releaseIds, options = {}) => returnReleases(releaseIds, options, {
+    method: 'cancel',
+    eventName: 'Cancelled',
+    resultKey: 'cancelled',
+    check: (escrow, payout, now) => (Number(payout.releaseTime) <= now
+      ? 'is already unlocked and can no longer be cancelled; it can be reclaimed if it is still unreleased after the reclaim delay'
+      : null)
+  });
+
+  // Take back payouts the sender deposited that are still unreleased the escrow's RECLAIM_DELAY (30 days) after
+  // their release times, such as payouts to a recipient that rejects ETH or that the token blocks
+  const reclaimReleases = (releaseIds, options = {}) => returnReleases(releaseIds, options, {
+    method: 'reclaim',
+    eventName: 'Reclaimed',
+    resultKey: 'reclaimed',
+    check: async (escrow, payout, now) => {
+      const reclaimableAt = Number(payout.releaseTime) + Number(await escrow.RECLAIM_DELAY());
+      return reclaimableAt > now ? `can only be reclaimed from ${new Date(reclaimableAt * 1000).toISOString()}` : null;
+    }
+  });
+
+  return {
+    scheduleBatch,
+    listPendingReleases,
+    releaseDue,
+    cancelReleases,
+    reclaimReleases
+  };
+};
+
+module.exports = {
+  createScheduledPayouts
+};
@@ -1,6 +1,7 @@
 // deploy.js
-const { ethers } = require("hardhat");
-const fs = require('fs');
+const hre = require("hardhat");
+const { ethers } = hre;
+const { saveDeployment, hashCode } = require("../deploymentRegistry");
 
 async function main() {
   const [deployer] = await ethers.getSigners();
@@ -8,18 +9,41 @@ async function main() {
 
   // Deploy BatchTransfer contract
   console.log("Deploying BatchTransfer...");
-  
+
   // Get the contract factory
   const BatchTransfer = await ethers.getContractFactory("BatchTransfer");
-  
+
   // Deploy the contract
   const batchTransfer = await BatchTransfer.deploy();
-  
+
   // Wait for deployment to complete
+  await batchTransfer.waitForDeployment();
+  const receipt = await batchTransfer.deploymentTransaction().wait();
 
   const contractAddress = await batchTransfer.getAddress();
   console.log("BatchTransfer deployed to:", contractAddress);
 
+  // Record the deployment so the batch manager can find and check it on this chain
+  const { chainId } = await ethers.provider.getNetwork();
+  const buildInfo = await hre.artifacts.getBuildInfo("contracts/BatchTransfer.sol:BatchTransfer");
+  const { outputSelection, ...settings } = buildInfo.input.settings;
+
+  const filePath = await saveDeployment({
+    chainId: chainId.toString(),
+    network: hre.network.name,
+    contract: "BatchTransfer",
+    address: contractAddress,
+    deployer: deployer.address,
+    transactionHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    codeHash: hashCode(await ethers.provider.getCode(contractAddress)),
+    compiler: {
+      version: buildInfo.solcLongVersion,
+      settings
+    },
+    deployedAt: new Date().toISOString()
+  });
+  console.log("Deployment recorded in:", filePath);
 }
 
 main()
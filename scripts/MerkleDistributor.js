@@ -0,0 +1,54 @@
+// MerkleDistributor.js
+const hre = require("hardhat");
+const { ethers } = hre;
+const { saveDeployment, hashCode } = require("../deploymentRegistry");
+
+async function main() {
+  const [deployer] = await ethers.getSigners();
+  console.log("Deploying contracts with the account:", deployer.address);
+
+  // Deploy MerkleDistributor contract, shared by every claim airdrop on the network
+  console.log("Deploying MerkleDistributor...");
+
+  // Get the contract factory
+  const MerkleDistributor = await ethers.getContractFactory("MerkleDistributor");
+
+  // Deploy the contract
+  const merkleDistributor = await MerkleDistributor.deploy();
+
+  // Wait for deployment to complete
+  await merkleDistributor.waitForDeployment();
+  const receipt = await merkleDistributor.deploymentTransaction().wait();
+
+  const contractAddress = await merkleDistributor.getAddress();
+  console.log("MerkleDistributor deployed to:", contractAddress);
+
+  // Record the deployment so the batch manager can find and check it on this chain
+  const { chainId } = await ethers.provider.getNetwork();
+  const buildInfo = await hre.artifacts.getBuildInfo("contracts/MerkleDistributor.sol:MerkleDistributor");
+  const { outputSelection, ...settings } = buildInfo.input.settings;
+
+  const filePath = await saveDeployment({
+    chainId: chainId.toString(),
+    network: hre.network.name,
+    contract: "MerkleDistributor",
+    address: contractAddress,
+    deployer: deployer.address,
+    transactionHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    codeHash: hashCode(await ethers.provider.getCode(contractAddress)),
+    compiler: {
+      version: buildInfo.solcLongVersion,
+      settings
+    },
+    deployedAt: new Date().toISOString()
+  });
+  console.log("Deployment recorded in:", filePath);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,54 @@
+// PayoutEscrow.js
+const hre = require("hardhat");
+const { ethers } = hre;
+const { saveDeployment, hashCode } = require("../deploymentRegistry");
+
+async function main() {
+  const [deployer] = await ethers.getSigners();
+  console.log("Deploying contracts with the account:", deployer.address);
+
+  // Deploy PayoutEscrow contract, shared by every scheduled batch on the network
+  console.log("Deploying PayoutEscrow...");
+
+  // Get the contract factory
+  const PayoutEscrow = await ethers.getContractFactory("PayoutEscrow");
+
+  // Deploy the contract
+  const payoutEscrow = await PayoutEscrow.deploy();
+
+  // Wait for deployment to complete
+  await payoutEscrow.waitForDeployment();
+  const receipt = await payoutEscrow.deploymentTransaction().wait();
+
+  const contractAddress = await payoutEscrow.getAddress();
+  console.log("PayoutEscrow deployed to:", contractAddress);
+
+  // Record the deployment so the batch manager can find and check it on this chain
+  const { chainId } = await ethers.provider.getNetwork();
+  const buildInfo = await hre.artifacts.getBuildInfo("contracts/PayoutEscrow.sol:PayoutEscrow");
+  const { outputSelection, ...settings } = buildInfo.input.settings;
+
+  const filePath = await saveDeployment({
+    chainId: chainId.toString(),
+    network: hre.network.name,
+    contract: "PayoutEscrow",
+    address: contractAddress,
+    deployer: deployer.address,
+    transactionHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    codeHash: hashCode(await ethers.provider.getCode(contractAddress)),
+    compiler: {
+      version: buildInfo.solcLongVersion,
+      settings
+    },
+    deployedAt: new Date().toISOString()
+  });
+  console.log("Deployment recorded in:", filePath);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,56 @@
+// sendJournal.js
+// Persistent record of a batch send, so an interrupted run can be resumed without paying twice
+// A journal is any object with async load(), save(state) and clear() functions
+
+// Keep a journal in memory (useful for tests and for browser sessions)
+const createMemoryJournal = () => {
+  let storedState = null;
+
+  return {
+    load: async () => (storedState ? JSON.parse(storedState) : null),
+    save: async (state) => {
+      storedState = JSON.stringify(state);
+    },
+    clear: async () => {
+      storedState = null;
+    }
+  };
+};
+
+// Keep a journal in a JSON file on disk
+// Every save writes a temporary file and renames it over the journal, so a crash never leaves half a file
+const createFileJournal = (filePath) => {
+  if (!filePath) {
+    throw new Error('Journal file path is required');
+  }
+
+  // Required lazily so the module still loads in browser bundles
+  const fs = require('fs');
+
+  return {
+    load: async () => {
+      try {
+        const content = await fs.promises.readFile(filePath, 'utf8');
+        return JSON.parse(content);
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw new Error(`Unable to read send journal ${filePath}: ${error.message}`);
+      }
+    },
+    save: async (state) => {
+      const tempPath = `${filePath}.tmp`;
+      await fs.promises.writeFile(tempPath, JSON.stringify(state, null, 2));
+      await fs.promises.rename(tempPath, filePath);
+    },
+    clear: async () => {
+      await fs.promises.rm(filePath, { force: true });
+    }
+  };
+};
+
+module.exports = {
+  createMemoryJournal,
+  createFileJournal
+};
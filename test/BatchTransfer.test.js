@@ -0,0 +1,204 @@
+// Tests for the BatchTransfer contract, deployed on the in-process Hardhat network
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const ethers = require('ethers');
+const { startChain, randomAddress } = require('./helpers/chain');
+const { MULTISEND_CONTRACT_ABI } = require('../abis');
+
+describe('BatchTransfer', () => {
+  let chain;
+  let batchTransfer;
+  let sender;
+
+  before(async () => {
+    chain = await startChain();
+    [sender] = chain.wallets;
+    batchTransfer = await chain.deploy('BatchTransfer');
+  });
+
+  after(() => chain.stop());
+
+  // Events of one contract in a receipt, parsed with its interface
+  const eventsOf = (contract, receipt, name) => receipt.logs
+    .filter(log => log.address === contract.target)
+    .map(log => contract.interface.parseLog(log))
+    .filter(event => event && event.name === name);
+
+  describe('multiSendETHBestEffort', () => {
+    test('skips recipients that reject ETH or burn their gas, and refunds their amounts', async () => {
+      const rejecter = await chain.deploy('EthRejecter');
+      const burner = await chain.deploy('GasBurner');
+      const payee = randomAddress();
+      const amounts = [ethers.parseEther('1'), ethers.parseEther('2'), ethers.parseEther('3')];
+
+      const receipt = await (await batchTransfer.multiSendETHBestEffort(
+        [payee, rejecter.target, burner.target],
+        amounts,
+        { value: ethers.parseEther('6'), gasLimit: 1000000 }
+      )).wait();
+
+      assert.strictEqual(await chain.provider.getBalance(payee), amounts[0]);
+      assert.strictEqual(await chain.provider.getBalance(rejecter.target), BigInt(0));
+      assert.strictEqual(await chain.provider.getBalance(burner.target), BigInt(0));
+      assert.strictEqual(await chain.provider.getBalance(batchTransfer.target), BigInt(0));
+      assert.deepStrictEqual(eventsOf(batchTransfer, receipt, 'RecipientTransfer').map(event => event.args.success), [true, false, false]);
+
+      const [executed] = eventsOf(batchTransfer, receipt, 'MultiSendExecuted');
+      assert.strictEqual(executed.args.totalAmount, amounts[0]);
+      assert.strictEqual(executed.args.recipientCount, BigInt(1));
+    });
+
+    test('exposes the gas cap per recipient through the library ABI', async () => {
+      const contract = new ethers.Contract(batchTransfer.target, MULTISEND_CONTRACT_ABI, chain.provider);
+      assert.strictEqual(await contract.BEST_EFFORT_ETH_GAS(), BigInt(50000));
+    });
+  });
+
+  describe('multiSendTokenBestEffort', () => {
+    test('skips transfers the token rejects and leaves their tokens with the sender', async () => {
+      const token = await chain.deploy('MockToken', [6]);
+      const blocked = randomAddress();
+      const payee = randomAddress();
+      await (await token.setBlocked(blocked, true)).wait();
+      await (await token.approve(batchTransfer.target, 300)).wait();
+      const before = await token.balanceOf(sender.address);
+
+      const receipt = await (await batchTransfer.multiSendTokenBestEffort(token.target, [payee, blocked], [100, 200])).wait();
+
+      assert.strictEqual(await token.balanceOf(payee), BigInt(100));
+      assert.strictEqual(await token.balanceOf(blocked), BigInt(0));
+      assert.strictEqual(await token.balanceOf(sender.address), before - BigInt(100));
+      assert.deepStrictEqual(eventsOf(batchTransfer, receipt, 'RecipientTransfer').map(event => event.args.success), [true, false]);
+    });
+  });
+
+  describe('multiSendTokenWithPermit', () => {
+    let token;
+
+    before(async () => {
+      token = await chain.deploy('MockToken', [6]);
+    });
+
+    // Sign an EIP-2612 permit from the sender to the multisend contract
+    const signPermit = async (value) => {
+      const deadline = BigInt(await chain.latestTimestamp()) + 3600n;
+      const signature = ethers.Signature.from(await sender.signTypedData(
+        { name: 'Mock Token', version: '1', chainId: 31337, verifyingContract: token.target },
+        {
+          Permit: [
+            { name: 'owner', type: 'address' },
+            { name: 'spender', type: 'address' },
+            { name: 'value', type: 'uint256' },
+            { name: 'nonce', type: 'uint256' },
+            { name: 'deadline', type: 'uint256' }
+          ]
+        },
+        { owner: sender.address, spender: batchTransfer.target, value, nonce: await token.nonces(sender.address), deadline }
+      ));
+      return [value, deadline, signature.v, signature.r, signature.s];
+    };
+
+    test('submits the permit and transfers in one transaction', async () => {
+      const payees = [randomAddress(), randomAddress()];
+
+      await (await batchTransfer.multiSendTokenWithPermit(token.target, payees, [100, 200], ...await signPermit(300n))).wait();
+
+      assert.deepStrictEqual(await Promise.all(payees.map(payee => token.balanceOf(payee))), [100n, 200n]);
+      assert.strictEqual(await token.allowance(sender.address, batchTransfer.target), 0n);
+    });
+
+    test('falls back to the existing allowance when the permit was already used', async () => {
+      const payee = randomAddress();
+      const permit = await signPermit(300n);
+
+      // Someone submits the signed permit first, as a front-runner watching the mempool could
+      await (await token.permit(sender.address, batchTransfer.target, ...permit)).wait();
+      await (await batchTransfer.multiSendTokenWithPermit(token.target, [payee], [300], ...permit)).wait();
+
+      assert.strictEqual(await token.balanceOf(payee), 300n);
+      assert.strictEqual(await token.allowance(sender.address, batchTransfer.target), 0n);
+    });
+
+    test('reverts when the permit fails and there is no allowance to fall back to', async () => {
+      const [, deadline, v, r, s] = await signPermit(300n);
+
+      await assert.rejects(
+        batchTransfer.multiSendTokenWithPermit(token.target, [randomAddress()], [300], 301n, deadline, v, r, s),
+        /Insufficient token allowance/
+      );
+    });
+  });
+
+  describe('multiSendERC721', () => {
+    let nft;
+
+    before(async () => {
+      nft = await chain.deploy('MockNFT');
+      await (await nft.setApprovalForAll(batchTransfer.target, true)).wait();
+    });
+
+    test('sends each token ID to its recipient with an NftTransfer event', async () => {
+      const recipients = [randomAddress(), randomAddress()];
+      const receipt = await (await batchTransfer.multiSendERC721(nft.target, recipients, [1, 2])).wait();
+
+      assert.strictEqual(await nft.ownerOf(1), recipients[0]);
+      assert.strictEqual(await nft.ownerOf(2), recipients[1]);
+      assert.deepStrictEqual(
+        eventsOf(batchTransfer, receipt, 'NftTransfer').map(event => [event.args.recipient, event.args.tokenId, event.args.amount]),
+        [[recipients[0], BigInt(1), BigInt(1)], [recipients[1], BigInt(2), BigInt(1)]]
+      );
+    });
+
+    test('reverts without operator approval', async () => {
+      const other = await chain.deploy('MockNFT');
+      await assert.rejects(batchTransfer.multiSendERC721(other.target, [randomAddress()], [1]));
+      assert.strictEqual(await other.ownerOf(1), sender.address);
+    });
+  });
+
+  describe('multiSendERC1155', () => {
+    let multiToken;
+
+    before(async () => {
+      multiToken = await chain.deploy('MockMultiToken');
+      await (await multiToken.setApprovalForAll(batchTransfer.target, true)).wait();
+    });
+
+    test('sends every token ID and amount to its recipient', async () => {
+      const recipients = [randomAddress(), randomAddress()];
+      const receipt = await (await batchTransfer.multiSendERC1155(
+        multiToken.target,
+        recipients,
+        [[1, 2], [3]],
+        [[10, 20], [5]],
+        '0x'
+      )).wait();
+
+      assert.strictEqual(await multiToken.balanceOf(recipients[0], 1), BigInt(10));
+      assert.strictEqual(await multiToken.balanceOf(recipients[0], 2), BigInt(20));
+      assert.strictEqual(await multiToken.balanceOf(recipients[1], 3), BigInt(5));
+      assert.strictEqual(eventsOf(batchTransfer, receipt, 'NftTransfer').length, 3);
+
+      const [executed] = eventsOf(batchTransfer, receipt, 'MultiSendExecuted');
+      assert.strictEqual(executed.args.totalAmount, BigInt(35));
+      assert.strictEqual(executed.args.recipientCount, BigInt(2));
+    });
+
+    test('rejects a zero amount before transferring anything', async () => {
+      const recipient = randomAddress();
+      await assert.rejects(
+        batchTransfer.multiSendERC1155(multiToken.target, [recipient], [[1, 2]], [[10, 0]], '0x'),
+        /Amount must be greater than 0/
+      );
+      assert.strictEqual(await multiToken.balanceOf(recipient, 1), BigInt(0));
+    });
+
+    test('rejects mismatched token IDs and amounts', async () => {
+      await assert.rejects(
+        batchTransfer.multiSendERC1155(multiToken.target, [randomAddress()], [[1, 2]], [[10]], '0x'),
+        /Token IDs and amounts arrays must be the same length/
+      );
+    });
+  });
+});
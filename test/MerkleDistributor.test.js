@@ -0,0 +1,204 @@
+// Tests for the MerkleDistributor contract and the batch manager's claim airdrops, on the in-process Hardhat network
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ethers = require('ethers');
+const { startChain, randomAddress } = require('./helpers/chain');
+const { createBatchManager, createMemoryJournal, buildMerkleTree, loadMerkleProofs } = require('../batchTransactions');
+
+const DAY = 24 * 60 * 60;
+
+describe('MerkleDistributor', () => {
+  let chain;
+  let distributor;
+  let other;
+
+  before(async () => {
+    chain = await startChain();
+    [, , other] = chain.wallets;
+    distributor = await chain.deploy('MerkleDistributor');
+  });
+
+  after(() => chain.stop());
+
+  // Creates an ETH distribution of the amounts owed to the accounts, open for a day, and returns its ID and tree
+  const createETHDistribution = async (accounts, amounts) => {
+    const tree = buildMerkleTree(accounts.map((account, i) => ({ account, amount: amounts[i] })));
+    const total = amounts.reduce((sum, amount) => sum + amount, 0n);
+    const receipt = await (await distributor.createDistribution(
+      ethers.ZeroAddress, tree.root, total, await chain.latestTimestamp() + DAY, { value: total }
+    )).wait();
+    const distributionId = receipt.logs.map(log => distributor.interface.parseLog(log))
+      .find(event => event.name === 'DistributionCreated').args.distributionId;
+    return { distributionId, ...tree };
+  };
+
+  // Submits a claim from another account, which pays the claim's account all the same
+  const claim = (distributionId, { index, account, amount, proof }) => distributor.connect(other).claim(
+    distributionId, index, account, amount, proof
+  );
+
+  test('pays each claim to its account once, whoever submits it', async () => {
+    const accounts = [randomAddress(), randomAddress(), randomAddress()];
+    const { distributionId, claims } = await createETHDistribution(accounts, [1000n, 2000n, 3000n]);
+
+    await (await claim(distributionId, claims[1])).wait();
+
+    assert.strictEqual(await chain.provider.getBalance(accounts[1]), 2000n);
+    assert.strictEqual(await distributor.isClaimed(distributionId, 1), true);
+    assert.strictEqual(await distributor.isClaimed(distributionId, 0), false);
+    assert.strictEqual((await distributor.distributions(distributionId)).claimed, 2000n);
+    await assert.rejects(claim(distributionId, claims[1]), /Already claimed/);
+  });
+
+  test('refuses a claim whose proof does not match the root', async () => {
+    const accounts = [randomAddress(), randomAddress()];
+    const { distributionId, claims } = await createETHDistribution(accounts, [1000n, 2000n]);
+
+    await assert.rejects(claim(distributionId, { ...claims[0], amount: '2000' }), /Invalid proof/);
+    await assert.rejects(claim(distributionId, { ...claims[0], account: accounts[1] }), /Invalid proof/);
+    await assert.rejects(claim(distributionId + 100n, claims[0]), /Unknown distribution/);
+    assert.strictEqual(await chain.provider.getBalance(accounts[0]), 0n);
+  });
+
+  test('closes claims at the deadline and lets only the creator sweep the remainder, once', async () => {
+    const accounts = [randomAddress(), randomAddress()];
+    const { distributionId, claims } = await createETHDistribution(accounts, [1000n, 2000n]);
+    await (await claim(distributionId, claims[0])).wait();
+
+    await assert.rejects(distributor.sweep(distributionId), /Claim period has not ended/);
+    await chain.increaseTime(DAY + 1);
+    await assert.rejects(claim(distributionId, claims[1]), /Claim period has ended/);
+    await assert.rejects(distributor.connect(other).sweep(distributionId), /Only the creator can sweep/);
+
+    const receipt = await (await distributor.sweep(distributionId)).wait();
+    const swept = receipt.logs.map(log => distributor.interface.parseLog(log)).find(event => event.name === 'Swept');
+
+    assert.strictEqual(swept.args.amount, 2000n);
+    assert.strictEqual(swept.args.creator, chain.wallets[0].address);
+    assert.strictEqual((await distributor.distributions(distributionId)).swept, true);
+    await assert.rejects(distributor.sweep(distributionId), /Already swept/);
+  });
+
+  test('refuses a distribution funded with the wrong ETH value or by a fee-on-transfer token', async () => {
+    const { root } = buildMerkleTree([{ account: randomAddress(), amount: 1000n }]);
+    const deadline = await chain.latestTimestamp() + DAY;
+    const feeToken = await chain.deploy('FeeToken');
+    await (await feeToken.approve(distributor.target, 1000n)).wait();
+
+    await assert.rejects(distributor.createDistribution(ethers.ZeroAddress, root, 1000n, deadline, { value: 999n }), /Sent ETH value must match total amount/);
+    await assert.rejects(distributor.createDistribution(feeToken.target, root, 1000n, deadline, { value: 1n }), /ETH sent with a token distribution/);
+    await assert.rejects(distributor.createDistribution(feeToken.target, root, 1000n, deadline), /Token delivered less than the total amount/);
+    await assert.rejects(distributor.createDistribution(ethers.ZeroAddress, ethers.ZeroHash, 1000n, deadline, { value: 1000n }), /Invalid Merkle root/);
+  });
+
+  describe('batch manager', () => {
+    let batchTransfer;
+
+    before(async () => {
+      batchTransfer = await chain.deploy('BatchTransfer');
+    });
+
+    // The batch manager sends from the second account, so its transactions never race the test's own
+    const createManager = (config = {}) => createBatchManager({
+      providerUrl: chain.url,
+      privateKey: chain.keys[1],
+      multiSendContractAddress: batchTransfer.target,
+      merkleDistributorAddress: distributor.target,
+      logger: null,
+      ...config
+    });
+
+    // Create a distribution whose funding transaction is sent while the chain does not mine, so it times out
+    // unconfirmed, then mine it
+    const createUnconfirmed = async (batchManager) => {
+      await chain.provider.send('evm_setAutomine', [false]);
+      try {
+        await assert.rejects(
+          batchManager.createMerkleDistribution({ claimPeriod: DAY, confirmationTimeout: 200 }),
+          /was not confirmed within 200ms/
+        );
+      } finally {
+        await chain.provider.send('evm_setAutomine', [true]);
+      }
+      await chain.provider.send('evm_mine', []);
+    };
+
+    test('writes a proofs file that another account can claim from, and sweeps the rest after the deadline', async () => {
+      const proofsFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'merkle-')), 'proofs.json');
+      const payees = [randomAddress(), randomAddress(), randomAddress()];
+      const creator = createManager();
+      payees.forEach(payee => creator.addEthTransaction(payee, '1'));
+      const distribution = await creator.createMerkleDistribution({ claimPeriod: DAY, proofsFile });
+
+      const proofs = await loadMerkleProofs(proofsFile);
+      assert.deepStrictEqual(proofs, distribution);
+
+      // Claims go through the proofs file alone, from an account that is not the creator
+      const claimer = createManager({ privateKey: chain.keys[2] });
+      const claimed = await claimer.claimMerkleAirdrop(proofs, payees[1].toLowerCase());
+      assert.deepStrictEqual([claimed.account, claimed.amount], [payees[1], ethers.parseEther('1').toString()]);
+      assert.strictEqual(await chain.provider.getBalance(payees[1]), ethers.parseEther('1'));
+      await assert.rejects(claimer.claimMerkleAirdrop(proofs, payees[1]), /has already claimed/);
+      await assert.rejects(claimer.claimMerkleAirdrop(proofs, randomAddress()), /has no claim in distribution/);
+
+      const status = await claimer.getClaimStatus(proofs);
+      assert.deepStrictEqual(status.claimed.map(claim => claim.account), [payees[1]]);
+      assert.deepStrictEqual(status.unclaimed.map(claim => claim.account), [payees[0], payees[2]]);
+      assert.deepStrictEqual([status.claimedAmount, status.unclaimedAmount, status.expired, status.swept], [
+        ethers.parseEther('1').toString(), ethers.parseEther('2').toString(), false, false
+      ]);
+
+      await assert.rejects(creator.sweepMerkleDistribution(proofs), /are open until/);
+      await chain.increaseTime(DAY + 1);
+      await assert.rejects(claimer.claimMerkleAirdrop(proofs, payees[0]), /Claim period has ended/);
+      await assert.rejects(claimer.sweepMerkleDistribution(proofs), /Only the creator of distribution/);
+
+      const swept = await creator.sweepMerkleDistribution(proofs);
+
+      const final = await creator.getClaimStatus(proofs);
+      assert.strictEqual(swept.amount, ethers.parseEther('2').toString());
+      assert.deepStrictEqual([final.expired, final.swept], [true, true]);
+      await assert.rejects(creator.sweepMerkleDistribution(proofs), /has already been swept/);
+    });
+
+    test('settles a funding transaction that timed out when retried, instead of funding again', async () => {
+      const batchManager = createManager();
+      const payees = [randomAddress(), randomAddress()];
+      payees.forEach(payee => batchManager.addEthTransaction(payee, '1'));
+      await createUnconfirmed(batchManager);
+      assert.strictEqual(batchManager.listTransactions().length, 2);
+      const count = await distributor.distributionCount();
+
+      const distribution = await batchManager.createMerkleDistribution({ claimPeriod: DAY });
+
+      assert.strictEqual(await distributor.distributionCount(), count);
+      assert.strictEqual(distribution.distributionId, count.toString());
+      assert.deepStrictEqual(Object.keys(distribution.claims), payees);
+      assert.deepStrictEqual(batchManager.listTransactions(), []);
+    });
+
+    test('settles a journaled distribution in a new batch manager', async () => {
+      const journal = createMemoryJournal();
+      const payee = randomAddress();
+
+      const first = createManager({ journal });
+      first.addEthTransaction(payee, '1');
+      await createUnconfirmed(first);
+      assert.strictEqual((await journal.load()).distribution.merkleRoot.length, 66);
+      await assert.rejects(first.sendBatchTransaction({ journal }), /unconfirmed claim airdrop/);
+
+      const second = createManager({ journal });
+      second.addEthTransaction(payee, '1');
+      const distribution = await second.createMerkleDistribution({ claimPeriod: DAY });
+
+      assert.ok(distribution.transactionHash);
+      assert.strictEqual(distribution.nonce, undefined);
+      assert.deepStrictEqual(second.listTransactions(), []);
+      assert.strictEqual(await journal.load(), null);
+    });
+  });
+});
@@ -0,0 +1,223 @@
+// Tests for the PayoutEscrow contract and the batch manager's scheduled payouts, on the in-process Hardhat network
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const ethers = require('ethers');
+const { startChain, randomAddress } = require('./helpers/chain');
+const { createBatchManager, createMemoryJournal } = require('../batchTransactions');
+
+const DAY = 24 * 60 * 60;
+
+describe('PayoutEscrow', () => {
+  let chain;
+  let escrow;
+  let depositor;
+  let other;
+
+  before(async () => {
+    chain = await startChain();
+    [depositor, , other] = chain.wallets;
+    escrow = await chain.deploy('PayoutEscrow');
+  });
+
+  after(() => chain.stop());
+
+  // Deposits ETH payouts and returns the ID of the first
+  const scheduleETH = async (recipients, amounts, releaseTimes) => {
+    const receipt = await (await escrow.scheduleETH(recipients, amounts, releaseTimes, {
+      value: amounts.reduce((sum, amount) => sum + amount, 0n)
+    })).wait();
+    return receipt.logs.map(log => escrow.interface.parseLog(log)).find(event => event.name === 'Scheduled').args.releaseId;
+  };
+
+  test('releases a payout to its recipient once its release time has passed', async () => {
+    const recipient = randomAddress();
+    const releaseId = await scheduleETH([recipient], [ethers.parseEther('1')], [await chain.latestTimestamp() + 100]);
+
+    await assert.rejects(escrow.connect(other).release([releaseId]), /Release time has not been reached/);
+    await chain.increaseTime(100);
+    await (await escrow.connect(other).release([releaseId])).wait();
+
+    assert.strictEqual(await chain.provider.getBalance(recipient), ethers.parseEther('1'));
+    await assert.rejects(escrow.release([releaseId]), /Release is not pending/);
+  });
+
+  test('lets only the depositor cancel a payout, and only before its release time', async () => {
+    const releaseTime = await chain.latestTimestamp() + 100;
+    const first = await scheduleETH([randomAddress(), randomAddress()], [1000n, 2000n], [releaseTime, releaseTime]);
+
+    await assert.rejects(escrow.connect(other).cancel([first]), /Only the depositor can cancel/);
+    await (await escrow.cancel([first])).wait();
+    assert.strictEqual((await escrow.releases(first)).status, 3n);
+
+    await chain.increaseTime(100);
+    await assert.rejects(escrow.cancel([first + 1n]), /Release time has already been reached/);
+  });
+
+  describe('a payout that cannot be released', () => {
+    let rejecter;
+    let releaseId;
+    let releaseTime;
+
+    before(async () => {
+      rejecter = await chain.deploy('EthRejecter');
+      releaseTime = await chain.latestTimestamp() + 100;
+      releaseId = await scheduleETH([rejecter.target], [ethers.parseEther('2')], [releaseTime]);
+      await chain.increaseTime(100);
+    });
+
+    test('stays pending when its release fails', async () => {
+      await assert.rejects(escrow.release([releaseId]), /ETH transfer failed/);
+      await assert.rejects(escrow.cancel([releaseId]), /Release time has already been reached/);
+      assert.strictEqual((await escrow.releases(releaseId)).status, 1n);
+    });
+
+    test('cannot be reclaimed before the reclaim delay has passed, or by anyone but its depositor', async () => {
+      assert.strictEqual(await escrow.RECLAIM_DELAY(), BigInt(30 * DAY));
+      await assert.rejects(escrow.reclaim([releaseId]), /Reclaim delay has not passed/);
+
+      await chain.increaseTime(30 * DAY);
+      await assert.rejects(escrow.connect(other).reclaim([releaseId]), /Only the depositor can reclaim/);
+    });
+
+    test('is reclaimed by its depositor after the reclaim delay', async () => {
+      const balanceBefore = await chain.provider.getBalance(escrow.target);
+      const receipt = await (await escrow.reclaim([releaseId])).wait();
+
+      const [reclaimed] = receipt.logs.map(log => escrow.interface.parseLog(log)).filter(event => event.name === 'Reclaimed');
+      assert.strictEqual(reclaimed.args.releaseId, releaseId);
+      assert.strictEqual(reclaimed.args.depositor, depositor.address);
+      assert.strictEqual(reclaimed.args.amount, ethers.parseEther('2'));
+      assert.strictEqual(await chain.provider.getBalance(escrow.target), balanceBefore - ethers.parseEther('2'));
+      assert.strictEqual((await escrow.releases(releaseId)).status, 4n);
+
+      await assert.rejects(escrow.reclaim([releaseId]), /Release is not pending/);
+      await assert.rejects(escrow.release([releaseId]), /Release is not pending/);
+    });
+  });
+
+  test('lets the depositor reclaim a token payout to an address the token blocks', async () => {
+    const token = await chain.deploy('MockToken', [6]);
+    const blocked = randomAddress();
+    await (await token.setBlocked(blocked, true)).wait();
+    await (await token.approve(escrow.target, 5000000n)).wait();
+    const balanceBefore = await token.balanceOf(depositor.address);
+
+    const receipt = await (await escrow.scheduleToken(token.target, [blocked], [5000000n], [await chain.latestTimestamp() + 100])).wait();
+    const releaseId = receipt.logs
+      .filter(log => log.address === escrow.target)
+      .map(log => escrow.interface.parseLog(log))
+      .find(event => event.name === 'Scheduled').args.releaseId;
+    await chain.increaseTime(100);
+    await assert.rejects(escrow.release([releaseId]), /Recipient is blocked/);
+
+    await chain.increaseTime(30 * DAY);
+    await (await escrow.reclaim([releaseId])).wait();
+    assert.strictEqual(await token.balanceOf(depositor.address), balanceBefore);
+  });
+
+  describe('batch manager', () => {
+    let batchTransfer;
+
+    before(async () => {
+      batchTransfer = await chain.deploy('BatchTransfer');
+    });
+
+    // The batch manager sends from the second account, so its transactions never race the test's own
+    const createManager = (config = {}) => createBatchManager({
+      providerUrl: chain.url,
+      privateKey: chain.keys[1],
+      multiSendContractAddress: batchTransfer.target,
+      escrowAddress: escrow.target,
+      logger: null,
+      ...config
+    });
+
+    // Run a schedule whose deposit is sent while the chain does not mine, so it times out unconfirmed,
+    // then mine the deposit
+    const scheduleUnconfirmed = async (batchManager, releaseAt) => {
+      await chain.provider.send('evm_setAutomine', [false]);
+      try {
+        await assert.rejects(batchManager.scheduleBatch({ releaseAt, confirmationTimeout: 200 }), /was not confirmed within 200ms/);
+      } finally {
+        await chain.provider.send('evm_setAutomine', [true]);
+      }
+      await chain.provider.send('evm_mine', []);
+    };
+
+    test('reports a payout that fails in releaseDue, and reclaims it after the reclaim delay', async () => {
+      const rejecter = await chain.deploy('EthRejecter');
+      const payee = randomAddress();
+      const batchManager = createManager();
+      const reclaimedEvents = [];
+      batchManager.on('release:reclaimed', event => reclaimedEvents.push(event));
+
+      const releaseAt = await chain.latestTimestamp() + 100;
+      batchManager.addEthTransaction(payee, '1');
+      batchManager.addEthTransaction(rejecter.target, '2');
+      const { releases } = await batchManager.scheduleBatch({ releaseAt });
+      const failingId = releases.find(payout => payout.to === rejecter.target).releaseId;
+
+      await chain.increaseTime(100);
+      await assert.rejects(batchManager.cancelReleases([failingId]), /can no longer be cancelled/);
+      const { released, failed } = await batchManager.releaseDue();
+      assert.deepStrictEqual(released.map(payout => payout.to), [payee]);
+      assert.deepStrictEqual(failed.map(payout => payout.releaseId), [failingId]);
+
+      await assert.rejects(batchManager.reclaimReleases([failingId]), /can only be reclaimed from/);
+      await chain.increaseTime(30 * DAY);
+      // The manager's provider answers a repeated request from its cache for 250 ms, which would return the block
+      // read by the refused reclaim
+      await new Promise(resolve => setTimeout(resolve, 300));
+      const results = await batchManager.reclaimReleases([failingId]);
+
+      assert.deepStrictEqual(results.reclaimed, [{ releaseId: failingId, token: null, amount: ethers.parseEther('2').toString() }]);
+      assert.strictEqual(reclaimedEvents.length, 1);
+      assert.deepStrictEqual(await batchManager.listPendingReleases(), []);
+    });
+
+    test('settles a deposit that timed out when scheduling is retried, instead of depositing again', async () => {
+      const batchManager = createManager();
+      const payees = [randomAddress(), randomAddress()];
+      payees.forEach(payee => batchManager.addEthTransaction(payee, '1'));
+      const releaseAt = await chain.latestTimestamp() + 1000;
+      await scheduleUnconfirmed(batchManager, releaseAt);
+      assert.strictEqual(batchManager.listTransactions().length, 2);
+      const releaseCount = await escrow.releaseCount();
+
+      const results = await batchManager.scheduleBatch({ releaseAt });
+
+      assert.strictEqual(await escrow.releaseCount(), releaseCount);
+      assert.deepStrictEqual(results.releases.map(payout => payout.to), payees);
+      assert.deepStrictEqual(results.releases.map(payout => payout.releaseId), [releaseCount - 1n, releaseCount].map(String));
+      assert.strictEqual(results.transactions.length, 1);
+      assert.deepStrictEqual(batchManager.listTransactions(), []);
+    });
+
+    test('settles a journaled deposit in a new batch manager, and deposits only the transfers it left out', async () => {
+      const journal = createMemoryJournal();
+      const deposited = randomAddress();
+      const added = randomAddress();
+      const releaseAt = await chain.latestTimestamp() + 1000;
+
+      const first = createManager({ journal });
+      first.addEthTransaction(deposited, '1');
+      await scheduleUnconfirmed(first, releaseAt);
+      assert.strictEqual((await journal.load()).deposits.length, 1);
+      await assert.rejects(first.sendBatchTransaction({ journal }), /unconfirmed deposits of a scheduled batch/);
+
+      // The rerun queues the same transfer again, plus a new one
+      const second = createManager({ journal });
+      second.addEthTransaction(deposited, '1');
+      second.addEthTransaction(added, '2');
+      const results = await second.scheduleBatch({ releaseAt });
+
+      assert.deepStrictEqual(results.releases.map(payout => [payout.to, payout.amount]), [
+        [deposited, ethers.parseEther('1').toString()],
+        [added, ethers.parseEther('2').toString()]
+      ]);
+      assert.strictEqual(results.transactions.length, 2);
+      assert.strictEqual(await journal.load(), null);
+    });
+  });
+});
@@ -0,0 +1,58 @@
+// Tests for the even and weighted split helpers and the batch manager's split entry points
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ethers = require('ethers');
+const { splitEvenly, splitByWeights } = require('../amountSplit');
+const { fixedAddresses, offlineManager } = require('./helpers/chain');
+
+const RECIPIENTS = fixedAddresses(6);
+
+test('splits evenly, giving the remainder to the first recipients', () => {
+  assert.deepStrictEqual(splitEvenly(10, 3), [4n, 3n, 3n]);
+  assert.deepStrictEqual(splitEvenly('1000000', 7).reduce((sum, share) => sum + share, 0n), 1000000n);
+});
+
+test('hands out the units left over by weight to the largest remainders, ties to the earlier weight', () => {
+  // 10 over 1:2:3 is 1.67, 3.33 and 5: the first share lost the most to rounding
+  assert.deepStrictEqual(splitByWeights(10, [1, 2, 3]), [2n, 3n, 5n]);
+  assert.deepStrictEqual(splitByWeights(100, [1, 1, 1]), [34n, 33n, 33n]);
+  assert.deepStrictEqual(splitByWeights(1000n, ['12.5', 37.5]), [250n, 750n]);
+});
+
+test('refuses weights that sum to zero, negative weights and fractional totals', () => {
+  assert.throws(() => splitByWeights(100, [0, '0.0']), /Weights must not all be zero/);
+  assert.throws(() => splitByWeights(100, [1, -1]), /Invalid weight: -1/);
+  assert.throws(() => splitEvenly('1.5', 2), /Invalid total: 1.5/);
+  assert.throws(() => splitEvenly(10, 0), /Invalid recipient count: 0/);
+});
+
+test('refuses a split with a zero share and leaves the queue as it was', async () => {
+  assert.deepStrictEqual(splitEvenly(5, 6), [1n, 1n, 1n, 1n, 1n, 0n]);
+
+  const batchManager = offlineManager();
+  await assert.rejects(
+    batchManager.addEvenSplit(null, RECIPIENTS, ethers.formatEther(5n)),
+    new RegExp(`share of ${RECIPIENTS[5]} is zero`)
+  );
+  assert.deepStrictEqual(batchManager.listTransactions(), []);
+});
+
+test('refuses a split with a share the duplicate policy rejects before queuing any share', async () => {
+  const batchManager = offlineManager({ duplicatePolicy: 'reject' });
+  batchManager.addEthTransaction(RECIPIENTS[2], '1');
+
+  await assert.rejects(batchManager.addEvenSplit(null, RECIPIENTS.slice(0, 3), '3'), /Error adding split/);
+  assert.deepStrictEqual(batchManager.listTransactions().map(item => item.to), [RECIPIENTS[2]]);
+});
+
+test('queues the shares of a split as separate transfers that add up to the total', async () => {
+  const batchManager = offlineManager();
+  const { ids, values, amounts } = await batchManager.addWeightedSplit(null, [
+    { to: RECIPIENTS[0], weight: 1 },
+    { to: RECIPIENTS[1], weight: 2 }
+  ], '1');
+
+  assert.deepStrictEqual(values, ['333333333333333333', '666666666666666667']);
+  assert.deepStrictEqual(batchManager.listTransactions().map(item => [item.id, item.amount]), ids.map((id, i) => [id, amounts[i]]));
+});
@@ -0,0 +1,87 @@
+// Tests for editing the batch queue by transfer ID
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ethers = require('ethers');
+const { fixedAddresses, offlineManager } = require('./helpers/chain');
+
+const [ALICE, BOB, CAROL, TOKEN, OTHER_TOKEN] = fixedAddresses(5);
+
+test('gives every queued transfer a stable ID and lists them by type and token', () => {
+  const batchManager = offlineManager();
+  const ethId = batchManager.addEthTransaction(ALICE, '0.5');
+  const tokenId = batchManager.addErc20Transaction(TOKEN, BOB, '100', 6);
+  const bundleId = batchManager.addMultiTokenTransaction(CAROL, [{ tokenAddress: TOKEN, value: '1', decimals: 6 }]);
+
+  assert.strictEqual(new Set([ethId, tokenId, bundleId]).size, 3);
+  assert.deepStrictEqual(batchManager.listTransactions().map(item => [item.id, item.type]), [
+    [ethId, 'eth'],
+    [tokenId, 'erc20'],
+    [bundleId, 'multiToken']
+  ]);
+  assert.deepStrictEqual(batchManager.listTransactions({ type: 'eth' }).map(item => item.id), [ethId]);
+  assert.deepStrictEqual(batchManager.listTransactions({ token: TOKEN.toLowerCase() }).map(item => item.id), [tokenId, bundleId]);
+  assert.deepStrictEqual(batchManager.getTransaction(tokenId), {
+    id: tokenId,
+    type: 'erc20',
+    to: BOB,
+    name: null,
+    token: TOKEN,
+    symbol: null,
+    value: '100000000',
+    amount: '100',
+    decimals: 6
+  });
+  assert.strictEqual(batchManager.getTransaction('tx-999'), null);
+});
+
+test('updates a transfer in place, keeping its ID', () => {
+  const batchManager = offlineManager();
+  const ethId = batchManager.addEthTransaction(ALICE, '0.5');
+  const tokenId = batchManager.addErc20Transaction(TOKEN, BOB, '100', 6);
+
+  assert.deepStrictEqual(batchManager.updateTransaction(ethId, { to: CAROL, value: '2' }), {
+    id: ethId,
+    type: 'eth',
+    to: CAROL,
+    name: null,
+    value: ethers.parseEther('2').toString(),
+    amount: '2.0'
+  });
+
+  // Moving a transfer to another token takes it out of the old token's group
+  const moved = batchManager.updateTransaction(tokenId, { tokenAddress: OTHER_TOKEN, value: '3.5', decimals: 18 });
+  assert.deepStrictEqual([moved.id, moved.token, moved.value], [tokenId, OTHER_TOKEN, ethers.parseEther('3.5').toString()]);
+  assert.deepStrictEqual(batchManager.listTransactions({ token: TOKEN }), []);
+  assert.deepStrictEqual(batchManager.listTransactions().map(item => item.id), [ethId, tokenId]);
+});
+
+test('leaves a transfer unchanged when an update is invalid', () => {
+  const batchManager = offlineManager();
+  const ethId = batchManager.addEthTransaction(ALICE, '0.5');
+  const tokenId = batchManager.addErc20Transaction(TOKEN, BOB, '100', 6);
+  const before = batchManager.listTransactions();
+
+  assert.throws(() => batchManager.updateTransaction(ethId, { to: BOB, value: 'lots' }), /Error updating transaction tx-\d+/);
+  assert.throws(() => batchManager.updateTransaction(ethId, { tokenAddress: TOKEN }), /is not a token transfer/);
+  assert.throws(() => batchManager.updateTransaction(tokenId, { tokenAddress: '0x1234' }), /Invalid token address: 0x1234/);
+  assert.throws(() => batchManager.updateTransaction(tokenId, { tokenId: 1 }), /is not an NFT transfer/);
+  assert.throws(() => batchManager.updateTransaction('tx-999', { value: '1' }), /No queued transaction with ID tx-999/);
+  assert.deepStrictEqual(batchManager.listTransactions(), before);
+});
+
+test('removes a transfer by ID, dropping its token group once it is empty', () => {
+  const batchManager = offlineManager();
+  const ethId = batchManager.addEthTransaction(ALICE, '0.5');
+  const tokenId = batchManager.addErc20Transaction(TOKEN, BOB, '100', 6);
+
+  const removed = batchManager.removeTransaction(tokenId);
+
+  assert.deepStrictEqual([removed.id, removed.to, removed.amount], [tokenId, BOB, '100']);
+  assert.deepStrictEqual(batchManager.listTransactions().map(item => item.id), [ethId]);
+  assert.strictEqual(batchManager.getBatchStatus().erc20TokenCount, 0);
+  assert.throws(() => batchManager.removeTransaction(tokenId), new RegExp(`No queued transaction with ID ${tokenId}`));
+
+  // IDs are never reused after a removal
+  assert.notStrictEqual(batchManager.addErc20Transaction(TOKEN, BOB, '100', 6), tokenId);
+});
@@ -0,0 +1,817 @@
+// Tests for the batch manager against contracts on the in-process Hardhat network
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ethers = require('ethers');
+const { startChain, randomAddress } = require('./helpers/chain');
+const { createBatchManager, createMemoryJournal } = require('../batchTransactions');
+const { saveDeployment, hashCode } = require('../deploymentRegistry');
+
+describe('batch manager', () => {
+  let chain;
+  let batchTransfer;
+  // The batch manager sends from the second account, so its transactions never race the test's own
+  let sender;
+
+  before(async () => {
+    chain = await startChain();
+    sender = chain.wallets[1];
+    batchTransfer = await chain.deploy('BatchTransfer');
+  });
+
+  after(() => chain.stop());
+
+  // A batch manager for the test contract; its code is checked against the compiled artifact
+  const createManager = (config = {}) => createBatchManager({
+    providerUrl: chain.url,
+    privateKey: chain.keys[1],
+    multiSendContractAddress: batchTransfer.target,
+    logger: null,
+    ...config
+  });
+
+  describe('deployment registry', () => {
+    test('uses the deployment recorded for the chain when no address is given', async () => {
+      const deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-tx-'));
+      await saveDeployment({
+        chainId: '31337',
+        contract: 'BatchTransfer',
+        address: batchTransfer.target,
+        codeHash: hashCode(await chain.provider.getCode(batchTransfer.target))
+      }, deploymentsDir);
+      const payee = randomAddress();
+
+      const batchManager = createManager({ multiSendContractAddress: undefined, deploymentsDir });
+      batchManager.addEthTransaction(payee, '1');
+      await batchManager.sendBatchTransaction();
+
+      assert.strictEqual(await chain.provider.getBalance(payee), ethers.parseEther('1'));
+    });
+
+    test('refuses a contract whose code differs from the recorded hash', async () => {
+      const deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-tx-'));
+      await saveDeployment({ chainId: '31337', contract: 'BatchTransfer', address: batchTransfer.target, codeHash: hashCode('0x00') }, deploymentsDir);
+
+      const batchManager = createManager({ multiSendContractAddress: undefined, deploymentsDir });
+      batchManager.addEthTransaction(randomAddress(), '1');
+
+      await assert.rejects(batchManager.sendBatchTransaction(), /does not match the recorded or compiled BatchTransfer bytecode/);
+    });
+
+    test('checks an address with no recorded deployment against the compiled artifact', async () => {
+      const token = await chain.deploy('MockToken', [6]);
+
+      const batchManager = createManager({ multiSendContractAddress: token.target });
+      batchManager.addEthTransaction(randomAddress(), '1');
+
+      await assert.rejects(batchManager.sendBatchTransaction(), /does not match the recorded or compiled BatchTransfer bytecode/);
+    });
+
+    test('uses an address with other bytecode only when its code hash is configured', async () => {
+      const token = await chain.deploy('MockToken', [6]);
+
+      const batchManager = createManager({
+        multiSendContractAddress: token.target,
+        contractCodeHash: hashCode(await chain.provider.getCode(token.target))
+      });
+      batchManager.addEthTransaction(randomAddress(), '1');
+
+      // The token has no multisend functions, so the simulation fails, but the contract is used
+      assert.strictEqual((await batchManager.simulateBatch()).success, false);
+    });
+
+    test('refuses an address with no code', async () => {
+      const batchManager = createManager({ multiSendContractAddress: randomAddress() });
+      batchManager.addEthTransaction(randomAddress(), '1');
+
+      await assert.rejects(batchManager.sendBatchTransaction(), /No contract at BatchTransfer address/);
+    });
+  });
+
+  describe('chunking', () => {
+    test('splits a group at the gas ceiling and pays every recipient once', async () => {
+      const payees = Array.from({ length: 7 }, () => randomAddress());
+
+      // 100,000 gas per recipient plus the 10% buffer fits three recipients under 330,000
+      const batchManager = createManager({ gasPerRecipient: 100000, gasCeiling: 330000 });
+      payees.forEach(payee => batchManager.addEthTransaction(payee, '0.01'));
+      const results = await batchManager.sendBatchTransaction();
+
+      assert.deepStrictEqual(results.ethTransaction.chunks.map(chunk => chunk.recipients), [3, 3, 1]);
+      assert.strictEqual(new Set(results.ethTransaction.chunks.map(chunk => chunk.transactionHash)).size, 3);
+      for (const payee of payees) {
+        assert.strictEqual(await chain.provider.getBalance(payee), ethers.parseEther('0.01'));
+      }
+    });
+
+    test('sizes chunks from an on-chain estimate so that each transaction stays under the ceiling', async () => {
+      const gasCeiling = 200000;
+      const batchManager = createManager({ gasCeiling });
+      for (let i = 0; i < 12; i++) {
+        batchManager.addEthTransaction(randomAddress(), '0.01');
+      }
+
+      const results = await batchManager.sendBatchTransaction();
+
+      const chunks = results.ethTransaction.chunks;
+      assert.ok(chunks.length > 1);
+      assert.strictEqual(chunks.reduce((count, chunk) => count + chunk.recipients, 0), 12);
+      for (const chunk of chunks) {
+        const tx = await chain.provider.getTransaction(chunk.transactionHash);
+        assert.ok(tx.gasLimit <= BigInt(gasCeiling), `gas limit ${tx.gasLimit} is over the ceiling`);
+      }
+    });
+  });
+
+  describe('gas estimation', () => {
+    test('adds the approval a token group needs to the total and prices it at the EIP-1559 fees', async () => {
+      const token = await chain.deploy('MockToken', [6], sender);
+
+      const batchManager = createManager();
+      batchManager.addEthTransaction(randomAddress(), '0.5');
+      batchManager.addErc20Transaction(token.target, randomAddress(), '3', 6);
+      const estimate = await batchManager.estimateGas();
+
+      const { eth, erc20: { [token.target]: tokenEstimate } } = estimate.gasEstimates;
+      assert.deepStrictEqual(
+        [tokenEstimate.estimateMethod, tokenEstimate.approval.required, tokenEstimate.approval.method, tokenEstimate.approval.amount],
+        ['heuristic', true, 'approve', '3000000']
+      );
+      const totalGas = [eth.gasEstimate, tokenEstimate.gasEstimate, tokenEstimate.approval.gasEstimate]
+        .reduce((sum, gas) => sum + BigInt(gas), 0n);
+      assert.strictEqual(estimate.totalGas, totalGas.toString());
+      assert.strictEqual(estimate.fees.type, 'eip1559');
+      assert.strictEqual(estimate.totalCost.wei, (totalGas * BigInt(estimate.fees.effectiveGasPrice)).toString());
+      assert.strictEqual(estimate.maxCost.wei, (BigInt(estimate.totalGasWithBuffer) * BigInt(estimate.fees.maxGasPrice)).toString());
+      assert.strictEqual(estimate.nativeBalance.required, (ethers.parseEther('0.5') + BigInt(estimate.maxCost.wei)).toString());
+      assert.strictEqual(estimate.nativeBalance.sufficient, true);
+
+      // Once approved, the group is estimated on-chain and needs no approval
+      await (await token.approve(batchTransfer.target, 3000000n)).wait();
+      const approved = (await batchManager.estimateGas()).gasEstimates.erc20[token.target];
+      assert.deepStrictEqual([approved.estimateMethod, approved.approval.required, approved.approval.gasEstimate], ['onchain', false, '0']);
+    });
+  });
+
+  describe('send journal', () => {
+    // Send a batch while the chain does not mine, so it stops after broadcasting, as if the process had died
+    // before the confirmation; returns the hash of the transaction left in the mempool
+    const sendUnconfirmed = async (batchManager, journal) => {
+      await chain.provider.send('evm_setAutomine', [false]);
+      try {
+        await assert.rejects(batchManager.sendBatchTransaction({ confirmationTimeout: 200 }), /was not confirmed within 200ms/);
+      } finally {
+        await chain.provider.send('evm_setAutomine', [true]);
+      }
+      const [entry] = (await journal.load()).entries;
+      assert.strictEqual(entry.status, 'submitted');
+      return entry.transactionHash;
+    };
+
+    // A batch manager with a journal and one ETH transfer queued
+    const createJournaledManager = (journal, payee) => {
+      const batchManager = createManager({ journal });
+      batchManager.addEthTransaction(payee, '1');
+      return batchManager;
+    };
+
+    test('resumes a batch whose transaction was mined after the crash without sending it again', async () => {
+      const journal = createMemoryJournal();
+      const payee = randomAddress();
+      const hash = await sendUnconfirmed(createJournaledManager(journal, payee), journal);
+      await chain.provider.send('evm_mine', []);
+      const nonce = await chain.provider.getTransactionCount(sender.address);
+
+      const results = await createJournaledManager(journal, payee).resumeBatch();
+
+      assert.strictEqual(results.ethTransaction.transactionHash, hash);
+      assert.strictEqual(await chain.provider.getTransactionCount(sender.address), nonce);
+      assert.strictEqual(await chain.provider.getBalance(payee), ethers.parseEther('1'));
+      assert.strictEqual((await journal.load()).entries[0].status, 'confirmed');
+    });
+
+    test('sends a transaction that was dropped after the crash again', async () => {
+      const journal = createMemoryJournal();
+      const payee = randomAddress();
+      const hash = await sendUnconfirmed(createJournaledManager(journal, payee), journal);
+      await chain.provider.send('hardhat_dropTransaction', [hash]);
+      assert.strictEqual(await chain.provider.getTransaction(hash), null);
+      const nonce = await chain.provider.getTransactionCount(sender.address);
+
+      const results = await createJournaledManager(journal, payee).resumeBatch();
+
+      // The resent transaction reuses the reserved nonce
+      assert.strictEqual(await chain.provider.getTransactionCount(sender.address), nonce + 1);
+      assert.ok(await chain.provider.getTransactionReceipt(results.ethTransaction.transactionHash));
+      assert.strictEqual(await chain.provider.getBalance(payee), ethers.parseEther('1'));
+    });
+
+    test('refuses to resume when the nonce of a lost transaction was used by another one', async () => {
+      const journal = createMemoryJournal();
+      const payee = randomAddress();
+      const hash = await sendUnconfirmed(createJournaledManager(journal, payee), journal);
+      const { nonce } = await chain.provider.getTransaction(hash);
+      await chain.provider.send('hardhat_dropTransaction', [hash]);
+      await (await sender.sendTransaction({ to: sender.address, value: 0, nonce })).wait();
+
+      await assert.rejects(createJournaledManager(journal, payee).resumeBatch(), /Cannot tell whether eth:0 \(nonce \d+\) went out/);
+      assert.strictEqual(await chain.provider.getBalance(payee), 0n);
+    });
+  });
+
+  describe('replacements', () => {
+    // Send a batch while the chain does not mine, replace its transaction once it is submitted, then mine;
+    // returns the replacement record and the outcome of the send
+    const sendReplaced = async (batchManager, replace) => {
+      await chain.provider.send('evm_setAutomine', [false]);
+      let sending;
+      let replacement;
+      try {
+        const submitted = new Promise(resolve => batchManager.on('group:submitted', resolve));
+        sending = batchManager.sendBatchTransaction();
+        sending.catch(() => {});
+        const { transactionHash } = await Promise.race([submitted, sending]);
+        replacement = await replace(transactionHash);
+      } finally {
+        await chain.provider.send('evm_setAutomine', [true]);
+      }
+      await chain.provider.send('evm_mine', []);
+      return { replacement, outcome: await sending.then(results => ({ results }), error => ({ error })) };
+    };
+
+    test('speeds up a pending transaction at the same nonce and follows it to the replacement', async () => {
+      const journal = createMemoryJournal();
+      const payee = randomAddress();
+      const batchManager = createManager({ journal });
+      batchManager.addEthTransaction(payee, '1');
+      const nonce = await chain.provider.getTransactionCount(sender.address);
+
+      const { replacement, outcome } = await sendReplaced(batchManager, hash => batchManager.speedUp(hash));
+
+      assert.strictEqual(replacement.type, 'speedUp');
+      assert.strictEqual(replacement.nonce, nonce);
+      assert.strictEqual((await chain.provider.getTransaction(replacement.replacementHash)).nonce, nonce);
+      assert.strictEqual(await chain.provider.getTransaction(replacement.originalHash), null);
+      const chunk = outcome.results.ethTransaction.chunks[0];
+      assert.strictEqual(chunk.transactionHash, replacement.replacementHash);
+      assert.deepStrictEqual(chunk.replacedTransactionHashes, [replacement.originalHash]);
+      assert.strictEqual(await chain.provider.getTransactionCount(sender.address), nonce + 1);
+      assert.strictEqual(await chain.provider.getBalance(payee), ethers.parseEther('1'));
+    });
+
+    test('cancels a pending transaction at the same nonce and marks its chunk cancelled', async () => {
+      const journal = createMemoryJournal();
+      const payee = randomAddress();
+      const batchManager = createManager({ journal });
+      batchManager.addEthTransaction(payee, '1');
+      const nonce = await chain.provider.getTransactionCount(sender.address);
+
+      const { replacement, outcome } = await sendReplaced(batchManager, hash => batchManager.cancel(hash));
+
+      assert.strictEqual(replacement.type, 'cancel');
+      assert.strictEqual(replacement.nonce, nonce);
+      const cancelTx = await chain.provider.getTransaction(replacement.replacementHash);
+      assert.deepStrictEqual([cancelTx.nonce, cancelTx.to, cancelTx.value], [nonce, sender.address, 0n]);
+      assert.match(outcome.error.message, /was cancelled by/);
+      assert.strictEqual(outcome.error.results.ethTransaction.chunks[0].status, 'cancelled');
+      const [entry] = (await journal.load()).entries;
+      assert.deepStrictEqual([entry.status, entry.cancelTransactionHash], ['cancelled', replacement.replacementHash]);
+      assert.strictEqual(await chain.provider.getBalance(payee), 0n);
+    });
+  });
+
+  describe('best-effort mode', () => {
+    test('skips recipients that cannot be paid and reports them', async () => {
+      const rejecter = await chain.deploy('EthRejecter');
+      const token = await chain.deploy('MockToken', [6], sender);
+      const blocked = randomAddress();
+      const payee = randomAddress();
+      await (await token.setBlocked(blocked, true)).wait();
+
+      const batchManager = createManager({ bestEffort: true });
+      batchManager.addEthTransaction(payee, '0.5');
+      batchManager.addEthTransaction(rejecter.target, '0.25');
+      batchManager.addErc20Transaction(token.target, payee, '3', 6);
+      batchManager.addErc20Transaction(token.target, blocked, '4', 6);
+
+      const results = await batchManager.sendBatchTransaction();
+
+      assert.strictEqual(await chain.provider.getBalance(payee), ethers.parseEther('0.5'));
+      assert.strictEqual(await token.balanceOf(payee), BigInt(3000000));
+      assert.deepStrictEqual(
+        results.failedRecipients.map(failed => [failed.kind, failed.to, failed.amount]),
+        [['eth', rejecter.target, ethers.parseEther('0.25').toString()], ['erc20', blocked, '4000000']]
+      );
+    });
+
+    test('simulates the recipients a best-effort send would skip as skipped', async () => {
+      const rejecter = await chain.deploy('EthRejecter');
+
+      const batchManager = createManager();
+      batchManager.addEthTransaction(randomAddress(), '0.5');
+      batchManager.addEthTransaction(rejecter.target, '0.25');
+
+      const strict = await batchManager.simulateBatch();
+      assert.strictEqual(strict.success, false);
+      assert.deepStrictEqual(strict.groups[0].failures.map(failure => failure.to), [rejecter.target]);
+
+      const bestEffort = await batchManager.simulateBatch({ bestEffort: true });
+      assert.strictEqual(bestEffort.success, true);
+      assert.deepStrictEqual(bestEffort.groups[0].failures, []);
+      assert.deepStrictEqual(
+        bestEffort.groups[0].skipped.map(skipped => [skipped.index, skipped.to, skipped.reason]),
+        [[1, rejecter.target, 'ETH transfer failed']]
+      );
+    });
+  });
+
+  describe('permits', () => {
+    // The multisend function a transaction called
+    const methodOf = async (hash) => batchTransfer.interface.parseTransaction(await chain.provider.getTransaction(hash)).name;
+
+    test('approves a permit token with a signed permit sent along with its first chunk', async () => {
+      const token = await chain.deploy('MockToken', [6], sender);
+      const payees = [randomAddress(), randomAddress()];
+      const nonce = await chain.provider.getTransactionCount(sender.address);
+
+      // One recipient per chunk, so the second chunk spends the allowance the permit granted
+      const batchManager = createManager({ usePermit: true, gasPerRecipient: 100000, gasCeiling: 150000 });
+      const signed = [];
+      batchManager.on('permit:signed', event => signed.push(event));
+      payees.forEach(payee => batchManager.addErc20Transaction(token.target, payee, '5', 6));
+      const results = await batchManager.sendBatchTransaction();
+
+      const chunks = results.erc20Transactions[token.target].chunks;
+      assert.deepStrictEqual(
+        await Promise.all(chunks.map(chunk => methodOf(chunk.transactionHash))),
+        ['multiSendTokenWithPermit', 'multiSendToken']
+      );
+      assert.deepStrictEqual(results.approvals.map(approval => [approval.type, approval.amount, approval.status]), [['permit', '10000000', 'signed']]);
+      assert.strictEqual(signed.length, 1);
+      assert.strictEqual(await chain.provider.getTransactionCount(sender.address), nonce + 2);
+      assert.deepStrictEqual(await Promise.all(payees.map(payee => token.balanceOf(payee))), [5000000n, 5000000n]);
+    });
+
+    test('falls back to an approve transaction for a token without permits', async () => {
+      const token = await chain.deploy('FeeToken', [], sender);
+      const payee = randomAddress();
+
+      const batchManager = createManager({ usePermit: true });
+      const unsupported = [];
+      batchManager.on('permit:unsupported', event => unsupported.push(event.token));
+      batchManager.addErc20Transaction(token.target, payee, '1', 18);
+      const results = await batchManager.sendBatchTransaction();
+
+      assert.deepStrictEqual(unsupported, [token.target]);
+      assert.deepStrictEqual(results.approvals.map(approval => [approval.type, approval.status]), [['approve', 'success']]);
+      assert.strictEqual(await methodOf(results.erc20Transactions[token.target].transactionHash), 'multiSendToken');
+      assert.strictEqual(await token.balanceOf(payee), ethers.parseEther('0.99'));
+    });
+  });
+
+  describe('approval strategies', () => {
+    // Send one transfer of `amount` of a token and return the types and amounts of its approvals
+    const sendApproved = async (token, amount, config) => {
+      const batchManager = createManager(config);
+      batchManager.addErc20Transaction(token.target, randomAddress(), amount, 18);
+      const results = await batchManager.sendBatchTransaction();
+      return results.approvals.map(approval => [approval.type, approval.amount]);
+    };
+
+    test('approves exactly the total by default', async () => {
+      const token = await chain.deploy('MockToken', [18], sender);
+
+      assert.deepStrictEqual(await sendApproved(token, '2', {}), [['approve', ethers.parseEther('2').toString()]]);
+      assert.strictEqual(await token.allowance(sender.address, batchTransfer.target), 0n);
+    });
+
+    test('approves the maximum once under unlimited, so the next batch needs no approval', async () => {
+      const token = await chain.deploy('MockToken', [18], sender);
+
+      assert.deepStrictEqual(await sendApproved(token, '2', { approvalStrategy: 'unlimited' }), [['approve', ethers.MaxUint256.toString()]]);
+      assert.deepStrictEqual(await sendApproved(token, '3', { approvalStrategy: 'unlimited' }), []);
+      assert.strictEqual(await token.allowance(sender.address, batchTransfer.target), ethers.MaxUint256);
+    });
+
+    test('revokes the allowance after the run under revokeAfter, even when the run failed', async () => {
+      const token = await chain.deploy('MockToken', [18], sender);
+      const blocked = randomAddress();
+      await (await token.setBlocked(blocked, true)).wait();
+
+      // Approve more than the run spends, so something is left to revoke
+      const batchManager = createManager({ approvalStrategy: 'revokeAfter', gasPerRecipient: 100000, gasCeiling: 150000 });
+      batchManager.addErc20Transaction(token.target, randomAddress(), '1', 18);
+      batchManager.addErc20Transaction(token.target, blocked, '2', 18);
+      const error = await batchManager.sendBatchTransaction().then(() => null, rejected => rejected);
+
+      assert.match(error.message, /Recipient is blocked/);
+      assert.deepStrictEqual(error.results.approvals.map(approval => [approval.type, approval.status]), [
+        ['approve', 'success'],
+        ['revoke', 'success']
+      ]);
+      assert.strictEqual(await token.allowance(sender.address, batchTransfer.target), 0n);
+    });
+
+    test('resets a leftover allowance to zero first for tokens that refuse to change it', async () => {
+      const token = await chain.deploy('ResetToken', [], sender);
+      await (await token.approve(batchTransfer.target, 1n)).wait();
+
+      assert.deepStrictEqual(await sendApproved(token, '2', {}), [['reset', '0'], ['approve', ethers.parseEther('2').toString()]]);
+      assert.strictEqual(await token.allowance(sender.address, batchTransfer.target), 0n);
+    });
+
+    test('refuses an unknown strategy', async () => {
+      const batchManager = createManager({ approvalStrategy: 'forever' });
+      batchManager.addEthTransaction(randomAddress(), '1');
+
+      await assert.rejects(batchManager.sendBatchTransaction(), /Invalid approval strategy: forever \(expected exact, unlimited, revokeAfter\)/);
+    });
+  });
+
+  describe('multi-token bundles', () => {
+    test('sends each bundle in one multiTokenTransfer, approving each token once for groups and bundles', async () => {
+      const usdc = await chain.deploy('MockToken', [6], sender);
+      const dai = await chain.deploy('MockToken', [18], sender);
+      const treasury = randomAddress();
+      const payee = randomAddress();
+
+      const batchManager = createManager();
+      batchManager.addErc20Transaction(usdc.target, payee, '1', 6);
+      batchManager.addMultiTokenTransaction(treasury, [
+        { tokenAddress: usdc.target, value: '10', decimals: 6 },
+        { tokenAddress: dai.target, value: '5' }
+      ]);
+      const results = await batchManager.sendBatchTransaction();
+
+      assert.deepStrictEqual(results.approvals.map(approval => [approval.token, approval.amount]), [
+        [usdc.target, '11000000'],
+        [dai.target, ethers.parseEther('5').toString()]
+      ]);
+      const [bundle] = results.multiTokenTransactions;
+      assert.deepStrictEqual([bundle.recipient, bundle.tokens, bundle.status], [treasury, [usdc.target, dai.target], 'success']);
+      const tx = await chain.provider.getTransaction(bundle.transactionHash);
+      assert.strictEqual(batchTransfer.interface.parseTransaction(tx).name, 'multiTokenTransfer');
+      assert.deepStrictEqual([await usdc.balanceOf(treasury), await dai.balanceOf(treasury), await usdc.balanceOf(payee)], [
+        10000000n,
+        ethers.parseEther('5'),
+        1000000n
+      ]);
+      assert.deepStrictEqual([results.reconciliation.paid, results.reconciliation.complete], [3, true]);
+    });
+
+    test('refuses a bundle without transfers or with an invalid token address', () => {
+      const batchManager = createManager();
+
+      assert.throws(() => batchManager.addMultiTokenTransaction(randomAddress(), []), /needs at least one token transfer/);
+      assert.throws(
+        () => batchManager.addMultiTokenTransaction(randomAddress(), [{ tokenAddress: '0x1234', value: '1' }]),
+        /Invalid token address: 0x1234/
+      );
+      assert.deepStrictEqual(batchManager.listTransactions(), []);
+    });
+  });
+
+  describe('atomic mode', () => {
+    test('sends ETH, token groups and bundles in one multiSendMixed transaction after the approvals', async () => {
+      const usdc = await chain.deploy('MockToken', [6], sender);
+      const dai = await chain.deploy('MockToken', [18], sender);
+      const [alice, bob, treasury] = [randomAddress(), randomAddress(), randomAddress()];
+      const nonce = await chain.provider.getTransactionCount(sender.address);
+
+      const batchManager = createManager({ atomic: true });
+      batchManager.addEthTransaction(alice, '1');
+      batchManager.addErc20Transaction(usdc.target, bob, '2', 6);
+      batchManager.addErc20Transaction(dai.target, alice, '3', 18);
+      batchManager.addMultiTokenTransaction(treasury, [{ tokenAddress: usdc.target, value: '4', decimals: 6 }]);
+      const results = await batchManager.sendBatchTransaction();
+
+      const tx = await chain.provider.getTransaction(results.atomicTransaction.transactionHash);
+      assert.strictEqual(batchTransfer.interface.parseTransaction(tx).name, 'multiSendMixed');
+      assert.deepStrictEqual(results.approvals.map(approval => [approval.token, approval.amount]), [[usdc.target, '6000000'], [dai.target, ethers.parseEther('3').toString()]]);
+      assert.strictEqual(await chain.provider.getTransactionCount(sender.address), nonce + 3);
+      assert.strictEqual(results.ethTransaction, null);
+      assert.deepStrictEqual([results.reconciliation.paid, results.reconciliation.complete], [4, true]);
+      assert.deepStrictEqual(
+        [await chain.provider.getBalance(alice), await usdc.balanceOf(bob), await dai.balanceOf(alice), await usdc.balanceOf(treasury)],
+        [ethers.parseEther('1'), 2000000n, ethers.parseEther('3'), 4000000n]
+      );
+    });
+
+    test('pays nobody when one transfer fails', async () => {
+      const token = await chain.deploy('MockToken', [6], sender);
+      const blocked = randomAddress();
+      const payee = randomAddress();
+      await (await token.setBlocked(blocked, true)).wait();
+
+      const batchManager = createManager({ atomic: true });
+      batchManager.addEthTransaction(payee, '1');
+      batchManager.addErc20Transaction(token.target, payee, '1', 6);
+      batchManager.addErc20Transaction(token.target, blocked, '1', 6);
+
+      await assert.rejects(batchManager.sendBatchTransaction(), /Recipient is blocked/);
+      assert.strictEqual(await chain.provider.getBalance(payee), 0n);
+      assert.strictEqual(await token.balanceOf(payee), 0n);
+    });
+
+    test('refuses NFT transfers and best-effort mode', async () => {
+      const nft = await chain.deploy('MockNFT', [], sender);
+
+      const withNft = createManager({ atomic: true });
+      withNft.addEthTransaction(randomAddress(), '1');
+      withNft.addErc721Transaction(nft.target, randomAddress(), 1);
+      await assert.rejects(withNft.sendBatchTransaction(), /Atomic mode cannot include NFT transfers/);
+
+      const bestEffort = createManager({ atomic: true, bestEffort: true });
+      bestEffort.addEthTransaction(randomAddress(), '1');
+      await assert.rejects(bestEffort.sendBatchTransaction(), /Atomic and best-effort modes cannot be combined/);
+    });
+  });
+
+  describe('token metadata', () => {
+    test('converts transfers queued without decimals with the token\'s own', async () => {
+      const token = await chain.deploy('MockToken', [6], sender);
+
+      const batchManager = createManager();
+      const id = batchManager.addErc20Transaction(token.target, randomAddress(), '2.5');
+      assert.strictEqual(batchManager.getTransaction(id).value, null);
+
+      assert.deepStrictEqual(await batchManager.resolveTokens(), { [token.target]: { address: token.target, decimals: 6, symbol: 'MCK' } });
+      assert.deepStrictEqual([batchManager.getTransaction(id).value, batchManager.getTransaction(id).symbol], ['2500000', 'MCK']);
+    });
+
+    test('refuses to send transfers queued with decimals the token does not have', async () => {
+      const token = await chain.deploy('MockToken', [6], sender);
+      const nonce = await chain.provider.getTransactionCount(sender.address);
+
+      const batchManager = createManager();
+      batchManager.addErc20Transaction(token.target, randomAddress(), '100', 6);
+      batchManager.addErc20Transaction(token.target, randomAddress(), '100', 18);
+
+      const mismatch = /Token MCK \(0x[0-9a-fA-F]{40}\) has 6 decimals, but transfers were queued with 18; fix the decimals before sending/;
+      await assert.rejects(batchManager.estimateGas(), mismatch);
+      await assert.rejects(batchManager.simulateBatch(), mismatch);
+      await assert.rejects(batchManager.sendBatchTransaction(), mismatch);
+      assert.strictEqual(await chain.provider.getTransactionCount(sender.address), nonce);
+    });
+
+    test('refuses a token address without contract code', async () => {
+      const batchManager = createManager();
+      const tokenAddress = randomAddress();
+      batchManager.addErc20Transaction(tokenAddress, randomAddress(), '1', 18);
+
+      await assert.rejects(batchManager.resolveTokens(), new RegExp(`No contract at token address ${tokenAddress}`));
+    });
+  });
+
+  describe('events', () => {
+    test('emits the lifecycle of a send with its progress, and stops after unsubscribing', async () => {
+      const batchManager = createManager({ gasPerRecipient: 100000, gasCeiling: 150000 });
+      const seen = [];
+      const unsubscribe = batchManager.on('event', ({ event, progress }) => seen.push([event, progress && progress.confirmed]));
+      const confirmed = [];
+      batchManager.on('group:confirmed', ({ id, transactionHash, progress }) => confirmed.push([id, transactionHash, progress.total]));
+      batchManager.addEthTransaction(randomAddress(), '1');
+      batchManager.addEthTransaction(randomAddress(), '1');
+
+      const results = await batchManager.sendBatchTransaction();
+
+      assert.deepStrictEqual(seen, [
+        ['batch:started', 0],
+        ['group:submitted', 0],
+        ['group:confirmed', 1],
+        ['group:submitted', 1],
+        ['group:confirmed', 2],
+        ['batch:completed', 2]
+      ]);
+      assert.deepStrictEqual(confirmed, results.ethTransaction.chunks.map((chunk, i) => [`eth:${i}`, chunk.transactionHash, 2]));
+
+      unsubscribe();
+      batchManager.addEthTransaction(randomAddress(), '1');
+      await batchManager.sendBatchTransaction();
+      assert.strictEqual(seen.length, 6);
+    });
+
+    test('routes messages to the logger by level, and carries on when a listener or the logger throws', async () => {
+      const messages = [];
+      const batchManager = createManager({
+        logger: {
+          info: message => { messages.push(['info', message]); throw new Error('logger failed'); },
+          warn: message => messages.push(['warn', message])
+        }
+      });
+      batchManager.on('group:submitted', () => { throw new Error('listener failed'); });
+      batchManager.on('group:submitted', async () => { throw new Error('async listener failed'); });
+      const payee = randomAddress();
+      batchManager.addEthTransaction(payee, '1');
+      batchManager.addEthTransaction(payee, '1');
+
+      await batchManager.sendBatchTransaction();
+
+      assert.strictEqual(await chain.provider.getBalance(payee), ethers.parseEther('2'));
+      assert.deepStrictEqual(messages.map(([level]) => level), ['warn', 'info', 'info', 'info', 'info']);
+      assert.match(messages[0][1], /Duplicate recipient/);
+      assert.match(messages[4][1], /Batch complete: 1 transactions confirmed/);
+    });
+
+    test('logs through log() when the logger has no function for the level', async () => {
+      const logged = [];
+      const withLog = createManager({ logger: { log: message => logged.push(message) } });
+      withLog.addEthTransaction(randomAddress(), '1');
+      withLog.addEthTransaction(randomAddress(), '1');
+      await withLog.sendBatchTransaction();
+
+      assert.strictEqual(logged.length, 4);
+      assert.match(logged[0], /Sending 1 transaction for 2 transfers/);
+    });
+  });
+
+  describe('NFT transfers', () => {
+    // Whether the multisend contract is an operator of the sender's tokens in a collection
+    const isOperator = collection => collection.isApprovedForAll(sender.address, batchTransfer.target);
+
+    test('queues ERC-721 tokens once each and ERC-1155 amounts, and counts them in the status', async () => {
+      const collection = randomAddress();
+      const items = randomAddress();
+      const batchManager = createManager();
+      batchManager.addErc721Transaction(collection, randomAddress(), 1);
+      batchManager.addErc1155Transaction(items, randomAddress(), '2', 10);
+
+      assert.throws(() => batchManager.addErc721Transaction(collection, randomAddress(), '1'), /Error adding ERC-721 transaction: Token ID 1 of .* is already queued/);
+      assert.throws(() => batchManager.addErc1155Transaction(items, randomAddress(), 3, 0), /Amount must be greater than 0/);
+      assert.throws(() => batchManager.addErc1155Transaction(items, randomAddress(), 'one'), /Invalid token ID: one/);
+      assert.throws(() => batchManager.addErc721Transaction('0x1234', randomAddress(), 1), /Invalid token address: 0x1234/);
+
+      const status = batchManager.getBatchStatus();
+      assert.deepStrictEqual([status.erc721Transactions, status.erc1155Transactions, status.totalTransactions], [1, 1, 2]);
+      assert.deepStrictEqual(status.nfts.map(nft => [nft.standard, nft.amount]), [['erc721', '1'], ['erc1155', '10']]);
+    });
+
+    test('estimates the operator approval a collection still needs, and its transfers once approved', async () => {
+      const collection = await chain.deploy('MockNFT', [], sender);
+      const estimateCollection = async () => {
+        const batchManager = createManager({ approvalStrategy: 'unlimited' });
+        batchManager.addErc721Transaction(collection.target, randomAddress(), 1);
+        return (await batchManager.estimateGas()).gasEstimates.nft[collection.target];
+      };
+
+      const before = await estimateCollection();
+      assert.deepStrictEqual([before.estimateMethod, before.approval.required, before.approval.method], ['heuristic', true, 'setApprovalForAll']);
+      assert.ok(BigInt(before.approval.gasEstimate) > 0n);
+
+      await (await collection.connect(sender).setApprovalForAll(batchTransfer.target, true)).wait();
+      const after = await estimateCollection();
+      assert.deepStrictEqual([after.estimateMethod, after.approval.required, after.approval.gasEstimate], ['onchain', false, '0']);
+      assert.ok(BigInt(after.gasEstimate) > 0n);
+    });
+
+    test('approves the multisend contract as operator, delivers the tokens and clears the approval under exact', async () => {
+      const collection = await chain.deploy('MockNFT', [], sender);
+      const items = await chain.deploy('MockMultiToken', [], sender);
+      const [alice, bob] = [randomAddress(), randomAddress()];
+
+      const batchManager = createManager();
+      batchManager.addErc721Transaction(collection.target, alice, 1);
+      batchManager.addErc721Transaction(collection.target, bob, 2);
+      batchManager.addErc1155Transaction(items.target, alice, 1, 10);
+      batchManager.addErc1155Transaction(items.target, alice, 2, 5);
+      const results = await batchManager.sendBatchTransaction();
+
+      assert.deepStrictEqual(results.approvals.map(approval => [approval.type, approval.token, approval.status]), [
+        ['approveAll', collection.target, 'success'],
+        ['approveAll', items.target, 'success'],
+        ['revokeAll', collection.target, 'success'],
+        ['revokeAll', items.target, 'success']
+      ]);
+      assert.deepStrictEqual(Object.values(results.nftTransactions).map(group => group.standard), ['erc721', 'erc1155']);
+      assert.strictEqual(await collection.ownerOf(1), alice);
+      assert.strictEqual(await collection.ownerOf(2), bob);
+      assert.deepStrictEqual([await items.balanceOf(alice, 1), await items.balanceOf(alice, 2)], [10n, 5n]);
+      assert.deepStrictEqual([await isOperator(collection), await isOperator(items)], [false, false]);
+    });
+
+    test('sends no approval for a collection the multisend contract already operates, and leaves it under unlimited', async () => {
+      const collection = await chain.deploy('MockNFT', [], sender);
+      await (await collection.connect(sender).setApprovalForAll(batchTransfer.target, true)).wait();
+      const payee = randomAddress();
+
+      const batchManager = createManager({ approvalStrategy: 'unlimited' });
+      batchManager.addErc721Transaction(collection.target, payee, 3);
+      const results = await batchManager.sendBatchTransaction();
+
+      assert.deepStrictEqual(results.approvals, []);
+      assert.strictEqual(await collection.ownerOf(3), payee);
+      assert.strictEqual(await isOperator(collection), true);
+    });
+
+    test('refuses to send tokens the sender does not hold, before approving anything', async () => {
+      const collection = await chain.deploy('MockNFT', [], sender);
+      const items = await chain.deploy('MockMultiToken', [], sender);
+      await (await collection.connect(sender).transferFrom(sender.address, chain.wallets[0].address, 4)).wait();
+
+      const batchManager = createManager();
+      batchManager.addErc721Transaction(collection.target, randomAddress(), 4);
+      await assert.rejects(batchManager.sendBatchTransaction(), /Token ID 4 of .* is owned by 0x[0-9a-fA-F]{40}, not by the sender/);
+
+      const other = createManager();
+      other.addErc1155Transaction(items.target, randomAddress(), 1, 600);
+      other.addErc1155Transaction(items.target, randomAddress(), 1, 600);
+      await assert.rejects(other.sendBatchTransaction(), /Insufficient balance of token ID 1 of .*: 1000 held, 1200 needed/);
+      assert.deepStrictEqual([await isOperator(collection), await isOperator(items)], [false, false]);
+    });
+
+    test('exports the operator approval and its revocation around the transfers only while it is missing', async () => {
+      const collection = await chain.deploy('MockNFT', [], sender);
+      const exportTypes = async (config) => {
+        const batchManager = createManager(config);
+        batchManager.addErc721Transaction(collection.target, randomAddress(), 5);
+        const exported = await batchManager.exportUnsignedTransactions();
+        return { types: exported.transactions.map(tx => [tx.type, tx.to]), totals: exported.totals.nfts };
+      };
+
+      const missing = await exportTypes({});
+      assert.deepStrictEqual(missing.types, [
+        ['approveAll', collection.target],
+        ['transfer', batchTransfer.target],
+        ['revokeAll', collection.target]
+      ]);
+      assert.deepStrictEqual(missing.totals[collection.target], { standard: 'erc721', symbol: 'MNFT', transfers: 1, amount: '1' });
+
+      await (await collection.connect(sender).setApprovalForAll(batchTransfer.target, true)).wait();
+      assert.deepStrictEqual((await exportTypes({ approvalStrategy: 'unlimited' })).types, [['transfer', batchTransfer.target]]);
+    });
+  });
+
+  describe('equal-amount calls', () => {
+    // The multisend function an ETH send of two equal amounts went through
+    const ethMethodOf = async (config) => {
+      const batchManager = createManager(config);
+      batchManager.addEthTransaction(randomAddress(), '0.1');
+      batchManager.addEthTransaction(randomAddress(), '0.1');
+      const results = await batchManager.sendBatchTransaction();
+      const tx = await chain.provider.getTransaction(results.ethTransaction.transactionHash);
+      return batchTransfer.interface.parseTransaction(tx).name;
+    };
+
+    test('are only used when equalAmountCalls is on', async () => {
+      assert.strictEqual(await ethMethodOf({}), 'multiSendETH');
+      assert.strictEqual(await ethMethodOf({ equalAmountCalls: true }), 'multiSendETHEqual');
+    });
+  });
+
+  describe('fee-on-transfer tokens', () => {
+    test('probes tokens that are not approved yet, and flags the fee-on-transfer one', async () => {
+      const feeToken = await chain.deploy('FeeToken', [], sender);
+      const token = await chain.deploy('MockToken', [6], sender);
+
+      const batchManager = createManager();
+      const flagged = [];
+      batchManager.on('token:flagged', event => flagged.push(event));
+      batchManager.addErc20Transaction(feeToken.target, randomAddress(), '10', 18);
+      batchManager.addErc20Transaction(token.target, randomAddress(), '10', 6);
+
+      const { tokens } = await batchManager.simulateBatch();
+
+      assert.deepStrictEqual(tokens[feeToken.target], {
+        type: 'fee-on-transfer',
+        sent: ethers.parseEther('10').toString(),
+        delivered: ethers.parseEther('9.9').toString(),
+        feeBasisPoints: 100,
+        reason: null
+      });
+      assert.strictEqual(tokens[token.target].type, 'standard');
+      assert.deepStrictEqual(flagged.map(event => [event.token, event.type]), [[feeToken.target, 'fee-on-transfer']]);
+      assert.strictEqual(await feeToken.allowance(sender.address, batchTransfer.target), 0n);
+    });
+
+    test('reverts a checked send to a fee-on-transfer token', async () => {
+      const feeToken = await chain.deploy('FeeToken', [], sender);
+      const payee = randomAddress();
+
+      const batchManager = createManager({ verifyDelivery: 'revert' });
+      batchManager.addErc20Transaction(feeToken.target, payee, '10', 18);
+
+      await assert.rejects(batchManager.sendBatchTransaction(), /Recipient received a different amount than was sent/);
+      assert.strictEqual(await feeToken.balanceOf(payee), 0n);
+    });
+
+    test('reports the amounts a checked send delivered', async () => {
+      const feeToken = await chain.deploy('FeeToken', [], sender);
+      const payees = [randomAddress(), randomAddress()];
+
+      const batchManager = createManager({ verifyDelivery: 'report' });
+      payees.forEach(payee => batchManager.addErc20Transaction(feeToken.target, payee, '10', 18));
+      const { reconciliation } = await batchManager.sendBatchTransaction();
+
+      assert.strictEqual(reconciliation.paid, 2);
+      assert.strictEqual(reconciliation.underdelivered, 2);
+      assert.deepStrictEqual(
+        reconciliation.rows.map(row => [row.to, row.amount, row.deliveredAmount]),
+        payees.map(payee => [payee, ethers.parseEther('10').toString(), ethers.parseEther('9.9').toString()])
+      );
+      assert.strictEqual(await feeToken.balanceOf(payees[0]), ethers.parseEther('9.9'));
+    });
+  });
+});
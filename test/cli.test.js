@@ -0,0 +1,182 @@
+// Tests for the command-line tool, run in-process against the in-process Hardhat network
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ethers = require('ethers');
+const { startChain, randomAddress } = require('./helpers/chain');
+const { run } = require('../cli');
+
+// Environment variables the CLI reads; each run sees only the ones it is given
+const CLI_ENV = ['ETHEREUM_RPC_URL', 'PRIVATE_KEY', 'MULTISEND_CONTRACT_ADDRESS', 'ENS_RPC_URL'];
+
+// Run the CLI with the given environment and stdin, capturing what it prints
+// Resolves to { code, stdout, stderr }; rejects with the error the CLI would print
+const runCli = async (argv, { env = {}, isTTY = false } = {}) => {
+  const stdout = [];
+  const stderr = [];
+  const saved = {
+    env: Object.fromEntries(CLI_ENV.map(name => [name, process.env[name]])),
+    isTTY: process.stdin.isTTY,
+    log: console.log,
+    error: console.error,
+    write: process.stdout.write
+  };
+
+  for (const name of CLI_ENV) {
+    if (env[name] === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = env[name];
+    }
+  }
+  process.stdin.isTTY = isTTY;
+  console.log = (...args) => stdout.push(`${args.join(' ')}\n`);
+  console.error = (...args) => stderr.push(`${args.join(' ')}\n`);
+  // The test runner reports through stdout in binary frames, so only the CLI's text is captured
+  process.stdout.write = (chunk, ...rest) => (
+    typeof chunk === 'string' ? stdout.push(chunk) > 0 : saved.write.call(process.stdout, chunk, ...rest)
+  );
+
+  try {
+    const code = await run(argv);
+    return { code, stdout: stdout.join(''), stderr: stderr.join('') };
+  } finally {
+    process.stdout.write = saved.write;
+    console.log = saved.log;
+    console.error = saved.error;
+    process.stdin.isTTY = saved.isTTY;
+    for (const name of CLI_ENV) {
+      if (saved.env[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = saved.env[name];
+      }
+    }
+  }
+};
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-cli-'));
+let listCount = 0;
+
+// Write a CSV recipient list and return its path
+const writeList = (rows) => {
+  const filePath = path.join(dir, `list-${++listCount}.csv`);
+  fs.writeFileSync(filePath, ['address,amount', ...rows].join('\n'));
+  return filePath;
+};
+
+test('prints the usage and exits with 0 for --help, and with 1 without a command', async () => {
+  const help = await runCli(['--help']);
+  assert.strictEqual(help.code, 0);
+  assert.match(help.stdout, /^Usage: batch-tx <command>/);
+
+  const missing = await runCli([]);
+  assert.strictEqual(missing.code, 1);
+  assert.strictEqual(missing.stdout, '');
+  assert.match(missing.stderr, /^Usage: batch-tx <command>/);
+});
+
+test('refuses unknown commands and missing or invalid arguments', async () => {
+  const list = writeList([`${randomAddress()},1`]);
+
+  await assert.rejects(runCli(['deploy']), /Unknown command: deploy \(expected status, estimate, simulate, send, resume, export\)/);
+  await assert.rejects(runCli(['send', 'now', '--recipients', list]), /Unknown command: send now/);
+  await assert.rejects(runCli(['send']), /--recipients <file> is required/);
+  await assert.rejects(runCli(['resume']), /--journal <file> is required/);
+  await assert.rejects(runCli(['export', '--recipients', list, '--format', 'csv']), /Invalid export format: csv \(expected safe, unsigned\)/);
+  await assert.rejects(runCli(['status', '--recipients', list, '--verbose']), /Unknown option '--verbose'/);
+});
+
+test('shows the status of a list without an RPC URL, exiting with 1 when rows are rejected', async () => {
+  const payee = randomAddress();
+
+  const ok = await runCli(['status', '--recipients', writeList([`${payee},1.5`])]);
+  assert.strictEqual(ok.code, 0);
+  assert.match(ok.stderr, /No RPC URL configured; names and token metadata are shown unresolved/);
+  assert.match(ok.stdout, /Imported 1 of 1 rows \(csv\)/);
+
+  const rejected = await runCli(['status', '--json', '--recipients', writeList([`${payee},1.5`, '0x1234,1'])]);
+  const { import: report, status } = JSON.parse(rejected.stdout);
+  assert.strictEqual(rejected.code, 1);
+  assert.deepStrictEqual(report.rejected.map(row => [row.line, row.address]), [[3, '0x1234']]);
+  assert.strictEqual(status.ethTransactions, 1);
+});
+
+describe('with a chain', () => {
+  let chain;
+  let batchTransfer;
+  let env;
+
+  before(async () => {
+    chain = await startChain();
+    batchTransfer = await chain.deploy('BatchTransfer');
+    // The CLI sends from the second account, so its transactions never race the test's own
+    env = { ETHEREUM_RPC_URL: chain.url, PRIVATE_KEY: chain.keys[1], MULTISEND_CONTRACT_ADDRESS: batchTransfer.target };
+  });
+
+  after(() => chain.stop());
+
+  test('prints --json output with BigInt values as strings', async () => {
+    const { code, stdout } = await runCli(['estimate', '--json', '--recipients', writeList([`${randomAddress()},1`])], { env });
+    const { estimate } = JSON.parse(stdout);
+
+    assert.strictEqual(code, 0);
+    assert.strictEqual(typeof estimate.totalGas, 'string');
+    assert.strictEqual(typeof estimate.gasPrice, 'string');
+    assert.ok(BigInt(estimate.totalGas) > 0n);
+  });
+
+  test('refuses to send without --yes when there is no terminal to confirm on, or with --json', async () => {
+    const payee = randomAddress();
+    const list = writeList([`${payee},1`]);
+    const nonce = await chain.provider.getTransactionCount(chain.wallets[1].address);
+
+    await assert.rejects(runCli(['send', '--recipients', list], { env }), /Sending needs an interactive confirmation; pass --yes/);
+    await assert.rejects(runCli(['send', '--json', '--recipients', list], { env, isTTY: true }), /pass --yes to send without one/);
+    await assert.rejects(runCli(['resume', '--journal', path.join(dir, 'journal.json')], { env }), /pass --yes to resume without one/);
+
+    assert.strictEqual(await chain.provider.getTransactionCount(chain.wallets[1].address), nonce);
+    assert.strictEqual(await chain.provider.getBalance(payee), 0n);
+  });
+
+  test('refuses to send or export a list with rejected rows', async () => {
+    const payee = randomAddress();
+    const list = writeList([`${payee},1`, `${randomAddress()},-1`]);
+
+    await assert.rejects(runCli(['send', '--yes', '--json', '--recipients', list], { env }), /1 rows of .* were rejected; fix them before sending/);
+    await assert.rejects(runCli(['export', '--recipients', list], { env }), /1 rows of .* were rejected/);
+    assert.strictEqual(await chain.provider.getBalance(payee), 0n);
+  });
+
+  test('sends with --yes and prints the results', async () => {
+    const payees = [randomAddress(), randomAddress()];
+
+    const { code, stdout } = await runCli(['send', '--yes', '--json', '--recipients', writeList([`${payees[0]},1`, `${payees[1]},2`])], { env });
+    const { results } = JSON.parse(stdout);
+
+    assert.strictEqual(code, 0);
+    assert.strictEqual(results.ethTransaction.chunks[0].status, 'success');
+    assert.strictEqual(results.reconciliation.paid, 2);
+    assert.strictEqual(await chain.provider.getBalance(payees[0]), ethers.parseEther('1'));
+    assert.strictEqual(await chain.provider.getBalance(payees[1]), ethers.parseEther('2'));
+  });
+
+  test('exports a Safe batch for --from without a private key', async () => {
+    const out = path.join(dir, 'safe.json');
+    const safe = randomAddress();
+
+    const { code, stdout } = await runCli(
+      ['export', '--recipients', writeList([`${randomAddress()},1`]), '--from', safe, '--out', out],
+      { env: { ...env, PRIVATE_KEY: undefined } }
+    );
+    const batch = JSON.parse(fs.readFileSync(out, 'utf8'));
+
+    assert.strictEqual(code, 0);
+    assert.match(stdout, /Wrote Safe Transaction Builder batch to/);
+    assert.strictEqual(batch.meta.createdFromSafeAddress, safe);
+    assert.deepStrictEqual(batch.transactions.map(tx => [tx.to, tx.value]), [[batchTransfer.target, ethers.parseEther('1').toString()]]);
+  });
+});
@@ -0,0 +1,67 @@
+// Tests for the per-network deployment records and the contract code check
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ethers = require('ethers');
+const {
+  deploymentPath,
+  loadDeployment,
+  saveDeployment,
+  hashCode,
+  loadArtifactCodeHash,
+  verifyContractCode
+} = require('../deploymentRegistry');
+
+const CODE = '0x6080604052';
+const ADDRESS = '0x1111111111111111111111111111111111111111';
+
+const tempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'batch-tx-'));
+
+// A provider that only answers getCode, with the given code at every address
+const codeProvider = (code) => ({ getCode: async () => code });
+
+test('names BatchTransfer files by chain and other contracts by chain and name', () => {
+  assert.strictEqual(deploymentPath('84532', '/d'), '/d/84532.json');
+  assert.strictEqual(deploymentPath('84532', '/d', 'PayoutEscrow'), '/d/84532-PayoutEscrow.json');
+});
+
+test('saves a deployment and loads it back', async () => {
+  const directory = tempDir();
+  const deployment = { chainId: '31337', contract: 'BatchTransfer', address: ADDRESS, codeHash: hashCode(CODE) };
+
+  const filePath = await saveDeployment(deployment, directory);
+
+  assert.strictEqual(filePath, path.join(directory, '31337.json'));
+  assert.deepStrictEqual(await loadDeployment('31337', directory), deployment);
+  assert.strictEqual(await loadDeployment('1', directory), null);
+});
+
+test('refuses a deployment file that is not JSON', async () => {
+  const directory = tempDir();
+  fs.writeFileSync(path.join(directory, '31337.json'), '{ address: ');
+
+  await assert.rejects(loadDeployment('31337', directory), /Invalid deployment file/);
+});
+
+test('hashes the deployed bytecode of a compiled artifact', async () => {
+  const directory = tempDir();
+  fs.mkdirSync(path.join(directory, 'contracts/BatchTransfer.sol'), { recursive: true });
+  fs.writeFileSync(path.join(directory, 'contracts/BatchTransfer.sol/BatchTransfer.json'), JSON.stringify({ deployedBytecode: CODE }));
+
+  assert.strictEqual(await loadArtifactCodeHash('BatchTransfer', directory), ethers.keccak256(CODE));
+  assert.strictEqual(await loadArtifactCodeHash('PayoutEscrow', directory), null);
+});
+
+test('checks the code at an address against the expected hash', async () => {
+  assert.strictEqual(await verifyContractCode(codeProvider(CODE), ADDRESS, '1', hashCode(CODE)), hashCode(CODE));
+  assert.strictEqual(await verifyContractCode(codeProvider(CODE), ADDRESS, '1', null), hashCode(CODE));
+
+  await assert.rejects(verifyContractCode(codeProvider('0x'), ADDRESS, '1', null), /No contract at BatchTransfer address/);
+  await assert.rejects(
+    verifyContractCode(codeProvider('0x6080'), ADDRESS, '1', hashCode(CODE)),
+    /does not match the recorded or compiled BatchTransfer bytecode/
+  );
+});
@@ -0,0 +1,101 @@
+// Tests for the duplicate-recipient policies applied when transfers are queued
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ethers = require('ethers');
+const { fixedAddresses, offlineManager } = require('./helpers/chain');
+
+const [ALICE, BOB, TOKEN, OTHER_TOKEN] = fixedAddresses(4);
+
+// A batch manager that is never connected, with its warnings and duplicate events recorded
+const createManager = (duplicatePolicy) => {
+  const warnings = [];
+  const events = [];
+  const batchManager = offlineManager({
+    logger: { info: () => {}, warn: message => warnings.push(message) },
+    duplicatePolicy
+  });
+  batchManager.on('duplicate:queued', event => events.push(event));
+  batchManager.on('duplicate:merged', event => events.push(event));
+  return { batchManager, warnings, events };
+};
+
+test('rejects a repeat recipient under reject, in adds, imports and updates', () => {
+  const { batchManager, events } = createManager('reject');
+  const first = batchManager.addEthTransaction(ALICE, '1');
+  const other = batchManager.addEthTransaction(BOB, '1');
+
+  assert.throws(() => batchManager.addEthTransaction(ALICE, '2'), new RegExp(`Duplicate recipient: ${ALICE} is already queued for ETH \\(${first}\\)`));
+  const report = batchManager.importTransactions(`address,amount\n${ALICE},3`);
+  assert.deepStrictEqual(report.rejected.map(row => [row.line, row.reason]), [
+    [2, `Error adding ETH transaction: Duplicate recipient: ${ALICE} is already queued for ETH (${first})`]
+  ]);
+  assert.throws(() => batchManager.updateTransaction(other, { to: ALICE }), /Error updating transaction .*Duplicate recipient/);
+
+  assert.deepStrictEqual(batchManager.listTransactions().map(item => [item.id, item.to, item.amount]), [[first, ALICE, '1.0'], [other, BOB, '1.0']]);
+  assert.deepStrictEqual(events, []);
+});
+
+test('queues a repeat recipient under warn and warns once', () => {
+  const { batchManager, warnings, events } = createManager();
+  const ids = [batchManager.addEthTransaction(ALICE, '1'), batchManager.addEthTransaction(ALICE.toLowerCase(), '2')];
+
+  assert.strictEqual(warnings.length, 1);
+  assert.match(warnings[0], new RegExp(`Duplicate recipient: ${ALICE} is queued 2 times for ETH`));
+  assert.deepStrictEqual(events.map(event => [event.event, event.to, event.ids]), [['duplicate:queued', ALICE, ids]]);
+  assert.deepStrictEqual(batchManager.getDuplicates().map(duplicate => [duplicate.to, duplicate.ids, duplicate.total]), [
+    [ALICE, ids, ethers.parseEther('3').toString()]
+  ]);
+  assert.strictEqual(batchManager.listTransactions().length, 2);
+});
+
+test('adds a repeat recipient\'s amount to the queued transfer under merge', () => {
+  const { batchManager, events } = createManager('merge');
+  const ethId = batchManager.addEthTransaction(ALICE, '1');
+  const tokenId = batchManager.addErc20Transaction(TOKEN, ALICE, '1.5', 6);
+
+  assert.strictEqual(batchManager.addEthTransaction(ALICE, '0.25'), ethId);
+  assert.strictEqual(batchManager.addErc20Transaction(TOKEN, ALICE, '0.25', 6), tokenId);
+  // Amounts waiting for the token's decimals merge as written
+  const pendingId = batchManager.addErc20Transaction(OTHER_TOKEN, ALICE, '1.5');
+  assert.strictEqual(batchManager.addErc20Transaction(OTHER_TOKEN, ALICE, '0.125'), pendingId);
+
+  assert.deepStrictEqual(batchManager.listTransactions().map(item => [item.id, item.amount, item.value]), [
+    [ethId, '1.25', ethers.parseEther('1.25').toString()],
+    [tokenId, '1.75', '1750000'],
+    [pendingId, '1.625', null]
+  ]);
+  assert.deepStrictEqual(events.map(event => [event.event, event.id]), [
+    ['duplicate:merged', ethId],
+    ['duplicate:merged', tokenId],
+    ['duplicate:merged', pendingId]
+  ]);
+  assert.throws(() => batchManager.addErc20Transaction(TOKEN, ALICE, '1', 18), /Cannot merge amounts queued with 6 and 18 decimals/);
+});
+
+test('queues a repeat recipient without a word under allow, but still reports it', () => {
+  const { batchManager, warnings, events } = createManager('allow');
+  batchManager.addErc20Transaction(TOKEN, ALICE, '1', 6);
+  batchManager.addErc20Transaction(TOKEN, ALICE, '2', 6);
+
+  assert.deepStrictEqual([warnings, events], [[], []]);
+  assert.deepStrictEqual(batchManager.getDuplicates().map(duplicate => [duplicate.token, duplicate.to, duplicate.total]), [[TOKEN, ALICE, '3000000']]);
+  assert.strictEqual(batchManager.getBatchStatus().duplicateRecipients, 1);
+});
+
+test('only counts a recipient twice within the ETH group or one token\'s group', () => {
+  const { batchManager, events } = createManager('reject');
+  batchManager.addEthTransaction(ALICE, '1');
+  batchManager.addErc20Transaction(TOKEN, ALICE, '1', 6);
+  batchManager.addErc20Transaction(OTHER_TOKEN, ALICE, '1', 6);
+  batchManager.addMultiTokenTransaction(ALICE, [{ tokenAddress: TOKEN, value: '1', decimals: 6 }]);
+
+  assert.deepStrictEqual(batchManager.getDuplicates(), []);
+  assert.deepStrictEqual(events, []);
+});
+
+test('refuses an unknown duplicate policy', () => {
+  const { batchManager } = createManager('ignore');
+
+  assert.throws(() => batchManager.addEthTransaction(ALICE, '1'), /Invalid duplicate policy: ignore \(expected reject, warn, merge, allow\)/);
+});
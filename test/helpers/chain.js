@@ -0,0 +1,86 @@
+// chain.js
+// Local chain for the tests that need contracts: compiles them with the repository's Hardhat settings
+// (so a contract that no longer compiles fails the tests), serves the in-process Hardhat network over
+// JSON-RPC for the batch manager, and deploys contracts from the compiled artifacts
+// Also the addresses and never-connected batch managers of the unit tests that need no chain
+
+const ethers = require('ethers');
+
+// Private keys of the first Hardhat test accounts, each funded with 10,000 ETH
+const ACCOUNT_KEYS = [
+  '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80',
+  '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d',
+  '0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a'
+];
+
+// Start the chain; returns { url, provider, keys, wallets, deploy, increaseTime, latestTimestamp, stop }
+const startChain = async () => {
+  // Required lazily, so unit tests without contracts never load Hardhat
+  const hre = require('hardhat');
+  const { JsonRpcServer } = require('hardhat/internal/hardhat-network/jsonrpc/server');
+
+  await hre.run('compile', { quiet: true });
+
+  const server = new JsonRpcServer({ hostname: '127.0.0.1', port: 0, provider: hre.network.provider });
+  const { address, port } = await server.listen();
+  const url = `http://${address}:${port}`;
+
+  // No request cache, so nonces are read fresh between back-to-back transactions
+  const provider = new ethers.JsonRpcProvider(url, undefined, { staticNetwork: true, pollingInterval: 50, cacheTimeout: -1 });
+  const wallets = ACCOUNT_KEYS.map(key => new ethers.Wallet(key, provider));
+
+  // Deploy a contract by name, from the first account unless `from` is given
+  const deploy = async (name, args = [], from = wallets[0]) => {
+    const artifact = await hre.artifacts.readArtifact(name);
+    const contract = await new ethers.ContractFactory(artifact.abi, artifact.bytecode, from).deploy(...args);
+    await contract.waitForDeployment();
+    return contract;
+  };
+
+  // Move the chain's clock forward and mine a block at the new time
+  const increaseTime = async (seconds) => {
+    await provider.send('evm_increaseTime', [seconds]);
+    await provider.send('evm_mine', []);
+  };
+
+  const latestTimestamp = async () => (await provider.getBlock('latest')).timestamp;
+
+  const stop = async () => {
+    provider.destroy();
+    await server.close();
+  };
+
+  return { url, provider, keys: ACCOUNT_KEYS, wallets, deploy, increaseTime, latestTimestamp, stop };
+};
+
+// A fresh address with no code and no balance
+const randomAddress = () => ethers.Wallet.createRandom().address;
+
+// `count` distinct, readable addresses that are the same in every run: 0x1111..., 0x2222... (at most 15)
+const fixedAddresses = (count) => {
+  if (count > 15) {
+    throw new Error(`At most 15 fixed addresses, not ${count}`);
+  }
+  return Array.from({ length: count }, (unused, i) => ethers.getAddress(`0x${(i + 1).toString(16).repeat(40)}`));
+};
+
+// A batch manager that is never connected, for the calls that need no chain, such as queue edits and imports
+const offlineManager = (config = {}) => {
+  // Required lazily, like Hardhat above, so the chain helpers load without it
+  const { createBatchManager } = require('../../batchTransactions');
+
+  return createBatchManager({
+    providerUrl: 'http://127.0.0.1:1',
+    privateKey: ethers.Wallet.createRandom().privateKey,
+    multiSendContractAddress: `0x${'f'.repeat(40)}`,
+    logger: null,
+    ...config
+  });
+};
+
+module.exports = {
+  startChain,
+  randomAddress,
+  fixedAddresses,
+  offlineManager
+};
@@ -0,0 +1,81 @@
+// Tests for building Merkle trees of claims and for reading and writing proofs files
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ethers = require('ethers');
+const { hashLeaf, buildMerkleTree, verifyProof, saveMerkleProofs, loadMerkleProofs } = require('../merkleTree');
+const { fixedAddresses } = require('./helpers/chain');
+
+const ACCOUNTS = fixedAddresses(5);
+
+// Claims for the first `count` accounts, each owed a different amount
+const entriesFor = (count) => ACCOUNTS.slice(0, count).map((account, i) => ({ account, amount: BigInt(i + 1) * 1000n }));
+
+test('hashes leaves twice over the ABI-encoded claim, like the contract', () => {
+  const encoded = ethers.AbiCoder.defaultAbiCoder().encode(['uint256', 'address', 'uint256'], [2, ACCOUNTS[0], 5]);
+
+  assert.strictEqual(hashLeaf(2, ACCOUNTS[0], 5n), ethers.keccak256(ethers.keccak256(encoded)));
+});
+
+test('builds a tree whose proofs verify for every claim, with an odd number of leaves too', () => {
+  for (const count of [1, 2, 3, 5]) {
+    const { root, claims } = buildMerkleTree(entriesFor(count));
+
+    assert.deepStrictEqual(claims.map(claim => [claim.index, claim.account, claim.amount]), entriesFor(count).map(
+      (entry, i) => [i, entry.account, entry.amount.toString()]
+    ));
+    for (const claim of claims) {
+      assert.ok(verifyProof(root, claim), `claim ${claim.index} of ${count} does not verify`);
+    }
+  }
+});
+
+test('uses the only leaf as the root of a one-claim tree, and hashes pairs in sorted order', () => {
+  const [only] = entriesFor(1);
+  assert.strictEqual(buildMerkleTree([only]).root, hashLeaf(0, only.account, only.amount));
+
+  const [a, b] = entriesFor(2).map((entry, i) => hashLeaf(i, entry.account, entry.amount));
+  assert.strictEqual(buildMerkleTree(entriesFor(2)).root, ethers.keccak256(ethers.concat(a < b ? [a, b] : [b, a])));
+});
+
+test('refuses a proof for a different index, account or amount', () => {
+  const { root, claims } = buildMerkleTree(entriesFor(3));
+  const claim = claims[1];
+
+  assert.strictEqual(verifyProof(root, { ...claim, index: 2 }), false);
+  assert.strictEqual(verifyProof(root, { ...claim, account: ACCOUNTS[4] }), false);
+  assert.strictEqual(verifyProof(root, { ...claim, amount: '2001' }), false);
+  assert.strictEqual(verifyProof(root, { ...claim, proof: claims[0].proof }), false);
+});
+
+test('refuses to build a tree without claims', () => {
+  assert.throws(() => buildMerkleTree([]), /At least one claim is required/);
+});
+
+test('writes a proofs file and reads it back', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'merkle-'));
+  const { root, claims } = buildMerkleTree(entriesFor(3));
+  const distribution = {
+    version: 1,
+    distributionId: '1',
+    merkleRoot: root,
+    claims: Object.fromEntries(claims.map(({ account, ...claim }) => [account, claim]))
+  };
+
+  const filePath = await saveMerkleProofs(path.join(dir, 'proofs.json'), distribution);
+
+  assert.deepStrictEqual(await loadMerkleProofs(filePath), distribution);
+});
+
+test('refuses a proofs file that is missing, not JSON, or not a distribution', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'merkle-'));
+  fs.writeFileSync(path.join(dir, 'broken.json'), '{');
+  fs.writeFileSync(path.join(dir, 'other.json'), '{ "claims": {} }');
+
+  await assert.rejects(loadMerkleProofs(path.join(dir, 'missing.json')), /Failed to read proofs file/);
+  await assert.rejects(loadMerkleProofs(path.join(dir, 'broken.json')), /Invalid proofs file .*broken\.json/);
+  await assert.rejects(loadMerkleProofs(path.join(dir, 'other.json')), /missing merkleRoot or claims/);
+});
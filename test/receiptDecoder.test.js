@@ -0,0 +1,120 @@
+// Tests for decoding per-recipient transfer events and reconciling them against the queued transfers
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ethers = require('ethers');
+const { parseContractLogs, decodeTransferLogs, reconcileTransfers } = require('../receiptDecoder');
+const { MULTISEND_CONTRACT_ABI } = require('../abis');
+
+const CONTRACT = '0x2222222222222222222222222222222222222222';
+const SENDER = '0x3333333333333333333333333333333333333333';
+const TOKEN = '0x4444444444444444444444444444444444444444';
+const ALICE = '0x5555555555555555555555555555555555555555';
+const BOB = '0x6666666666666666666666666666666666666666';
+const HASH = `0x${'ab'.repeat(32)}`;
+
+const multiSendInterface = new ethers.Interface(MULTISEND_CONTRACT_ABI);
+
+// A receipt log of a multisend event
+const eventLog = (name, args, index, address = CONTRACT) => ({
+  address,
+  index,
+  ...multiSendInterface.encodeEventLog(name, args)
+});
+
+// A decoded transfer of the test transaction
+const transfer = (token, to, amount, success = true, logIndex = 0) => ({
+  transactionHash: HASH,
+  logIndex,
+  sender: SENDER,
+  token,
+  to,
+  amount,
+  success
+});
+
+test('decodes the transfers of the multisend contract, with the delivered amounts of checked sends', () => {
+  const receipt = {
+    hash: HASH,
+    logs: [
+      eventLog('RecipientTransfer', [SENDER, ethers.ZeroAddress, ALICE, 100n, true], 0),
+      eventLog('RecipientTransfer', [SENDER, TOKEN, BOB, 50n, true], 1),
+      eventLog('TransferDelivered', [SENDER, TOKEN, BOB, 50n, 49n], 2),
+      eventLog('RecipientTransfer', [SENDER, TOKEN, ALICE, 7n, false], 3),
+      // Another contract's event with the same signature is not ours
+      eventLog('RecipientTransfer', [SENDER, TOKEN, ALICE, 1n, true], 4, BOB)
+    ]
+  };
+
+  assert.deepStrictEqual(decodeTransferLogs(receipt, CONTRACT), [
+    transfer(null, ALICE, '100', true, 0),
+    { ...transfer(TOKEN, BOB, '50', true, 1), delivered: '49' },
+    transfer(TOKEN, ALICE, '7', false, 3)
+  ]);
+});
+
+test('parses the events of one name a contract emitted, whatever the case of its address', () => {
+  const receipt = {
+    hash: HASH,
+    logs: [
+      eventLog('RecipientTransfer', [SENDER, ethers.ZeroAddress, ALICE, 100n, true], 0, CONTRACT.toUpperCase().replace('0X', '0x')),
+      eventLog('TransferDelivered', [SENDER, TOKEN, BOB, 50n, 49n], 1),
+      eventLog('RecipientTransfer', [SENDER, TOKEN, BOB, 50n, false], 2, BOB),
+      { address: CONTRACT, index: 3, topics: [HASH], data: '0x' },
+      eventLog('RecipientTransfer', [SENDER, TOKEN, BOB, 7n, true], 4)
+    ]
+  };
+
+  const events = parseContractLogs(receipt, CONTRACT.toLowerCase(), multiSendInterface, 'RecipientTransfer');
+
+  assert.deepStrictEqual(events.map(event => [event.args.recipient, event.args.amount]), [[ALICE, 100n], [BOB, 7n]]);
+});
+
+test('classifies each expected row as paid, failed, mismatched or missing', () => {
+  const rows = [
+    { token: null, to: ALICE, amount: '100', transactionHash: HASH },
+    { token: TOKEN.toLowerCase(), to: BOB, amount: '50', transactionHash: HASH },
+    { token: TOKEN, to: ALICE, amount: '7', transactionHash: HASH },
+    { token: TOKEN, to: BOB, amount: '20', transactionHash: HASH },
+    { token: TOKEN, to: ALICE, amount: '3', transactionHash: null }
+  ];
+  const transfers = [
+    transfer(null, ALICE, '100', true, 0),
+    { ...transfer(TOKEN, BOB, '50', true, 1), delivered: '49' },
+    transfer(TOKEN, ALICE, '7', false, 2),
+    transfer(TOKEN, BOB, '21', true, 3),
+    transfer(TOKEN, SENDER, '1', true, 4)
+  ];
+
+  const report = reconcileTransfers(rows, transfers);
+
+  assert.deepStrictEqual(report.rows.map(row => [row.status, row.logIndex, row.actualAmount, row.deliveredAmount]), [
+    ['paid', 0, undefined, undefined],
+    ['paid', 1, undefined, '49'],
+    ['failed', 2, undefined, undefined],
+    ['mismatched', 3, '21', undefined],
+    ['missing', undefined, undefined, undefined]
+  ]);
+  assert.deepStrictEqual(
+    [report.paid, report.failed, report.mismatched, report.missing, report.underdelivered, report.unexpected, report.complete],
+    [2, 1, 1, 1, 1, 1, false]
+  );
+  assert.deepStrictEqual(report.unexpectedTransfers, [transfer(TOKEN, SENDER, '1', true, 4)]);
+});
+
+test('matches exact amounts first, so a mismatched row cannot take the log of another row', () => {
+  const rows = [
+    { token: null, to: ALICE, amount: '2', transactionHash: HASH },
+    { token: null, to: ALICE, amount: '1', transactionHash: HASH }
+  ];
+
+  const report = reconcileTransfers(rows, [transfer(null, ALICE, '1', true, 0), transfer(null, ALICE, '3', true, 1)]);
+
+  assert.deepStrictEqual(report.rows.map(row => [row.status, row.logIndex]), [['mismatched', 1], ['paid', 0]]);
+});
+
+test('is complete when every row is paid and no transfer is left over', () => {
+  const report = reconcileTransfers([{ token: null, to: ALICE, amount: '1', transactionHash: HASH }], [transfer(null, ALICE.toLowerCase(), '1')]);
+
+  assert.strictEqual(report.complete, true);
+});
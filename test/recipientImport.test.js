@@ -0,0 +1,109 @@
+// Tests for parsing and validating recipient lists, and for importing them into the batch manager
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ethers = require('ethers');
+const { detectFormat, parseRecipientRows, validateRecipientRow } = require('../recipientImport');
+const { offlineManager } = require('./helpers/chain');
+
+const ALICE = '0x1111111111111111111111111111111111111111';
+const BOB = '0xad57aAcad13d86Daa8aD55f0e18B1b62377c0496';
+const TOKEN = '0x132aAd982184489d78420756785f9a395c14dd15';
+// BOB with the case of one letter flipped
+const BAD_CHECKSUM = '0xad57aacad13d86Daa8aD55f0e18B1b62377c0496';
+
+test('detects the format from the file name, then from the content', () => {
+  assert.strictEqual(detectFormat('[]', 'list.CSV'), 'csv');
+  assert.strictEqual(detectFormat('address,amount', 'list.json'), 'json');
+  assert.strictEqual(detectFormat('  { "recipients": [] }'), 'json');
+  assert.strictEqual(detectFormat(`${ALICE},1`), 'csv');
+});
+
+test('parses CSV rows with their line numbers, skipping blank lines and comments', () => {
+  const content = [
+    '# payroll',
+    'Wallet,Value,Token Address',
+    '',
+    `${ALICE},1.5`,
+    `"${BOB}","2,000",${TOKEN}`
+  ].join('\r\n');
+
+  assert.deepStrictEqual(parseRecipientRows(content, 'csv'), [
+    { line: 4, address: ALICE, amount: '1.5' },
+    { line: 5, address: BOB, amount: '2,000', token: TOKEN }
+  ]);
+});
+
+test('reads CSV rows without a header in the default column order', () => {
+  assert.deepStrictEqual(parseRecipientRows(`${ALICE},1,${TOKEN},6`, 'csv'), [
+    { line: 1, address: ALICE, amount: '1', token: TOKEN, decimals: '6' }
+  ]);
+});
+
+test('parses JSON rows with the line each object starts on', () => {
+  const content = JSON.stringify({ recipients: [{ to: ALICE, amount: 1 }, { address: BOB, value: '2', note: '{' }] }, null, 2);
+
+  assert.deepStrictEqual(parseRecipientRows(content, 'json'), [
+    { line: 3, address: ALICE, amount: '1' },
+    { line: 7, address: BOB, amount: '2' }
+  ]);
+  assert.throws(() => parseRecipientRows('{ "rows": [] }', 'json'), /must be an array or an object with a "recipients" array/);
+  assert.throws(() => parseRecipientRows('[', 'json'), /Invalid JSON recipient list/);
+});
+
+test('rejects rows with a bad checksum, the zero address or too many decimals', () => {
+  const reasonOf = (row, defaults) => validateRecipientRow(row, defaults).reason;
+
+  assert.strictEqual(reasonOf({ address: BAD_CHECKSUM, amount: '1' }), `Bad checksum for recipient address: ${BAD_CHECKSUM}`);
+  assert.strictEqual(reasonOf({ address: ethers.ZeroAddress, amount: '1' }), 'Recipient address cannot be the zero address');
+  assert.strictEqual(reasonOf({ address: ALICE, amount: '1', token: ethers.ZeroAddress }), 'Token address cannot be the zero address');
+  assert.strictEqual(reasonOf({ address: ALICE, amount: '1.1234567', token: TOKEN, decimals: '6' }), 'Too many decimals in amount 1.1234567 (max 6)');
+  assert.strictEqual(reasonOf({ address: ALICE, amount: '1.1234567' }, { token: TOKEN, decimals: 6 }), 'Too many decimals in amount 1.1234567 (max 6)');
+  assert.strictEqual(reasonOf({ address: ALICE, amount: '0.0000000000000000001' }), 'Too many decimals in amount 0.0000000000000000001 (max 18)');
+  assert.strictEqual(reasonOf({ address: '0x1234', amount: '1' }), 'Invalid recipient address: 0x1234');
+  assert.strictEqual(reasonOf({ amount: '1' }), 'Missing recipient address');
+  assert.strictEqual(reasonOf({ address: ALICE, amount: '1e3' }), 'Unparseable amount: 1e3');
+  assert.strictEqual(reasonOf({ address: ALICE, amount: '0.00' }), 'Amount must be greater than zero');
+  assert.strictEqual(reasonOf({ address: ALICE, amount: '1', token: TOKEN, decimals: '256' }), 'Invalid decimals: 256');
+});
+
+test('accepts lower-case addresses, trailing zeros past the decimals and names', () => {
+  assert.deepStrictEqual(validateRecipientRow({ address: BOB.toLowerCase(), amount: '1.50000000', token: TOKEN, decimals: '6' }), {
+    transfer: { to: BOB, amount: '1.50000000', token: ethers.getAddress(TOKEN), decimals: 6 }
+  });
+  assert.deepStrictEqual(validateRecipientRow({ address: 'Alice.eth', amount: '1' }), {
+    transfer: { to: 'alice.eth', amount: '1', token: null, decimals: 18 }
+  });
+  // Without decimals, a token row is left for the batch manager to read the token's own
+  assert.strictEqual(validateRecipientRow({ address: ALICE, amount: '1.1234567', token: TOKEN }).transfer.decimals, null);
+});
+
+test('imports the valid rows and reports the rejected ones by line', () => {
+  const batchManager = offlineManager();
+  const content = [
+    'address,amount,token,decimals',
+    `${ALICE},0.5`,
+    `${BAD_CHECKSUM},0.5`,
+    `${BOB},100,${TOKEN},6`,
+    `${BOB},1.1234567,${TOKEN},6`
+  ].join('\n');
+
+  const report = batchManager.importTransactions(content);
+
+  assert.deepStrictEqual(
+    { ...report, ids: report.ids.length },
+    {
+      format: 'csv',
+      totalRows: 4,
+      added: 2,
+      ethAdded: 1,
+      erc20Added: 1,
+      ids: 2,
+      rejected: [
+        { line: 3, address: BAD_CHECKSUM, amount: '0.5', token: undefined, reason: `Bad checksum for recipient address: ${BAD_CHECKSUM}` },
+        { line: 5, address: BOB, amount: '1.1234567', token: TOKEN, reason: 'Too many decimals in amount 1.1234567 (max 6)' }
+      ]
+    }
+  );
+  assert.deepStrictEqual(batchManager.listTransactions().map(item => item.id), report.ids);
+});
@@ -0,0 +1,97 @@
+// Tests for recipients given by ENS name, resolved through a mock ENS registry on the in-process Hardhat network
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const ethers = require('ethers');
+const { startChain, randomAddress } = require('./helpers/chain');
+const { createBatchManager } = require('../batchTransactions');
+
+describe('recipient names', () => {
+  let chain;
+  let batchTransfer;
+  let ens;
+
+  before(async () => {
+    chain = await startChain();
+    batchTransfer = await chain.deploy('BatchTransfer');
+    ens = await chain.deploy('MockEns');
+
+    // ethers only resolves names on networks with an ENS registry, so the test chain gets the mock's
+    const ensAddress = ens.target;
+    ethers.Network.register(31337, () => {
+      const network = new ethers.Network('hardhat', 31337);
+      network.attachPlugin(new ethers.EnsPlugin(ensAddress));
+      return network;
+    });
+  });
+
+  after(() => chain.stop());
+
+  // The batch manager sends from the second account, so its transactions never race the test's own
+  const createManager = (config = {}) => createBatchManager({
+    providerUrl: chain.url,
+    privateKey: chain.keys[1],
+    multiSendContractAddress: batchTransfer.target,
+    logger: null,
+    ...config
+  });
+
+  const setName = async (name, address) => {
+    await (await ens.setAddr(ethers.namehash(name), address)).wait();
+  };
+
+  test('resolves names and passes addresses through, recording both', async () => {
+    const alice = randomAddress();
+    const bob = randomAddress();
+    await setName('alice.eth', alice);
+
+    const batchManager = createManager();
+    batchManager.addEthTransaction('Alice.eth', '1');
+    batchManager.addEthTransaction(bob, '2');
+
+    assert.deepStrictEqual(await batchManager.resolveRecipients(), { 'alice.eth': alice });
+    const results = await batchManager.sendBatchTransaction();
+
+    assert.deepStrictEqual(results.ethTransaction.chunks[0].names, ['alice.eth', null]);
+    assert.deepStrictEqual(results.reconciliation.rows.map(row => [row.to, row.name || null]), [[alice, 'alice.eth'], [bob, null]]);
+    assert.strictEqual(await chain.provider.getBalance(alice), ethers.parseEther('1'));
+    assert.strictEqual(await chain.provider.getBalance(bob), ethers.parseEther('2'));
+  });
+
+  test('pays a name at the address it was first resolved to, even if its record changes', async () => {
+    const first = randomAddress();
+    const second = randomAddress();
+    await setName('bob.base.eth', first);
+
+    const batchManager = createManager();
+    batchManager.addEthTransaction('bob.base.eth', '1');
+    assert.strictEqual((await batchManager.simulateBatch()).success, true);
+    await setName('bob.base.eth', second);
+    await batchManager.sendBatchTransaction();
+
+    assert.strictEqual(await chain.provider.getBalance(first), ethers.parseEther('1'));
+    assert.strictEqual(await chain.provider.getBalance(second), 0n);
+
+    // A new batch manager resolves the name afresh
+    const next = createManager();
+    next.addEthTransaction('bob.base.eth', '1');
+    assert.deepStrictEqual(await next.resolveRecipients(), { 'bob.base.eth': second });
+  });
+
+  test('refuses a name that does not resolve before sending anything', async () => {
+    const payee = randomAddress();
+    const nonce = await chain.provider.getTransactionCount(chain.wallets[1].address);
+
+    const batchManager = createManager();
+    batchManager.addEthTransaction(payee, '1');
+    batchManager.addEthTransaction('nobody.eth', '1');
+
+    await assert.rejects(batchManager.sendBatchTransaction(), /Name nobody\.eth does not resolve to an address/);
+    assert.strictEqual(await chain.provider.getTransactionCount(chain.wallets[1].address), nonce);
+    assert.strictEqual(await chain.provider.getBalance(payee), 0n);
+  });
+
+  test('refuses a name that cannot be normalized when it is queued', () => {
+    assert.throws(() => createManager().addEthTransaction('bad name.eth', '1'), /Invalid recipient name: bad name\.eth/);
+  });
+});
@@ -0,0 +1,48 @@
+// Tests for the Safe Transaction Builder batch file and its checksum
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ethers = require('ethers');
+const { buildSafeTransactionBatch, calculateChecksum } = require('../safeExport');
+
+const SAFE = '0x1111111111111111111111111111111111111111';
+const CONTRACT = '0x2222222222222222222222222222222222222222';
+
+const exported = {
+  chainId: '84532',
+  from: SAFE,
+  summary: '2 ETH transfers',
+  transactions: [{ to: CONTRACT, value: '3000000000000000000', data: '0xabcd' }]
+};
+
+// The batch file serialized by hand the way the Transaction Builder's serializeJSONObject does,
+// with the name cleared and no checksum
+const SERIALIZED =
+  '{["chainId","createdAt","meta","transactions","version"]' +
+  '"84532",' +
+  '1700000000000,' +
+  '{["createdFromOwnerAddress","createdFromSafeAddress","description","name","txBuilderVersion"]' +
+  `"","${SAFE}","2 ETH transfers",null,"1.16.5",},` +
+  '[{["contractInputsValues","contractMethod","data","to","value"]' +
+  `null,null,"0xabcd","${CONTRACT}","3000000000000000000",}],` +
+  '"1.0",}';
+
+test('checksums the batch file the way the Transaction Builder does', () => {
+  const batchFile = buildSafeTransactionBatch(exported, { createdAt: 1700000000000 });
+
+  assert.strictEqual(batchFile.meta.checksum, ethers.solidityPackedKeccak256(['string'], [SERIALIZED]));
+});
+
+test('leaves the batch name and the checksum itself out of the checksum', () => {
+  const batchFile = buildSafeTransactionBatch(exported, { createdAt: 1700000000000, name: 'Payroll' });
+  const renamed = { ...batchFile, meta: { ...batchFile.meta, name: 'Renamed' } };
+
+  assert.strictEqual(calculateChecksum(renamed), batchFile.meta.checksum);
+});
+
+test('changes the checksum when a transaction changes', () => {
+  const batchFile = buildSafeTransactionBatch(exported, { createdAt: 1700000000000 });
+  const edited = { ...batchFile, transactions: [{ ...batchFile.transactions[0], value: '1' }] };
+
+  assert.notStrictEqual(calculateChecksum(edited), batchFile.meta.checksum);
+});
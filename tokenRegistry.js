@@ -0,0 +1,80 @@
+// tokenRegistry.js
+// Cached on-chain token metadata (decimals and symbol), keyed by checksummed address
+// Lets the batch manager check caller-supplied decimals against the token itself
+
+const ethers = require('ethers');
+const { ERC20_ABI } = require('./abis');
+
+// Create a token registry for one network
+// Metadata is read once per token, so a registry can be shared by several batch managers on that network
+const createTokenRegistry = () => {
+  // Checksummed address -> { address, decimals, symbol }
+  const tokens = new Map();
+  // Reads in flight, so concurrent lookups of one token share a single request
+  const pending = new Map();
+
+  // Read a token's metadata from the chain
+  // decimals is null when the token has no decimals() function; symbol is null when it has no string symbol()
+  const fetchToken = async (provider, address) => {
+    const code = await provider.getCode(address);
+    if (code === '0x') {
+      throw new Error(`No contract at token address ${address}`);
+    }
+
+    const tokenContract = new ethers.Contract(address, ERC20_ABI, provider);
+
+    let decimals = null;
+    try {
+      decimals = Number(await tokenContract.decimals());
+    } catch (error) {
+      // Left null; the caller must then supply the decimals
+    }
+
+    let symbol = null;
+    try {
+      symbol = await tokenContract.symbol();
+    } catch (error) {
+      // Some older tokens return bytes32 or have no symbol at all
+    }
+
+    return { address, decimals, symbol };
+  };
+
+  // Get the metadata of a token, reading it from the chain the first time
+  const getToken = async (provider, tokenAddress) => {
+    const address = ethers.getAddress(tokenAddress);
+
+    if (tokens.has(address)) {
+      return tokens.get(address);
+    }
+
+    if (!pending.has(address)) {
+      pending.set(address, fetchToken(provider, address)
+        .then((token) => {
+          tokens.set(address, token);
+          return token;
+        })
+        .finally(() => {
+          pending.delete(address);
+        }));
+    }
+
+    return pending.get(address);
+  };
+
+  // Metadata already read for a token, or null; never touches the chain
+  const peekToken = (tokenAddress) => tokens.get(ethers.getAddress(tokenAddress)) || null;
+
+  return {
+    getToken,
+    peekToken
+  };
+};
+
+// Label a token for messages: its symbol when known, otherwise its address
+const tokenLabel = (token, tokenAddress) => (token && token.symbol ? `${token.symbol} (${tokenAddress})` : tokenAddress);
+
+module.exports = {
+  createTokenRegistry,
+  tokenLabel
+};
@@ -0,0 +1,85 @@
+// transactionHelpers.js
+// Helpers shared by the batch manager and its claim airdrop and scheduled payout flows:
+// fee options, revert reasons, transfer sums and chunks, and timestamps
+
+const ethers = require('ethers');
+const { MULTISEND_CONTRACT_ABI, KNOWN_ERRORS_ABI } = require('./abis');
+
+// Build the fee fields of a transaction from send options
+// EIP-1559 fields take precedence over a legacy gasPrice
+const buildFeeOptions = (options) => {
+  const feeOptions = {};
+
+  if (options.maxFeePerGas || options.maxPriorityFeePerGas) {
+    if (options.maxFeePerGas) {
+      feeOptions.maxFeePerGas = BigInt(options.maxFeePerGas);
+    }
+    if (options.maxPriorityFeePerGas) {
+      feeOptions.maxPriorityFeePerGas = BigInt(options.maxPriorityFeePerGas);
+    }
+  } else if (options.gasPrice) {
+    feeOptions.gasPrice = BigInt(options.gasPrice);
+  }
+
+  return feeOptions;
+};
+
+// Interface used to decode revert data from the multisend contract and the tokens it calls
+const revertInterface = new ethers.Interface([...MULTISEND_CONTRACT_ABI, ...KNOWN_ERRORS_ABI]);
+
+// Turn a failed call into a readable revert reason
+const decodeRevertReason = (error) => {
+  if (error.reason) {
+    return error.reason;
+  }
+
+  if (error.revert) {
+    return `${error.revert.name}(${error.revert.args.map(String).join(', ')})`;
+  }
+
+  if (error.data && error.data !== '0x') {
+    try {
+      const parsed = revertInterface.parseError(error.data);
+      if (parsed) {
+        return `${parsed.name}(${parsed.args.map(String).join(', ')})`;
+      }
+    } catch (parseError) {
+      // Unknown error selector; fall through to the raw message
+    }
+    return `Reverted with data ${error.data}`;
+  }
+
+  return error.shortMessage || error.message;
+};
+
+// Sum the values of a list of queued transfers
+const sumValues = (txs) => txs.reduce(
+  (sum, tx) => sum + BigInt(tx.value.toString()),
+  BigInt(0)
+);
+
+// Split a list of transfers into consecutive chunks of at most `size` items
+const splitIntoChunks = (txs, size) => {
+  const chunks = [];
+  for (let i = 0; i < txs.length; i += size) {
+    chunks.push(txs.slice(i, i + size));
+  }
+  return chunks;
+};
+
+// Read a time given as a Date or a Unix timestamp in seconds
+const toTimestamp = (value, label) => {
+  const timestamp = value instanceof Date ? Math.floor(value.getTime() / 1000) : Number(value);
+  if (!Number.isInteger(timestamp) || timestamp <= 0) {
+    throw new Error(`Invalid ${label}: ${value}`);
+  }
+  return timestamp;
+};
+
+module.exports = {
+  buildFeeOptions,
+  decodeRevertReason,
+  sumValues,
+  splitIntoChunks,
+  toTimestamp
+};